@@ -0,0 +1,229 @@
+const { v4: uuidv4 } = require('uuid');
+const { DEPOSIT_ACCOUNT_TYPES } = require('./accounts');
+const balances = require('./balances');
+const { DAY_MS, byDateAsc, toIST, istDay } = require('./dates');
+
+// Account Aggregator (RBI AA framework) mock: consents that a customer
+// approves, rejects or revokes, and FI data for the consented accounts in
+// the ReBIT "deposit" schema, limited to the consented date range.
+//
+// consent status: PENDING -> ACTIVE | REJECTED; ACTIVE -> REVOKED | EXPIRED
+//
+// A real FIP encrypts FI data for the FIU; here it is returned decrypted.
+
+const FI_TYPES = ['DEPOSIT'];
+const CONSENT_MODES = ['VIEW', 'STORE', 'QUERY', 'STREAM'];
+const FETCH_TYPES = ['ONETIME', 'PERIODIC'];
+const SCHEMA_VERSION = '1.1';
+const DEFAULT_PURPOSE = { code: '101', text: 'Wealth management service' };
+const DEFAULT_CONSENT_DAYS = 365;
+
+// Which status each action needs, and the one it leads to
+const consentActions = {
+  approve: { from: 'PENDING', to: 'ACTIVE', done: 'approved' },
+  reject: { from: 'PENDING', to: 'REJECTED', done: 'rejected' },
+  revoke: { from: 'ACTIVE', to: 'REVOKED', done: 'revoked' }
+};
+
+// Payment channels as ReBIT transaction modes
+const transactionModes = {
+  CASH: 'CASH',
+  ATM: 'ATM',
+  CARD: 'CARD',
+  UPI: 'UPI',
+  NEFT: 'FT',
+  IMPS: 'FT',
+  RTGS: 'FT'
+};
+
+const amount = (value) => Number(value).toFixed(2);
+
+// "2025-01-31T10:15:00+05:30"
+const istTimestamp = (date) => `${toIST(date).toISOString().slice(0, 19)}+05:30`;
+
+const maskAccountNumber = (accountNumber) => {
+  const number = String(accountNumber);
+  return `${'X'.repeat(Math.max(number.length - 4, 0))}${number.slice(-4)}`;
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date : null;
+};
+
+const isDepositAccount = (account) => DEPOSIT_ACCOUNT_TYPES.includes(account.accountType);
+
+// Problems with a consent request body (shape only; accounts are checked by the caller)
+const validateConsentRequest = ({ accountIds, dataRange, fiTypes, consentMode, fetchType, consentExpiry, purpose, customerId } = {}) => {
+  const errors = [];
+
+  if (!Array.isArray(accountIds) || accountIds.length === 0 || !accountIds.every(id => typeof id === 'string')) {
+    errors.push('accountIds must be a non-empty list of account ids');
+  }
+  if (!dataRange || !parseDate(dataRange.from) || !parseDate(dataRange.to)) {
+    errors.push('dataRange must have valid from and to dates');
+  } else if (parseDate(dataRange.from) > parseDate(dataRange.to)) {
+    errors.push('dataRange.from must not be after dataRange.to');
+  }
+  if (fiTypes !== undefined && !(Array.isArray(fiTypes) && fiTypes.length > 0 && fiTypes.every(type => FI_TYPES.includes(type)))) {
+    errors.push(`fiTypes must be a non-empty list of: ${FI_TYPES.join(', ')}`);
+  }
+  if (consentMode !== undefined && !CONSENT_MODES.includes(consentMode)) {
+    errors.push(`consentMode must be one of: ${CONSENT_MODES.join(', ')}`);
+  }
+  if (fetchType !== undefined && !FETCH_TYPES.includes(fetchType)) {
+    errors.push(`fetchType must be one of: ${FETCH_TYPES.join(', ')}`);
+  }
+  if (consentExpiry !== undefined && !parseDate(consentExpiry)) {
+    errors.push('consentExpiry must be a valid date');
+  }
+  if (purpose !== undefined && !(purpose && typeof purpose.code === 'string' && typeof purpose.text === 'string')) {
+    errors.push('purpose must have a code and text');
+  }
+  if (customerId !== undefined && typeof customerId !== 'string') {
+    errors.push('customerId must be a string (e.g. "9876543210@onemoney")');
+  }
+  return errors;
+};
+
+const createConsent = ({ accountIds, dataRange, fiTypes = FI_TYPES, consentMode = 'VIEW', fetchType = 'ONETIME', consentExpiry, purpose = DEFAULT_PURPOSE, customerId = null }, now) => ({
+  id: uuidv4(),
+  consentHandle: uuidv4(),
+  status: 'PENDING',
+  customerId,
+  accountIds: [...new Set(accountIds)],
+  fiTypes,
+  consentMode,
+  fetchType,
+  purpose,
+  dataRange: { from: parseDate(dataRange.from).toISOString(), to: parseDate(dataRange.to).toISOString() },
+  consentExpiry: consentExpiry ? parseDate(consentExpiry).toISOString() : new Date(now.getTime() + DEFAULT_CONSENT_DAYS * DAY_MS).toISOString(),
+  fetches: 0,
+  createdAt: now.toISOString(),
+  updatedAt: now.toISOString()
+});
+
+// An approved or pending consent past its expiry is expired
+const expireConsent = (consent, now) => {
+  if (['PENDING', 'ACTIVE'].includes(consent.status) && new Date(consent.consentExpiry) <= now) {
+    Object.assign(consent, { status: 'EXPIRED', updatedAt: now.toISOString() });
+  }
+  return consent;
+};
+
+// Problems with approving, rejecting or revoking `consent` (empty when allowed)
+const checkConsentAction = (consent, action) => {
+  const { from, done } = consentActions[action];
+  return consent.status === from ? [] : [`Only a ${from} consent can be ${done}; this one is ${consent.status}`];
+};
+
+// Range for an FI request: inside the consent's range, which is the default
+// (also when `requested` is null)
+const fiDataRange = (consent, requested) => {
+  if (requested === undefined || requested === null) requested = {};
+  if (typeof requested !== 'object' || Array.isArray(requested)) {
+    return { errors: ['dataRange must be an object with from and/or to dates'] };
+  }
+  const consented = { from: new Date(consent.dataRange.from), to: new Date(consent.dataRange.to) };
+  const from = requested.from ? parseDate(requested.from) : consented.from;
+  const to = requested.to ? parseDate(requested.to) : consented.to;
+
+  if (!from || !to || from > to) return { errors: ['dataRange must have valid from and to dates, from first'] };
+  if (from < consented.from || to > consented.to) {
+    return { errors: [`dataRange must be within the consented range ${consent.dataRange.from} to ${consent.dataRange.to}`] };
+  }
+  return { range: { from, to } };
+};
+
+// Problems with fetching data under `consent` now (empty when allowed)
+const checkFiRequest = (consent) => {
+  if (consent.status !== 'ACTIVE') return [`Consent is ${consent.status}`];
+  if (consent.fetchType === 'ONETIME' && consent.fetches > 0) return ['A ONETIME consent allows a single FI request'];
+  return [];
+};
+
+const holderProfile = (holder = {}) => {
+  const address = holder.address || {};
+  return {
+    Holders: {
+      type: 'SINGLE',
+      Holder: [{
+        name: holder.name,
+        mobile: String(holder.phone || '').replace(/\D/g, '').slice(-10),
+        email: holder.email,
+        pan: holder.pan,
+        address: [address.street, address.city, `${address.state || ''} ${address.pincode || ''}`.trim()].filter(Boolean).join(', '),
+        nominee: 'NOT-REGISTERED',
+        ckycCompliance: !!holder.pan
+      }]
+    }
+  };
+};
+
+const accountSummary = (account, transactions, now) => {
+  const pendingDebits = transactions
+    .filter(t => t.status === 'pending' && t.type === 'debit')
+    .reduce((sum, t) => sum + t.amount, 0);
+
+  return {
+    currentBalance: amount(account.balance),
+    currency: account.currency,
+    exchgeRate: '',
+    balanceDateTime: istTimestamp(now),
+    type: account.accountType === 'Current' ? 'CURRENT' : 'SAVINGS',
+    branch: account.branchCode,
+    ...(account.overdraftLimit > 0 ? { facility: 'OD' } : {}),
+    ifscCode: account.ifscCode,
+    openingDate: istDay(account.openDate),
+    currentODLimit: amount(account.overdraftLimit || 0),
+    drawingLimit: amount(Math.max(balances.spendableAmount(account), 0)),
+    status: account.status === 'Active' ? 'ACTIVE' : 'INACTIVE',
+    ...(pendingDebits > 0 ? { Pending: { transactionType: 'DEBIT', amount: amount(pendingDebits) } } : {})
+  };
+};
+
+// ReBIT deposit account: profile, summary and the posted transactions in
+// `range`, oldest first. `transactions` are the account's own.
+const depositAccountFI = (account, transactions, { range, now }) => ({
+  type: 'deposit',
+  version: SCHEMA_VERSION,
+  maskedAccNumber: maskAccountNumber(account.accountNumber),
+  linkedAccRef: account.id,
+  Profile: holderProfile(account.accountHolder),
+  Summary: accountSummary(account, transactions, now),
+  Transactions: {
+    startDate: istDay(range.from),
+    endDate: istDay(range.to),
+    Transaction: transactions
+      .filter(t => t.status === 'completed' && new Date(t.date) >= range.from && new Date(t.date) <= range.to)
+      .sort(byDateAsc)
+      .map(t => ({
+        txnId: t.id,
+        type: t.type === 'credit' ? 'CREDIT' : 'DEBIT',
+        mode: transactionModes[t.channel] || 'OTHERS',
+        amount: amount(t.amount),
+        currentBalance: amount(t.balance_after),
+        transactionTimestamp: istTimestamp(t.date),
+        valueDate: istDay(t.date),
+        narration: t.narration || t.description,
+        reference: t.reference || ''
+      }))
+  }
+});
+
+module.exports = {
+  FI_TYPES,
+  CONSENT_MODES,
+  FETCH_TYPES,
+  SCHEMA_VERSION,
+  consentActions,
+  isDepositAccount,
+  maskAccountNumber,
+  validateConsentRequest,
+  createConsent,
+  expireConsent,
+  checkConsentAction,
+  fiDataRange,
+  checkFiRequest,
+  depositAccountFI
+};
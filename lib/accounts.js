@@ -0,0 +1,69 @@
+// Account types and the status lifecycle: which status changes are allowed
+// and which transactions an account can take in each status.
+
+// Bank accounts; generated accounts are one of these unless asked otherwise
+const DEPOSIT_ACCOUNT_TYPES = ['Savings', 'Current', 'Salary'];
+
+// Accounts that can be opened (or generated) on their own
+const ACCOUNT_TYPES = [...DEPOSIT_ACCOUNT_TYPES, 'Credit Card'];
+
+// Loans and term deposits, opened against a bank account (see ./products)
+const PRODUCT_ACCOUNT_TYPES = ['Loan', 'Fixed Deposit', 'Recurring Deposit'];
+
+const ACCOUNT_STATUSES = ['Active', 'Dormant', 'Frozen', 'Closed'];
+
+// Allowed status changes. Closed is final.
+const statusTransitions = {
+  Active: ['Dormant', 'Frozen', 'Closed'],
+  Dormant: ['Active', 'Frozen', 'Closed'],
+  Frozen: ['Active', 'Closed'],
+  Closed: []
+};
+
+// Transaction types each status accepts. Dormant (inoperative) accounts can
+// still be credited but debits need the account reactivated first.
+const allowedTransactionTypes = {
+  Active: ['credit', 'debit'],
+  Dormant: ['credit'],
+  Frozen: [],
+  Closed: []
+};
+
+// Returns a list of reasons the status change isn't allowed (empty when it is)
+const validateStatusChange = (account, status) => {
+  if (!ACCOUNT_STATUSES.includes(status)) {
+    return [`status must be one of: ${ACCOUNT_STATUSES.join(', ')}`];
+  }
+  if (status === account.status) {
+    return [`Account is already ${status}`];
+  }
+
+  const allowed = statusTransitions[account.status] || [];
+  if (!allowed.includes(status)) {
+    return allowed.length > 0
+      ? [`A ${account.status} account can only be changed to ${allowed.join(', ')}`]
+      : [`A ${account.status} account can't be changed`];
+  }
+  return [];
+};
+
+// Returns a list of reasons the account can't take a `type` transaction
+const checkCanTransact = (account, type) => {
+  const status = account.status || 'Active';
+  const allowed = allowedTransactionTypes[status] || [];
+  if (allowed.includes(type)) return [];
+
+  return allowed.length > 0
+    ? [`${status} account only accepts ${allowed.join(', ')} transactions`]
+    : [`${status} account does not accept transactions`];
+};
+
+module.exports = {
+  DEPOSIT_ACCOUNT_TYPES,
+  ACCOUNT_TYPES,
+  PRODUCT_ACCOUNT_TYPES,
+  ACCOUNT_STATUSES,
+  statusTransitions,
+  validateStatusChange,
+  checkCanTransact
+};
@@ -0,0 +1,332 @@
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const path = require('path');
+const crypto = require('crypto');
+const { createRandom, defaultRandom } = require('./random');
+
+// AI text generation behind one interface, so the generators don't care
+// which model (if any) is answering.
+//
+// A provider is { id, label, model, deterministic, generate(prompt, { task, context, rng }) }
+// and resolves to the raw response text. `task` and `context` describe the
+// request for the local stub; live models only see the prompt.
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash-exp';
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-haiku-latest';
+
+const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL }) => {
+  const { GoogleGenerativeAI } = require('@google/generative-ai');
+  const client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return {
+    id: 'google_gemini_2_flash',
+    label: 'Google Gemini 2.0 Flash',
+    model,
+    deterministic: false,
+    generate: async (prompt) => {
+      const result = await client.generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+};
+
+const createAnthropicProvider = ({ apiKey, model = DEFAULT_ANTHROPIC_MODEL }) => {
+  const Anthropic = require('@anthropic-ai/sdk');
+  const client = new Anthropic({ apiKey });
+
+  return {
+    id: 'anthropic_claude',
+    label: `Anthropic Claude (${model})`,
+    model,
+    deterministic: false,
+    generate: async (prompt) => {
+      const message = await client.messages.create({
+        model,
+        max_tokens: 1024,
+        messages: [{ role: 'user', content: prompt }]
+      });
+      return message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    }
+  };
+};
+
+// Offline stand-in: answers each task with a local responder driven by the
+// caller's random source (or its own seeded one), so seeded runs stay
+// reproducible. `responders` maps a task name to (context, rng) => response text.
+const createStubProvider = ({ responders = {}, seed = 'ai-stub' } = {}) => {
+  const ownRng = createRandom(seed);
+
+  return {
+    id: 'local_stub',
+    label: 'Local stub (deterministic)',
+    model: 'stub',
+    deterministic: true,
+    generate: async (prompt, { task, context, rng } = {}) => {
+      const responder = responders[task];
+      if (!responder) {
+        throw new Error(`Stub provider has no responder for task "${task}"`);
+      }
+      return responder(context || {}, rng || ownRng);
+    }
+  };
+};
+
+// AI_PROVIDER=gemini | anthropic | stub | none. Without it the first provider
+// with an API key is used, and none (fallback templates) if there is no key.
+const createProvider = ({
+  name = null,
+  geminiApiKey = null,
+  geminiModel,
+  anthropicApiKey = null,
+  anthropicModel,
+  stubResponders
+} = {}) => {
+  const selected = name || (geminiApiKey ? 'gemini' : anthropicApiKey ? 'anthropic' : 'none');
+
+  switch (selected) {
+    case 'gemini':
+      if (!geminiApiKey) throw new Error('AI_PROVIDER=gemini needs GEMINI_API_KEY');
+      return createGeminiProvider({ apiKey: geminiApiKey, model: geminiModel });
+    case 'anthropic':
+    case 'claude':
+      if (!anthropicApiKey) throw new Error('AI_PROVIDER=anthropic needs ANTHROPIC_API_KEY');
+      return createAnthropicProvider({ apiKey: anthropicApiKey, model: anthropicModel });
+    case 'stub':
+    case 'mock':
+      return createStubProvider({ responders: stubResponders });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown AI provider: ${selected}`);
+  }
+};
+
+// AI_CACHE: `record` (the default) keeps calling the model until a prompt has
+// `variants` responses, since the same prompt (e.g. personal details) must
+// still give different people; `on` reuses a prompt's cached responses as
+// soon as it has any, `replay` only serves what is cached (and never calls a
+// provider), `off` doesn't cache.
+const CACHE_MODES = ['on', 'record', 'replay', 'off'];
+
+// On-disk response cache: one JSON file per (provider, model, prompt) holding
+// up to `variants` distinct responses.
+class ResponseCache {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.byPrompt = null;
+  }
+
+  fileFor(provider, prompt) {
+    const key = crypto.createHash('sha256').update(`${provider.id}\n${provider.model}\n${prompt}`).digest('hex');
+    return path.join(this.dir, `${key.slice(0, 32)}.json`);
+  }
+
+  read(provider, prompt) {
+    const file = this.fileFor(provider, prompt);
+    if (!fs.existsSync(file)) return [];
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(data.responses) ? data.responses : [];
+    } catch (error) {
+      // A corrupt entry is just a cache miss
+      return [];
+    }
+  }
+
+  // Responses to `prompt` from any provider, files read once (in name order,
+  // so replays pick the same way every run)
+  readAny(prompt) {
+    if (!this.byPrompt) {
+      this.byPrompt = new Map();
+      const files = fs.existsSync(this.dir) ? fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).sort() : [];
+      files.forEach(file => {
+        try {
+          const data = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+          if (typeof data.prompt !== 'string' || !Array.isArray(data.responses)) return;
+          const responses = this.byPrompt.get(data.prompt) || [];
+          this.byPrompt.set(data.prompt, [...new Set([...responses, ...data.responses])]);
+        } catch (error) {
+          // A corrupt entry is just a cache miss
+        }
+      });
+    }
+    return this.byPrompt.get(prompt) || [];
+  }
+
+  add(provider, prompt, response) {
+    const responses = this.read(provider, prompt);
+    if (responses.includes(response)) return;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this.fileFor(provider, prompt);
+    const tempPath = `${file}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      provider: provider.id,
+      model: provider.model,
+      prompt,
+      responses: [...responses, response]
+    }, null, 2));
+    fs.renameSync(tempPath, file);
+  }
+}
+
+// Answers from the cache alone, preferring what `recordedBy` (if any) said.
+// Picks are driven by the caller's random source, so with a fixed cache
+// seeded runs are reproducible.
+const createReplayProvider = ({ cache, recordedBy = null }) => ({
+  id: 'cache_replay',
+  label: `Cached AI responses (${cache.dir})`,
+  model: 'replay',
+  deterministic: true,
+  generate: async (prompt, { rng = defaultRandom } = {}) => {
+    const own = recordedBy && !recordedBy.deterministic ? cache.read(recordedBy, prompt) : [];
+    const cached = own.length > 0 ? own : cache.readAny(prompt);
+    if (cached.length === 0) {
+      throw new Error('No cached response for this prompt (AI_CACHE=replay)');
+    }
+    return rng.pick(cached);
+  }
+});
+
+// Wraps a provider with the response cache (see CACHE_MODES). Cached
+// responses also cover for a provider that is down.
+const createAiClient = ({ provider, cacheDir = null, cacheMode = 'record', variants = 20 } = {}) => {
+  if (!CACHE_MODES.includes(cacheMode)) {
+    throw new Error(`Unknown AI cache mode: ${cacheMode} (use ${CACHE_MODES.join(', ')})`);
+  }
+  if (cacheMode === 'replay') {
+    if (!cacheDir) throw new Error('AI_CACHE=replay needs a cache directory (AI_CACHE_DIR)');
+    provider = createReplayProvider({ cache: new ResponseCache(cacheDir), recordedBy: provider });
+  }
+
+  // The stub (and replay) is local and cheap, so it is never cached
+  const cache = provider && cacheDir && cacheMode !== 'off' && !provider.deterministic ? new ResponseCache(cacheDir) : null;
+  const reuseAt = cacheMode === 'record' ? variants : 1;
+  const errorListeners = new Set();
+  // Context set with withContext() is added to every call made inside it
+  // (through awaits), e.g. the job a generation run belongs to
+  const ambient = new AsyncLocalStorage();
+  const contextOf = (context) => ({ ...ambient.getStore(), ...context });
+
+  const reportError = (task, error, context = null) => {
+    const event = { task, message: error.message, context: contextOf(context) };
+    errorListeners.forEach(listener => listener(event));
+  };
+
+  const callProvider = async (prompt, options) => {
+    try {
+      return await provider.generate(prompt, options);
+    } catch (error) {
+      reportError(options.task, error, options.context);
+      throw error;
+    }
+  };
+
+  return {
+    provider,
+    cacheDir: cache ? cache.dir : null,
+    cacheMode: cacheMode === 'replay' || cache ? cacheMode : 'off',
+
+    // Subscribe to provider failures and unusable responses, each reported as
+    // { task, message, context }; returns an unsubscribe function
+    onError: (listener) => {
+      errorListeners.add(listener);
+      return () => errorListeners.delete(listener);
+    },
+    reportError,
+
+    // Run `fn` with `context` added to the context of every AI call it makes
+    withContext: (context, fn) => ambient.run(contextOf(context), fn),
+
+    // Seeded runs only use providers whose output is reproducible
+    isAvailable: (rng) => !!provider && (!rng || !rng.seeded || provider.deterministic),
+
+    generate: async (prompt, { task = null, context = null, rng = defaultRandom } = {}) => {
+      if (!provider) {
+        throw new Error('No AI provider configured');
+      }
+      context = contextOf(context);
+      if (!cache) {
+        return callProvider(prompt, { task, context, rng });
+      }
+
+      const cached = cache.read(provider, prompt);
+      if (cached.length >= reuseAt) {
+        return rng.pick(cached);
+      }
+
+      try {
+        const response = await callProvider(prompt, { task, context, rng });
+        cache.add(provider, prompt, response);
+        return response;
+      } catch (error) {
+        if (cached.length > 0) return rng.pick(cached);
+        throw error;
+      }
+    }
+  };
+};
+
+// Models wrap JSON in prose or code fences, use smart or single quotes, leave
+// trailing commas or get cut off mid-array. Parse what they meant, or throw.
+const straightenQuotes = (text) => text.replace(/[“”]/g, '"').replace(/[‘’]/g, '\'');
+
+const repairJson = (text) => straightenQuotes(text)
+  .replace(/\/\/[^\n"]*$/gm, '')
+  .replace(/(^|[[{,:]\s*)'((?:[^'\\\n]|\\.)*)'(?=\s*[,\]}:])/g, (match, before, value) => `${before}"${value.replace(/"/g, '\\"')}"`)
+  .replace(/([{,]\s*)([A-Za-z_][\w]*)\s*:/g, '$1"$2":')
+  .replace(/,\s*([\]}])/g, '$1');
+
+const parseModelJson = (text, expected = 'array') => {
+  const [open, close] = expected === 'array' ? ['[', ']'] : ['{', '}'];
+  const body = straightenQuotes(String(text || '').replace(/```(?:json)?/gi, ''));
+  const start = body.indexOf(open);
+  if (start === -1 && expected === 'object') {
+    throw new Error('No JSON object in AI response');
+  }
+
+  if (start !== -1) {
+    const end = body.lastIndexOf(close);
+    const candidate = end > start ? body.slice(start, end + 1) : `${body.slice(start)}${close}`;
+    for (const attempt of [candidate, repairJson(candidate)]) {
+      try {
+        return JSON.parse(attempt);
+      } catch (error) {
+        // try the next repair
+      }
+    }
+    if (expected === 'object') {
+      throw new Error('Malformed JSON object in AI response');
+    }
+  }
+
+  // Arrays of strings can still be salvaged from quoted items or one-per-line lists
+  const quoted = body.match(/"((?:[^"\\\n]|\\.)*)"/g);
+  if (quoted && quoted.length > 0) {
+    return quoted.map(item => JSON.parse(item));
+  }
+  const lines = body
+    .replace(/[[\]{}]/g, '\n')
+    .split(/\n|,(?=\s*')/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim().replace(/^'(.*)'$/, '$1').trim())
+    .filter(Boolean);
+  // A lone line is more likely an apology than a list
+  if (lines.length > 1) return lines;
+
+  throw new Error('No JSON array in AI response');
+};
+
+module.exports = {
+  CACHE_MODES,
+  parseModelJson,
+  createProvider,
+  createGeminiProvider,
+  createAnthropicProvider,
+  createStubProvider,
+  createAiClient
+};
@@ -0,0 +1,123 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAiClient } = require('./ai');
+const { createRandom } = require('./random');
+
+// A live-model stand-in that counts its calls
+const countingProvider = (answer = (n) => `answer ${n}`) => {
+  const provider = {
+    id: 'test_model',
+    label: 'Test model',
+    model: 'test-1',
+    deterministic: false,
+    calls: 0,
+    generate: async () => answer(++provider.calls)
+  };
+  return provider;
+};
+
+describe('response cache', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('reuses a cached response once there is one', async () => {
+    const provider = countingProvider();
+    const ai = createAiClient({ provider, cacheDir, cacheMode: 'on' });
+
+    assert.equal(await ai.generate('prompt'), 'answer 1');
+    assert.equal(await ai.generate('prompt'), 'answer 1');
+    assert.equal(await ai.generate('another prompt'), 'answer 2');
+    assert.equal(provider.calls, 2);
+  });
+
+  test('keeps asking for new personal details by default', async () => {
+    const provider = countingProvider(n => JSON.stringify({ name: `Person ${n}` }));
+    const ai = createAiClient({ provider, cacheDir });
+
+    const people = [];
+    for (let i = 0; i < 5; i++) people.push(await ai.generate('personal details prompt', { task: 'personalDetails' }));
+    assert.equal(new Set(people).size, 5);
+    assert.equal(provider.calls, 5);
+  });
+
+  test('records up to `variants` responses in record mode', async () => {
+    const provider = countingProvider();
+    const ai = createAiClient({ provider, cacheDir, cacheMode: 'record', variants: 3 });
+
+    for (let i = 0; i < 6; i++) await ai.generate('prompt');
+    assert.equal(provider.calls, 3);
+  });
+
+  test('falls back to the cache when the provider fails', async () => {
+    await createAiClient({ provider: countingProvider(), cacheDir, cacheMode: 'record' }).generate('prompt');
+    const failing = { ...countingProvider(), generate: async () => { throw new Error('offline'); } };
+    const errors = [];
+    const ai = createAiClient({ provider: failing, cacheDir, cacheMode: 'record' });
+    ai.onError(error => errors.push(error.message));
+
+    assert.equal(await ai.generate('prompt', { task: 'merchantNames' }), 'answer 1');
+    assert.deepEqual(errors, ['offline']);
+  });
+
+  test('replays without a provider and never calls one', async () => {
+    await createAiClient({ provider: countingProvider(), cacheDir }).generate('prompt');
+
+    const offline = createAiClient({ provider: null, cacheDir, cacheMode: 'replay' });
+    assert.equal(offline.provider.deterministic, true);
+    assert.equal(offline.isAvailable(createRandom('seed')), true);
+    assert.equal(await offline.generate('prompt'), 'answer 1');
+
+    const provider = countingProvider();
+    const replay = createAiClient({ provider, cacheDir, cacheMode: 'replay' });
+    assert.equal(await replay.generate('prompt'), 'answer 1');
+    await assert.rejects(replay.generate('uncached prompt'), /No cached response/);
+    assert.equal(provider.calls, 0);
+  });
+
+  test('picks replayed responses with the caller\'s random source', async () => {
+    const recorder = createAiClient({ provider: countingProvider(), cacheDir, cacheMode: 'record', variants: 5 });
+    for (let i = 0; i < 5; i++) await recorder.generate('prompt');
+
+    const pick = async (seed) => {
+      const ai = createAiClient({ provider: null, cacheDir, cacheMode: 'replay' });
+      const rng = createRandom(seed);
+      return Promise.all([1, 2, 3].map(() => ai.generate('prompt', { rng })));
+    };
+    assert.deepEqual(await pick('same'), await pick('same'));
+  });
+
+  test('rejects an unknown mode', () => {
+    assert.throws(() => createAiClient({ provider: null, cacheDir, cacheMode: 'sometimes' }), /Unknown AI cache mode/);
+  });
+});
+
+describe('error reports', () => {
+  test('carry the context of the run that made the call', async () => {
+    const failing = { ...countingProvider(), generate: async () => { throw new Error('offline'); } };
+    const ai = createAiClient({ provider: failing });
+    const reports = [];
+    ai.onError(report => reports.push(report));
+
+    await Promise.allSettled([
+      ai.withContext({ jobId: 'job-1' }, () => ai.generate('prompt', { task: 'merchantNames', context: { category: 'Shopping' } })),
+      ai.generate('prompt', { task: 'personalDetails' })
+    ]);
+    ai.withContext({ jobId: 'job-1' }, () => ai.reportError('personalDetails', new Error('bad JSON')));
+
+    assert.deepEqual(reports, [
+      { task: 'merchantNames', message: 'offline', context: { jobId: 'job-1', category: 'Shopping' } },
+      { task: 'personalDetails', message: 'offline', context: {} },
+      { task: 'personalDetails', message: 'bad JSON', context: { jobId: 'job-1' } }
+    ]);
+  });
+});
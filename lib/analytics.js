@@ -0,0 +1,162 @@
+const { round2, byDateAsc, istMonth, endOfIstDay, istDaysBetween, istMonthsBetween } = require('./dates');
+
+// Spending analytics over posted transactions (callers leave out failed ones).
+// Everything is grouped by IST day/month, amounts are INR rounded to paise.
+
+const signedAmount = (transaction) => (transaction.type === 'debit' ? -transaction.amount : transaction.amount);
+
+// Credits, debits and net per month in [from, to], including quiet months
+const monthlyBreakdown = (transactions, { from, to }) => {
+  const months = new Map(istMonthsBetween(from, to).map(month => [month, { credit: 0, debit: 0, transactions: 0 }]));
+
+  transactions.forEach(t => {
+    const month = months.get(istMonth(t.date));
+    if (!month) return;
+    month[t.type] += t.amount;
+    month.transactions += 1;
+  });
+
+  return [...months.entries()].map(([month, { credit, debit, transactions: count }]) => ({
+    month,
+    credit: round2(credit),
+    debit: round2(debit),
+    net: round2(credit - debit),
+    transactions: count
+  }));
+};
+
+// Amount per category for one direction, largest first, with its share of the total
+const categoryBreakdown = (transactions, type = 'debit') => {
+  const matching = transactions.filter(t => t.type === type);
+  const total = matching.reduce((sum, t) => sum + t.amount, 0);
+  const categories = new Map();
+
+  matching.forEach(t => {
+    const entry = categories.get(t.category) || { amount: 0, transactions: 0 };
+    entry.amount += t.amount;
+    entry.transactions += 1;
+    categories.set(t.category, entry);
+  });
+
+  return {
+    type,
+    total: round2(total),
+    categories: [...categories.entries()]
+      .sort((a, b) => b[1].amount - a[1].amount)
+      .map(([category, { amount, transactions: count }]) => ({
+        category,
+        amount: round2(amount),
+        transactions: count,
+        percentage: total > 0 ? round2((amount / total) * 100) : 0,
+        averageAmount: round2(amount / count)
+      }))
+  };
+};
+
+// Merchants/payees (the transaction description) by amount, largest first
+const topMerchants = (transactions, { type = 'debit', limit = 10 } = {}) => {
+  const merchants = new Map();
+
+  transactions.filter(t => t.type === type).forEach(t => {
+    const key = String(t.description || '').trim().toLowerCase();
+    const entry = merchants.get(key) || { merchant: String(t.description || '').trim(), amount: 0, transactions: 0, categories: {}, lastDate: t.date };
+    entry.amount += t.amount;
+    entry.transactions += 1;
+    entry.categories[t.category] = (entry.categories[t.category] || 0) + 1;
+    if (new Date(t.date) > new Date(entry.lastDate)) entry.lastDate = t.date;
+    merchants.set(key, entry);
+  });
+
+  return [...merchants.values()]
+    .sort((a, b) => b.amount - a.amount || b.transactions - a.transactions)
+    .slice(0, limit)
+    .map(({ merchant, amount, transactions: count, categories, lastDate }) => ({
+      merchant,
+      // The category most of its transactions were booked under
+      category: Object.entries(categories).sort((a, b) => b[1] - a[1])[0][0],
+      amount: round2(amount),
+      transactions: count,
+      averageAmount: round2(amount / count),
+      lastDate
+    }));
+};
+
+// Income vs expense: ratio of credits to debits and the share of income kept
+const incomeExpense = (transactions) => {
+  const income = transactions.filter(t => t.type === 'credit').reduce((sum, t) => sum + t.amount, 0);
+  const expense = transactions.filter(t => t.type === 'debit').reduce((sum, t) => sum + t.amount, 0);
+
+  return {
+    income: round2(income),
+    expense: round2(expense),
+    net: round2(income - expense),
+    incomeToExpenseRatio: expense > 0 ? round2(income / expense) : null,
+    savingsRate: income > 0 ? round2(((income - expense) / income) * 100) : null
+  };
+};
+
+// End-of-day balance for every IST day in [from, to], summed over `accounts`.
+// Rebuilt from each account's balance_after: a day's balance is the last
+// posted balance on or before it, or the opening balance before any activity.
+const dailyBalances = (accounts, transactions, { from, to }) => {
+  const byAccount = new Map(accounts.map(acc => [acc.id, []]));
+  transactions.forEach(t => {
+    if (byAccount.has(t.accountId)) byAccount.get(t.accountId).push(t);
+  });
+
+  const cursors = accounts.map(acc => {
+    const history = byAccount.get(acc.id).sort(byDateAsc);
+    return {
+      history,
+      index: 0,
+      balance: history.length > 0 ? history[0].balance_after - signedAmount(history[0]) : acc.balance
+    };
+  });
+
+  const series = istDaysBetween(from, to).map(day => {
+    const dayEnd = endOfIstDay(day);
+    const balance = cursors.reduce((sum, cursor) => {
+      while (cursor.index < cursor.history.length && new Date(cursor.history[cursor.index].date) <= dayEnd) {
+        cursor.balance = cursor.history[cursor.index].balance_after;
+        cursor.index += 1;
+      }
+      return sum + cursor.balance;
+    }, 0);
+    return { date: day, balance: round2(balance) };
+  });
+
+  if (series.length === 0) {
+    return { series, opening: null, closing: null, min: null, max: null, average: null };
+  }
+
+  const lowest = series.reduce((min, point) => (point.balance < min.balance ? point : min));
+  const highest = series.reduce((max, point) => (point.balance > max.balance ? point : max));
+
+  return {
+    series,
+    opening: series[0].balance,
+    closing: series[series.length - 1].balance,
+    min: lowest,
+    max: highest,
+    average: round2(series.reduce((sum, point) => sum + point.balance, 0) / series.length)
+  };
+};
+
+// Reports by URL name; each gets { accounts, transactions, inRange, range, type, limit }
+// where `transactions` is the full posted history and `inRange` the part inside the range
+const analyticsReports = {
+  'income-expense': { key: 'incomeExpense', build: ({ inRange }) => incomeExpense(inRange) },
+  monthly: { key: 'monthly', build: ({ inRange, range }) => monthlyBreakdown(inRange, range) },
+  categories: { key: 'categories', build: ({ inRange, type }) => categoryBreakdown(inRange, type) },
+  merchants: { key: 'topMerchants', build: ({ inRange, type, limit }) => topMerchants(inRange, { type, limit }) },
+  balances: { key: 'dailyBalances', build: ({ accounts, transactions, range }) => dailyBalances(accounts, transactions, range) }
+};
+
+module.exports = {
+  analyticsReports,
+  monthlyBreakdown,
+  categoryBreakdown,
+  topMerchants,
+  incomeExpense,
+  dailyBalances
+};
@@ -0,0 +1,415 @@
+const { indianCityDirectory } = require('./identifiers');
+const { buildPaymentDetails } = require('./channels');
+const { DAY_MS, IST_OFFSET_MS, round2, byDateAsc, toIST } = require('./dates');
+
+// Fraud and AML scenarios injected into generated histories, with ground-truth
+// labels: injected transactions get isFraud: true, a `scenario` tag and a
+// `scenarioId` shared by the transactions of one incident; every other
+// transaction in the run gets isFraud: false.
+//
+// Runs with anomalies also carry the context a fraud model looks at:
+// `location` (city) on debits and cash deposits and `deviceId` on online
+// debits. Normal activity comes from the holder's home city and usual devices.
+
+const MINUTE_MS = 60 * 1000;
+
+// Cash deposits of 50,000 INR or more need the depositor's PAN
+const PAN_CASH_THRESHOLD = 50000;
+
+const DEFAULT_ANOMALY_RATE = 0.2;
+
+const anomalyScenarios = {
+  card_testing: {
+    label: 'Card testing',
+    description: 'Burst of tiny card-not-present debits from another city, many declined, sometimes followed by one large purchase'
+  },
+  account_takeover: {
+    label: 'Account takeover',
+    description: 'Debits from a new device in another city, then large transfers to new payees that drain the account'
+  },
+  mule: {
+    label: 'Money mule',
+    description: 'Repeated inbound transfers from many senders, forwarded out within minutes to hours'
+  },
+  structuring: {
+    label: 'Structuring',
+    description: `Several cash deposits just below the ${PAN_CASH_THRESHOLD} INR PAN threshold over a few days`
+  }
+};
+
+const ANOMALY_SCENARIOS = Object.keys(anomalyScenarios);
+
+// Returns a list of problems with the `anomalies` generation option (empty when valid)
+const validateAnomalyOptions = (options) => {
+  if (options === true) return [];
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return ['anomalies must be true or an object with rate and scenarios'];
+  }
+
+  const errors = [];
+  const { rate, scenarios } = options;
+  if (rate !== undefined && !(typeof rate === 'number' && rate > 0 && rate <= 1)) {
+    errors.push('anomalies.rate must be a number above 0 and at most 1');
+  }
+  if (scenarios !== undefined) {
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+      errors.push('anomalies.scenarios must be a non-empty array');
+    } else {
+      const unknown = scenarios.filter(name => !ANOMALY_SCENARIOS.includes(name));
+      if (unknown.length > 0) {
+        errors.push(`Unknown anomaly scenario(s): ${unknown.join(', ')}. Use: ${ANOMALY_SCENARIOS.join(', ')}`);
+      }
+    }
+  }
+  return errors;
+};
+
+const payeeFirstNames = ['Ravi', 'Sunil', 'Imran', 'Deepa', 'Mohit', 'Salman', 'Kiran', 'Naveen', 'Pinki', 'Ajay', 'Farhan', 'Lakshmi'];
+const payeeLastNames = ['Yadav', 'Khan', 'Mondal', 'Prasad', 'Sheikh', 'Gowda', 'Paswan', 'Thakur', 'Naik', 'Ansari'];
+
+const testingMerchants = ['PAYU*DIGITAL GOODS', 'RAZORPAY*DONATE NOW', 'CCAVENUE*ONLINE STORE', 'CASHFREE*APP PURCHASE', 'PAYTM*GAMING WALLET'];
+const cashOutMerchants = ['Amazon Pay Gift Card', 'Croma Online', 'Reliance Digital Online', 'MMTC-PAMP Digital Gold', 'Flipkart Gift Card'];
+const declineReasons = ['Incorrect CVV', 'Incorrect expiry date', 'Declined by issuer'];
+
+const ONLINE_CHANNELS = ['UPI', 'IMPS', 'NEFT', 'RTGS'];
+const LOCATED_CHANNELS = ['CARD', 'ATM', 'CASH', ...ONLINE_CHANNELS];
+
+const roundDown = (amount, step) => Math.max(Math.floor(amount / step) * step, step);
+
+const payeeName = (rng) => `${rng.pick(payeeFirstNames)} ${rng.pick(payeeLastNames)}`;
+
+const newDeviceId = (rng) => `${rng.pick(['AND', 'IOS'])}-${rng.alphanumeric(12)}`;
+
+const otherCity = (city, rng) => rng.pick(indianCityDirectory.filter(entry => entry.city !== city)).city;
+
+// Online transfers in the catalogue: UPI up to its limit, NEFT/RTGS above it
+const transferChannel = (amount) => (amount <= 100000 ? 'UPI' : amount >= 200000 ? 'RTGS' : 'NEFT');
+
+const transferCategory = (channel) => (channel === 'UPI' ? 'UPI Payment' : 'NEFT Transfer');
+
+// Start time for an incident lasting `durationMs` somewhere in [from, to]
+const pickStart = (from, to, durationMs, rng) => from.getTime() + rng.float(0, Math.max(to - from - durationMs, 0));
+
+// Move `time` to a random minute between `fromHour` and `toHour` (IST) on the same IST day
+const atIstHour = (time, fromHour, toHour, rng) => {
+  const ist = toIST(time);
+  ist.setUTCHours(rng.int(fromHour, toHour), rng.int(0, 59), rng.int(0, 59), 0);
+  return ist.getTime() - IST_OFFSET_MS;
+};
+
+// Posted balance just before `time` (the history already has balance_after)
+const balanceBefore = (history, time, fallback) => {
+  const posted = history
+    .filter(t => t.status !== 'failed')
+    .sort(byDateAsc);
+  if (posted.length === 0) return fallback;
+
+  const first = posted[0];
+  let balance = first.balance_after + (first.type === 'debit' ? first.amount : -first.amount);
+  for (const t of posted) {
+    if (new Date(t.date).getTime() >= time) break;
+    balance = t.balance_after;
+  }
+  return balance;
+};
+
+const buildTransaction = ({ account, type, amount, category, channel, description, time, rng, failureReason = null, context = {} }) => {
+  const date = new Date(time).toISOString();
+  const { reference, narration } = buildPaymentDetails({ channel, type, description, date, account, rng });
+
+  return {
+    id: rng.uuid(),
+    accountId: account.id,
+    type,
+    amount,
+    description,
+    category,
+    channel,
+    narration,
+    date,
+    status: failureReason ? 'failed' : 'completed',
+    reference,
+    balance_after: null,
+    ...(failureReason ? { failureReason } : {}),
+    ...context
+  };
+};
+
+// Scenario builders: each returns the incident's transactions (without balances)
+const scenarioBuilders = {
+  card_testing: ({ account, profile, from, to, rng }) => {
+    const merchant = rng.pick(testingMerchants);
+    const location = otherCity(profile.city, rng);
+    let time = atIstHour(pickStart(from, to, DAY_MS, rng), 0, 4, rng);
+    const transactions = [];
+
+    for (let i = rng.int(5, 15); i > 0; i--) {
+      time += rng.int(10, 120) * 1000;
+      transactions.push(buildTransaction({
+        account,
+        type: 'debit',
+        amount: rng.chance(0.5) ? rng.int(1, 10) : round2(rng.float(1, 99)),
+        category: 'Online Shopping',
+        channel: 'CARD',
+        description: merchant,
+        time,
+        rng,
+        failureReason: rng.chance(0.45) ? rng.pick(declineReasons) : null,
+        context: { location }
+      }));
+    }
+
+    // A card that works gets used for something that resells easily
+    if (rng.chance(0.6)) {
+      time += rng.int(2, 30) * MINUTE_MS;
+      transactions.push(buildTransaction({
+        account,
+        type: 'debit',
+        amount: round2(rng.float(5000, 45000)),
+        category: 'Online Shopping',
+        channel: 'CARD',
+        description: rng.pick(cashOutMerchants),
+        time,
+        rng,
+        context: { location }
+      }));
+    }
+    return transactions;
+  },
+
+  account_takeover: ({ account, profile, history, from, to, rng }) => {
+    const context = { deviceId: newDeviceId(rng), location: otherCity(profile.city, rng) };
+    let time = atIstHour(pickStart(from, to, DAY_MS, rng), 0, 4, rng);
+    const transactions = [];
+
+    // Often a token payment first, to check the account works
+    if (rng.chance(0.5)) {
+      transactions.push(buildTransaction({
+        account,
+        type: 'debit',
+        amount: rng.int(1, 10),
+        category: 'UPI Payment',
+        channel: 'UPI',
+        description: payeeName(rng),
+        time,
+        rng,
+        context
+      }));
+    }
+
+    const balance = balanceBefore(history, time, account.balance);
+    let remaining = roundDown((balance > 10000 ? balance : rng.float(20000, 80000)) * rng.float(0.7, 0.95), 10);
+    const count = rng.int(2, 4);
+
+    for (let i = 0; i < count && remaining > 0; i++) {
+      time += rng.int(3, 40) * MINUTE_MS;
+      const amount = i === count - 1 ? remaining : roundDown(remaining * rng.float(0.3, 0.6), 10);
+      const channel = transferChannel(amount);
+      remaining = round2(remaining - amount);
+
+      transactions.push(buildTransaction({
+        account,
+        type: 'debit',
+        amount,
+        category: transferCategory(channel),
+        channel,
+        description: payeeName(rng),
+        time,
+        rng,
+        context
+      }));
+    }
+    return transactions;
+  },
+
+  mule: ({ account, profile, from, to, rng }) => {
+    const beneficiaries = rng.chance(0.5) ? [payeeName(rng), payeeName(rng)] : [payeeName(rng)];
+    const windowStart = new Date(Math.max(from.getTime(), to - 21 * DAY_MS));
+    const transactions = [];
+
+    for (let cycle = rng.int(3, 6); cycle > 0; cycle--) {
+      let time = pickStart(windowStart, to, DAY_MS, rng);
+      let received = 0;
+
+      for (let i = rng.int(2, 5); i > 0; i--) {
+        time += rng.int(1, 90) * MINUTE_MS;
+        const amount = rng.int(50, 490) * 100;
+        received += amount;
+        transactions.push(buildTransaction({
+          account,
+          type: 'credit',
+          amount,
+          category: 'UPI Payment',
+          channel: 'UPI',
+          description: payeeName(rng),
+          time,
+          rng
+        }));
+      }
+
+      // Forward nearly all of it, sometimes partly as cash
+      let outgoing = roundDown(received * rng.float(0.9, 0.98), 10);
+      time += rng.int(10, 180) * MINUTE_MS;
+
+      if (rng.chance(0.3)) {
+        const cash = Math.min(roundDown(outgoing * 0.3, 100), 20000);
+        outgoing -= cash;
+        transactions.push(buildTransaction({
+          account,
+          type: 'debit',
+          amount: cash,
+          category: 'Cash Withdrawal',
+          channel: 'ATM',
+          description: 'ATM Withdrawal',
+          time,
+          rng,
+          context: { location: profile.city }
+        }));
+        time += rng.int(5, 30) * MINUTE_MS;
+      }
+
+      const channel = transferChannel(outgoing);
+      transactions.push(buildTransaction({
+        account,
+        type: 'debit',
+        amount: outgoing,
+        category: transferCategory(channel),
+        channel,
+        description: rng.pick(beneficiaries),
+        time,
+        rng,
+        context: { deviceId: rng.pick(profile.devices), location: profile.city }
+      }));
+    }
+    return transactions;
+  },
+
+  structuring: ({ account, profile, from, to, rng }) => {
+    const days = rng.int(3, 10);
+    const start = pickStart(from, to, days * DAY_MS, rng);
+    const transactions = [];
+    let deposited = 0;
+
+    for (let i = rng.int(4, 10); i > 0; i--) {
+      // Branch hours, spread over the period and often at different branches
+      const time = atIstHour(start + rng.int(0, days - 1) * DAY_MS, 10, 15, rng);
+      const amount = PAN_CASH_THRESHOLD - rng.int(1, 50) * 100;
+      deposited += amount;
+      transactions.push(buildTransaction({
+        account,
+        type: 'credit',
+        amount,
+        category: 'Cash Deposit',
+        channel: 'CASH',
+        description: 'Cash Deposit',
+        time,
+        rng,
+        context: { location: rng.chance(0.5) ? profile.city : otherCity(profile.city, rng) }
+      }));
+    }
+
+    // Usually moved on in one go once it's in the account
+    if (rng.chance(0.6)) {
+      const time = Math.max(...transactions.map(t => new Date(t.date).getTime())) + rng.int(1, 48) * 60 * MINUTE_MS;
+      const amount = roundDown(deposited * rng.float(0.8, 0.95), 100);
+      const channel = transferChannel(amount);
+      transactions.push(buildTransaction({
+        account,
+        type: 'debit',
+        amount,
+        category: transferCategory(channel),
+        channel,
+        description: payeeName(rng),
+        time,
+        rng,
+        context: { deviceId: rng.pick(profile.devices), location: profile.city }
+      }));
+    }
+    return transactions;
+  }
+};
+
+// Home city and the one or two devices the holder normally banks from
+const activityProfile = (account, rng) => {
+  const address = (account.accountHolder && account.accountHolder.address) || {};
+  return {
+    city: address.city || rng.pick(indianCityDirectory).city,
+    devices: rng.chance(0.4) ? [newDeviceId(rng), newDeviceId(rng)] : [newDeviceId(rng)]
+  };
+};
+
+const addActivityContext = (transaction, profile, rng) => {
+  const { channel, type } = transaction;
+  if (transaction.location === undefined && (type === 'debit' ? LOCATED_CHANNELS.includes(channel) : channel === 'CASH')) {
+    transaction.location = rng.chance(0.92) ? profile.city : otherCity(profile.city, rng);
+  }
+  if (transaction.deviceId === undefined && type === 'debit' && ONLINE_CHANNELS.includes(channel)) {
+    transaction.deviceId = rng.pick(profile.devices);
+  }
+};
+
+// Label and add context to every transaction of the generated accounts, then
+// inject scenarios into `rate` of the accounts (at least one). `generated` is
+// [{ account, transactions }] with posted histories; injected transactions are
+// appended without balances, so the caller re-posts those accounts. Dates stay
+// within the last `daysBack` days and after the account was opened.
+// Returns one entry per incident.
+const injectAnomalies = ({ generated, rate = DEFAULT_ANOMALY_RATE, scenarios = ANOMALY_SCENARIOS, daysBack = 60, rng }) => {
+  const to = rng.now();
+  const profiles = new Map(generated.map(({ account }) => [account.id, activityProfile(account, rng)]));
+
+  generated.forEach(({ account, transactions }) => {
+    transactions.forEach(transaction => {
+      addActivityContext(transaction, profiles.get(account.id), rng);
+      transaction.isFraud = false;
+    });
+  });
+
+  // Random accounts, each with one scenario
+  const candidates = [...generated];
+  const targets = [];
+  for (let i = Math.min(Math.max(Math.round(generated.length * rate), 1), generated.length); i > 0; i--) {
+    targets.push(...candidates.splice(rng.int(0, candidates.length - 1), 1));
+  }
+
+  return targets.map(({ account, transactions }) => {
+    const scenario = rng.pick(scenarios);
+    const from = new Date(Math.max(new Date(account.openDate).getTime(), to.getTime() - daysBack * DAY_MS));
+    const injected = scenarioBuilders[scenario]({
+      account,
+      profile: profiles.get(account.id),
+      history: transactions,
+      from,
+      to,
+      rng
+    });
+
+    // Incidents that would run past "now" are moved back to end by then
+    const overrun = Math.max(...injected.map(t => new Date(t.date).getTime())) - to.getTime();
+    const scenarioId = rng.uuid();
+    injected.forEach(t => {
+      if (overrun > 0) t.date = new Date(new Date(t.date).getTime() - overrun).toISOString();
+      Object.assign(t, { isFraud: true, scenario, scenarioId });
+    });
+    transactions.push(...injected);
+
+    const dates = injected.map(t => t.date).sort();
+    return {
+      scenarioId,
+      scenario,
+      accountId: account.id,
+      transactions: injected.length,
+      from: dates[0],
+      to: dates[dates.length - 1]
+    };
+  });
+};
+
+module.exports = {
+  ANOMALY_SCENARIOS,
+  DEFAULT_ANOMALY_RATE,
+  PAN_CASH_THRESHOLD,
+  anomalyScenarios,
+  validateAnomalyOptions,
+  injectAnomalies
+};
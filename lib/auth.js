@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { IST_OFFSET_MS, DAY_MS } = require('./dates');
+
+// API keys, rate limits and quotas. Each key belongs to a client, which only
+// sees the accounts (and the webhooks, consents and jobs) it created; the
+// admin key sees everything. Keys come from the environment:
+//
+//   API_KEYS="acme=sk_acme_4f9c2e7b1a6d,beta=sk_beta_93ad0c55e1f2"
+//
+// Clients are rate limited per minute and have a daily quota of generated
+// transactions (days in IST); the admin key has neither.
+
+const MIN_KEY_LENGTH = 16;
+const MINUTE_MS = 60 * 1000;
+const ADMIN_CLIENT_ID = 'admin';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// "client=key,..." to [{ id, key }]
+const parseApiKeys = (value) => {
+  if (!value) return [];
+
+  const keys = String(value).split(',').map(pair => {
+    const [id, key] = pair.split('=').map(part => part.trim());
+    if (!/^[\w-]+$/.test(id || '') || !key || key.length < MIN_KEY_LENGTH) {
+      throw new Error(`Invalid API key "${id || pair}" (expected client=key, with a key of at least ${MIN_KEY_LENGTH} characters)`);
+    }
+    if (id === ADMIN_CLIENT_ID) throw new Error(`"${ADMIN_CLIENT_ID}" is reserved for ADMIN_API_KEY`);
+    return { id, key };
+  });
+
+  const ids = keys.map(({ id }) => id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) throw new Error(`API key for "${duplicate}" is set twice`);
+  return keys;
+};
+
+// "client=number,..." to { client: number }, for per-client limit overrides
+const parseClientLimits = (value, name) => {
+  if (!value) return {};
+
+  return String(value).split(',').reduce((limits, pair) => {
+    const [id, limit] = pair.split('=').map(part => part.trim());
+    const number = Number(limit);
+    if (!id || !Number.isInteger(number) || number < 0) {
+      throw new Error(`Invalid ${name} "${pair}" (expected client=whole number)`);
+    }
+    limits[id] = number;
+    return limits;
+  }, {});
+};
+
+// The key sent as X-API-Key or Authorization: Bearer
+const keyFromRequest = (req) => {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return req.get('X-API-Key') || (bearer ? bearer[1].trim() : null);
+};
+
+class ApiKeys {
+  // `rateLimit` (requests a minute) and `quota` (generated transactions a day)
+  // are the defaults; `rateLimits` and `quotas` override them per client.
+  // 0 means no limit.
+  constructor({ keys = [], adminKey = null, rateLimit = 60, rateLimits = {}, quota = 5000, quotas = {} } = {}) {
+    this.clients = new Map(keys.map(({ id, key }) => [hashKey(key), {
+      id,
+      admin: false,
+      rateLimit: rateLimits[id] !== undefined ? rateLimits[id] : rateLimit,
+      quota: quotas[id] !== undefined ? quotas[id] : quota
+    }]));
+    if (adminKey) {
+      this.clients.set(hashKey(adminKey), { id: ADMIN_CLIENT_ID, admin: true, rateLimit: 0, quota: 0 });
+    }
+    // Callers without a key while the API is open
+    this.rateLimit = rateLimit;
+  }
+
+  // Without any keys the API is open
+  get enabled() {
+    return this.clients.size > 0;
+  }
+
+  authenticate(key) {
+    return key ? this.clients.get(hashKey(key)) || null : null;
+  }
+}
+
+// Usage counters per client over fixed windows of `windowMs`, which start at
+// multiples of it shifted by `offsetMs` (IST_OFFSET_MS for days from IST midnight)
+class WindowCounter {
+  constructor({ windowMs, offsetMs = 0, maxEntries = 10000 }) {
+    this.windowMs = windowMs;
+    this.offsetMs = offsetMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  windowStart(now) {
+    return Math.floor((now + this.offsetMs) / this.windowMs) * this.windowMs - this.offsetMs;
+  }
+
+  // { limit, used, remaining, resetAt } for `id` under `limit` (0: none)
+  usage(id, limit, now = Date.now()) {
+    const start = this.windowStart(now);
+    const entry = this.entries.get(id);
+    const used = entry && entry.start === start ? entry.used : 0;
+    return {
+      limit: limit || null,
+      used,
+      remaining: limit ? Math.max(limit - used, 0) : null,
+      resetAt: new Date(start + this.windowMs).toISOString()
+    };
+  }
+
+  // Count `amount` against `id` if it fits in what is left of `limit`.
+  // Returns the usage with `allowed`.
+  take(id, limit, amount = 1, now = Date.now()) {
+    const usage = this.usage(id, limit, now);
+    if (limit && usage.used + amount > limit) return { ...usage, allowed: false };
+
+    this.prune(now);
+    this.entries.set(id, { start: this.windowStart(now), used: usage.used + amount });
+    return { ...this.usage(id, limit, now), allowed: true };
+  }
+
+  // Give back what a failed request took
+  refund(id, amount, now = Date.now()) {
+    const entry = this.entries.get(id);
+    if (entry && entry.start === this.windowStart(now)) {
+      entry.used = Math.max(entry.used - amount, 0);
+    }
+  }
+
+  // Forget past windows once there are many (e.g. one per caller IP)
+  prune(now) {
+    if (this.entries.size < this.maxEntries) return;
+    const start = this.windowStart(now);
+    this.entries.forEach((entry, id) => {
+      if (entry.start !== start) this.entries.delete(id);
+    });
+  }
+}
+
+const createRateLimiter = () => new WindowCounter({ windowMs: MINUTE_MS });
+const createQuotaCounter = () => new WindowCounter({ windowMs: DAY_MS, offsetMs: IST_OFFSET_MS });
+
+module.exports = {
+  MIN_KEY_LENGTH,
+  parseApiKeys,
+  parseClientLimits,
+  keyFromRequest,
+  ApiKeys,
+  WindowCounter,
+  createRateLimiter,
+  createQuotaCounter
+};
@@ -0,0 +1,100 @@
+const { round2, byDateAsc } = require('./dates');
+
+// Overdraft limits, holds (lien) and the funds check for debits.
+//
+// availableBalance = balance - active holds. A debit may take the account down
+// to -overdraftLimit, so the most that can be spent is availableBalance + overdraftLimit.
+
+const defaultOverdraftLimits = {
+  Savings: 0,
+  Salary: 25000,
+  Current: 100000
+};
+
+// "Savings=0,Salary=25000,Current=100000" -> { Savings: 0, Salary: 25000, Current: 100000 }
+const parseOverdraftLimits = (value) => {
+  if (!value) return {};
+
+  return String(value).split(',').reduce((limits, pair) => {
+    const [accountType, limit] = pair.split('=').map(part => part.trim());
+    const amount = Number(limit);
+    if (!accountType || !Number.isFinite(amount) || amount < 0) {
+      throw new Error(`Invalid overdraft limit "${pair}" (expected AccountType=amount)`);
+    }
+    limits[accountType] = amount;
+    return limits;
+  }, {});
+};
+
+const holdReasons = [
+  { reason: 'Card pre-authorisation', min: 100, max: 5000 },
+  { reason: 'Cheque return charges lien', min: 200, max: 1200 },
+  { reason: 'Outward cheque in clearing', min: 1000, max: 25000 },
+  { reason: 'Lien for loan against deposit', min: 5000, max: 50000 },
+  { reason: 'Court order attachment', min: 2000, max: 20000 }
+];
+
+const heldAmount = (account) => round2((account.holds || []).reduce((sum, hold) => sum + hold.amount, 0));
+
+const availableBalanceFor = (account) => round2(account.balance - heldAmount(account));
+
+// Most a debit can take right now, overdraft included
+const spendableAmount = (account) => round2(availableBalanceFor(account) + (account.overdraftLimit || 0));
+
+// Returns a list of reasons the account can't fund the debit (empty when it can)
+const checkFunds = (account, amount) => {
+  const spendable = spendableAmount(account);
+  if (amount <= spendable) return [];
+  // On a credit card the overdraft limit is the credit limit
+  if (account.card) return [`Debit of ${amount} INR exceeds available credit ${Math.max(spendable, 0)} INR`];
+
+  const parts = [`available balance ${availableBalanceFor(account)} INR`];
+  if (account.overdraftLimit) parts.push(`overdraft limit ${account.overdraftLimit} INR`);
+  return [`Debit of ${amount} INR exceeds ${parts.join(' plus ')}`];
+};
+
+// 0-2 random holds for a generated account
+const generateHolds = (account, rng) => {
+  const count = rng.chance(0.6) ? 0 : rng.int(1, 2);
+  const holds = [];
+
+  for (let i = 0; i < count; i++) {
+    const { reason, min, max } = rng.pick(holdReasons);
+    holds.push({
+      id: rng.uuid(),
+      amount: round2(rng.float(min, max)),
+      reason,
+      createdAt: rng.now().toISOString()
+    });
+  }
+  return holds;
+};
+
+// Raise `openingBalance` (in whole thousands) so that posting the history in
+// date order never takes the balance below -overdraftLimit
+const coverShortfall = (openingBalance, transactions, overdraftLimit = 0) => {
+  let running = openingBalance;
+  let lowest = openingBalance;
+
+  [...transactions]
+    .filter(t => t.status !== 'failed')
+    .sort(byDateAsc)
+    .forEach(t => {
+      running += t.type === 'debit' ? -t.amount : t.amount;
+      lowest = Math.min(lowest, running);
+    });
+
+  const shortfall = -overdraftLimit - lowest;
+  return shortfall > 0 ? round2(openingBalance + Math.ceil(shortfall / 1000) * 1000) : openingBalance;
+};
+
+module.exports = {
+  defaultOverdraftLimits,
+  parseOverdraftLimits,
+  heldAmount,
+  availableBalanceFor,
+  spendableAmount,
+  checkFunds,
+  generateHolds,
+  coverShortfall
+};
@@ -0,0 +1,457 @@
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { csvRow } = require('./statements');
+
+// Whole-dataset bundles for bulk export and import.
+//
+// JSON Lines: a manifest line, then one line per account and per transaction
+//   {"type":"manifest","format":"synthetic-bank-bundle","formatVersion":1,...}
+//   {"type":"account","data":{...}}
+//   {"type":"transaction","data":{...}}
+//
+// CSV: one flat file per table with fixed, typed snake_case columns (listed in
+// the manifest) so it loads straight into a warehouse or converts to Parquet.
+// Values that don't fit their column go into the `extra` JSON column, so a CSV
+// round trip loses nothing.
+
+const BUNDLE_FORMAT = 'synthetic-bank-bundle';
+const BUNDLE_VERSION = 1;
+
+const TABLES = ['accounts', 'transactions'];
+
+// [column, field path, type] where type is string | number | boolean | json
+const tableColumns = {
+  accounts: [
+    ['id', 'id', 'string'],
+    ['account_number', 'accountNumber', 'string'],
+    ['account_type', 'accountType', 'string'],
+    ['bank_name', 'bankName', 'string'],
+    ['bank_code', 'bankCode', 'string'],
+    ['branch_code', 'branchCode', 'string'],
+    ['ifsc_code', 'ifscCode', 'string'],
+    ['upi_id', 'upiId', 'string'],
+    ['holder_name', 'accountHolder.name', 'string'],
+    ['holder_email', 'accountHolder.email', 'string'],
+    ['holder_phone', 'accountHolder.phone', 'string'],
+    ['holder_pan', 'accountHolder.pan', 'string'],
+    ['holder_street', 'accountHolder.address.street', 'string'],
+    ['holder_city', 'accountHolder.address.city', 'string'],
+    ['holder_state', 'accountHolder.address.state', 'string'],
+    ['holder_pincode', 'accountHolder.address.pincode', 'string'],
+    ['balance', 'balance', 'number'],
+    ['available_balance', 'availableBalance', 'number'],
+    ['overdraft_limit', 'overdraftLimit', 'number'],
+    ['holds', 'holds', 'json'],
+    ['currency', 'currency', 'string'],
+    ['status', 'status', 'string'],
+    ['status_reason', 'statusReason', 'string'],
+    ['status_changed_at', 'statusChangedAt', 'string'],
+    ['open_date', 'openDate', 'string'],
+    ['closed_date', 'closedDate', 'string'],
+    ['last_updated', 'lastUpdated', 'string'],
+    ['persona', 'persona', 'json']
+  ],
+  transactions: [
+    ['id', 'id', 'string'],
+    ['account_id', 'accountId', 'string'],
+    ['type', 'type', 'string'],
+    ['amount', 'amount', 'number'],
+    ['description', 'description', 'string'],
+    ['category', 'category', 'string'],
+    ['channel', 'channel', 'string'],
+    ['narration', 'narration', 'string'],
+    ['date', 'date', 'string'],
+    ['status', 'status', 'string'],
+    ['reference', 'reference', 'string'],
+    ['balance_after', 'balance_after', 'number'],
+    ['transfer_id', 'transferId', 'string'],
+    ['counterparty_account_id', 'counterpartyAccountId', 'string'],
+    ['failure_reason', 'failureReason', 'string'],
+    ['location', 'location', 'string'],
+    ['device_id', 'deviceId', 'string'],
+    ['is_fraud', 'isFraud', 'boolean'],
+    ['scenario', 'scenario', 'string'],
+    ['scenario_id', 'scenarioId', 'string']
+  ]
+};
+
+const EXTRA_COLUMN = 'extra';
+
+const MAX_REPORTED_ERRORS = 20;
+
+// Errors carry the HTTP status the route should answer with
+const bundleError = (status, message, details) => Object.assign(new Error(message), { status, details });
+
+const buildManifest = ({ generator, seeds = [], counts, exportedAt = new Date() }) => ({
+  type: 'manifest',
+  format: BUNDLE_FORMAT,
+  formatVersion: BUNDLE_VERSION,
+  generator,
+  exportedAt: exportedAt.toISOString(),
+  seeds,
+  counts,
+  columns: TABLES.reduce((columns, table) => {
+    columns[table] = [...tableColumns[table], [EXTRA_COLUMN, null, 'json']].map(([name, , type]) => ({ name, type }));
+    return columns;
+  }, {})
+});
+
+// Flattening
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getPath = (record, path) => path.split('.')
+  .reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), record);
+
+const setPath = (record, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    return target[key];
+  }, record);
+  parent[keys[keys.length - 1]] = value;
+};
+
+// Empty and null values can't be told apart from missing ones in a cell, so
+// only values of the column's own type are written there
+const fitsColumn = (value, type) => {
+  switch (type) {
+    case 'string': return typeof value === 'string' && value !== '';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    default: return value !== undefined;
+  }
+};
+
+const formatCell = (value, type) => (type === 'json' ? JSON.stringify(value) : String(value));
+
+// What's left of `value` once the fields written to columns are taken out
+const leftoverFields = (value, written, nestedPaths, prefix = '') => Object.entries(value)
+  .reduce((rest, [key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (written.has(path)) return rest;
+
+    if (nestedPaths.has(path) && isPlainObject(child)) {
+      const nested = leftoverFields(child, written, nestedPaths, path);
+      if (Object.keys(nested).length > 0) rest[key] = nested;
+    } else {
+      rest[key] = child;
+    }
+    return rest;
+  }, {});
+
+// Parent paths of nested columns, e.g. accountHolder and accountHolder.address
+const nestedPathsFor = (columns) => new Set(columns.flatMap(([, path]) => {
+  const keys = path.split('.');
+  return keys.slice(0, -1).map((key, i) => keys.slice(0, i + 1).join('.'));
+}));
+
+const toCsvCells = (record, columns, nestedPaths) => {
+  const written = new Set();
+  const cells = columns.map(([, path, type]) => {
+    const value = getPath(record, path);
+    if (!fitsColumn(value, type)) return '';
+    written.add(path);
+    return formatCell(value, type);
+  });
+
+  const extra = leftoverFields(record, written, nestedPaths);
+  return [...cells, Object.keys(extra).length > 0 ? JSON.stringify(extra) : ''];
+};
+
+const mergeDeep = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeDeep(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+};
+
+const parseCell = (cell, type) => {
+  switch (type) {
+    case 'string':
+      return cell;
+    case 'number': {
+      const value = Number(cell);
+      if (!Number.isFinite(value)) throw new Error(`"${cell}" is not a number`);
+      return value;
+    }
+    case 'boolean':
+      if (cell !== 'true' && cell !== 'false') throw new Error(`"${cell}" is not true or false`);
+      return cell === 'true';
+    default:
+      return JSON.parse(cell);
+  }
+};
+
+// Export streams
+function* jsonLines(manifest, accounts, transactions) {
+  yield `${JSON.stringify(manifest)}\n`;
+  for (const account of accounts) {
+    yield `${JSON.stringify({ type: 'account', data: account })}\n`;
+  }
+  for (const transaction of transactions) {
+    yield `${JSON.stringify({ type: 'transaction', data: transaction })}\n`;
+  }
+}
+
+function* csvLines(table, records) {
+  const columns = tableColumns[table];
+  const nestedPaths = nestedPathsFor(columns);
+
+  yield `${csvRow([...columns.map(([name]) => name), EXTRA_COLUMN])}\r\n`;
+  for (const record of records) {
+    yield `${csvRow(toCsvCells(record, columns, nestedPaths))}\r\n`;
+  }
+}
+
+// Readable streams of the serialized records; nothing is buffered beyond the
+// stream's own high-water mark
+const exportJsonLines = (manifest, accounts, transactions) => Readable.from(jsonLines(manifest, accounts, transactions));
+
+const exportCsv = (table, records) => Readable.from(csvLines(table, records));
+
+// Import parsing
+// An oversized body is still read to the end (and discarded) so the client
+// gets the error response instead of a reset connection
+async function* readText(stream, maxBytes = Infinity) {
+  const decoder = new StringDecoder('utf8');
+  let bytes = 0;
+
+  for await (const chunk of stream) {
+    bytes += chunk.length;
+    if (bytes <= maxBytes) yield decoder.write(chunk);
+  }
+  if (bytes > maxBytes) {
+    throw bundleError(413, `Import is larger than the ${maxBytes} byte limit`);
+  }
+  yield decoder.end();
+}
+
+async function* textLines(chunks) {
+  let buffer = '';
+  for await (const text of chunks) {
+    buffer += text;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+  if (buffer) yield buffer;
+}
+
+// RFC 4180 rows; quoted fields may hold commas, quotes and line breaks, and
+// may be split across chunks
+async function* csvRecords(chunks) {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteSeen = false;
+
+  for await (const text of chunks) {
+    for (const ch of text) {
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else {
+          if (ch === '"') {
+            quoteSeen = true;
+          } else {
+            field += ch;
+          }
+          continue;
+        }
+      }
+
+      if (ch === '"' && field === '') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n') {
+        row.push(field);
+        yield row;
+        row = [];
+        field = '';
+      } else if (ch !== '\r') {
+        field += ch;
+      }
+    }
+  }
+
+  if (inQuotes && !quoteSeen) {
+    throw bundleError(400, 'Invalid bundle', ['CSV ends inside a quoted field']);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    yield row;
+  }
+}
+
+// Returns a list of problems with an imported record (empty when it's usable)
+const validateRecord = (table, record) => {
+  const errors = [];
+  if (typeof record.id !== 'string' || record.id === '') errors.push('id is required');
+
+  if (table === 'accounts') {
+    if (typeof getPath(record, 'accountHolder.name') !== 'string') errors.push('accountHolder.name is required');
+    if (typeof record.balance !== 'number') errors.push('balance must be a number');
+  } else {
+    if (typeof record.accountId !== 'string' || record.accountId === '') errors.push('accountId is required');
+    if (!['credit', 'debit'].includes(record.type)) errors.push('type must be credit or debit');
+    if (typeof record.amount !== 'number' || !(record.amount > 0)) errors.push('amount must be a positive number');
+    if (typeof record.date !== 'string' || isNaN(new Date(record.date).getTime())) errors.push('date must be a valid date');
+  }
+  return errors;
+};
+
+const checkManifest = (manifest) => {
+  if (manifest.format !== BUNDLE_FORMAT) return [`format must be ${BUNDLE_FORMAT}`];
+  if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion > BUNDLE_VERSION) {
+    return [`formatVersion ${manifest.formatVersion} is not supported (up to ${BUNDLE_VERSION})`];
+  }
+  return [];
+};
+
+// Parse an uploaded bundle into { manifest, accounts, transactions }.
+// `format` is jsonl, or csv with `table` naming the table in the file.
+// Throws with status 400 (listing the first problems) if anything is invalid.
+const readBundle = async (stream, { format, table = null, maxBytes } = {}) => {
+  const bundle = { manifest: null, accounts: [], transactions: [] };
+  const ids = { accounts: new Set(), transactions: new Set() };
+  const errors = [];
+  let errorCount = 0;
+
+  const addErrors = (line, messages) => {
+    messages.forEach(message => {
+      errorCount += 1;
+      if (errors.length < MAX_REPORTED_ERRORS) errors.push(`Line ${line}: ${message}`);
+    });
+  };
+
+  const addRecord = (line, recordTable, record) => {
+    const recordErrors = validateRecord(recordTable, record);
+    if (recordErrors.length === 0 && ids[recordTable].has(record.id)) {
+      recordErrors.push(`duplicate id ${record.id}`);
+    }
+    if (recordErrors.length > 0) return addErrors(line, recordErrors);
+
+    ids[recordTable].add(record.id);
+    bundle[recordTable].push(record);
+  };
+
+  const chunks = readText(stream, maxBytes);
+  let line = 0;
+
+  if (format === 'csv') {
+    const columns = [...tableColumns[table], [EXTRA_COLUMN, null, 'json']];
+    let header = null;
+    let badHeader = false;
+
+    for await (const cells of csvRecords(chunks)) {
+      line += 1;
+      // Rows can't be read without a usable header (the body is still drained)
+      if ((cells.length === 1 && cells[0] === '') || badHeader) continue;
+
+      if (!header) {
+        header = cells.map(name => columns.find(([column]) => column === name.trim()));
+        const unknown = cells.filter((name, i) => !header[i]);
+        if (unknown.length > 0) addErrors(line, [`unknown ${table} column(s): ${unknown.join(', ')}`]);
+        if (!header.some(column => column && column[0] === 'id')) addErrors(line, ['id column is required']);
+        badHeader = errorCount > 0;
+        continue;
+      }
+
+      if (cells.length !== header.length) {
+        addErrors(line, [`expected ${header.length} values, found ${cells.length}`]);
+        continue;
+      }
+
+      const record = {};
+      let extra = null;
+      const cellErrors = [];
+      cells.forEach((cell, i) => {
+        if (cell === '') return;
+        const [name, path, type] = header[i];
+        try {
+          const value = parseCell(cell, type);
+          if (name === EXTRA_COLUMN) {
+            extra = value;
+          } else {
+            setPath(record, path, value);
+          }
+        } catch (error) {
+          cellErrors.push(`${name}: ${error.message}`);
+        }
+      });
+      if (cellErrors.length > 0) {
+        addErrors(line, cellErrors);
+        continue;
+      }
+
+      addRecord(line, table, isPlainObject(extra) ? mergeDeep(record, extra) : record);
+    }
+  } else {
+    let entries = 0;
+
+    for await (const text of textLines(chunks)) {
+      line += 1;
+      if (text.trim() === '') continue;
+      entries += 1;
+
+      let entry;
+      try {
+        entry = JSON.parse(text);
+      } catch (error) {
+        addErrors(line, ['not valid JSON']);
+        continue;
+      }
+
+      if (entry && entry.type === 'manifest') {
+        if (entries > 1) {
+          addErrors(line, ['the manifest must be the first line']);
+        } else {
+          bundle.manifest = entry;
+          addErrors(line, checkManifest(entry));
+        }
+      } else if (entry && (entry.type === 'account' || entry.type === 'transaction') && isPlainObject(entry.data)) {
+        addRecord(line, `${entry.type}s`, entry.data);
+      } else {
+        addErrors(line, ['expected a manifest, account or transaction entry']);
+      }
+    }
+
+    // A manifest makes truncated uploads detectable
+    const counts = bundle.manifest && bundle.manifest.counts;
+    if (counts && errorCount === 0) {
+      TABLES.forEach(recordTable => {
+        if (Number.isInteger(counts[recordTable]) && counts[recordTable] !== bundle[recordTable].length) {
+          addErrors(line, [`manifest lists ${counts[recordTable]} ${recordTable} but the bundle has ${bundle[recordTable].length}`]);
+        }
+      });
+    }
+  }
+
+  if (errorCount > 0) {
+    const more = errorCount - errors.length;
+    throw bundleError(400, 'Invalid bundle', more > 0 ? [...errors, `...and ${more} more`] : errors);
+  }
+  return bundle;
+};
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  TABLES,
+  tableColumns,
+  buildManifest,
+  exportJsonLines,
+  exportCsv,
+  readBundle
+};
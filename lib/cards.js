@@ -0,0 +1,437 @@
+const { categoryCatalogue, sampleAmount } = require('./categories');
+const { chooseChannel, buildPaymentDetails } = require('./channels');
+const { DAY_MS, round2, byDateAsc, istDay, endOfIstDay, istDaysBetween } = require('./dates');
+
+// Credit card accounts. The account balance runs the same way as for bank
+// accounts (purchases are debits, payments credits), so a card that owes money
+// has a negative balance and `overdraftLimit` is the credit limit: the usual
+// funds check then allows spending up to the available credit.
+//
+// Each billing cycle ends on `billingDay` of the month. Closing a cycle posts
+// interest on the revolving balance, a late fee and GST on both, and adds a
+// statement with the total and minimum due to `account.card.statements`.
+
+const CREDIT_CARD = 'Credit Card';
+
+const cardNetworks = [
+  { network: 'Visa', bin: rng => `4${rng.digits(5)}` },
+  { network: 'Mastercard', bin: rng => `5${rng.int(1, 5)}${rng.digits(4)}` },
+  { network: 'RuPay', bin: rng => `652${rng.digits(3)}` }
+];
+
+const cardVariants = ['Classic', 'Gold', 'Platinum', 'Signature', 'Rewards', 'Cashback'];
+
+const creditLimits = [25000, 50000, 75000, 100000, 150000, 200000, 300000, 500000];
+
+// Terms shared by every generated card
+const cardTerms = {
+  paymentDueDays: 20,
+  monthlyInterestRate: 3.6, // % a month (43.2% a year) on the revolving balance
+  minimumDuePercent: 5,
+  minimumDueFloor: 200,
+  gstRate: 18
+};
+
+// Late fee by statement total due (the last slab has no upper bound)
+const lateFeeSlabs = [
+  { upTo: 500, fee: 0 },
+  { upTo: 5000, fee: 500 },
+  { upTo: 10000, fee: 750 },
+  { upTo: 25000, fee: 950 },
+  { upTo: 50000, fee: 1100 },
+  { upTo: null, fee: 1300 }
+];
+
+// Categories a card accepts besides purchases (see lib/categories.js)
+const CARD_CREDIT_CATEGORIES = ['Card Payment', 'Refund'];
+const CARD_CHARGE_CATEGORIES = ['Finance Charges', 'Late Payment Fee', 'GST'];
+
+// Purchases that are usually made online print as e-commerce on statements
+const onlineCategories = ['Online Shopping', 'Entertainment', 'Travel', 'Bills & Utilities', 'Mobile Recharge', 'DTH/Cable'];
+
+// What generated cards are used for, by relative weight
+const cardSpends = [
+  { category: 'Food & Dining', weight: 5 },
+  { category: 'Online Shopping', weight: 5 },
+  { category: 'Groceries', weight: 4 },
+  { category: 'Shopping', weight: 3 },
+  { category: 'Fuel & Gas', weight: 3 },
+  { category: 'Entertainment', weight: 2 },
+  { category: 'Travel', weight: 2 },
+  { category: 'Bills & Utilities', weight: 2 },
+  { category: 'Healthcare', weight: 1 },
+  { category: 'Pharmacy', weight: 1 }
+];
+
+// How a generated cardholder pays their statements
+const repaymentHabits = [
+  { habit: 'transactor', weight: 55 }, // pays the total due before the due date
+  { habit: 'revolver', weight: 30 }, // pays between the minimum and the total
+  { habit: 'late', weight: 15 } // often pays after the due date, sometimes not at all
+];
+
+const weightedPick = (rng, items) => {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let roll = rng.float(0, total);
+  for (const item of items) {
+    roll -= item.weight;
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+};
+
+const isCreditCard = (account) => !!account && account.accountType === CREDIT_CARD && !!account.card;
+
+const addDays = (day, days) => istDay(new Date(`${day}T12:00:00+05:30`).getTime() + days * DAY_MS);
+
+// First statement date (billingDay of a month) after the IST day `day`
+const nextStatementDay = (billingDay, day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const dd = String(billingDay).padStart(2, '0');
+  if (date < billingDay) return `${year}-${String(month).padStart(2, '0')}-${dd}`;
+  return month === 12 ? `${year + 1}-01-${dd}` : `${year}-${String(month + 1).padStart(2, '0')}-${dd}`;
+};
+
+const lastStatement = (card) => card.statements[card.statements.length - 1] || null;
+
+// Statement dates whose cycle has ended before `now` and isn't billed yet
+const dueStatementDays = (card, now = new Date()) => {
+  const previous = lastStatement(card);
+  const days = [];
+  let day = nextStatementDay(card.billingDay, previous ? previous.statementDate : card.billingSince);
+  while (endOfIstDay(day) < now) {
+    days.push(day);
+    day = nextStatementDay(card.billingDay, day);
+  }
+  return days;
+};
+
+const lateFeeFor = (totalDue) => lateFeeSlabs.find(slab => slab.upTo === null || totalDue <= slab.upTo).fee;
+
+// Card details for a new account. `options` may set creditLimit and billingDay.
+const createCard = (rng, { creditLimit, billingDay, since } = {}) => {
+  const { network, bin } = rng.pick(cardNetworks);
+  const prefix = bin(rng);
+
+  return {
+    network,
+    variant: rng.pick(cardVariants),
+    maskedNumber: `${prefix.slice(0, 4)} ${prefix.slice(4)}XX XXXX ${rng.digits(4)}`,
+    creditLimit: creditLimit !== undefined ? creditLimit : rng.pick(creditLimits),
+    billingDay: billingDay !== undefined ? billingDay : rng.int(1, 28),
+    ...cardTerms,
+    // First day of the first billing cycle (IST)
+    billingSince: istDay(since || rng.now()),
+    statements: []
+  };
+};
+
+// Problems with a manual transaction on a card (empty when it is allowed):
+// purchases go through the card network, credits are payments or refunds
+const validateCardTransaction = ({ type, category, channel }) => {
+  if (type === 'credit') {
+    return [...CARD_CREDIT_CATEGORIES, 'Other'].includes(category)
+      ? []
+      : [`Credit card credits must be one of: ${[...CARD_CREDIT_CATEGORIES, 'Other'].join(', ')}`];
+  }
+  if (CARD_CHARGE_CATEGORIES.includes(category)) return [];
+  return channel === 'CARD' ? [] : ['Credit card purchases can only be made via CARD'];
+};
+
+const isOnlinePurchase = (category) => onlineCategories.includes(category);
+
+// Close the billing cycle that ends on `statementDay`. `transactions` holds (at
+// least) the account's transactions in the cycle and up to the previous due
+// date. Returns the updated card, the new statement and the charges to post.
+const closeCycle = ({ account, transactions, statementDay, rng }) => {
+  const card = account.card;
+  const previous = lastStatement(card);
+  const periodStart = previous ? addDays(previous.statementDate, 1) : card.billingSince;
+  const start = new Date(`${periodStart}T00:00:00+05:30`);
+  const end = endOfIstDay(statementDay);
+
+  const posted = transactions.filter(t => t.accountId === account.id && t.status !== 'failed');
+  const inCycle = posted
+    .filter(t => new Date(t.date) >= start && new Date(t.date) <= end)
+    .sort(byDateAsc);
+  // Cards open with nothing owed
+  const openingBalance = previous ? previous.closingBalance : 0;
+
+  // Whether the previous statement was paid by its due date decides the
+  // late fee and whether this cycle is interest-free
+  let interest = 0;
+  let lateFee = 0;
+  let settledPrevious = previous;
+
+  if (previous && previous.totalDue > 0) {
+    const previousEnd = endOfIstDay(previous.statementDate);
+    const dueEnd = endOfIstDay(previous.dueDate);
+    const paid = round2(posted
+      .filter(t => t.type === 'credit' && new Date(t.date) > previousEnd && new Date(t.date) <= dueEnd)
+      .reduce((sum, t) => sum + t.amount, 0));
+    const paymentStatus = paid >= previous.totalDue ? 'paid' : paid >= previous.minimumDue ? 'minimum_paid' : 'missed';
+    settledPrevious = { ...previous, paidByDueDate: paid, paymentStatus };
+
+    if (paymentStatus === 'missed') {
+      lateFee = lateFeeFor(previous.totalDue);
+    }
+    if (paymentStatus !== 'paid') {
+      // Average daily balance: interest accrues on each day's closing amount owed
+      const dailyRate = card.monthlyInterestRate / 100 * 12 / 365;
+      let balance = openingBalance;
+      let index = 0;
+      interest = round2(istDaysBetween(start, end).reduce((sum, day) => {
+        const dayEnd = endOfIstDay(day);
+        while (index < inCycle.length && new Date(inCycle[index].date) <= dayEnd) {
+          balance += inCycle[index].type === 'debit' ? -inCycle[index].amount : inCycle[index].amount;
+          index += 1;
+        }
+        return sum + Math.max(-balance, 0) * dailyRate;
+      }, 0));
+    }
+  }
+
+  const gst = round2((interest + lateFee) * card.gstRate / 100);
+  const purchases = round2(inCycle.filter(t => t.type === 'debit').reduce((sum, t) => sum + t.amount, 0));
+  const credits = round2(inCycle.filter(t => t.type === 'credit').reduce((sum, t) => sum + t.amount, 0));
+
+  let balance = round2(openingBalance - purchases + credits);
+  const charges = [
+    { category: 'Finance Charges', description: 'FINANCE CHARGES', amount: interest },
+    { category: 'Late Payment Fee', description: 'LATE PAYMENT FEE', amount: lateFee },
+    { category: 'GST', description: `GST @${card.gstRate}% ON CHARGES`, amount: gst }
+  ]
+    .filter(charge => charge.amount > 0)
+    .map((charge, i) => {
+      const date = new Date(`${statementDay}T23:59:5${i}+05:30`).toISOString();
+      const { reference, narration } = buildPaymentDetails({ channel: 'INTERNAL', type: 'debit', description: charge.description, date, account, rng });
+      balance = round2(balance - charge.amount);
+      return {
+        id: rng.uuid(),
+        accountId: account.id,
+        type: 'debit',
+        amount: charge.amount,
+        description: charge.description,
+        category: charge.category,
+        channel: 'INTERNAL',
+        narration,
+        date,
+        status: 'completed',
+        reference,
+        balance_after: balance
+      };
+    });
+
+  const totalCharges = round2(interest + lateFee + gst);
+  const totalDue = round2(Math.max(-balance, 0));
+  const overLimit = round2(Math.max(totalDue - card.creditLimit, 0));
+  // Minimum due: a share of the spending plus every charge and any amount over the limit
+  const minimumDue = totalDue === 0 ? 0 : round2(Math.min(totalDue, Math.max(
+    card.minimumDueFloor,
+    Math.ceil((totalDue - totalCharges - overLimit) * card.minimumDuePercent / 100) + totalCharges + overLimit
+  )));
+
+  const statement = {
+    id: rng.uuid(),
+    statementDate: statementDay,
+    periodStart,
+    periodEnd: statementDay,
+    dueDate: addDays(statementDay, card.paymentDueDays),
+    openingBalance,
+    purchases,
+    paymentsAndCredits: credits,
+    interest,
+    lateFee,
+    gst,
+    closingBalance: balance,
+    totalDue,
+    minimumDue,
+    creditLimit: card.creditLimit,
+    availableCredit: round2(card.creditLimit + balance),
+    transactionCount: inCycle.length + charges.length,
+    paidByDueDate: null,
+    paymentStatus: totalDue > 0 ? 'open' : 'nothing_due'
+  };
+
+  const statements = previous ? [...card.statements.slice(0, -1), settledPrevious] : [];
+  return {
+    card: { ...card, statements: [...statements, statement] },
+    statement,
+    charges,
+    closingBalance: balance
+  };
+};
+
+const createCardPersona = (rng) => ({
+  kind: 'cardholder',
+  repayment: weightedPick(rng, repaymentHabits).habit,
+  spendsPerMonth: rng.int(8, 30)
+});
+
+// Payment towards a statement following the cardholder's habit, or null
+const planPayment = (persona, statement, rng) => {
+  if (statement.totalDue <= 0) return null;
+
+  const dueIn = (days) => new Date(`${addDays(statement.statementDate, days)}T00:00:00+05:30`).getTime() + rng.int(9 * 3600, 21 * 3600) * 1000;
+  const partial = () => round2(rng.float(statement.minimumDue, statement.totalDue));
+
+  switch (persona.repayment) {
+    case 'transactor':
+      return { amount: statement.totalDue, date: dueIn(rng.int(3, cardTerms.paymentDueDays - 1)) };
+    case 'revolver':
+      return { amount: rng.chance(0.3) ? statement.minimumDue : partial(), date: dueIn(rng.int(5, cardTerms.paymentDueDays)) };
+    default:
+      if (rng.chance(0.15)) return null;
+      return rng.chance(0.4)
+        ? { amount: partial(), date: dueIn(cardTerms.paymentDueDays + rng.int(2, 7)) }
+        : { amount: partial(), date: dueIn(rng.int(10, cardTerms.paymentDueDays)) };
+  }
+};
+
+// Card activity between `from` and `to`, starting at `balance`: purchases, the
+// odd refund, payments following the persona's habit and a statement (with
+// charges) every cycle that ends on the way. `history` holds the earlier
+// transactions of cycles still open at `from`, and `pendingPayment` a payment
+// already planned. Updates account.card and returns the transactions and the
+// closing balance. `describe(category, type)` names merchants.
+const runCardActivity = async ({ account, persona, from, to, rng, describe, balance, history = [], pendingPayment = null }) => {
+  const transactions = [];
+
+  const post = async ({ type, category, amount, date, description, channel }) => {
+    const finalDescription = description || await describe(category, type);
+    const finalChannel = channel || chooseChannel(categoryCatalogue[category].channels, amount, rng);
+    const iso = new Date(Math.floor(date / 1000) * 1000).toISOString();
+    const online = finalChannel === 'CARD' && isOnlinePurchase(category);
+    const { reference, narration } = buildPaymentDetails({ channel: finalChannel, type, description: finalDescription, date: iso, account, rng, online });
+    balance = round2(balance + (type === 'debit' ? -amount : amount));
+
+    transactions.push({
+      id: rng.uuid(),
+      accountId: account.id,
+      type,
+      amount,
+      description: finalDescription,
+      category,
+      channel: finalChannel,
+      ...(finalChannel === 'CARD' ? { entryMode: online ? 'ECOM' : 'POS' } : {}),
+      narration,
+      date: iso,
+      status: to - new Date(iso) < DAY_MS && rng.chance(0.3) ? 'pending' : 'completed',
+      reference,
+      balance_after: balance
+    });
+  };
+
+  let cycleStart = from;
+
+  while (cycleStart < to) {
+    const previous = lastStatement(account.card);
+    const statementDay = nextStatementDay(account.card.billingDay, previous ? previous.statementDate : account.card.billingSince);
+    const cycleEnd = new Date(Math.min(endOfIstDay(statementDay).getTime(), to.getTime()));
+    const cycleDays = Math.max((cycleEnd - cycleStart) / DAY_MS, 0);
+
+    const events = [];
+    const purchases = Math.round(persona.spendsPerMonth * cycleDays / 30);
+    for (let i = 0; i < purchases; i++) {
+      const { category } = weightedPick(rng, cardSpends);
+      const date = cycleStart.getTime() + rng.float(0, cycleEnd - cycleStart);
+      events.push({ type: 'debit', category, amount: sampleAmount(category, rng), date, channel: 'CARD' });
+      // Now and then part of a purchase comes back
+      if (rng.chance(0.03)) {
+        events.push({ type: 'credit', category: 'Refund', refundOf: events[events.length - 1], date: Math.min(date + rng.int(2, 10) * DAY_MS, cycleEnd.getTime()), channel: 'CARD' });
+      }
+    }
+    if (pendingPayment && pendingPayment.date <= cycleEnd.getTime()) {
+      events.push({ type: 'credit', category: 'Card Payment', amount: pendingPayment.amount, date: pendingPayment.date, description: 'PAYMENT RECEIVED - THANK YOU' });
+      pendingPayment = null;
+    }
+
+    for (const event of events.sort((a, b) => a.date - b.date)) {
+      if (event.refundOf) {
+        if (!event.refundOf.posted) continue;
+        await post({ ...event, amount: round2(event.refundOf.amount * rng.float(0.2, 1)), description: event.refundOf.posted });
+        continue;
+      }
+      // Declined swipes over the limit aren't recorded
+      if (event.type === 'debit' && event.amount > account.card.creditLimit + balance) continue;
+      await post(event);
+      if (event.type === 'debit') event.posted = transactions[transactions.length - 1].description;
+    }
+
+    if (endOfIstDay(statementDay) > to) break;
+
+    const closed = closeCycle({ account, transactions: [...history, ...transactions], statementDay, rng });
+    account.card = closed.card;
+    transactions.push(...closed.charges);
+    balance = closed.closingBalance;
+    pendingPayment = planPayment(persona, closed.statement, rng);
+    cycleStart = new Date(endOfIstDay(statementDay).getTime() + 1);
+  }
+
+  return {
+    transactions,
+    closingBalance: balance
+  };
+};
+
+// Card history between `from` and `to`. Sets account.card (billing from `from`)
+// and returns the transactions and the closing balance.
+const generateCardHistory = ({ account, persona, from, to, rng, describe }) => {
+  account.card = { ...account.card, billingSince: istDay(from), statements: [] };
+  return runCardActivity({ account, persona, from, to, rng, describe, balance: 0 });
+};
+
+// More activity on a card billed up to `from`, given the account's
+// `history`. The last statement gets paid following the persona's habit,
+// unless something was paid towards it already.
+const extendCardHistory = ({ account, persona, history, from, to, rng, describe }) => {
+  const statement = lastStatement(account.card);
+  let pendingPayment = null;
+
+  if (statement && statement.paymentStatus === 'open') {
+    const statementEnd = endOfIstDay(statement.statementDate);
+    const paidSince = history.some(t => t.type === 'credit' && t.status !== 'failed' && new Date(t.date) > statementEnd);
+    pendingPayment = paidSince ? null : planPayment(persona, statement, rng);
+    // A payment planned for before `from` is made late instead
+    if (pendingPayment && pendingPayment.date <= from.getTime()) {
+      pendingPayment.date = from.getTime() + rng.int(3600, 86399) * 1000;
+    }
+  }
+
+  return runCardActivity({ account, persona, from, to, rng, describe, balance: account.balance, history, pendingPayment });
+};
+
+// Card figures derived from the balance (for balance and account responses)
+const cardPosition = (account) => {
+  const { card } = account;
+  const statement = lastStatement(card);
+  const held = (account.holds || []).reduce((sum, hold) => sum + hold.amount, 0);
+
+  return {
+    creditLimit: card.creditLimit,
+    outstanding: round2(Math.max(-account.balance, 0)),
+    availableCredit: round2(Math.max(card.creditLimit + account.balance - held, 0)),
+    nextStatementDate: nextStatementDay(card.billingDay, statement ? statement.statementDate : card.billingSince),
+    lastStatement: statement
+      ? { id: statement.id, statementDate: statement.statementDate, totalDue: statement.totalDue, minimumDue: statement.minimumDue, dueDate: statement.dueDate, paymentStatus: statement.paymentStatus }
+      : null
+  };
+};
+
+module.exports = {
+  CREDIT_CARD,
+  CARD_CREDIT_CATEGORIES,
+  CARD_CHARGE_CATEGORIES,
+  cardTerms,
+  lateFeeSlabs,
+  isCreditCard,
+  isOnlinePurchase,
+  createCard,
+  createCardPersona,
+  validateCardTransaction,
+  dueStatementDays,
+  closeCycle,
+  generateCardHistory,
+  extendCardHistory,
+  cardPosition
+};
@@ -0,0 +1,155 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom } = require('./random');
+const cards = require('./cards');
+
+const cardAccount = (creditLimit = 100000) => ({
+  id: 'card-1',
+  accountType: cards.CREDIT_CARD,
+  ifscCode: 'ICIC0000104',
+  accountHolder: { name: 'Ravi Kumar', address: { city: 'Pune' } },
+  balance: 0,
+  card: { ...cards.cardTerms, creditLimit, billingDay: 15, billingSince: '2026-01-10', statements: [] }
+});
+
+let sequence = 0;
+const transaction = (type, amount, day) => ({
+  id: `t${++sequence}`,
+  accountId: 'card-1',
+  type,
+  amount,
+  date: new Date(`${day}T12:00:00+05:30`).toISOString(),
+  status: 'completed'
+});
+
+// Close the cycle ending on `statementDay` and keep the card up to date
+const close = (account, transactions, statementDay) => {
+  const closed = cards.closeCycle({ account, transactions, statementDay, rng: createRandom('cards') });
+  account.card = closed.card;
+  account.balance = closed.closingBalance;
+  return closed;
+};
+
+// A card whose first statement (15 January) asks for ₹22,000
+const billedCard = (creditLimit) => {
+  const account = cardAccount(creditLimit);
+  const spends = [transaction('debit', 10000, '2026-01-11'), transaction('debit', 12000, '2026-01-14')];
+  close(account, spends, '2026-01-15');
+  return { account, spends };
+};
+
+describe('statement dates', () => {
+  test('bill every cycle that ended before now', () => {
+    const { card } = cardAccount();
+    assert.deepEqual(cards.dueStatementDays(card, new Date('2026-03-20T00:00:00Z')), ['2026-01-15', '2026-02-15', '2026-03-15']);
+    // A cycle ends at midnight IST on its statement day
+    assert.deepEqual(cards.dueStatementDays(card, new Date('2026-01-15T18:00:00Z')), []);
+    assert.deepEqual(cards.dueStatementDays(card, new Date('2026-01-15T18:31:00Z')), ['2026-01-15']);
+  });
+});
+
+describe('first statement', () => {
+  const { account } = billedCard();
+  const [statement] = account.card.statements;
+
+  test('totals the cycle\'s spending, interest-free', () => {
+    assert.equal(statement.periodStart, '2026-01-10');
+    assert.equal(statement.purchases, 22000);
+    assert.equal(statement.totalDue, 22000);
+    assert.equal(statement.interest, 0);
+    assert.equal(statement.closingBalance, -22000);
+    assert.equal(statement.availableCredit, 78000);
+    assert.equal(statement.paymentStatus, 'open');
+  });
+
+  test('asks for 5% as the minimum, due 20 days later', () => {
+    assert.equal(statement.minimumDue, 1100);
+    assert.equal(statement.dueDate, '2026-02-04');
+  });
+
+  test('asks for at least ₹200', () => {
+    const small = cardAccount();
+    const closed = close(small, [transaction('debit', 3000, '2026-01-12')], '2026-01-15');
+    assert.equal(closed.statement.minimumDue, 200);
+  });
+
+  test('adds whatever is over the limit to the minimum', () => {
+    const { account: overLimit } = billedCard(20000);
+    // 5% of the 20,000 within the limit, plus the 2,000 over it
+    assert.equal(overLimit.card.statements[0].minimumDue, 3000);
+  });
+});
+
+describe('next statement', () => {
+  test('is interest-free when the last one was paid in full', () => {
+    const { account, spends } = billedCard();
+    const closed = close(account, [...spends, transaction('credit', 22000, '2026-01-25')], '2026-02-15');
+
+    assert.equal(closed.charges.length, 0);
+    assert.equal(closed.statement.totalDue, 0);
+    assert.equal(closed.statement.minimumDue, 0);
+    assert.equal(closed.statement.paymentStatus, 'nothing_due');
+    assert.equal(account.card.statements[0].paymentStatus, 'paid');
+  });
+
+  test('charges interest on the daily balance, but no late fee, after a minimum payment', () => {
+    const { account, spends } = billedCard();
+    const closed = close(account, [...spends, transaction('credit', 1100, '2026-01-25')], '2026-02-15');
+
+    // 43.2% a year on 22,000 for 9 days and 20,900 for 22 days
+    assert.equal(closed.statement.interest, 778.55);
+    assert.equal(closed.statement.lateFee, 0);
+    assert.equal(closed.statement.gst, 140.14);
+    assert.equal(account.card.statements[0].paymentStatus, 'minimum_paid');
+    assert.equal(account.card.statements[0].paidByDueDate, 1100);
+  });
+
+  test('charges interest, the late fee for the slab and GST when nothing was paid', () => {
+    const { account, spends } = billedCard();
+    const closed = close(account, spends, '2026-02-15');
+    const { statement } = closed;
+
+    assert.equal(statement.interest, 807.19);
+    assert.equal(statement.lateFee, 950);
+    assert.equal(statement.gst, 316.29);
+    assert.deepEqual(closed.charges.map(t => [t.category, t.amount]), [
+      ['Finance Charges', 807.19],
+      ['Late Payment Fee', 950],
+      ['GST', 316.29]
+    ]);
+    assert.equal(statement.totalDue, 24073.48);
+    // 5% of the spending plus every charge
+    assert.equal(statement.minimumDue, 3173.48);
+    assert.equal(closed.charges[2].balance_after, -24073.48);
+    assert.equal(account.card.statements[0].paymentStatus, 'missed');
+  });
+
+  test('ignores a payment made after the due date', () => {
+    const { account, spends } = billedCard();
+    const closed = close(account, [...spends, transaction('credit', 22000, '2026-02-10')], '2026-02-15');
+
+    assert.equal(closed.statement.lateFee, 950);
+    assert.equal(account.card.statements[0].paymentStatus, 'missed');
+  });
+});
+
+describe('late fee slabs', () => {
+  test('go up with the amount due', () => {
+    const fees = [400, 3000, 8000, 20000, 40000, 90000].map(amount => {
+      const account = cardAccount(200000);
+      const spends = [transaction('debit', amount, '2026-01-12')];
+      close(account, spends, '2026-01-15');
+      return close(account, spends, '2026-02-15').statement.lateFee;
+    });
+    assert.deepEqual(fees, [0, 500, 750, 950, 1100, 1300]);
+  });
+});
+
+describe('card transactions', () => {
+  test('only take purchases through the card network and payments or refunds as credits', () => {
+    assert.deepEqual(cards.validateCardTransaction({ type: 'debit', category: 'Shopping', channel: 'CARD' }), []);
+    assert.deepEqual(cards.validateCardTransaction({ type: 'debit', category: 'Shopping', channel: 'UPI' }), ['Credit card purchases can only be made via CARD']);
+    assert.deepEqual(cards.validateCardTransaction({ type: 'credit', category: 'Refund' }), []);
+    assert.deepEqual(cards.validateCardTransaction({ type: 'credit', category: 'Salary' }), ['Credit card credits must be one of: Card Payment, Refund, Other']);
+  });
+});
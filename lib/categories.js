@@ -0,0 +1,129 @@
+// Transaction category catalogue: allowed direction, amount distribution and
+// payment channels for every category. Amounts follow a log-normal
+// distribution around `median` (INR), clamped to [min, max] and rounded to `step`.
+//
+// direction: 'credit' | 'debit' | 'both'
+// weight:    relative frequency when picking a random category
+// channels:  payment channels (see ./channels), most typical first
+
+const categoryCatalogue = {
+  'Food & Dining': { direction: 'debit', weight: 8, median: 450, sigma: 0.7, min: 50, max: 8000, channels: ['UPI', 'CARD'] },
+  'Groceries': { direction: 'debit', weight: 7, median: 1200, sigma: 0.7, min: 80, max: 15000, channels: ['UPI', 'CARD'] },
+  'Transportation': { direction: 'debit', weight: 5, median: 250, sigma: 0.9, min: 20, max: 5000, channels: ['UPI', 'CARD'] },
+  'Bills & Utilities': { direction: 'debit', weight: 4, median: 1200, sigma: 0.6, min: 100, max: 15000, channels: ['UPI', 'NACH', 'CARD'] },
+  'Entertainment': { direction: 'debit', weight: 3, median: 400, sigma: 0.7, min: 49, max: 5000, channels: ['UPI', 'CARD'] },
+  'Healthcare': { direction: 'debit', weight: 2, median: 800, sigma: 0.9, min: 100, max: 50000, channels: ['UPI', 'CARD'] },
+  'Travel': { direction: 'debit', weight: 2, median: 3500, sigma: 0.9, min: 200, max: 150000, channels: ['UPI', 'CARD'] },
+  'Education': { direction: 'debit', weight: 1, median: 8000, sigma: 1.0, min: 500, max: 300000, step: 100, channels: ['NEFT', 'UPI', 'CHEQUE'] },
+  'Shopping': { direction: 'debit', weight: 4, median: 1500, sigma: 0.9, min: 100, max: 50000, channels: ['UPI', 'CARD'] },
+  'Fuel & Gas': { direction: 'debit', weight: 3, median: 1200, sigma: 0.6, min: 100, max: 8000, channels: ['UPI', 'CARD'] },
+  'Mobile Recharge': { direction: 'debit', weight: 2, median: 299, sigma: 0.4, min: 10, max: 3000, step: 1, channels: ['UPI', 'CARD'] },
+  'DTH/Cable': { direction: 'debit', weight: 1, median: 350, sigma: 0.4, min: 100, max: 2500, step: 1, channels: ['UPI', 'CARD'] },
+  'Insurance Premium': { direction: 'debit', weight: 1, median: 12000, sigma: 0.9, min: 500, max: 200000, step: 1, channels: ['NACH', 'NEFT', 'UPI'] },
+  'Mutual Fund SIP': { direction: 'debit', weight: 1, median: 3000, sigma: 0.8, min: 100, max: 100000, step: 100, channels: ['NACH', 'UPI'] },
+  'Fixed Deposit': { direction: 'both', weight: 1, median: 50000, sigma: 1.0, min: 1000, max: 2000000, step: 1000, channels: ['INTERNAL'] },
+  'Gold Purchase': { direction: 'debit', weight: 1, median: 10000, sigma: 1.0, min: 500, max: 500000, channels: ['UPI', 'CARD', 'NEFT'] },
+  'Online Shopping': { direction: 'debit', weight: 5, median: 1200, sigma: 0.9, min: 99, max: 50000, channels: ['UPI', 'CARD'] },
+  'UPI Payment': { direction: 'both', weight: 6, median: 500, sigma: 1.1, min: 1, max: 100000, channels: ['UPI'] },
+  'NEFT Transfer': { direction: 'both', weight: 2, median: 15000, sigma: 1.2, min: 1, max: 1000000, channels: ['NEFT', 'RTGS'] },
+  'Salary Credit': { direction: 'credit', weight: 1, median: 55000, sigma: 0.6, min: 8000, max: 1000000, step: 1, channels: ['NEFT', 'RTGS'] },
+  'Bonus': { direction: 'credit', weight: 1, median: 40000, sigma: 0.9, min: 2000, max: 1500000, step: 1, channels: ['NEFT', 'RTGS'] },
+  'Dividend': { direction: 'credit', weight: 1, median: 800, sigma: 1.2, min: 1, max: 200000, channels: ['NEFT', 'NACH'] },
+  'Interest Credit': { direction: 'credit', weight: 1, median: 350, sigma: 1.0, min: 1, max: 100000, channels: ['INTERNAL'] },
+  'Cash Deposit': { direction: 'credit', weight: 1, median: 8000, sigma: 1.0, min: 100, max: 500000, step: 100, channels: ['CASH'] },
+  'Cash Withdrawal': { direction: 'debit', weight: 3, median: 3000, sigma: 0.7, min: 100, max: 100000, step: 100, channels: ['ATM', 'CHEQUE'] },
+  'Loan EMI': { direction: 'debit', weight: 1, median: 12000, sigma: 0.8, min: 500, max: 300000, step: 1, channels: ['NACH'] },
+  'Credit Card Payment': { direction: 'debit', weight: 1, median: 9000, sigma: 1.0, min: 100, max: 500000, channels: ['UPI', 'NEFT', 'IMPS'] },
+  'Investment': { direction: 'debit', weight: 1, median: 10000, sigma: 1.1, min: 100, max: 1000000, step: 100, channels: ['NEFT', 'UPI', 'NACH', 'RTGS'] },
+  'Donation': { direction: 'debit', weight: 1, median: 500, sigma: 1.0, min: 10, max: 100000, step: 1, channels: ['UPI', 'CARD'] },
+  'Medical': { direction: 'debit', weight: 1, median: 1500, sigma: 1.0, min: 100, max: 200000, channels: ['UPI', 'CARD'] },
+  'Pharmacy': { direction: 'debit', weight: 2, median: 350, sigma: 0.8, min: 20, max: 10000, channels: ['UPI', 'CARD'] },
+  'Petrol Pump': { direction: 'debit', weight: 2, median: 1000, sigma: 0.6, min: 100, max: 8000, channels: ['CARD', 'UPI'] },
+  // Transfers between generated accounts (only created via transfers)
+  'Fund Transfer': { direction: 'both', weight: 0, median: 2000, sigma: 1.1, min: 1, max: 1000000, channels: ['UPI', 'IMPS', 'NEFT', 'RTGS'] },
+  // Credit card postings (only on Credit Card accounts, see ./cards)
+  'Card Payment': { direction: 'credit', weight: 0, median: 9000, sigma: 1.0, min: 1, max: 1000000, channels: ['UPI', 'NEFT', 'IMPS', 'INTERNAL'] },
+  'Refund': { direction: 'credit', weight: 0, median: 800, sigma: 1.0, min: 1, max: 500000, channels: ['CARD'] },
+  'Finance Charges': { direction: 'debit', weight: 0, median: 500, sigma: 1.0, min: 0.01, max: 500000, channels: ['INTERNAL'] },
+  'Late Payment Fee': { direction: 'debit', weight: 0, median: 950, sigma: 0.3, min: 1, max: 5000, channels: ['INTERNAL'] },
+  'GST': { direction: 'debit', weight: 0, median: 150, sigma: 1.0, min: 0.01, max: 100000, channels: ['INTERNAL'] },
+  // Loan and deposit postings (only created by product schedules, see ./products)
+  'Loan Disbursement': { direction: 'both', weight: 0, median: 500000, sigma: 1.0, min: 1000, max: 50000000, channels: ['INTERNAL'] },
+  'Loan Interest': { direction: 'debit', weight: 0, median: 5000, sigma: 1.0, min: 0.01, max: 1000000, channels: ['INTERNAL'] },
+  'Loan Repayment': { direction: 'credit', weight: 0, median: 12000, sigma: 0.8, min: 1, max: 5000000, channels: ['INTERNAL'] },
+  'Recurring Deposit': { direction: 'both', weight: 0, median: 3000, sigma: 0.8, min: 100, max: 20000000, channels: ['INTERNAL'] },
+  'TDS': { direction: 'debit', weight: 0, median: 500, sigma: 1.0, min: 1, max: 10000000, channels: ['INTERNAL'] },
+  // Catch-all for manual transactions without a category
+  'Other': { direction: 'both', weight: 0, median: 1000, sigma: 1.2, min: 1, max: 1000000, channels: ['UPI', 'NEFT', 'IMPS', 'RTGS', 'CARD', 'CHEQUE'] }
+};
+
+// Categories used by the random generator ('Other' is only for manual entries)
+const transactionCategories = Object.keys(categoryCatalogue).filter(name => categoryCatalogue[name].weight > 0);
+
+const getCategory = (name) => categoryCatalogue[name] || null;
+
+const allowsType = (name, type) => {
+  const category = getCategory(name);
+  return !!category && (category.direction === 'both' || category.direction === type);
+};
+
+// Standard normal sample (Box-Muller)
+const normal = (rng) => {
+  const u = 1 - rng.next();
+  const v = rng.next();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const sampleAmount = (name, rng) => {
+  const category = getCategory(name) || categoryCatalogue.Other;
+  const raw = Math.exp(Math.log(category.median) + category.sigma * normal(rng));
+  const clamped = Math.min(Math.max(raw, category.min), category.max);
+
+  if (category.step) {
+    const stepped = Math.round(clamped / category.step) * category.step;
+    return Math.min(Math.max(stepped, Math.ceil(category.min / category.step) * category.step), category.max);
+  }
+  return parseFloat(clamped.toFixed(2));
+};
+
+// Weighted random category that allows the given direction
+const pickCategory = (type, rng) => {
+  const candidates = transactionCategories.filter(name => allowsType(name, type));
+  const total = candidates.reduce((sum, name) => sum + categoryCatalogue[name].weight, 0);
+  let roll = rng.float(0, total);
+  for (const name of candidates) {
+    roll -= categoryCatalogue[name].weight;
+    if (roll < 0) return name;
+  }
+  return candidates[candidates.length - 1];
+};
+
+// Returns a list of rule violations (empty when the transaction is valid)
+const validateCategoryRules = ({ category, type, amount, channel = null }) => {
+  const rules = getCategory(category);
+  if (!rules) {
+    return [`Unknown category "${category}"`];
+  }
+
+  const errors = [];
+  if (!allowsType(category, type)) {
+    errors.push(`${category} only allows ${rules.direction} transactions`);
+  }
+  if (amount < rules.min || amount > rules.max) {
+    errors.push(`${category} amount must be between ${rules.min} and ${rules.max} INR`);
+  }
+  if (channel && !rules.channels.includes(channel)) {
+    errors.push(`${category} can only be paid via ${rules.channels.join(', ')}`);
+  }
+  return errors;
+};
+
+module.exports = {
+  categoryCatalogue,
+  transactionCategories,
+  getCategory,
+  allowsType,
+  sampleAmount,
+  pickCategory,
+  validateCategoryRules
+};
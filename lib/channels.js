@@ -0,0 +1,190 @@
+const { indianBanks } = require('./identifiers');
+
+// Payment channels: per-transaction limits, reference formats and the
+// narration strings Indian banks print on statements.
+
+const channelRules = {
+  UPI: { label: 'Unified Payments Interface', min: 1, max: 100000 },
+  NEFT: { label: 'National Electronic Funds Transfer', min: 1, max: null },
+  RTGS: { label: 'Real Time Gross Settlement', min: 200000, max: null },
+  IMPS: { label: 'Immediate Payment Service', min: 1, max: 500000 },
+  CARD: { label: 'Debit or credit card (POS / e-commerce)', min: 1, max: null },
+  ATM: { label: 'ATM cash withdrawal', min: 100, max: 20000, multipleOf: 100 },
+  CHEQUE: { label: 'Cheque', min: 1, max: null },
+  NACH: { label: 'NACH / ECS mandate', min: 1, max: null },
+  CASH: { label: 'Cash at branch or deposit machine', min: 100, max: null },
+  INTERNAL: { label: 'Bank internal posting', min: 0.01, max: null }
+};
+
+const CHANNELS = Object.keys(channelRules);
+
+// Returns a list of rule violations (empty when the amount fits the channel)
+const validateChannelRules = (channel, amount) => {
+  const rules = channelRules[channel];
+  if (!rules) {
+    return [`Unknown channel "${channel}". Use one of: ${CHANNELS.join(', ')}`];
+  }
+
+  const errors = [];
+  if (amount < rules.min) {
+    errors.push(`${channel} transactions must be at least ${rules.min} INR`);
+  }
+  if (rules.max !== null && amount > rules.max) {
+    errors.push(`${channel} transactions cannot exceed ${rules.max} INR`);
+  }
+  if (rules.multipleOf && amount % rules.multipleOf !== 0) {
+    errors.push(`${channel} amounts must be in multiples of ${rules.multipleOf} INR`);
+  }
+  return errors;
+};
+
+// First channel in `candidates` (most typical first) that allows the amount;
+// later candidates get a smaller share so the usual channel dominates
+const chooseChannel = (candidates, amount, rng) => {
+  const allowed = candidates.filter(channel => validateChannelRules(channel, amount).length === 0);
+  if (allowed.length === 0) {
+    return amount >= channelRules.RTGS.min ? 'RTGS' : 'NEFT';
+  }
+  for (const channel of allowed) {
+    if (rng.chance(0.65)) return channel;
+  }
+  return allowed[0];
+};
+
+// Reference numbers
+const pad = (value, length) => String(value).padStart(length, '0');
+
+const julianDay = (date) => {
+  const start = Date.UTC(date.getUTCFullYear(), 0, 0);
+  return Math.floor((date.getTime() - start) / 86400000);
+};
+
+// 12-digit RRN used by UPI, IMPS and card networks: Y DDD HH + 6-digit sequence
+const retrievalReferenceNumber = (date, rng) =>
+  `${date.getUTCFullYear() % 10}${pad(julianDay(date), 3)}${pad(date.getUTCHours(), 2)}${rng.digits(6)}`;
+
+// NEFT UTR (16 chars): bank code + N + YY + DDD + 6-digit sequence
+const neftUtr = (bankPrefix, date, rng) =>
+  `${bankPrefix}N${pad(date.getUTCFullYear() % 100, 2)}${pad(julianDay(date), 3)}${rng.digits(6)}`;
+
+// RTGS UTR (22 chars): bank code + R + C + YYYYMMDD + 8-digit sequence
+const rtgsUtr = (bankPrefix, date, rng) =>
+  `${bankPrefix}RC${date.toISOString().slice(0, 10).replace(/-/g, '')}${rng.digits(8)}`;
+
+const atmTerminalId = (bankPrefix, rng) => `${bankPrefix[0]}1AW${rng.digits(4)}`;
+
+// NACH Unique Mandate Reference Number: bank code + 16 digits
+const mandateReference = (bankPrefix, rng) => `${bankPrefix}${rng.int(1, 9)}${rng.digits(15)}`;
+
+const narrationName = (text, length = 20) => String(text || '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9 ]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, length);
+
+const vpaFor = (text, rng) => {
+  const local = String(text || 'merchant').toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 12) || 'merchant';
+  return `${local}@${rng.pick(['ybl', 'paytm', 'okaxis', 'icici', 'hdfcbank', 'axl'])}`;
+};
+
+// Build the channel reference and statement narration for a transaction.
+// `account` supplies the home bank; the counterparty bank is random unless a
+// `counterparty` account is given (transfers), and `reference` can be passed
+// in so both legs of a transfer share it. `online` card payments print as
+// e-commerce instead of a point-of-sale swipe.
+const buildPaymentDetails = ({ channel, type, description, date, account, rng, reference = null, counterparty = null, online = false }) => {
+  const when = new Date(date);
+  const direction = type === 'debit' ? 'DR' : 'CR';
+  const homeBank = (account && account.ifscCode ? account.ifscCode : rng.pick(indianBanks).ifsc).slice(0, 4);
+  const otherBank = counterparty ? counterparty.ifscCode.slice(0, 4) : rng.pick(indianBanks).ifsc;
+  const otherIfsc = counterparty ? counterparty.ifscCode : `${otherBank}0${rng.digits(6)}`;
+  const otherVpa = counterparty && counterparty.upiId ? counterparty.upiId : vpaFor(description, rng);
+  const name = counterparty ? narrationName(counterparty.accountHolder.name) : narrationName(description);
+  const city = account && account.accountHolder && account.accountHolder.address
+    ? narrationName(account.accountHolder.address.city, 12)
+    : 'MUMBAI';
+
+  switch (channel) {
+    case 'UPI': {
+      const rrn = reference || retrievalReferenceNumber(when, rng);
+      return {
+        reference: rrn,
+        narration: `UPI/${direction}/${rrn}/${name}/${otherBank}/${otherVpa}/${type === 'debit' ? 'Payment' : 'Received'}`
+      };
+    }
+    case 'IMPS': {
+      const rrn = reference || retrievalReferenceNumber(when, rng);
+      return {
+        reference: rrn,
+        narration: `IMPS/P2A/${rrn}/${name}/${otherBank}/${direction}`
+      };
+    }
+    case 'NEFT': {
+      // The UTR is issued by the remitting bank
+      const utr = reference || neftUtr(type === 'debit' ? homeBank : otherBank, when, rng);
+      return {
+        reference: utr,
+        narration: `NEFT/${direction}/${utr}/${name}/${otherIfsc}`
+      };
+    }
+    case 'RTGS': {
+      const utr = reference || rtgsUtr(type === 'debit' ? homeBank : otherBank, when, rng);
+      return {
+        reference: utr,
+        narration: `RTGS/${direction}/${utr}/${name}/${otherIfsc}`
+      };
+    }
+    case 'CARD': {
+      const rrn = reference || retrievalReferenceNumber(when, rng);
+      return {
+        reference: rrn,
+        narration: online ? `ECOM/${rrn}/${name}` : `POS/${rrn}/${name}/${city}`
+      };
+    }
+    case 'ATM': {
+      const atmId = reference || atmTerminalId(homeBank, rng);
+      return {
+        reference: atmId,
+        narration: `ATW/${atmId}/${rng.digits(6)}/${city}`
+      };
+    }
+    case 'CHEQUE': {
+      const chequeNumber = reference || rng.digits(6);
+      return {
+        reference: chequeNumber,
+        narration: type === 'debit'
+          ? `CHQ PAID/${chequeNumber}/${name}`
+          : `CHQ DEP/${chequeNumber}/${name}/${otherBank}`
+      };
+    }
+    case 'CASH': {
+      const slip = reference || `${homeBank}${rng.digits(8)}`;
+      return {
+        reference: slip,
+        narration: `CASH DEP/${slip}/${city}`
+      };
+    }
+    case 'NACH': {
+      const umrn = reference || mandateReference(otherBank, rng);
+      return {
+        reference: umrn,
+        narration: `NACH/${direction}/${umrn}/${name}`
+      };
+    }
+    default: {
+      return {
+        reference: reference || `${homeBank}${when.toISOString().slice(2, 10).replace(/-/g, '')}${rng.digits(6)}`,
+        narration: narrationName(description, 40)
+      };
+    }
+  }
+};
+
+module.exports = {
+  CHANNELS,
+  channelRules,
+  validateChannelRules,
+  chooseChannel,
+  buildPaymentDetails
+};
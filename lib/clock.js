@@ -0,0 +1,23 @@
+// Virtual clock for time simulation: real time shifted forward by however
+// far the simulation has been advanced. The offset is kept in the dataset's
+// meta, so a persisted dataset resumes on the same virtual date and replacing
+// the dataset resets it.
+
+const createClock = (store) => {
+  const offsetMs = () => (store.getMeta().clock || {}).offsetMs || 0;
+
+  return {
+    offsetMs,
+    now: () => new Date(Date.now() + offsetMs()),
+    // Reference date for generators: null while the clock runs in real time
+    asOf: () => (offsetMs() === 0 ? null : new Date(Date.now() + offsetMs()).toISOString()),
+    advance: (ms) => {
+      store.updateMeta({ clock: { offsetMs: offsetMs() + ms } });
+      return new Date(Date.now() + offsetMs());
+    }
+  };
+};
+
+module.exports = {
+  createClock
+};
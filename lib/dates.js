@@ -0,0 +1,87 @@
+// Calendar helpers in Indian Standard Time, which is how statements and
+// reports group transactions into days and months, plus the rounding and
+// ordering every ledger module shares.
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rupees rounded to paise
+const round2 = (amount) => parseFloat(amount.toFixed(2));
+
+// Oldest transaction first
+const byDateAsc = (a, b) => new Date(a.date) - new Date(b.date);
+
+const toIST = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS);
+
+// "2025-01-31"
+const istDay = (date) => toIST(date).toISOString().slice(0, 10);
+
+// "2025-01"
+const istMonth = (date) => toIST(date).toISOString().slice(0, 7);
+
+// Last instant of an IST day ("2025-01-31")
+const endOfIstDay = (day) => new Date(`${day}T23:59:59.999+05:30`);
+
+// Every IST day from `from` to `to`, inclusive
+const istDaysBetween = (from, to) => {
+  const days = [];
+  for (let day = istDay(from); day <= istDay(to); day = istDay(new Date(`${day}T12:00:00+05:30`).getTime() + DAY_MS)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Every IST month from `from` to `to`, inclusive
+const istMonthsBetween = (from, to) => {
+  const months = [];
+  const last = istMonth(to);
+  for (let month = istMonth(from); month <= last;) {
+    months.push(month);
+    const [year, number] = month.split('-').map(Number);
+    month = number === 12 ? `${year + 1}-01` : `${year}-${String(number + 1).padStart(2, '0')}`;
+  }
+  return months;
+};
+
+// Same IST time `months` later, on `day` of that month (default: the same day),
+// moved back to the month's last day where it is shorter
+const addIstMonths = (date, months, day = null) => {
+  const ist = toIST(date);
+  const year = ist.getUTCFullYear();
+  const month = ist.getUTCMonth() + months;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  ist.setUTCFullYear(year, month, Math.min(day || ist.getUTCDate(), daysInMonth));
+  return new Date(ist.getTime() - IST_OFFSET_MS);
+};
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// startDate/endDate query values to { from, to }. Date-only bounds are whole
+// days in IST; without startDate `defaultFrom(to)` is used. Returns null for
+// an invalid or reversed range.
+const parseDateRange = ({ startDate, endDate } = {}, { now = new Date(), defaultFrom = to => new Date(to.getTime() - 30 * DAY_MS) } = {}) => {
+  const to = endDate
+    ? new Date(isDateOnly(endDate) ? `${endDate}T23:59:59.999+05:30` : endDate)
+    : now;
+  const from = startDate
+    ? new Date(isDateOnly(startDate) ? `${startDate}T00:00:00+05:30` : startDate)
+    : defaultFrom(to);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) return null;
+  return { from, to };
+};
+
+module.exports = {
+  IST_OFFSET_MS,
+  DAY_MS,
+  toIST,
+  round2,
+  byDateAsc,
+  istDay,
+  istMonth,
+  endOfIstDay,
+  istDaysBetween,
+  istMonthsBetween,
+  addIstMonths,
+  parseDateRange
+};
@@ -0,0 +1,247 @@
+// Indian banking identifiers: generators that produce structurally valid
+// IFSC codes, account numbers, PAN, UPI VPAs, mobile numbers and pincodes,
+// plus matching validators.
+
+// Indian bank data (account number length and UPI handle per bank)
+const indianBanks = [
+  { name: 'State Bank of India', code: 'SBI', ifsc: 'SBIN', accountNumberLength: 11, upiHandle: 'sbi' },
+  { name: 'HDFC Bank', code: 'HDFC', ifsc: 'HDFC', accountNumberLength: 14, upiHandle: 'hdfcbank' },
+  { name: 'ICICI Bank', code: 'ICICI', ifsc: 'ICIC', accountNumberLength: 12, upiHandle: 'icici' },
+  { name: 'Punjab National Bank', code: 'PNB', ifsc: 'PUNB', accountNumberLength: 16, upiHandle: 'pnb' },
+  { name: 'Bank of Baroda', code: 'BOB', ifsc: 'BARB', accountNumberLength: 14, upiHandle: 'barodampay' },
+  { name: 'Canara Bank', code: 'CNB', ifsc: 'CNRB', accountNumberLength: 13, upiHandle: 'cnrb' },
+  { name: 'Union Bank of India', code: 'UBI', ifsc: 'UBIN', accountNumberLength: 15, upiHandle: 'unionbank' },
+  { name: 'Bank of India', code: 'BOI', ifsc: 'BKID', accountNumberLength: 15, upiHandle: 'boi' },
+  { name: 'Indian Bank', code: 'IB', ifsc: 'IDIB', accountNumberLength: 10, upiHandle: 'indianbk' },
+  { name: 'Central Bank of India', code: 'CBI', ifsc: 'CBIN', accountNumberLength: 10, upiHandle: 'centralbank' },
+  { name: 'Axis Bank', code: 'AXIS', ifsc: 'UTIB', accountNumberLength: 15, upiHandle: 'axisbank' },
+  { name: 'Kotak Mahindra Bank', code: 'KMB', ifsc: 'KKBK', accountNumberLength: 10, upiHandle: 'kotak' },
+  { name: 'IndusInd Bank', code: 'IIB', ifsc: 'INDB', accountNumberLength: 12, upiHandle: 'indus' },
+  { name: 'Yes Bank', code: 'YES', ifsc: 'YESB', accountNumberLength: 15, upiHandle: 'yesbank' },
+  { name: 'IDFC FIRST Bank', code: 'IDFC', ifsc: 'IDFB', accountNumberLength: 11, upiHandle: 'idfcbank' }
+];
+
+// Indian cities for branch codes
+const indianCities = [
+  'MUM', 'DEL', 'BLR', 'HYD', 'CHN', 'KOL', 'PUN', 'AHM', 'SUR', 'VIS',
+  'KAN', 'NAG', 'IND', 'THA', 'BHO', 'COI', 'LUD', 'AGR', 'MER', 'RJK',
+  'JAI', 'JOD', 'KOT', 'AMD', 'VAD', 'RJT', 'BHV', 'UJN', 'GWL', 'JAB'
+];
+
+// UPI handles issued by payment apps (in addition to each bank's own handle)
+const appUpiHandles = ['okaxis', 'oksbi', 'okhdfcbank', 'okicici', 'ybl', 'ibl', 'axl', 'paytm', 'apl'];
+
+const knownUpiHandles = [...new Set([...indianBanks.map(bank => bank.upiHandle), ...appUpiHandles])];
+
+// First two pincode digits allotted to each state/UT by India Post
+const statePincodePrefixes = {
+  'Delhi': ['11'],
+  'Haryana': ['12', '13'],
+  'Punjab': ['14', '15', '16'],
+  'Himachal Pradesh': ['17'],
+  'Jammu and Kashmir': ['18', '19'],
+  'Uttar Pradesh': ['20', '21', '22', '23', '24', '25', '26', '27', '28'],
+  'Uttarakhand': ['24', '26'],
+  'Rajasthan': ['30', '31', '32', '33', '34'],
+  'Gujarat': ['36', '37', '38', '39'],
+  'Maharashtra': ['40', '41', '42', '43', '44'],
+  'Goa': ['40'],
+  'Madhya Pradesh': ['45', '46', '47', '48'],
+  'Chhattisgarh': ['49'],
+  'Telangana': ['50'],
+  'Andhra Pradesh': ['51', '52', '53'],
+  'Karnataka': ['56', '57', '58', '59'],
+  'Tamil Nadu': ['60', '61', '62', '63', '64'],
+  'Kerala': ['67', '68', '69'],
+  'West Bengal': ['70', '71', '72', '73', '74'],
+  'Odisha': ['75', '76', '77'],
+  'Assam': ['78'],
+  'Bihar': ['80', '81', '82', '84', '85'],
+  'Jharkhand': ['81', '82', '83']
+};
+
+// Cities used for generated addresses with their state and 3-digit pincode prefix
+const indianCityDirectory = [
+  { city: 'Mumbai', state: 'Maharashtra', pincodePrefix: '400' },
+  { city: 'Pune', state: 'Maharashtra', pincodePrefix: '411' },
+  { city: 'Nagpur', state: 'Maharashtra', pincodePrefix: '440' },
+  { city: 'Delhi', state: 'Delhi', pincodePrefix: '110' },
+  { city: 'Bangalore', state: 'Karnataka', pincodePrefix: '560' },
+  { city: 'Hyderabad', state: 'Telangana', pincodePrefix: '500' },
+  { city: 'Chennai', state: 'Tamil Nadu', pincodePrefix: '600' },
+  { city: 'Coimbatore', state: 'Tamil Nadu', pincodePrefix: '641' },
+  { city: 'Kolkata', state: 'West Bengal', pincodePrefix: '700' },
+  { city: 'Ahmedabad', state: 'Gujarat', pincodePrefix: '380' },
+  { city: 'Surat', state: 'Gujarat', pincodePrefix: '395' },
+  { city: 'Jaipur', state: 'Rajasthan', pincodePrefix: '302' },
+  { city: 'Lucknow', state: 'Uttar Pradesh', pincodePrefix: '226' },
+  { city: 'Kanpur', state: 'Uttar Pradesh', pincodePrefix: '208' },
+  { city: 'Indore', state: 'Madhya Pradesh', pincodePrefix: '452' },
+  { city: 'Bhopal', state: 'Madhya Pradesh', pincodePrefix: '462' },
+  { city: 'Kochi', state: 'Kerala', pincodePrefix: '682' },
+  { city: 'Chandigarh', state: 'Punjab', pincodePrefix: '160' }
+];
+
+// PAN 4th character: holder type
+const panHolderTypes = {
+  P: 'Individual',
+  C: 'Company',
+  H: 'Hindu Undivided Family',
+  F: 'Firm',
+  A: 'Association of Persons',
+  T: 'Trust',
+  B: 'Body of Individuals',
+  L: 'Local Authority',
+  J: 'Artificial Juridical Person',
+  G: 'Government'
+};
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const letters = (rng, length) => {
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    out += rng.pick(LETTERS);
+  }
+  return out;
+};
+
+const findBank = (bankCode) => indianBanks.find(bank => bank.code === bankCode || bank.ifsc === bankCode) || null;
+
+// Generators
+const generateIfsc = (bank, rng) => {
+  // Most branch codes are numeric; some banks use a city code plus digits
+  const branch = rng.chance(0.8)
+    ? rng.digits(6)
+    : `${rng.pick(indianCities)}${rng.digits(3)}`;
+  return `${bank.ifsc}0${branch}`;
+};
+
+const generateAccountNumber = (bank, rng) => `${rng.int(1, 9)}${rng.digits(bank.accountNumberLength - 1)}`;
+
+const generatePan = (holderName, rng, holderType = 'P') => {
+  const surname = String(holderName || '').trim().split(/\s+/).pop() || '';
+  const initial = /^[A-Za-z]/.test(surname) ? surname[0].toUpperCase() : rng.pick(LETTERS);
+  return `${letters(rng, 3)}${holderType}${initial}${String(rng.int(1, 9999)).padStart(4, '0')}${rng.pick(LETTERS)}`;
+};
+
+const generateUpiId = (holderName, bank, rng) => {
+  const handle = rng.chance(0.5) ? bank.upiHandle : rng.pick(appUpiHandles);
+  const parts = String(holderName || 'user').toLowerCase().replace(/[^a-z\s]/g, '').trim().split(/\s+/);
+  const local = rng.chance(0.3)
+    ? `${rng.int(6, 9)}${rng.digits(9)}`
+    : `${parts.join('.')}${rng.chance(0.5) ? rng.int(1, 99) : ''}`;
+  return `${local}@${handle}`;
+};
+
+const generateMobileNumber = (rng) => {
+  const digits = `${rng.int(6, 9)}${rng.digits(9)}`;
+  return `+91 ${digits.slice(0, 5)}-${digits.slice(5)}`;
+};
+
+// Pincode for a city in the directory, or any valid pincode for a state
+const generatePincode = ({ city, state }, rng) => {
+  const entry = indianCityDirectory.find(e => e.city === city);
+  if (entry) return `${entry.pincodePrefix}${rng.digits(3)}`;
+
+  const prefixes = statePincodePrefixes[state];
+  const prefix = prefixes ? rng.pick(prefixes) : String(rng.int(11, 85));
+  return `${prefix}${rng.int(0, 9)}${rng.digits(3)}`;
+};
+
+// Validators return { valid, errors }
+const result = (errors) => ({ valid: errors.length === 0, errors });
+
+const validateIfsc = (value) => {
+  const errors = [];
+  const ifsc = String(value || '');
+  if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc)) {
+    errors.push('IFSC must be 4 letters, the digit 0 and 6 alphanumeric characters (e.g. SBIN0001234)');
+  } else if (!findBank(ifsc.slice(0, 4))) {
+    errors.push(`Unknown bank prefix ${ifsc.slice(0, 4)}`);
+  }
+  return result(errors);
+};
+
+const validateAccountNumber = (value, bankCode = null) => {
+  const errors = [];
+  const accountNumber = String(value || '');
+  if (!/^[1-9]\d{8,17}$/.test(accountNumber)) {
+    errors.push('Account number must be 9-18 digits and cannot start with 0');
+  }
+  if (bankCode) {
+    const bank = findBank(bankCode);
+    if (!bank) {
+      errors.push(`Unknown bank ${bankCode}`);
+    } else if (accountNumber.length !== bank.accountNumberLength) {
+      errors.push(`${bank.name} account numbers have ${bank.accountNumberLength} digits`);
+    }
+  }
+  return result(errors);
+};
+
+const validatePan = (value) => {
+  const errors = [];
+  const pan = String(value || '');
+  if (!/^[A-Z]{5}\d{4}[A-Z]$/.test(pan)) {
+    errors.push('PAN must be 5 letters, 4 digits and 1 letter (e.g. ABCPS1234K)');
+  } else if (!panHolderTypes[pan[3]]) {
+    errors.push(`Invalid PAN holder type "${pan[3]}"`);
+  } else if (pan.slice(5, 9) === '0000') {
+    errors.push('PAN sequence number cannot be 0000');
+  }
+  return result(errors);
+};
+
+const validateUpiId = (value) => {
+  const errors = [];
+  const match = /^([a-zA-Z0-9.\-_]{2,256})@([a-zA-Z][a-zA-Z0-9]{1,63})$/.exec(String(value || ''));
+  if (!match) {
+    errors.push('UPI ID must look like name@handle');
+  } else if (!knownUpiHandles.includes(match[2].toLowerCase())) {
+    errors.push(`Unknown UPI handle @${match[2]}`);
+  }
+  return result(errors);
+};
+
+const normalizeMobile = (value) => String(value || '').replace(/[\s-]/g, '').replace(/^(\+91|0091|0)/, '');
+
+const validateMobile = (value) => {
+  const errors = [];
+  if (!/^[6-9]\d{9}$/.test(normalizeMobile(value))) {
+    errors.push('Mobile number must have 10 digits starting with 6-9 (optionally prefixed with +91)');
+  }
+  return result(errors);
+};
+
+const validatePincode = (value, state = null) => {
+  const errors = [];
+  const pincode = String(value || '');
+  if (!/^[1-9]\d{5}$/.test(pincode)) {
+    errors.push('Pincode must be 6 digits and cannot start with 0');
+  } else if (state && statePincodePrefixes[state] && !statePincodePrefixes[state].includes(pincode.slice(0, 2))) {
+    errors.push(`Pincode ${pincode} does not belong to ${state}`);
+  }
+  return result(errors);
+};
+
+module.exports = {
+  indianBanks,
+  indianCities,
+  indianCityDirectory,
+  knownUpiHandles,
+  panHolderTypes,
+  findBank,
+  generateIfsc,
+  generateAccountNumber,
+  generatePan,
+  generateUpiId,
+  generateMobileNumber,
+  generatePincode,
+  validateIfsc,
+  validateAccountNumber,
+  validatePan,
+  validateUpiId,
+  validateMobile,
+  validatePincode
+};
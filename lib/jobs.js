@@ -0,0 +1,136 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// In-process background jobs. One job runs at a time and the rest wait in a
+// queue; every change is emitted as an 'update' event (used for SSE).
+//
+// status: queued -> running -> completed | failed | cancelled
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+class JobQueue extends EventEmitter {
+  constructor({ keepFinished = 50 } = {}) {
+    super();
+    // Every open event stream listens for updates (and stops when it closes)
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+    this.runners = new Map();
+    this.running = null;
+    this.keepFinished = keepFinished;
+  }
+
+  list() {
+    return [...this.jobs.values()].reverse();
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // `run(context)` does the work and resolves to the job result. The context
+  // has report(progress), addError(message) and checkpoint(), which yields to
+  // the event loop and throws once the job has been cancelled.
+  submit(type, params, run) {
+    const job = {
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      params,
+      progress: {},
+      errors: [],
+      result: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.runners.set(job.id, run);
+    this.emit('update', job);
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  // Queued jobs are cancelled at once; running ones stop at their next checkpoint
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || isFinished(job)) return job;
+
+    if (job.status === 'queued') {
+      this.runners.delete(id);
+      this.finish(job, { status: 'cancelled' });
+    } else {
+      this.update(job, { cancelRequested: true });
+    }
+    return job;
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes);
+    this.emit('update', job);
+    return job;
+  }
+
+  finish(job, changes) {
+    this.update(job, { ...changes, finishedAt: new Date().toISOString() });
+    this.prune();
+  }
+
+  // Forget the oldest finished jobs beyond `keepFinished`
+  prune() {
+    const finished = [...this.jobs.values()].filter(isFinished);
+    finished.slice(0, Math.max(finished.length - this.keepFinished, 0)).forEach(job => this.jobs.delete(job.id));
+  }
+
+  async drain() {
+    if (this.running) return;
+
+    const next = [...this.jobs.values()].find(job => job.status === 'queued');
+    if (!next) return;
+
+    this.running = next;
+    await this.execute(next);
+    this.running = null;
+    this.drain();
+  }
+
+  async execute(job) {
+    const run = this.runners.get(job.id);
+    this.runners.delete(job.id);
+    this.update(job, { status: 'running', startedAt: new Date().toISOString() });
+
+    const context = {
+      report: (progress) => this.update(job, { progress: { ...job.progress, ...progress } }),
+      addError: (message) => this.update(job, { errors: [...job.errors, { message, at: new Date().toISOString() }] }),
+      checkpoint: async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        if (job.cancelRequested) {
+          const error = new Error('Job cancelled');
+          error.code = 'JOB_CANCELLED';
+          throw error;
+        }
+      }
+    };
+
+    try {
+      const result = await run(context);
+      this.finish(job, { status: 'completed', result });
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        this.finish(job, { status: 'cancelled' });
+      } else {
+        console.error(`❌ Job ${job.id} failed:`, error.message);
+        this.finish(job, { status: 'failed', error: error.message });
+      }
+    }
+  }
+}
+
+module.exports = {
+  JobQueue,
+  isFinished
+};
@@ -0,0 +1,101 @@
+const { parseModelJson } = require('./ai');
+
+// Merchant pools: one AI call returns a batch of merchant/payee names for a
+// category and direction, and transactions pick from that batch afterwards,
+// so the number of model calls grows with categories, not transactions.
+
+const DEFAULT_BATCH_SIZE = 25;
+const RETRY_AFTER_MS = 60 * 1000;
+
+const buildMerchantPrompt = (category, type, count) => `Generate ${count} distinct, realistic Indian merchant or payee names as they would appear on a bank statement for:
+    Category: ${category}
+    Type: ${type} (${type === 'credit' ? 'money received' : 'money paid'})
+
+    Use real Indian businesses, services or descriptions that Indians would recognize (e.g. "DMart", "Swiggy Delivery", "BSES Electricity", "Infosys Salary"). Mix national brands with local ones.
+
+    Return only a JSON array of strings, no additional text.`;
+
+// Keep plausible names only: trimmed, unquoted, 2-60 characters, no duplicates
+const cleanMerchantNames = (items) => {
+  const seen = new Set();
+
+  return (Array.isArray(items) ? items : [])
+    .map(item => (item && typeof item === 'object' ? item.name || item.merchant : item))
+    .filter(item => typeof item === 'string')
+    .map(item => item.replace(/\s+/g, ' ').replace(/^["'`\s]+|["'`\s.,;]+$/g, '').trim())
+    .filter(name => name.length >= 2 && name.length <= 60)
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// `ai` is the client from ./ai, `fallback(category, type, rng)` is used when
+// no names could be loaded
+const createMerchantPool = ({ ai, fallback, batchSize = DEFAULT_BATCH_SIZE }) => {
+  const pools = new Map();
+  const loading = new Map();
+
+  // Use the fallback templates for a while instead of retrying every transaction
+  const markFailed = (key, category, error) => {
+    console.error(`❌ AI provider error for ${category} merchants:`, error.message);
+    pools.set(key, { names: [], failedAt: Date.now() });
+  };
+
+  const load = async (key, category, type, rng) => {
+    let response;
+    try {
+      // Provider failures are reported by the AI client itself
+      response = await ai.generate(buildMerchantPrompt(category, type, batchSize), {
+        task: 'merchantNames',
+        context: { category, type, count: batchSize },
+        rng
+      });
+    } catch (error) {
+      markFailed(key, category, error);
+      return;
+    }
+
+    try {
+      const names = cleanMerchantNames(parseModelJson(response, 'array'));
+      if (names.length === 0) {
+        throw new Error('AI response had no usable merchant names');
+      }
+
+      pools.set(key, { names });
+      console.log(`✅ Loaded ${names.length} ${type} merchants for ${category} using ${ai.provider.label}`);
+    } catch (error) {
+      ai.reportError('merchantNames', error);
+      markFailed(key, category, error);
+    }
+  };
+
+  const isStale = (entry) => !entry || (entry.names.length === 0 && Date.now() - entry.failedAt > RETRY_AFTER_MS);
+
+  return {
+    describe: async (category, type, rng) => {
+      const key = `${category}|${type}`;
+
+      if (isStale(pools.get(key))) {
+        // Transactions generated in parallel share a single call per category
+        if (!loading.has(key)) {
+          loading.set(key, load(key, category, type, rng).finally(() => loading.delete(key)));
+        }
+        await loading.get(key);
+      }
+
+      const { names } = pools.get(key);
+      return names.length > 0 ? rng.pick(names) : fallback(category, type, rng);
+    },
+
+    size: () => [...pools.values()].reduce((sum, entry) => sum + entry.names.length, 0)
+  };
+};
+
+module.exports = {
+  buildMerchantPrompt,
+  cleanMerchantNames,
+  createMerchantPool
+};
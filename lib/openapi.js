@@ -0,0 +1,1450 @@
+const { ACCOUNT_TYPES, PRODUCT_ACCOUNT_TYPES, ACCOUNT_STATUSES } = require('./accounts');
+const { CHANNELS } = require('./channels');
+const { CREDIT_CARD } = require('./cards');
+const { LOAN_PRODUCTS, FIXED_DEPOSIT, RECURRING_DEPOSIT, PAYOUTS } = require('./products');
+const { ANOMALY_SCENARIOS } = require('./anomalies');
+const { SORT_FIELDS, MAX_LIMIT } = require('./query');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { FI_TYPES, CONSENT_MODES, FETCH_TYPES, consentActions } = require('./aa');
+const { SANDBOX_HEADER, SANDBOX_NAME_PATTERN, MAX_TTL_MINUTES } = require('./sandboxes');
+const { TABLES } = require('./bundles');
+const { statementFormats } = require('./statements');
+const { analyticsReports } = require('./analytics');
+const { MAX_SIMULATION_DAYS } = require('./simulation');
+const { TRANSFER_CHANNELS } = require('./transfers');
+const schema = require('./schema');
+
+// OpenAPI 3 description of the API, served at /openapi.json and rendered at
+// /docs. The request schemas here are also what requests are validated
+// against (see checkRequest), so the document can't drift from what the API
+// accepts; enums come from the same lists the routes use.
+//
+// Path parameters name resources, which the routes look up themselves (404
+// when missing), so only query parameters and JSON bodies are validated.
+
+const OPENAPI_VERSION = '3.0.3';
+
+const TRANSACTION_TYPES = ['credit', 'debit'];
+const TRANSACTION_STATUSES = ['completed', 'pending', 'failed'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed', 'cancelled'];
+const CONSENT_STATUSES = ['PENDING', 'ACTIVE', 'REJECTED', 'REVOKED', 'EXPIRED'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+// OpenAPI 3.0 ignores what sits next to a $ref, so a nullable reference wraps it
+const nullable = (value) => (value.$ref ? { nullable: true, allOf: [value] } : { ...value, nullable: true });
+const json = (value) => ({ 'application/json': { schema: value } });
+
+const text = { type: 'string' };
+const dateTime = { type: 'string', format: 'date-time' };
+const date = { type: 'string', format: 'date' };
+const money = { type: 'number' };
+const count = { type: 'integer', minimum: 0 };
+const sandboxName = {
+  type: 'string',
+  pattern: SANDBOX_NAME_PATTERN.source,
+  'x-expected': '1-63 lowercase letters, digits or hyphens, starting with a letter or digit'
+};
+// Numbers made of digits may be sent either way
+const digits = { anyOf: [text, { type: 'integer' }] };
+const seed = nullable({ anyOf: [{ type: 'string' }, { type: 'integer' }], description: 'Same seed, same data' });
+const dataRange = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: { from: dateTime, to: dateTime }
+};
+
+// { success: true, data, ...extra }
+const envelope = (data, extra = {}) => ({
+  type: 'object',
+  required: ['success', 'data'],
+  properties: { success: { type: 'boolean', enum: [true] }, data, ...extra }
+});
+
+const ok = (data, { status = 200, description = 'OK', extra } = {}) => ({
+  [status]: { description, content: json(envelope(data, extra)) }
+});
+
+const listed = (items, extra = {}) => ok(listOf(items), { extra: { count, ...extra } });
+
+const errorResponses = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  413: 'PayloadTooLarge',
+  422: 'Unprocessable',
+  429: 'TooManyRequests',
+  500: 'ServerError'
+};
+
+const fails = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${errorResponses[status]}` }]));
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: text });
+
+const queryParam = (name, value, description) => ({
+  name,
+  in: 'query',
+  description,
+  schema: value,
+  ...(value.type === 'array' ? { style: 'form', explode: true } : {})
+});
+
+// Comma-separated or repeated (?type=credit&type=debit)
+const listParam = (name, items, description) => queryParam(name, listOf(items), description);
+
+const body = (name, { required = true } = {}) => ({ required, content: json(ref(name)) });
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: text,
+      details: { anyOf: [listOf(text), text], description: 'What to fix, one problem per entry' }
+    }
+  },
+
+  Address: {
+    type: 'object',
+    properties: { street: text, city: text, state: text, pincode: { type: 'string', description: '6 digits' } }
+  },
+  AccountHolder: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 80 },
+      email: { type: 'string', format: 'email' },
+      phone: { type: 'string', example: '+91 9876543210' },
+      pan: { type: 'string', example: 'ABCPE1234F' },
+      address: ref('Address')
+    }
+  },
+  Hold: {
+    type: 'object',
+    required: ['id', 'amount', 'reason', 'createdAt'],
+    properties: { id: text, amount: money, reason: text, createdAt: dateTime }
+  },
+  CardStatement: {
+    type: 'object',
+    required: ['id', 'statementDate', 'periodStart', 'periodEnd', 'dueDate', 'totalDue', 'minimumDue'],
+    properties: {
+      id: text,
+      statementDate: date,
+      periodStart: dateTime,
+      periodEnd: dateTime,
+      dueDate: date,
+      openingBalance: money,
+      purchases: money,
+      paymentsAndCredits: money,
+      interest: money,
+      lateFee: money,
+      gst: money,
+      closingBalance: money,
+      totalDue: money,
+      minimumDue: money,
+      creditLimit: money,
+      availableCredit: money,
+      transactionCount: count,
+      paidByDueDate: nullable(money),
+      paymentStatus: nullable(text)
+    }
+  },
+  Card: {
+    type: 'object',
+    description: `Card terms and billing statements (${CREDIT_CARD} accounts)`,
+    required: ['network', 'maskedNumber', 'creditLimit', 'billingDay', 'statements'],
+    properties: {
+      network: text,
+      variant: text,
+      maskedNumber: text,
+      creditLimit: { type: 'integer' },
+      billingDay: { type: 'integer', minimum: 1, maximum: 28 },
+      paymentDueDays: { type: 'integer' },
+      monthlyInterestRate: { type: 'number' },
+      minimumDuePercent: { type: 'number' },
+      minimumDueFloor: { type: 'number' },
+      gstRate: { type: 'number' },
+      billingSince: dateTime,
+      statements: listOf(ref('CardStatement'))
+    }
+  },
+  ScheduleEntry: {
+    type: 'object',
+    description: 'A posting of a loan or deposit; `amount` is null until an interest credit is worked out',
+    required: ['kind', 'date', 'status'],
+    properties: {
+      kind: { type: 'string', example: 'emi' },
+      installment: { type: 'integer' },
+      date: dateTime,
+      amount: nullable(money),
+      principal: money,
+      interest: money,
+      outstanding: money,
+      tds: nullable(money),
+      months: { type: 'integer' },
+      status: { type: 'string', example: 'scheduled' }
+    }
+  },
+  Loan: {
+    type: 'object',
+    required: ['product', 'principal', 'annualRate', 'tenureMonths', 'emi', 'linkedAccountId', 'schedule'],
+    properties: {
+      product: { type: 'string', enum: LOAN_PRODUCTS },
+      principal: money,
+      annualRate: { type: 'number' },
+      tenureMonths: { type: 'integer' },
+      emi: money,
+      emiDay: { type: 'integer' },
+      totalInterest: money,
+      disbursedOn: date,
+      lastEmiDate: date,
+      linkedAccountId: text,
+      schedule: listOf(ref('ScheduleEntry'))
+    }
+  },
+  Deposit: {
+    type: 'object',
+    required: ['product', 'annualRate', 'tenureMonths', 'payout', 'linkedAccountId', 'schedule'],
+    properties: {
+      product: { type: 'string', enum: [FIXED_DEPOSIT, RECURRING_DEPOSIT] },
+      principal: { ...money, description: `${FIXED_DEPOSIT} only` },
+      installment: { ...money, description: `${RECURRING_DEPOSIT} only` },
+      annualRate: { type: 'number' },
+      tenureMonths: { type: 'integer' },
+      payout: { type: 'string', enum: PAYOUTS },
+      compounding: text,
+      startDate: date,
+      maturityDate: date,
+      linkedAccountId: text,
+      accrued: money,
+      interestEarned: money,
+      tdsDeducted: money,
+      taxYear: nullable({ type: 'object', description: 'Interest and TDS so far in the financial year', properties: { year: { type: 'string', example: '2025-26' }, interest: money, tds: money } }),
+      schedule: listOf(ref('ScheduleEntry')),
+      maturityAmount: money,
+      totalInterest: money
+    }
+  },
+  Account: {
+    type: 'object',
+    required: ['id', 'accountNumber', 'accountType', 'bankName', 'bankCode', 'ifscCode', 'accountHolder', 'balance', 'availableBalance', 'currency', 'status', 'openDate', 'lastUpdated'],
+    properties: {
+      id: text,
+      accountNumber: text,
+      accountType: { type: 'string', enum: [...ACCOUNT_TYPES, ...PRODUCT_ACCOUNT_TYPES] },
+      bankName: text,
+      bankCode: text,
+      branchCode: text,
+      ifscCode: { type: 'string', example: 'HDFC0001234' },
+      upiId: nullable(text),
+      accountHolder: ref('AccountHolder'),
+      balance: { ...money, description: 'For credit cards and loans, what is owed' },
+      availableBalance: money,
+      overdraftLimit: money,
+      holds: listOf(ref('Hold')),
+      currency: { type: 'string', example: 'INR' },
+      status: { type: 'string', enum: ACCOUNT_STATUSES },
+      statusReason: nullable(text),
+      statusChangedAt: dateTime,
+      openDate: dateTime,
+      closedDate: dateTime,
+      lastUpdated: dateTime,
+      clientId: { type: 'string', description: 'API client that owns the account' },
+      persona: { type: 'object', description: 'Spending profile the history was generated from' },
+      card: ref('Card'),
+      loan: ref('Loan'),
+      deposit: ref('Deposit')
+    }
+  },
+  Transaction: {
+    type: 'object',
+    required: ['id', 'accountId', 'type', 'amount', 'description', 'category', 'channel', 'date', 'status'],
+    properties: {
+      id: text,
+      accountId: text,
+      type: { type: 'string', enum: TRANSACTION_TYPES },
+      amount: money,
+      description: text,
+      category: text,
+      channel: { type: 'string', example: 'UPI' },
+      narration: { type: 'string', example: 'UPI/DR/412345678901/SWIGGY/YESB/swiggy@ybl' },
+      date: dateTime,
+      status: { type: 'string', enum: TRANSACTION_STATUSES },
+      reference: text,
+      balance_after: money,
+      failureReason: nullable(text),
+      entryMode: text,
+      transferId: text,
+      counterpartyAccountId: nullable(text),
+      loanAccountId: text,
+      depositAccountId: text,
+      installment: { type: 'integer' },
+      location: text,
+      deviceId: text,
+      isFraud: { type: 'boolean', description: 'Ground-truth label on injected anomalies' },
+      scenario: { type: 'string', enum: ANOMALY_SCENARIOS },
+      scenarioId: text
+    }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['total', 'limit', 'sort', 'order', 'hasNext'],
+    properties: {
+      total: count,
+      limit: { type: 'integer' },
+      offset: count,
+      sort: { type: 'string', enum: SORT_FIELDS },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      hasNext: { type: 'boolean' },
+      nextCursor: nullable(text)
+    }
+  },
+  Balance: {
+    type: 'object',
+    required: ['accountId', 'balance', 'availableBalance', 'heldAmount', 'overdraftLimit', 'spendableAmount', 'holds', 'currency'],
+    properties: {
+      accountId: text,
+      balance: money,
+      availableBalance: money,
+      heldAmount: money,
+      overdraftLimit: money,
+      spendableAmount: money,
+      holds: listOf(ref('Hold')),
+      card: { type: 'object', description: 'Credit card position: limit, outstanding, dues' },
+      product: { type: 'object', description: 'Loan or deposit summary' },
+      currency: text,
+      lastUpdated: dateTime
+    }
+  },
+  Transfer: {
+    type: 'object',
+    required: ['transferId', 'reference', 'amount', 'channel', 'debit', 'credit'],
+    properties: {
+      transferId: text,
+      reference: text,
+      amount: money,
+      channel: { type: 'string', enum: TRANSFER_CHANNELS },
+      date: dateTime,
+      fromAccountId: nullable(text),
+      toAccountId: nullable(text),
+      debit: nullable(ref('Transaction')),
+      credit: nullable(ref('Transaction'))
+    },
+    description: 'debit or credit is null when that leg is on an account you can\'t see, or one that was deleted (then its account id is null too)'
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'type', 'status', 'params', 'progress', 'errors', 'createdAt'],
+    properties: {
+      id: text,
+      type: { type: 'string', enum: ['generate-data'] },
+      status: { type: 'string', enum: JOB_STATUSES },
+      params: { type: 'object', description: 'The generation request, with defaults filled in' },
+      progress: { type: 'object' },
+      errors: listOf(text),
+      result: nullable({ type: 'object' }),
+      error: nullable(text),
+      cancelRequested: { type: 'boolean' },
+      createdAt: dateTime,
+      startedAt: nullable(dateTime),
+      finishedAt: nullable(dateTime)
+    }
+  },
+  Clock: {
+    type: 'object',
+    required: ['now', 'realTime', 'offsetDays'],
+    properties: { now: dateTime, realTime: dateTime, offsetDays: { type: 'number' } }
+  },
+  Webhook: {
+    type: 'object',
+    required: ['id', 'url', 'events', 'lowBalanceThreshold', 'createdAt'],
+    properties: {
+      id: text,
+      clientId: nullable(text),
+      url: { type: 'string', format: 'uri' },
+      events: listOf({ type: 'string', enum: [...WEBHOOK_EVENTS, '*'] }),
+      secret: { type: 'string', description: 'Only returned when the webhook is created' },
+      secretHint: { type: 'string', example: '...9f2a' },
+      lowBalanceThreshold: money,
+      description: nullable(text),
+      createdAt: dateTime
+    }
+  },
+  WebhookEvent: {
+    type: 'object',
+    required: ['id', 'type', 'createdAt', 'data'],
+    properties: { id: text, type: text, createdAt: dateTime, data: { type: 'object' } }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    required: ['id', 'subscriptionId', 'eventId', 'event', 'status', 'attempts'],
+    properties: {
+      id: text,
+      subscriptionId: text,
+      eventId: text,
+      event: text,
+      url: text,
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      attempts: listOf({
+        type: 'object',
+        properties: { at: dateTime, statusCode: nullable({ type: 'integer' }), error: nullable(text), durationMs: { type: 'integer' } }
+      }),
+      nextAttemptAt: nullable(dateTime),
+      createdAt: dateTime,
+      completedAt: nullable(dateTime),
+      payload: ref('WebhookEvent')
+    }
+  },
+  Consent: {
+    type: 'object',
+    required: ['id', 'consentHandle', 'status', 'accountIds', 'fiTypes', 'consentMode', 'fetchType', 'dataRange', 'consentExpiry'],
+    properties: {
+      id: text,
+      consentHandle: text,
+      status: { type: 'string', enum: CONSENT_STATUSES },
+      customerId: nullable(text),
+      accountIds: listOf(text),
+      fiTypes: listOf({ type: 'string', enum: FI_TYPES }),
+      consentMode: { type: 'string', enum: CONSENT_MODES },
+      fetchType: { type: 'string', enum: FETCH_TYPES },
+      purpose: ref('Purpose'),
+      dataRange,
+      consentExpiry: dateTime,
+      fetches: count,
+      clientId: nullable(text),
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  Purpose: {
+    type: 'object',
+    required: ['code', 'text'],
+    properties: { code: { type: 'string', example: '101' }, text: text }
+  },
+  FISession: {
+    type: 'object',
+    required: ['sessionId', 'consentId', 'dataRange', 'createdAt'],
+    properties: { sessionId: text, consentId: text, dataRange, createdAt: dateTime }
+  },
+  FIData: {
+    type: 'object',
+    description: 'ReBIT FI data: one entry per bank (FIP), each account in the deposit schema, decrypted',
+    required: ['ver', 'timestamp', 'txnid', 'sessionId', 'consentId', 'FI'],
+    properties: {
+      ver: text,
+      timestamp: dateTime,
+      txnid: text,
+      sessionId: text,
+      consentId: text,
+      FI: listOf({
+        type: 'object',
+        properties: {
+          fipID: text,
+          fipName: text,
+          data: listOf({
+            type: 'object',
+            properties: { linkRefNumber: text, maskedAccNumber: text, decryptedFI: { type: 'object' } }
+          })
+        }
+      })
+    }
+  },
+  Sandbox: {
+    type: 'object',
+    required: ['name', 'default', 'createdAt', 'lastUsedAt', 'counts', 'clock'],
+    properties: {
+      name: text,
+      description: nullable(text),
+      clientId: nullable(text),
+      data: nullable(ref('GenerationRequest')),
+      ttlMinutes: nullable({ type: 'integer' }),
+      createdAt: dateTime,
+      resetAt: nullable(dateTime),
+      lastUsedAt: dateTime,
+      default: { type: 'boolean' },
+      expiresAt: nullable(dateTime),
+      counts: { type: 'object', properties: { accounts: count, transactions: count } },
+      clock: dateTime
+    }
+  },
+  Usage: {
+    type: 'object',
+    required: ['limit', 'used', 'remaining', 'resetAt'],
+    properties: {
+      limit: nullable({ type: 'integer' }),
+      used: count,
+      remaining: nullable({ type: 'integer' }),
+      resetAt: dateTime,
+      window: text,
+      unit: text
+    }
+  },
+
+  // Request bodies
+  NewAccount: {
+    type: 'object',
+    description: 'Anything not supplied is generated',
+    properties: {
+      bankCode: { type: 'string', example: 'HDFC', description: 'Bank code or IFSC prefix' },
+      accountType: { type: 'string', enum: ACCOUNT_TYPES },
+      openingBalance: { type: 'number', minimum: 0 },
+      accountHolder: ref('AccountHolder'),
+      creditLimit: { type: 'integer', minimum: 1000, maximum: 10000000, description: 'Credit cards only' },
+      billingDay: { type: 'integer', minimum: 1, maximum: 28, description: 'Credit cards only' }
+    }
+  },
+  AccountUpdate: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ACCOUNT_STATUSES },
+      reason: text,
+      overdraftLimit: { type: 'number', minimum: 0 },
+      creditLimit: { type: 'integer', minimum: 1000, maximum: 10000000, description: 'Credit cards only' }
+    }
+  },
+  NewHold: {
+    type: 'object',
+    required: ['amount', 'reason'],
+    properties: {
+      amount: { type: 'number', minimum: 0, exclusiveMinimum: true },
+      reason: { type: 'string', minLength: 1 }
+    }
+  },
+  NewLoan: {
+    type: 'object',
+    required: ['product', 'principal', 'tenureMonths'],
+    properties: {
+      product: { type: 'string', enum: LOAN_PRODUCTS },
+      principal: { type: 'integer', description: 'Within the product\'s range' },
+      annualRate: { type: 'number', description: 'Defaults to a rate in the product\'s range' },
+      tenureMonths: { type: 'integer' },
+      emiDay: { type: 'integer', minimum: 1, maximum: 28 }
+    }
+  },
+  NewDeposit: {
+    type: 'object',
+    required: ['product', 'amount', 'tenureMonths'],
+    properties: {
+      product: { type: 'string', enum: [FIXED_DEPOSIT, RECURRING_DEPOSIT] },
+      amount: { type: 'integer', description: `The principal (${FIXED_DEPOSIT}) or monthly instalment (${RECURRING_DEPOSIT})` },
+      annualRate: { type: 'number', minimum: 0.1, maximum: 15 },
+      tenureMonths: { type: 'integer' },
+      payout: { type: 'string', enum: PAYOUTS }
+    }
+  },
+  NewTransaction: {
+    type: 'object',
+    required: ['type', 'amount'],
+    properties: {
+      type: { type: 'string', enum: TRANSACTION_TYPES },
+      amount: { anyOf: [{ type: 'number', minimum: 0, exclusiveMinimum: true }, { type: 'string', pattern: '^\\s*\\d+(\\.\\d+)?\\s*$', 'x-expected': 'a positive number' }], description: 'Up to 2 decimal places' },
+      description: { type: 'string', minLength: 1, maxLength: 140 },
+      category: text,
+      channel: { type: 'string', description: `Any case: ${CHANNELS.join(', ')}` }
+    }
+  },
+  NewTransfer: {
+    type: 'object',
+    required: ['fromAccountId', 'toAccountId', 'amount'],
+    properties: {
+      fromAccountId: { type: 'string', minLength: 1 },
+      toAccountId: { type: 'string', minLength: 1 },
+      amount: { anyOf: [{ type: 'number', minimum: 0, exclusiveMinimum: true }, { type: 'string', pattern: '^\\s*\\d+(\\.\\d+)?\\s*$', 'x-expected': 'a positive number' }] },
+      channel: { type: 'string', description: `Any case: ${TRANSFER_CHANNELS.join(', ')}; picked by amount when left out` },
+      description: text
+    }
+  },
+  IdentifierValidation: {
+    type: 'object',
+    description: 'Any of the identifiers; bankCode and state refine the accountNumber and pincode checks',
+    properties: {
+      ifsc: text,
+      accountNumber: digits,
+      bankCode: text,
+      pan: text,
+      upiId: text,
+      mobile: digits,
+      pincode: digits,
+      state: text
+    }
+  },
+  GenerationRequest: {
+    type: 'object',
+    properties: {
+      accountCount: { type: 'integer', minimum: 1, default: 1 },
+      transactionsPerAccount: { type: 'integer', minimum: 1, default: 25 },
+      months: nullable({ type: 'integer', minimum: 1, maximum: 60, description: 'Generate this much persona history instead of transactionsPerAccount' }),
+      seed,
+      asOf: nullable({ ...dateTime, description: 'History ends here (default: the virtual clock\'s now)' }),
+      p2pTransfers: { type: 'integer', minimum: 0, default: 0 },
+      anomalies: nullable({
+        anyOf: [
+          { type: 'boolean' },
+          {
+            type: 'object',
+            properties: {
+              rate: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 1 },
+              scenarios: listOf({ type: 'string', enum: ANOMALY_SCENARIOS }, { minItems: 1 })
+            }
+          }
+        ]
+      }),
+      accountTypes: nullable(listOf({ type: 'string', enum: ACCOUNT_TYPES }, { minItems: 1 })),
+      products: { type: 'boolean', default: false, description: 'Also open loans and deposits' }
+    }
+  },
+  SimulationRequest: {
+    type: 'object',
+    required: ['days'],
+    properties: {
+      days: { type: 'integer', minimum: 1, maximum: MAX_SIMULATION_DAYS },
+      seed
+    }
+  },
+  NewWebhook: {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      events: listOf({ type: 'string', enum: [...WEBHOOK_EVENTS, '*'] }, { minItems: 1 }),
+      secret: { type: 'string', minLength: 16, description: 'Generated when left out' },
+      lowBalanceThreshold: { type: 'number', minimum: 0 },
+      description: text
+    }
+  },
+  ConsentRequest: {
+    type: 'object',
+    required: ['accountIds', 'dataRange'],
+    properties: {
+      accountIds: listOf(text, { minItems: 1 }),
+      dataRange,
+      fiTypes: listOf({ type: 'string', enum: FI_TYPES }, { minItems: 1 }),
+      consentMode: { type: 'string', enum: CONSENT_MODES },
+      fetchType: { type: 'string', enum: FETCH_TYPES },
+      consentExpiry: dateTime,
+      purpose: ref('Purpose'),
+      customerId: { type: 'string', example: '9876543210@onemoney' }
+    }
+  },
+  ConsentApproval: {
+    type: 'object',
+    properties: {
+      accountIds: listOf(text, { minItems: 1, description: 'Approve for these of the requested accounts only' })
+    }
+  },
+  FIRequest: {
+    type: 'object',
+    required: ['consentId'],
+    properties: {
+      consentId: text,
+      dataRange: nullable({
+        type: 'object',
+        description: 'Within the consented range, which is the default',
+        properties: { from: dateTime, to: dateTime }
+      })
+    }
+  },
+  NewSandbox: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: sandboxName,
+      description: text,
+      ttlMinutes: { type: 'integer', minimum: 1, maximum: MAX_TTL_MINUTES, description: 'Deleted after this long unused' },
+      data: ref('GenerationRequest')
+    }
+  }
+};
+
+const transactionQuery = [
+  listParam('type', { type: 'string', enum: TRANSACTION_TYPES }),
+  listParam('category', text, 'Matches part of the category, any case'),
+  listParam('status', { type: 'string', enum: TRANSACTION_STATUSES }),
+  listParam('channel', text, `Any case: ${CHANNELS.join(', ')}`),
+  listParam('scenario', { type: 'string', enum: ANOMALY_SCENARIOS }),
+  queryParam('isFraud', { type: 'boolean' }),
+  queryParam('minAmount', { type: 'number', minimum: 0 }),
+  queryParam('maxAmount', { type: 'number', minimum: 0 }),
+  queryParam('startDate', text, 'Date or date-time'),
+  queryParam('endDate', text, 'Date or date-time'),
+  queryParam('q', text, 'Words or "quoted phrases" to find in the description, narration and reference'),
+  queryParam('sort', { type: 'string', enum: SORT_FIELDS, default: 'date' }),
+  queryParam('order', { type: 'string', default: 'desc' }, 'asc or desc'),
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 50 }),
+  queryParam('offset', { type: 'integer', minimum: 0 }),
+  queryParam('cursor', text, 'nextCursor of the previous page (instead of offset)')
+];
+
+const analyticsQuery = [
+  queryParam('type', { type: 'string', enum: TRANSACTION_TYPES, default: 'debit' }, 'Direction for the category and merchant reports'),
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 10 }, 'Top merchants to list'),
+  queryParam('startDate', text, 'Date or date-time (default: the earliest transaction)'),
+  queryParam('endDate', text, 'Date or date-time (default: now)')
+];
+
+const reportParam = {
+  name: 'report',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', enum: Object.keys(analyticsReports) }
+};
+
+const transactionPage = ok(listOf(ref('Transaction')), { extra: { pagination: ref('Pagination') } });
+const analyticsData = ok({ type: 'object', description: 'The period, and one entry per report' });
+
+const accountId = pathParam('accountId');
+
+const paths = {
+  '/health': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['Service'],
+      summary: 'Service status',
+      security: [],
+      responses: { 200: { description: 'OK', content: json({ type: 'object' }) } }
+    }
+  },
+  '/openapi.json': {
+    get: {
+      operationId: 'getOpenApiDocument',
+      tags: ['Service'],
+      summary: 'This document (rendered at /docs)',
+      security: [],
+      responses: { 200: { description: 'OK', content: json({ type: 'object' }) } }
+    }
+  },
+  '/api/usage': {
+    get: {
+      operationId: 'getUsage',
+      tags: ['Service'],
+      summary: 'The caller\'s client, rate limit and daily generation quota',
+      responses: ok({
+        type: 'object',
+        properties: {
+          authentication: { type: 'string', enum: ['api-key', 'none'] },
+          client: nullable(text),
+          admin: { type: 'boolean' },
+          rateLimit: ref('Usage'),
+          generationQuota: nullable(ref('Usage'))
+        }
+      })
+    }
+  },
+
+  '/api/accounts': {
+    get: {
+      operationId: 'listAccounts',
+      tags: ['Accounts'],
+      summary: 'List accounts',
+      parameters: [
+        queryParam('status', { type: 'string', enum: ACCOUNT_STATUSES }),
+        queryParam('accountType', { type: 'string', enum: [...ACCOUNT_TYPES, ...PRODUCT_ACCOUNT_TYPES] }),
+        queryParam('linkedAccountId', text, 'Loans and deposits held against this account')
+      ],
+      responses: { ...listed(ref('Account')), ...fails(400) }
+    },
+    post: {
+      operationId: 'createAccount',
+      tags: ['Accounts'],
+      summary: 'Open an account',
+      requestBody: body('NewAccount', { required: false }),
+      responses: { ...ok(ref('Account'), { status: 201, description: 'Created' }), ...fails(400) }
+    }
+  },
+  '/api/accounts/{accountId}': {
+    parameters: [accountId],
+    get: {
+      operationId: 'getAccount',
+      tags: ['Accounts'],
+      summary: 'Get an account',
+      responses: { ...ok(ref('Account')), ...fails(404) }
+    },
+    patch: {
+      operationId: 'updateAccount',
+      tags: ['Accounts'],
+      summary: 'Change status, overdraft limit or credit limit',
+      requestBody: body('AccountUpdate'),
+      responses: { ...ok(ref('Account')), ...fails(400, 404, 422) }
+    },
+    delete: {
+      operationId: 'deleteAccount',
+      tags: ['Accounts'],
+      summary: 'Delete an account and its transactions',
+      responses: {
+        ...ok({ type: 'object', properties: { accountId: text, deletedTransactions: count, detachedTransfers: count } }),
+        ...fails(404, 422)
+      }
+    }
+  },
+  '/api/accounts/{accountId}/balance': {
+    parameters: [accountId],
+    get: {
+      operationId: 'getBalance',
+      tags: ['Accounts'],
+      summary: 'Balance, holds and spendable amount',
+      responses: { ...ok(ref('Balance')), ...fails(404) }
+    }
+  },
+  '/api/accounts/{accountId}/holds': {
+    parameters: [accountId],
+    post: {
+      operationId: 'placeHold',
+      tags: ['Accounts'],
+      summary: 'Place a hold (lien) on part of the balance',
+      requestBody: body('NewHold'),
+      responses: { ...ok(ref('Hold'), { status: 201, description: 'Created' }), ...fails(400, 404, 422) }
+    }
+  },
+  '/api/accounts/{accountId}/holds/{holdId}': {
+    parameters: [accountId, pathParam('holdId')],
+    delete: {
+      operationId: 'releaseHold',
+      tags: ['Accounts'],
+      summary: 'Release a hold',
+      responses: { ...ok(ref('Hold')), ...fails(404) }
+    }
+  },
+  '/api/accounts/{accountId}/card-statements': {
+    parameters: [accountId],
+    get: {
+      operationId: 'listCardStatements',
+      tags: ['Credit cards'],
+      summary: 'Billing statements, newest first',
+      responses: { ...ok(listOf(ref('CardStatement')), { extra: { card: { type: 'object' } } }), ...fails(404, 422) }
+    }
+  },
+  '/api/accounts/{accountId}/card-statements/{statementId}': {
+    parameters: [accountId, pathParam('statementId')],
+    get: {
+      operationId: 'getCardStatement',
+      tags: ['Credit cards'],
+      summary: 'A billing statement with its transactions',
+      responses: {
+        ...ok({ allOf: [ref('CardStatement'), { type: 'object', properties: { transactions: listOf(ref('Transaction')) } }] }),
+        ...fails(404, 422)
+      }
+    }
+  },
+  '/api/accounts/{accountId}/loans': {
+    parameters: [accountId],
+    post: {
+      operationId: 'openLoan',
+      tags: ['Loans & deposits'],
+      summary: 'Book a loan against a bank account',
+      requestBody: body('NewLoan'),
+      responses: { ...ok(ref('Account'), { status: 201, description: 'Created' }), ...fails(400, 404, 422) }
+    }
+  },
+  '/api/accounts/{accountId}/deposits': {
+    parameters: [accountId],
+    post: {
+      operationId: 'openDeposit',
+      tags: ['Loans & deposits'],
+      summary: 'Open a fixed or recurring deposit funded from a bank account',
+      requestBody: body('NewDeposit'),
+      responses: { ...ok(ref('Account'), { status: 201, description: 'Created' }), ...fails(400, 404, 422) }
+    }
+  },
+  '/api/accounts/{accountId}/schedule': {
+    parameters: [accountId],
+    get: {
+      operationId: 'getSchedule',
+      tags: ['Loans & deposits'],
+      summary: 'Amortization or deposit schedule',
+      responses: {
+        ...ok({ type: 'object', properties: { accountId: text, accountType: text, status: text, linkedAccountId: text, schedule: listOf(ref('ScheduleEntry')) } }),
+        ...fails(404, 422)
+      }
+    }
+  },
+  '/api/accounts/{accountId}/transactions': {
+    parameters: [accountId],
+    get: {
+      operationId: 'listAccountTransactions',
+      tags: ['Transactions'],
+      summary: 'Filtered, sorted page of an account\'s transactions',
+      parameters: transactionQuery,
+      responses: { ...transactionPage, ...fails(400, 404) }
+    },
+    post: {
+      operationId: 'createTransaction',
+      tags: ['Transactions'],
+      summary: 'Post a transaction',
+      requestBody: body('NewTransaction'),
+      responses: { ...ok(ref('Transaction'), { status: 201, description: 'Created' }), ...fails(400, 404, 422) }
+    }
+  },
+  '/api/accounts/{accountId}/summary': {
+    parameters: [accountId],
+    get: {
+      operationId: 'getAccountSummary',
+      tags: ['Accounts'],
+      summary: 'Totals over the account\'s transactions',
+      responses: {
+        ...ok({ type: 'object', properties: { account: { type: 'object' }, statistics: { type: 'object' } } }),
+        ...fails(404)
+      }
+    }
+  },
+  '/api/accounts/{accountId}/statement': {
+    parameters: [accountId],
+    get: {
+      operationId: 'getStatement',
+      tags: ['Accounts'],
+      summary: 'Download a statement',
+      parameters: [
+        queryParam('format', { type: 'string', default: 'csv' }, `Any case: ${Object.keys(statementFormats).join(', ')}`),
+        queryParam('startDate', text, 'Date (whole IST day) or date-time; default 30 days back'),
+        queryParam('endDate', text, 'Date (whole IST day) or date-time; default now')
+      ],
+      responses: {
+        200: {
+          description: 'The statement file',
+          content: Object.fromEntries(Object.values(statementFormats).map(format => [format.contentType, { schema: text }]))
+        },
+        ...fails(400, 404)
+      }
+    }
+  },
+  '/api/accounts/{accountId}/analytics': {
+    parameters: [accountId],
+    get: {
+      operationId: 'getAccountAnalytics',
+      tags: ['Analytics'],
+      summary: 'Every spending report for an account',
+      parameters: analyticsQuery,
+      responses: { ...analyticsData, ...fails(400, 404) }
+    }
+  },
+  '/api/accounts/{accountId}/analytics/{report}': {
+    parameters: [accountId, reportParam],
+    get: {
+      operationId: 'getAccountAnalyticsReport',
+      tags: ['Analytics'],
+      summary: 'One spending report for an account',
+      parameters: analyticsQuery,
+      responses: { ...analyticsData, ...fails(400, 404) }
+    }
+  },
+  '/api/analytics': {
+    get: {
+      operationId: 'getAnalytics',
+      tags: ['Analytics'],
+      summary: 'Every report across the dataset',
+      parameters: [...analyticsQuery, queryParam('accountType', { type: 'string', enum: [...ACCOUNT_TYPES, ...PRODUCT_ACCOUNT_TYPES] })],
+      responses: { ...analyticsData, ...fails(400) }
+    }
+  },
+  '/api/analytics/{report}': {
+    parameters: [reportParam],
+    get: {
+      operationId: 'getAnalyticsReport',
+      tags: ['Analytics'],
+      summary: 'One report across the dataset',
+      parameters: [...analyticsQuery, queryParam('accountType', { type: 'string', enum: [...ACCOUNT_TYPES, ...PRODUCT_ACCOUNT_TYPES] })],
+      responses: { ...analyticsData, ...fails(400, 404) }
+    }
+  },
+
+  '/api/categories': {
+    get: {
+      operationId: 'listCategories',
+      tags: ['Reference data'],
+      summary: 'Transaction categories with their direction, amounts and channels',
+      responses: listed({ type: 'object', properties: { name: text, direction: text, typicalAmount: money, minAmount: money, maxAmount: money, channels: listOf(text) } })
+    }
+  },
+  '/api/channels': {
+    get: {
+      operationId: 'listChannels',
+      tags: ['Reference data'],
+      summary: 'Payment channels and their limits',
+      responses: listed({ type: 'object', properties: { name: { type: 'string', enum: CHANNELS }, label: text, minAmount: money, maxAmount: nullable(money), multipleOf: nullable(money) } })
+    }
+  },
+  '/api/anomalies': {
+    get: {
+      operationId: 'listAnomalyScenarios',
+      tags: ['Reference data'],
+      summary: 'Fraud and anomaly scenarios the generator can inject',
+      responses: ok({ type: 'object', properties: { defaultRate: { type: 'number' }, scenarios: listOf({ type: 'object' }) } })
+    }
+  },
+  '/api/identifiers/validate': {
+    post: {
+      operationId: 'validateIdentifiers',
+      tags: ['Reference data'],
+      summary: 'Check IFSC, account number, PAN, UPI ID, mobile and pincode values',
+      requestBody: body('IdentifierValidation'),
+      responses: {
+        ...ok({ type: 'object', description: 'Result per identifier given' }, { extra: { valid: { type: 'boolean' } } }),
+        ...fails(400)
+      }
+    }
+  },
+
+  '/api/transactions': {
+    get: {
+      operationId: 'listTransactions',
+      tags: ['Transactions'],
+      summary: 'Filtered, sorted page of transactions',
+      parameters: [listParam('accountId', text), ...transactionQuery],
+      responses: { ...transactionPage, ...fails(400) }
+    }
+  },
+  '/api/transactions/{transactionId}': {
+    parameters: [pathParam('transactionId')],
+    get: {
+      operationId: 'getTransaction',
+      tags: ['Transactions'],
+      summary: 'Get a transaction',
+      responses: { ...ok(ref('Transaction')), ...fails(404) }
+    }
+  },
+  '/api/transfers': {
+    post: {
+      operationId: 'createTransfer',
+      tags: ['Transactions'],
+      summary: 'Move money between two accounts',
+      requestBody: body('NewTransfer'),
+      responses: { ...ok(ref('Transfer'), { status: 201, description: 'Created' }), ...fails(400, 404, 422) }
+    }
+  },
+  '/api/transfers/{transferId}': {
+    parameters: [pathParam('transferId')],
+    get: {
+      operationId: 'getTransfer',
+      tags: ['Transactions'],
+      summary: 'Both legs of a transfer',
+      responses: { ...ok(ref('Transfer')), ...fails(404) }
+    }
+  },
+
+  '/api/generate-data': {
+    post: {
+      operationId: 'generateData',
+      tags: ['Generation'],
+      summary: 'Generate accounts with history and wait for them',
+      requestBody: body('GenerationRequest', { required: false }),
+      responses: {
+        200: {
+          description: 'What was generated',
+          content: json({
+            type: 'object',
+            required: ['success', 'generated'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              message: text,
+              ai_provider: text,
+              seed,
+              mode: text,
+              generated: { type: 'object', properties: { accounts: count, transactions: count, transfers: count, products: count, fraudTransactions: count } },
+              samples: { type: 'object' }
+            }
+          })
+        },
+        ...fails(400, 409, 422, 429)
+      }
+    }
+  },
+  '/api/jobs/generate-data': {
+    post: {
+      operationId: 'createGenerationJob',
+      tags: ['Generation'],
+      summary: 'Queue a generation run as a background job',
+      requestBody: body('GenerationRequest', { required: false }),
+      responses: { ...ok(ref('Job'), { status: 202, description: 'Queued' }), ...fails(400, 422, 429) }
+    }
+  },
+  '/api/jobs': {
+    get: {
+      operationId: 'listJobs',
+      tags: ['Generation'],
+      summary: 'List jobs',
+      parameters: [
+        queryParam('status', { type: 'string', enum: JOB_STATUSES }),
+        queryParam('type', { type: 'string', enum: ['generate-data'] })
+      ],
+      responses: { ...listed(ref('Job')), ...fails(400) }
+    }
+  },
+  '/api/jobs/{jobId}': {
+    parameters: [pathParam('jobId')],
+    get: {
+      operationId: 'getJob',
+      tags: ['Generation'],
+      summary: 'Get a job',
+      responses: { ...ok(ref('Job')), ...fails(404) }
+    }
+  },
+  '/api/jobs/{jobId}/events': {
+    parameters: [pathParam('jobId')],
+    get: {
+      operationId: 'streamJobEvents',
+      tags: ['Generation'],
+      summary: 'Server-Sent Events: `progress` on every change, then `done`',
+      responses: { 200: { description: 'Event stream of Job objects', content: { 'text/event-stream': { schema: text } } }, ...fails(404) }
+    }
+  },
+  '/api/jobs/{jobId}/cancel': {
+    parameters: [pathParam('jobId')],
+    post: {
+      operationId: 'cancelJob',
+      tags: ['Generation'],
+      summary: 'Cancel a queued or running job',
+      responses: { ...ok(ref('Job'), { status: 202, description: 'Cancelling' }), ...fails(404, 409) }
+    }
+  },
+
+  '/api/simulation': {
+    get: {
+      operationId: 'getSimulation',
+      tags: ['Simulation'],
+      summary: 'The virtual clock',
+      responses: ok({ allOf: [ref('Clock'), { type: 'object', properties: { running: { type: 'boolean' } } }] })
+    }
+  },
+  '/api/simulation/advance': {
+    post: {
+      operationId: 'advanceSimulation',
+      tags: ['Simulation'],
+      summary: 'Advance the clock and generate the activity in between',
+      requestBody: body('SimulationRequest'),
+      responses: {
+        ...ok({ type: 'object', properties: { from: dateTime, to: dateTime, days: { type: 'integer' }, seed, clock: ref('Clock'), simulated: { type: 'object' } } }),
+        ...fails(400, 403, 409)
+      }
+    }
+  },
+
+  '/api/webhooks': {
+    get: {
+      operationId: 'listWebhooks',
+      tags: ['Webhooks'],
+      summary: 'List webhook subscriptions',
+      responses: listed(ref('Webhook'), { events: listOf(text) })
+    },
+    post: {
+      operationId: 'createWebhook',
+      tags: ['Webhooks'],
+      summary: 'Subscribe to events (the only response with the secret)',
+      requestBody: body('NewWebhook'),
+      responses: { ...ok(ref('Webhook'), { status: 201, description: 'Created' }), ...fails(400, 422) }
+    }
+  },
+  '/api/webhooks/{webhookId}': {
+    parameters: [pathParam('webhookId')],
+    get: {
+      operationId: 'getWebhook',
+      tags: ['Webhooks'],
+      summary: 'Get a webhook subscription',
+      responses: { ...ok(ref('Webhook')), ...fails(404) }
+    },
+    delete: {
+      operationId: 'deleteWebhook',
+      tags: ['Webhooks'],
+      summary: 'Unsubscribe (pending retries are cancelled)',
+      responses: { ...ok(ref('Webhook')), ...fails(404) }
+    }
+  },
+  '/api/webhooks/{webhookId}/ping': {
+    parameters: [pathParam('webhookId')],
+    post: {
+      operationId: 'pingWebhook',
+      tags: ['Webhooks'],
+      summary: 'Send a webhook.ping event',
+      responses: { ...ok(ref('WebhookEvent'), { status: 202, description: 'Sent' }), ...fails(404) }
+    }
+  },
+  '/api/webhooks/{webhookId}/deliveries': {
+    parameters: [pathParam('webhookId')],
+    get: {
+      operationId: 'listWebhookDeliveries',
+      tags: ['Webhooks'],
+      summary: 'Delivery log, newest first',
+      parameters: [
+        queryParam('status', { type: 'string', enum: DELIVERY_STATUSES }),
+        queryParam('event', text)
+      ],
+      responses: { ...listed(ref('WebhookDelivery')), ...fails(400, 404) }
+    }
+  },
+
+  '/api/aa/consents': {
+    get: {
+      operationId: 'listConsents',
+      tags: ['Account Aggregator'],
+      summary: 'List consents, newest first',
+      parameters: [queryParam('status', { type: 'string', enum: CONSENT_STATUSES })],
+      responses: { ...listed(ref('Consent')), ...fails(400) }
+    },
+    post: {
+      operationId: 'createConsent',
+      tags: ['Account Aggregator'],
+      summary: 'Request consent to a customer\'s deposit accounts',
+      requestBody: body('ConsentRequest'),
+      responses: { ...ok(ref('Consent'), { status: 201, description: 'Created' }), ...fails(400, 422) }
+    }
+  },
+  '/api/aa/consents/{consentId}': {
+    parameters: [pathParam('consentId')],
+    get: {
+      operationId: 'getConsent',
+      tags: ['Account Aggregator'],
+      summary: 'Get a consent',
+      responses: { ...ok(ref('Consent')), ...fails(404) }
+    }
+  },
+  ...Object.fromEntries(Object.entries(consentActions).map(([action, { from, to }]) => [`/api/aa/consents/{consentId}/${action}`, {
+    parameters: [pathParam('consentId')],
+    post: {
+      operationId: `${action}Consent`,
+      tags: ['Account Aggregator'],
+      summary: `${action[0].toUpperCase()}${action.slice(1)} a consent (${from} to ${to})`,
+      ...(action === 'approve' ? { requestBody: body('ConsentApproval', { required: false }) } : {}),
+      responses: { ...ok(ref('Consent')), ...fails(400, 404, 422) }
+    }
+  }])),
+  '/api/aa/fi/request': {
+    post: {
+      operationId: 'requestFiData',
+      tags: ['Account Aggregator'],
+      summary: 'Open an FI data session under an active consent',
+      requestBody: body('FIRequest'),
+      responses: { ...ok(ref('FISession'), { status: 201, description: 'Created' }), ...fails(400, 404, 422) }
+    }
+  },
+  '/api/aa/fi/fetch/{sessionId}': {
+    parameters: [pathParam('sessionId')],
+    get: {
+      operationId: 'fetchFiData',
+      tags: ['Account Aggregator'],
+      summary: 'FI data for a session',
+      responses: { ...ok(ref('FIData')), ...fails(404, 422) }
+    }
+  },
+
+  '/api/sandboxes': {
+    get: {
+      operationId: 'listSandboxes',
+      tags: ['Sandboxes'],
+      summary: 'List sandboxes',
+      responses: listed(ref('Sandbox'))
+    },
+    post: {
+      operationId: 'createSandbox',
+      tags: ['Sandboxes'],
+      summary: 'Create a sandbox, seeded from `data` if given',
+      requestBody: body('NewSandbox'),
+      responses: { ...ok(ref('Sandbox'), { status: 201, description: 'Created' }), ...fails(400, 409, 422, 429) }
+    }
+  },
+  '/api/sandboxes/{name}': {
+    parameters: [pathParam('name')],
+    get: {
+      operationId: 'getSandbox',
+      tags: ['Sandboxes'],
+      summary: 'Get a sandbox',
+      responses: { ...ok(ref('Sandbox')), ...fails(404) }
+    },
+    delete: {
+      operationId: 'deleteSandbox',
+      tags: ['Sandboxes'],
+      summary: 'Delete a sandbox',
+      responses: { ...ok({ type: 'object', properties: { name: text, deleted: { type: 'boolean' } } }), ...fails(404, 422) }
+    }
+  },
+  '/api/sandboxes/{name}/reset': {
+    parameters: [pathParam('name')],
+    post: {
+      operationId: 'resetSandbox',
+      tags: ['Sandboxes'],
+      summary: 'Empty a sandbox and seed it again',
+      responses: { ...ok(ref('Sandbox')), ...fails(403, 404, 429) }
+    }
+  },
+
+  '/api/export/manifest': {
+    get: {
+      operationId: 'getExportManifest',
+      tags: ['Export & import'],
+      summary: 'Manifest of the dataset, with the CSV column schema',
+      responses: ok({ type: 'object' })
+    }
+  },
+  '/api/export': {
+    get: {
+      operationId: 'exportData',
+      tags: ['Export & import'],
+      summary: 'Stream the dataset as a JSON Lines bundle, or one table as CSV',
+      parameters: [
+        queryParam('format', { type: 'string', enum: ['jsonl', 'csv'], default: 'jsonl' }),
+        queryParam('table', { type: 'string', enum: TABLES }, 'Required for CSV')
+      ],
+      responses: {
+        200: { description: 'The bundle', content: { 'application/x-ndjson': { schema: text }, 'text/csv': { schema: text } } },
+        ...fails(400)
+      }
+    }
+  },
+  '/api/import': {
+    post: {
+      operationId: 'importData',
+      tags: ['Export & import'],
+      summary: 'Load a bundle (merge or replace)',
+      parameters: [
+        queryParam('mode', { type: 'string', enum: ['merge', 'replace'], default: 'merge' }),
+        queryParam('onConflict', { type: 'string', enum: ['error', 'skip'], default: 'error' }),
+        queryParam('table', { type: 'string', enum: TABLES }, 'Required for CSV'),
+        queryParam('format', { type: 'string', enum: ['jsonl', 'csv'] }, 'Default: from Content-Type')
+      ],
+      requestBody: {
+        required: true,
+        content: { 'application/x-ndjson': { schema: text }, 'text/csv': { schema: text } }
+      },
+      responses: {
+        ...ok({ type: 'object', properties: { mode: text, format: text, imported: { type: 'object' }, skipped: { type: 'object' }, totals: { type: 'object' } } }),
+        ...fails(400, 403, 409, 413, 422)
+      }
+    }
+  }
+};
+
+const errorResponse = (description) => ({ description, content: json(ref('Error')) });
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// The document for this server. With `authentication` every /api operation
+// takes an API key; `serverUrl` is where clients reach it.
+const buildDocument = ({ title, version, description, authentication = false, serverUrl = '/' }) => {
+  const sandboxHeader = {
+    name: SANDBOX_HEADER,
+    in: 'header',
+    description: 'Sandbox to work in (default: the startup dataset); /sandboxes/{name}/api/... does the same',
+    schema: sandboxName
+  };
+
+  // Every /api operation takes the sandbox header and can be rate limited
+  // (and turned away without a key)
+  const withCommon = Object.fromEntries(Object.entries(paths).map(([path, item]) => {
+    if (!path.startsWith('/api/')) return [path, item];
+    return [path, Object.fromEntries(Object.entries(item).map(([method, op]) => (!METHODS.includes(method) ? [method, op] : [method, {
+      ...op,
+      parameters: [...(op.parameters || []), { $ref: '#/components/parameters/Sandbox' }],
+      responses: { ...op.responses, ...fails(...(authentication ? [401, 429] : [429])), ...(op.responses[500] ? {} : fails(500)) }
+    }])))];
+  }));
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: { title, version, description },
+    servers: [{ url: serverUrl }],
+    ...(authentication ? { security: [{ ApiKey: [] }, { BearerAuth: [] }] } : {}),
+    paths: withCommon,
+    components: {
+      schemas,
+      parameters: { Sandbox: sandboxHeader },
+      responses: {
+        BadRequest: errorResponse('Malformed request'),
+        Unauthorized: errorResponse('Missing or unknown API key'),
+        Forbidden: errorResponse('Not allowed for this API key'),
+        NotFound: errorResponse('Not found'),
+        Conflict: errorResponse('Conflicts with the current state'),
+        PayloadTooLarge: errorResponse('Body too large'),
+        Unprocessable: errorResponse('Breaks a business rule'),
+        TooManyRequests: errorResponse('Rate limit or daily generation quota exceeded (see Retry-After)'),
+        ServerError: errorResponse('Unexpected error')
+      },
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+};
+
+// "/api/accounts/{accountId}" to a regex capturing the parameters. Literal
+// segments win over parameters (/api/jobs/generate-data before /api/jobs/{jobId}).
+const compilePaths = (document) => Object.keys(document.paths)
+  .map(path => ({
+    path,
+    params: (path.match(/\{\w+\}/g) || []).length,
+    regex: new RegExp(`^${path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{\w+\}/g, '([^/]+)')}/?$`)
+  }))
+  .sort((a, b) => a.params - b.params);
+
+// The operation for `method` and `path` (as the router sees it), or null
+const findOperation = (document, compiled, method, path) => {
+  const match = compiled.find(({ regex }) => regex.test(path));
+  if (!match) return null;
+  const operation = document.paths[match.path][method.toLowerCase()];
+  return operation ? { path: match.path, operation } : null;
+};
+
+// Problems with a request's query parameters and JSON body under
+// `operation`. Query values are converted (numbers, booleans, lists) only to
+// be checked; routes keep reading req.query.
+const checkRequest = (document, operation, { query = {}, body = {} }) => {
+  const errors = [];
+
+  (operation.parameters || [])
+    .map(parameter => schema.resolve(parameter, document))
+    .filter(parameter => parameter.in === 'query')
+    .forEach(parameter => {
+      const value = schema.coerce(parameter.schema, query[parameter.name], document);
+      if (value === undefined || value === '') {
+        if (parameter.required) errors.push(`${parameter.name} is required`);
+        return;
+      }
+      errors.push(...schema.validate(parameter.schema, value, { root: document, path: parameter.name }));
+    });
+
+  // Without a JSON body express.json() leaves an empty object
+  const jsonBody = operation.requestBody && operation.requestBody.content['application/json'];
+  if (jsonBody) {
+    errors.push(...schema.validate(jsonBody.schema, body, { root: document }));
+  }
+
+  return errors;
+};
+
+// Problems with a JSON response body under `operation` (for spotting drift
+// between the routes and the document)
+const checkResponse = (document, operation, status, responseBody) => {
+  const response = schema.resolve(operation.responses[status] || operation.responses.default, document);
+  if (!response) return [`${status} is not a documented response`];
+  const content = response.content && response.content['application/json'];
+  return content ? schema.validate(content.schema, responseBody, { root: document, path: 'response' }) : [];
+};
+
+// Swagger UI for the document at `documentUrl` (assets from a CDN)
+const docsPage = ({ title, documentUrl }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(documentUrl)}, dom_id: '#docs', deepLinking: true, persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+
+module.exports = {
+  OPENAPI_VERSION,
+  buildDocument,
+  compilePaths,
+  findOperation,
+  checkRequest,
+  checkResponse,
+  docsPage
+};
@@ -0,0 +1,612 @@
+const { buildPaymentDetails } = require('./channels');
+const { generateAccountNumber } = require('./identifiers');
+const { DAY_MS, round2, byDateAsc, istDay, addIstMonths } = require('./dates');
+const { PRODUCT_ACCOUNT_TYPES, checkCanTransact } = require('./accounts');
+const balances = require('./balances');
+
+// Loans and term deposits held alongside a bank account (the linked account).
+//
+// Each product is an account of its own with a schedule of dated events:
+// disbursal and EMIs for loans; opening, instalments, interest and maturity
+// for deposits. Posting an event books both sides, e.g. an EMI is a debit on
+// the linked account and, on the loan, the month's interest charged plus the
+// EMI received. A loan's balance is therefore minus the principal still owed.
+//
+// Cumulative FDs and RDs compound quarterly; quarterly-payout FDs credit the
+// interest to the linked account instead. TDS is withheld once the interest
+// a deposit earns in a financial year crosses TDS_THRESHOLD.
+
+const [LOAN, FIXED_DEPOSIT, RECURRING_DEPOSIT] = PRODUCT_ACCOUNT_TYPES;
+
+// Rates (% a year), tenures (months) and amounts (INR) a loan can be booked
+// with. Personal loans are paid out to the linked account; home and auto
+// loans go to the seller or dealer.
+const loanProducts = {
+  'Home Loan': { rate: [8.35, 9.75], defaultRate: 8.75, tenure: [60, 360], principal: [500000, 50000000], creditsLinked: false, tenures: [120, 180, 240, 300] },
+  'Personal Loan': { rate: [10.5, 18], defaultRate: 12.5, tenure: [12, 60], principal: [50000, 4000000], creditsLinked: true, tenures: [12, 24, 36, 48, 60] },
+  'Auto Loan': { rate: [8.7, 11.5], defaultRate: 9.5, tenure: [12, 84], principal: [100000, 5000000], creditsLinked: false, tenures: [36, 48, 60, 84] }
+};
+
+const LOAN_PRODUCTS = Object.keys(loanProducts);
+
+const depositProducts = {
+  [FIXED_DEPOSIT]: { short: 'FD', amount: [1000, 100000000], tenure: [1, 120] },
+  [RECURRING_DEPOSIT]: { short: 'RD', amount: [100, 1000000], tenure: [6, 120] }
+};
+
+// Card rate (% a year) by tenure, used when a deposit doesn't name its rate
+const depositRates = [
+  { upToMonths: 6, rate: 5.5 },
+  { upToMonths: 12, rate: 6.6 },
+  { upToMonths: 24, rate: 7.1 },
+  { upToMonths: 60, rate: 7 },
+  { upToMonths: 120, rate: 6.5 }
+];
+
+const PAYOUTS = ['cumulative', 'quarterly'];
+
+const TDS_RATE = 10;
+const TDS_THRESHOLD = 40000;
+
+// Time of day (IST) events are posted: interest in the overnight batch,
+// EMIs and instalments early in the morning, maturity proceeds at opening
+const INTEREST_TIME = '00:30:00';
+const DEBIT_TIME = '07:00:00';
+const MATURITY_TIME = '09:00:00';
+
+const isProduct = (account) => !!account && PRODUCT_ACCOUNT_TYPES.includes(account.accountType) && !!(account.loan || account.deposit);
+
+const termsOf = (account) => account.loan || account.deposit;
+
+const linkedAccountIdOf = (account) => termsOf(account).linkedAccountId;
+
+const depositRateFor = (tenureMonths) => depositRates.find(entry => tenureMonths <= entry.upToMonths).rate;
+
+const at = (date, time) => new Date(`${istDay(date)}T${time}+05:30`);
+
+const isWhole = (value) => typeof value === 'number' && Number.isInteger(value);
+
+const inRange = (value, [min, max]) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+// Problems with a loan request (empty when it is well-formed)
+const validateLoanRequest = ({ product, principal, annualRate, tenureMonths, emiDay } = {}) => {
+  const terms = loanProducts[product];
+  if (!terms) return [`product must be one of: ${LOAN_PRODUCTS.join(', ')}`];
+
+  const errors = [];
+  if (!(isWhole(principal) && inRange(principal, terms.principal))) {
+    errors.push(`principal must be a whole number between ${terms.principal[0]} and ${terms.principal[1]} for a ${product}`);
+  }
+  if (!(isWhole(tenureMonths) && inRange(tenureMonths, terms.tenure))) {
+    errors.push(`tenureMonths must be a whole number between ${terms.tenure[0]} and ${terms.tenure[1]} for a ${product}`);
+  }
+  if (annualRate !== undefined && !inRange(annualRate, terms.rate)) {
+    errors.push(`annualRate must be between ${terms.rate[0]} and ${terms.rate[1]} for a ${product}`);
+  }
+  if (emiDay !== undefined && !(isWhole(emiDay) && emiDay >= 1 && emiDay <= 28)) {
+    errors.push('emiDay must be a day of the month between 1 and 28');
+  }
+  return errors;
+};
+
+// Problems with a deposit request (empty when it is well-formed)
+const validateDepositRequest = ({ product, amount, annualRate, tenureMonths, payout } = {}) => {
+  const terms = depositProducts[product];
+  if (!terms) return [`product must be one of: ${Object.keys(depositProducts).join(', ')}`];
+
+  const errors = [];
+  const amountName = product === FIXED_DEPOSIT ? 'amount (the principal)' : 'amount (the monthly instalment)';
+  if (!(isWhole(amount) && inRange(amount, terms.amount))) {
+    errors.push(`${amountName} must be a whole number between ${terms.amount[0]} and ${terms.amount[1]}`);
+  }
+  if (!(isWhole(tenureMonths) && inRange(tenureMonths, terms.tenure))) {
+    errors.push(`tenureMonths must be a whole number between ${terms.tenure[0]} and ${terms.tenure[1]} for a ${product}`);
+  }
+  if (annualRate !== undefined && !inRange(annualRate, [0.1, 15])) {
+    errors.push('annualRate must be between 0.1 and 15');
+  }
+  if (payout !== undefined) {
+    if (!PAYOUTS.includes(payout)) {
+      errors.push(`payout must be one of: ${PAYOUTS.join(', ')}`);
+    } else if (product === RECURRING_DEPOSIT && payout !== 'cumulative') {
+      errors.push(`A ${RECURRING_DEPOSIT} only pays out at maturity`);
+    }
+  }
+  return errors;
+};
+
+// Equated monthly instalment, rounded to the rupee like bank sanction letters
+const emiFor = (principal, annualRate, months) => {
+  const rate = annualRate / 12 / 100;
+  if (rate === 0) return Math.ceil(principal / months);
+  const factor = Math.pow(1 + rate, months);
+  return Math.round(principal * rate * factor / (factor - 1));
+};
+
+// Loan that an EMI of `emi` pays off in `months` (rounded down to the thousand)
+const principalFor = (emi, annualRate, months) => {
+  const rate = annualRate / 12 / 100;
+  return Math.floor(emi * (1 - Math.pow(1 + rate, -months)) / rate / 1000) * 1000;
+};
+
+// Amortization: each EMI pays the month's interest on what is still owed and
+// repays principal with the rest; the last one clears whatever is left
+const amortize = ({ principal, annualRate, tenureMonths, emi, emiDay, disbursedAt }) => {
+  const rate = annualRate / 12 / 100;
+  const anchor = at(disbursedAt, DEBIT_TIME);
+  const rows = [];
+  let outstanding = principal;
+
+  for (let installment = 1; installment <= tenureMonths; installment++) {
+    const interest = round2(outstanding * rate);
+    const repaid = installment === tenureMonths ? outstanding : round2(Math.min(emi - interest, outstanding));
+    outstanding = round2(outstanding - repaid);
+    rows.push({
+      kind: 'emi',
+      installment,
+      date: addIstMonths(anchor, installment, emiDay).toISOString(),
+      amount: round2(repaid + interest),
+      principal: repaid,
+      interest,
+      outstanding,
+      status: 'scheduled'
+    });
+  }
+  return rows;
+};
+
+// Interest rows every quarter from `start`, the last one at maturity for
+// whatever part of a quarter is left
+const interestRows = (start, tenureMonths) => {
+  const anchor = at(start, INTEREST_TIME);
+  const rows = [];
+  for (let month = 3; month < tenureMonths + 3; month += 3) {
+    const months = Math.min(month, tenureMonths) - (month - 3);
+    rows.push({ kind: 'interest', date: addIstMonths(anchor, Math.min(month, tenureMonths)).toISOString(), months, amount: null, tds: null, status: 'scheduled' });
+  }
+  return rows;
+};
+
+// Interest an event credits: RDs pay what accrued month by month; FDs pay a
+// quarter (or what is left of one) on the balance, or on the principal when
+// interest is paid out
+const interestDue = (deposit, state, row) => {
+  if (deposit.product === RECURRING_DEPOSIT) return round2(state.accrued);
+  const base = deposit.payout === 'cumulative' ? state.balance : deposit.principal;
+  return round2(base * deposit.annualRate / 100 * row.months / 12);
+};
+
+// Maturity amount and total interest if every instalment is paid, before TDS
+const projectDeposit = (deposit) => {
+  const state = { balance: 0, accrued: 0 };
+  let interest = 0;
+
+  deposit.schedule.forEach(row => {
+    if (row.kind === 'opening') state.balance += deposit.principal;
+    if (row.kind === 'installment') {
+      state.balance += deposit.installment;
+      state.accrued += state.balance * deposit.annualRate / 100 / 12;
+    }
+    if (row.kind === 'interest') {
+      const amount = interestDue(deposit, state, row);
+      interest += amount;
+      state.accrued = 0;
+      if (deposit.payout === 'cumulative') state.balance += amount;
+    }
+  });
+
+  return { maturityAmount: round2(state.balance), totalInterest: round2(interest) };
+};
+
+// Account fields shared by every product: same holder, bank and branch as the
+// linked account, nothing held and no overdraft
+const productAccount = (linked, accountType, start, rng) => ({
+  id: rng.uuid(),
+  accountNumber: generateAccountNumber({ accountNumberLength: String(linked.accountNumber).length }, rng),
+  accountType,
+  bankName: linked.bankName,
+  bankCode: linked.bankCode,
+  branchCode: linked.branchCode,
+  ifscCode: linked.ifscCode,
+  upiId: null,
+  accountHolder: linked.accountHolder,
+  balance: 0,
+  availableBalance: 0,
+  overdraftLimit: 0,
+  holds: [],
+  currency: 'INR',
+  status: 'Active',
+  openDate: start.toISOString(),
+  lastUpdated: start.toISOString()
+});
+
+// A loan disbursed at `start`; the first EMI is due on `emiDay` of the next month
+const createLoan = ({ linked, product, principal, annualRate, tenureMonths, emiDay, start, rng }) => {
+  const terms = loanProducts[product];
+  const rate = annualRate !== undefined ? annualRate : terms.defaultRate;
+  const dueDay = emiDay || Math.min(Number(istDay(start).slice(8)), 28);
+  const emi = emiFor(principal, rate, tenureMonths);
+  const installments = amortize({ principal, annualRate: rate, tenureMonths, emi, emiDay: dueDay, disbursedAt: start });
+
+  return {
+    ...productAccount(linked, LOAN, start, rng),
+    loan: {
+      product,
+      principal,
+      annualRate: rate,
+      tenureMonths,
+      emi,
+      emiDay: dueDay,
+      totalInterest: round2(installments.reduce((sum, row) => sum + row.interest, 0)),
+      disbursedOn: istDay(start),
+      lastEmiDate: istDay(installments[installments.length - 1].date),
+      linkedAccountId: linked.id,
+      schedule: [
+        { kind: 'disbursal', date: start.toISOString(), amount: principal, status: 'scheduled' },
+        ...installments
+      ]
+    }
+  };
+};
+
+// A fixed deposit (`amount` is the principal) or recurring deposit (`amount`
+// is the monthly instalment, the first one taken at `start`)
+const createDeposit = ({ linked, product, amount, annualRate, tenureMonths, payout, start, rng }) => {
+  const isRecurring = product === RECURRING_DEPOSIT;
+  const maturity = addIstMonths(at(start, MATURITY_TIME), tenureMonths);
+  const debitAnchor = at(start, DEBIT_TIME);
+
+  const openingRows = isRecurring
+    ? Array.from({ length: tenureMonths }, (_, k) => ({
+      kind: 'installment',
+      installment: k + 1,
+      date: (k === 0 ? start : addIstMonths(debitAnchor, k)).toISOString(),
+      amount,
+      status: 'scheduled'
+    }))
+    : [{ kind: 'opening', date: start.toISOString(), amount, status: 'scheduled' }];
+
+  const schedule = [
+    ...openingRows,
+    ...interestRows(start, tenureMonths),
+    { kind: 'maturity', date: maturity.toISOString(), amount: null, status: 'scheduled' }
+  ].sort(byDateAsc);
+
+  const deposit = {
+    product,
+    ...(isRecurring ? { installment: amount } : { principal: amount }),
+    annualRate: annualRate !== undefined ? annualRate : depositRateFor(tenureMonths),
+    tenureMonths,
+    payout: isRecurring ? 'cumulative' : (payout || 'cumulative'),
+    compounding: 'quarterly',
+    startDate: istDay(start),
+    maturityDate: istDay(maturity),
+    linkedAccountId: linked.id,
+    accrued: 0,
+    interestEarned: 0,
+    tdsDeducted: 0,
+    taxYear: null,
+    schedule
+  };
+
+  return {
+    ...productAccount(linked, product, start, rng),
+    deposit: { ...deposit, ...projectDeposit(deposit) }
+  };
+};
+
+// "2025-26" for any date from April 2025 to March 2026 (IST)
+const financialYear = (date) => {
+  const [year, month] = istDay(date).split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// TDS to withhold on `interest`: once the year's interest crosses the
+// threshold, tax is due on all of it, less what was already withheld
+const withholdTax = (deposit, interest, date) => {
+  const year = financialYear(date);
+  const taxYear = deposit.taxYear && deposit.taxYear.year === year ? deposit.taxYear : { year, interest: 0, tds: 0 };
+  const interestSoFar = round2(taxYear.interest + interest);
+  const tds = interestSoFar > TDS_THRESHOLD ? Math.max(Math.round(interestSoFar * TDS_RATE / 100 - taxYear.tds), 0) : 0;
+  deposit.taxYear = { year, interest: interestSoFar, tds: round2(taxYear.tds + tds) };
+  return tds;
+};
+
+const nextEvent = (account) => termsOf(account).schedule.find(row => row.status === 'scheduled') || null;
+
+// Book a transaction on `account` and move its balance
+const post = (account, { type, amount, category, channel = 'INTERNAL', description, date, rng, extra = {} }) => {
+  const { reference, narration } = buildPaymentDetails({ channel, type, description, date, account, rng });
+  account.balance = round2(account.balance + (type === 'debit' ? -amount : amount));
+  account.lastUpdated = date;
+  return {
+    id: rng.uuid(),
+    accountId: account.id,
+    type,
+    amount,
+    description,
+    category,
+    channel,
+    narration,
+    date,
+    status: 'completed',
+    reference,
+    balance_after: account.balance,
+    ...extra
+  };
+};
+
+// Debit the linked account, or record it as failed when `checkFunds` is set
+// and the account can't pay. Returns the transaction.
+const debitLinked = (linked, details, checkFunds) => {
+  const errors = checkFunds
+    ? [...checkCanTransact(linked, 'debit'), ...balances.checkFunds(linked, details.amount)]
+    : [];
+  if (errors.length === 0) return post(linked, { ...details, type: 'debit' });
+
+  const { reference, narration } = buildPaymentDetails({ channel: details.channel || 'INTERNAL', type: 'debit', description: details.description, date: details.date, account: linked, rng: details.rng });
+  return {
+    id: details.rng.uuid(),
+    accountId: linked.id,
+    type: 'debit',
+    amount: details.amount,
+    description: details.description,
+    category: details.category,
+    channel: details.channel || 'INTERNAL',
+    narration,
+    date: details.date,
+    status: 'failed',
+    failureReason: errors.some(error => error.startsWith('Debit of')) ? 'Insufficient funds' : errors[0],
+    reference,
+    balance_after: linked.balance,
+    ...details.extra
+  };
+};
+
+const shortNumber = (account) => String(account.accountNumber).slice(-4);
+
+const postLoanEvent = ({ account, linked, row, rng, checkFunds }) => {
+  const { loan } = account;
+  const label = loan.product.toUpperCase();
+  const link = { loanAccountId: account.id };
+  // Linked-account postings keep the event time; a second apart keeps several
+  // postings on one account in order
+  const seconds = (n) => new Date(new Date(row.date).getTime() + n * 1000).toISOString();
+
+  if (row.kind === 'disbursal') {
+    row.status = 'posted';
+    const transactions = [post(account, { type: 'debit', amount: row.amount, category: 'Loan Disbursement', description: `${label} DISBURSED`, date: seconds(0), rng })];
+    if (loanProducts[loan.product].creditsLinked) {
+      transactions.push(post(linked, { type: 'credit', amount: row.amount, category: 'Loan Disbursement', description: `${label} DISBURSAL A/C ${shortNumber(account)}`, date: seconds(0), rng, extra: link }));
+    }
+    return transactions;
+  }
+
+  const debit = debitLinked(linked, {
+    amount: row.amount,
+    category: 'Loan EMI',
+    channel: 'NACH',
+    description: `${account.bankName} ${loan.product} EMI`,
+    date: seconds(0),
+    rng,
+    extra: { ...link, installment: row.installment }
+  }, checkFunds);
+
+  if (debit.status === 'failed') {
+    Object.assign(row, { status: 'bounced', failureReason: debit.failureReason });
+    return [debit];
+  }
+
+  row.status = 'paid';
+  const transactions = [
+    debit,
+    ...(row.interest > 0 ? [post(account, { type: 'debit', amount: row.interest, category: 'Loan Interest', description: `INTEREST FOR EMI ${row.installment} OF ${loan.tenureMonths}`, date: seconds(0), rng, extra: { installment: row.installment } })] : []),
+    post(account, { type: 'credit', amount: row.amount, category: 'Loan Repayment', description: `EMI ${row.installment} OF ${loan.tenureMonths} RECEIVED`, date: seconds(1), rng, extra: { installment: row.installment } })
+  ];
+
+  // Paid off once the last EMI is in and nothing bounced on the way
+  if (row.installment === loan.tenureMonths && account.balance >= 0) {
+    Object.assign(account, { status: 'Closed', statusReason: 'Loan repaid', closedDate: transactions[transactions.length - 1].date });
+  }
+  return transactions;
+};
+
+const postDepositEvent = ({ account, linked, row, rng, checkFunds }) => {
+  const { deposit } = account;
+  const { short } = depositProducts[deposit.product];
+  const seconds = (n) => new Date(new Date(row.date).getTime() + n * 1000).toISOString();
+  const link = { depositAccountId: account.id };
+
+  if (row.kind === 'opening' || row.kind === 'installment') {
+    const category = deposit.product;
+    const description = row.kind === 'opening'
+      ? `TRF TO ${short} A/C ${shortNumber(account)}`
+      : `${short} INSTALMENT ${row.installment} OF ${deposit.tenureMonths} A/C ${shortNumber(account)}`;
+    const debit = debitLinked(linked, { amount: row.amount, category, description, date: seconds(0), rng, extra: link }, checkFunds);
+
+    if (debit.status === 'failed') {
+      Object.assign(row, { status: 'missed', failureReason: debit.failureReason });
+      return [debit];
+    }
+
+    row.status = 'paid';
+    const credit = post(account, {
+      type: 'credit',
+      amount: row.amount,
+      category,
+      description: row.kind === 'opening' ? `${short} OPENED FROM A/C ${shortNumber(linked)}` : `${short} INSTALMENT ${row.installment} OF ${deposit.tenureMonths}`,
+      date: seconds(0),
+      rng
+    });
+    if (row.kind === 'installment') {
+      deposit.accrued += account.balance * deposit.annualRate / 100 / 12;
+    }
+    return [debit, credit];
+  }
+
+  if (row.kind === 'interest') {
+    const amount = interestDue(deposit, { balance: account.balance, accrued: deposit.accrued }, row);
+    deposit.accrued = 0;
+    row.status = 'posted';
+    row.amount = amount;
+    row.tds = 0;
+    if (amount <= 0) return [];
+
+    // Cumulative deposits keep the interest, quarterly payouts credit the linked account
+    const target = deposit.payout === 'cumulative' ? account : linked;
+    const extra = target === linked ? link : {};
+    const transactions = [post(target, { type: 'credit', amount, category: 'Interest Credit', description: `${short} INTEREST A/C ${shortNumber(account)}`, date: seconds(0), rng, extra })];
+
+    const tds = withholdTax(deposit, amount, row.date);
+    if (tds > 0) {
+      transactions.push(post(target, { type: 'debit', amount: tds, category: 'TDS', description: `TDS ON ${short} INTEREST FY ${deposit.taxYear.year}`, date: seconds(1), rng, extra }));
+    }
+    row.tds = tds;
+    deposit.interestEarned = round2(deposit.interestEarned + amount);
+    deposit.tdsDeducted = round2(deposit.tdsDeducted + tds);
+    return transactions;
+  }
+
+  // Maturity: the whole balance goes back to the linked account
+  const amount = account.balance;
+  row.status = 'posted';
+  row.amount = amount;
+  const transactions = amount > 0
+    ? [
+      post(account, { type: 'debit', amount, category: deposit.product, description: `${short} CLOSED ON MATURITY`, date: seconds(0), rng }),
+      post(linked, { type: 'credit', amount, category: deposit.product, description: `${short} MATURITY PROCEEDS A/C ${shortNumber(account)}`, date: seconds(0), rng, extra: link })
+    ]
+    : [];
+  Object.assign(account, { status: 'Closed', statusReason: 'Matured', closedDate: seconds(0) });
+  return transactions;
+};
+
+// Post the events of `products` (all linked to `linked`) that are due by
+// `until`, oldest first across products. Updates the accounts in place and
+// returns the transactions. With `checkFunds`, debits the linked account
+// can't pay are recorded as failed and the EMI/instalment as bounced/missed.
+const runSchedules = ({ products, linked, until, rng, checkFunds = true }) => {
+  const transactions = [];
+
+  for (;;) {
+    const due = products
+      .map(account => ({ account, row: nextEvent(account) }))
+      .filter(({ row }) => row && new Date(row.date) <= until)
+      .sort((a, b) => new Date(a.row.date) - new Date(b.row.date))[0];
+    if (!due) break;
+
+    const { account, row } = due;
+    const posted = account.loan
+      ? postLoanEvent({ account, linked, row, rng, checkFunds })
+      : postDepositEvent({ account, linked, row, rng, checkFunds });
+    account.availableBalance = account.balance;
+    transactions.push(...posted);
+  }
+
+  linked.availableBalance = balances.availableBalanceFor(linked);
+  return transactions;
+};
+
+// Figures for the schedule route and listings
+const productSummary = (account) => {
+  const next = nextEvent(account);
+  const nextDue = next ? { kind: next.kind, date: next.date, amount: next.amount } : null;
+
+  if (account.loan) {
+    const { loan } = account;
+    const emis = loan.schedule.filter(row => row.kind === 'emi');
+    const paid = emis.filter(row => row.status === 'paid');
+    const bounced = emis.filter(row => row.status === 'bounced');
+    return {
+      product: loan.product,
+      principal: loan.principal,
+      annualRate: loan.annualRate,
+      tenureMonths: loan.tenureMonths,
+      emi: loan.emi,
+      outstandingPrincipal: round2(Math.max(-account.balance, 0)),
+      emisPaid: paid.length,
+      emisBounced: bounced.length,
+      overdueAmount: round2(bounced.reduce((sum, row) => sum + row.amount, 0)),
+      interestPaid: round2(paid.reduce((sum, row) => sum + row.interest, 0)),
+      totalInterest: loan.totalInterest,
+      lastEmiDate: loan.lastEmiDate,
+      nextDue
+    };
+  }
+
+  const { deposit } = account;
+  const installments = deposit.schedule.filter(row => row.kind === 'installment');
+  return {
+    product: deposit.product,
+    ...(deposit.installment !== undefined ? { installment: deposit.installment } : { principal: deposit.principal }),
+    annualRate: deposit.annualRate,
+    tenureMonths: deposit.tenureMonths,
+    payout: deposit.payout,
+    balance: account.balance,
+    interestEarned: deposit.interestEarned,
+    tdsDeducted: deposit.tdsDeducted,
+    ...(installments.length > 0 ? {
+      installmentsPaid: installments.filter(row => row.status === 'paid').length,
+      installmentsMissed: installments.filter(row => row.status === 'missed').length
+    } : {}),
+    maturityDate: deposit.maturityDate,
+    maturityAmount: deposit.maturityAmount,
+    nextDue
+  };
+};
+
+// Loans and deposits for a generated bank account, opened between `from` and
+// `to` (at least a month before `to`) and sized to `monthlyIncome`
+const generateProducts = ({ linked, from, to, monthlyIncome, rng }) => {
+  const latest = to.getTime() - 35 * DAY_MS;
+  if (latest <= from.getTime()) return [];
+
+  const openedAt = () => {
+    const day = istDay(rng.float(from.getTime(), latest));
+    return new Date(new Date(`${day}T00:00:00+05:30`).getTime() + rng.int(10 * 3600, 17 * 3600) * 1000);
+  };
+  const roundTo = (amount, step) => Math.max(Math.round(amount / step) * step, step);
+  const products = [];
+
+  if (rng.chance(0.5)) {
+    const product = rng.pick(LOAN_PRODUCTS);
+    const terms = loanProducts[product];
+    const annualRate = roundTo(rng.float(terms.rate[0], terms.rate[1]), 0.05);
+    const tenureMonths = rng.pick(terms.tenures);
+    // An EMI of 10-35% of income decides how much was borrowed
+    const principal = Math.min(Math.max(principalFor(monthlyIncome * rng.float(0.1, 0.35), annualRate, tenureMonths), terms.principal[0]), terms.principal[1]);
+    products.push(createLoan({ linked, product, principal, annualRate: round2(annualRate), tenureMonths, emiDay: rng.pick([1, 5, 7, 10, 15]), start: openedAt(), rng }));
+  }
+  if (rng.chance(0.5) || products.length === 0) {
+    products.push(createDeposit({ linked, product: FIXED_DEPOSIT, amount: roundTo(monthlyIncome * rng.float(0.5, 4), 5000), tenureMonths: rng.pick([6, 12, 18, 24, 36, 60]), payout: rng.chance(0.3) ? 'quarterly' : 'cumulative', start: openedAt(), rng }));
+  }
+  if (rng.chance(0.4)) {
+    products.push(createDeposit({ linked, product: RECURRING_DEPOSIT, amount: roundTo(monthlyIncome * rng.float(0.03, 0.1), 500), tenureMonths: rng.pick([12, 24, 36, 60]), start: openedAt(), rng }));
+  }
+  return products;
+};
+
+module.exports = {
+  LOAN,
+  FIXED_DEPOSIT,
+  RECURRING_DEPOSIT,
+  LOAN_PRODUCTS,
+  PAYOUTS,
+  loanProducts,
+  depositProducts,
+  depositRates,
+  TDS_RATE,
+  TDS_THRESHOLD,
+  isProduct,
+  linkedAccountIdOf,
+  validateLoanRequest,
+  validateDepositRequest,
+  emiFor,
+  createLoan,
+  createDeposit,
+  nextEvent,
+  runSchedules,
+  productSummary,
+  generateProducts
+};
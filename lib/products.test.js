@@ -0,0 +1,219 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom } = require('./random');
+const products = require('./products');
+
+const linkedAccount = (balance = 10000000) => ({
+  id: 'linked-1',
+  accountNumber: '50100123456789',
+  accountType: 'Savings',
+  bankName: 'HDFC Bank',
+  bankCode: 'HDFC',
+  branchCode: '000123',
+  ifscCode: 'HDFC0000123',
+  accountHolder: { name: 'Asha Pillai', address: { city: 'Kochi' } },
+  balance,
+  availableBalance: balance,
+  overdraftLimit: 0,
+  holds: [],
+  status: 'Active'
+});
+
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+const rowsOf = (account, kind) => (account.loan || account.deposit).schedule.filter(row => row.kind === kind);
+
+// Run a product's whole schedule against `linked`
+const settle = (account, linked, until = new Date('2040-01-01T00:00:00Z')) => products.runSchedules({
+  products: [account],
+  linked,
+  until,
+  rng: createRandom('settle')
+});
+
+describe('emiFor', () => {
+  test('rounds the standard annuity formula to the rupee', () => {
+    // 10 lakh at 12% (1% a month) over a year
+    assert.equal(products.emiFor(1000000, 12, 12), 88849);
+    assert.equal(products.emiFor(2500000, 8.75, 240), 22093);
+  });
+
+  test('splits the principal evenly at 0%', () => {
+    assert.equal(products.emiFor(100000, 0, 12), 8334);
+  });
+});
+
+describe('loan amortization', () => {
+  const loan = products.createLoan({
+    linked: linkedAccount(),
+    product: 'Personal Loan',
+    principal: 500000,
+    annualRate: 12,
+    tenureMonths: 24,
+    emiDay: 5,
+    start: new Date('2025-04-10T06:00:00Z'),
+    rng: createRandom('loan')
+  });
+  const emis = rowsOf(loan, 'emi');
+
+  test('charges a month of interest on what is still owed', () => {
+    assert.equal(emis[0].interest, 5000);
+    emis.slice(1).forEach((row, index) => {
+      assert.equal(row.interest, parseFloat((emis[index].outstanding * 0.01).toFixed(2)));
+    });
+  });
+
+  test('repays exactly the principal, the last EMI clearing the rest', () => {
+    assert.equal(emis.length, 24);
+    assert.equal(Math.round(sum(emis, 'principal') * 100) / 100, 500000);
+    assert.equal(emis[emis.length - 1].outstanding, 0);
+    emis.slice(0, -1).forEach(row => assert.equal(row.amount, loan.loan.emi));
+  });
+
+  test('totals the interest and dates EMIs on emiDay from the next month', () => {
+    assert.equal(loan.loan.totalInterest, Math.round(sum(emis, 'interest') * 100) / 100);
+    assert.equal(emis[0].date, '2025-05-05T01:30:00.000Z');
+    assert.equal(loan.loan.lastEmiDate, '2027-04-05');
+  });
+
+  test('closes the loan once the last EMI is paid', () => {
+    const account = structuredClone(loan);
+    const linked = linkedAccount();
+    settle(account, linked);
+
+    assert.equal(account.status, 'Closed');
+    assert.equal(account.balance, 0);
+    assert.equal(products.productSummary(account).emisPaid, 24);
+  });
+
+  test('bounces an EMI the linked account can\'t pay', () => {
+    // A home loan is paid to the seller, not into the linked account
+    const account = products.createLoan({
+      linked: linkedAccount(),
+      product: 'Home Loan',
+      principal: 2500000,
+      tenureMonths: 240,
+      emiDay: 5,
+      start: new Date('2025-04-10T06:00:00Z'),
+      rng: createRandom('home')
+    });
+    const linked = linkedAccount(0);
+    const transactions = settle(account, linked, new Date('2025-05-06T00:00:00Z'));
+    const emi = transactions.find(t => t.category === 'Loan EMI');
+
+    assert.equal(emi.status, 'failed');
+    assert.equal(emi.failureReason, 'Insufficient funds');
+    assert.equal(rowsOf(account, 'emi')[0].status, 'bounced');
+    assert.equal(linked.balance, 0);
+    assert.equal(products.productSummary(account).overdueAmount, account.loan.emi);
+  });
+});
+
+describe('deposit interest and TDS', () => {
+  const fixedDeposit = (amount, payout = 'cumulative') => products.createDeposit({
+    linked: linkedAccount(),
+    product: products.FIXED_DEPOSIT,
+    amount,
+    annualRate: 7,
+    tenureMonths: 12,
+    payout,
+    start: new Date('2025-04-10T06:00:00Z'),
+    rng: createRandom('fd')
+  });
+
+  test('withholds nothing while the year\'s interest stays under the threshold', () => {
+    const account = fixedDeposit(100000);
+    settle(account, linkedAccount());
+
+    assert.equal(account.deposit.tdsDeducted, 0);
+    assert.ok(account.deposit.interestEarned > 0);
+  });
+
+  test('withholds tax on the whole year\'s interest once it crosses the threshold', () => {
+    const account = fixedDeposit(1000000);
+    settle(account, linkedAccount());
+    const interest = rowsOf(account, 'interest');
+
+    // Quarters end in July, October and January (all FY 2025-26) and April
+    // (FY 2026-27); the tax comes out of the balance that keeps compounding
+    assert.deepEqual(interest.map(row => row.amount), [17500, 17806.25, 18117.86, 18341.44]);
+    assert.deepEqual(interest.map(row => row.tds), [0, 0, 5342, 0]);
+    assert.ok(17500 + 17806.25 < products.TDS_THRESHOLD);
+    assert.equal(account.deposit.taxYear.year, '2026-27');
+  });
+
+  test('tops up the tax on later quarters of the same year', () => {
+    const account = fixedDeposit(10000000, 'quarterly');
+    const linked = linkedAccount();
+    const transactions = settle(account, linked);
+    const tds = transactions.filter(t => t.category === 'TDS');
+
+    // 1,75,000 a quarter on the principal: 10% of the year so far, less what was withheld
+    assert.deepEqual(rowsOf(account, 'interest').map(row => row.amount), [175000, 175000, 175000, 175000]);
+    assert.deepEqual(tds.map(t => t.amount), [17500, 17500, 17500, 17500]);
+    // Paid out to the linked account, so the deposit matures at its principal
+    tds.forEach(t => assert.equal(t.accountId, linked.id));
+    assert.equal(rowsOf(account, 'maturity')[0].amount, 10000000);
+  });
+});
+
+describe('recurring deposits', () => {
+  const recurringDeposit = () => products.createDeposit({
+    linked: linkedAccount(),
+    product: products.RECURRING_DEPOSIT,
+    amount: 1000,
+    annualRate: 6,
+    tenureMonths: 12,
+    start: new Date('2025-04-10T06:00:00Z'),
+    rng: createRandom('rd')
+  });
+
+  test('accrues interest monthly on the instalments paid so far', () => {
+    const account = recurringDeposit();
+    settle(account, linkedAccount(), new Date('2025-07-11T00:00:00Z'));
+
+    // 0.5% a month on 1,000, 2,000 and 3,000
+    assert.equal(rowsOf(account, 'interest')[0].amount, 30);
+    assert.equal(account.balance, 4030);
+  });
+
+  test('matures at the projected amount when every instalment is paid', () => {
+    const account = recurringDeposit();
+    const linked = linkedAccount();
+    const transactions = settle(account, linked);
+    const proceeds = transactions.find(t => t.description.includes('MATURITY PROCEEDS'));
+
+    assert.equal(proceeds.amount, account.deposit.maturityAmount);
+    assert.equal(account.status, 'Closed');
+    assert.equal(account.balance, 0);
+  });
+
+  test('records a missed instalment without moving money', () => {
+    const account = recurringDeposit();
+    const linked = linkedAccount(1500);
+    settle(account, linked, new Date('2025-05-11T00:00:00Z'));
+
+    assert.deepEqual(rowsOf(account, 'installment').slice(0, 2).map(row => row.status), ['paid', 'missed']);
+    assert.equal(linked.balance, 500);
+    assert.equal(account.balance, 1000);
+  });
+});
+
+describe('request validation', () => {
+  test('accepts a loan within the product\'s limits', () => {
+    assert.deepEqual(products.validateLoanRequest({ product: 'Home Loan', principal: 2500000, tenureMonths: 240 }), []);
+  });
+
+  test('names the product\'s limits', () => {
+    assert.deepEqual(products.validateLoanRequest({ product: 'Auto Loan', principal: 50000, tenureMonths: 120, emiDay: 31 }), [
+      'principal must be a whole number between 100000 and 5000000 for a Auto Loan',
+      'tenureMonths must be a whole number between 12 and 84 for a Auto Loan',
+      'emiDay must be a day of the month between 1 and 28'
+    ]);
+  });
+
+  test('only lets fixed deposits pay out quarterly', () => {
+    assert.deepEqual(products.validateDepositRequest({ product: products.RECURRING_DEPOSIT, amount: 1000, tenureMonths: 12, payout: 'quarterly' }), [
+      'A Recurring Deposit only pays out at maturity'
+    ]);
+  });
+});
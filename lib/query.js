@@ -0,0 +1,223 @@
+// Query language for transaction listings: multi-value filters, amount
+// ranges, text search, sorting and pagination (offset or cursor).
+//
+// Cursors hold the sort key of the last item returned, so the next page
+// starts right after it wherever new transactions were inserted meanwhile.
+
+const SORT_FIELDS = ['date', 'amount', 'category'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+const TYPES = ['credit', 'debit'];
+
+// "a,b" or repeated parameters (?x=a&x=b) to a list of trimmed values
+const listParam = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Search terms: words, or "quoted phrases", all matched case-insensitively
+const searchTerms = (text) => (String(text).toLowerCase().match(/"[^"]+"|\S+/g) || [])
+  .map(term => term.replace(/^"|"$/g, '').trim())
+  .filter(Boolean);
+
+const searchableText = (transaction) => [transaction.description, transaction.narration, transaction.reference]
+  .filter(Boolean)
+  .join(' ')
+  .toLowerCase();
+
+const parseAmount = (value, name, errors) => {
+  if (value === undefined || value === '') return null;
+  const amount = Number(value);
+  if (!isFinite(amount) || amount < 0) {
+    errors.push(`${name} must be a non-negative number`);
+    return null;
+  }
+  return amount;
+};
+
+const parseDate = (value, name, errors) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    errors.push(`${name} must be a valid date`);
+    return null;
+  }
+  return date;
+};
+
+// [primary, date, id]; date and id break ties so the order is total
+const sortKey = (transaction, sort) => {
+  const time = new Date(transaction.date).getTime();
+  const primary = sort === 'amount' ? transaction.amount
+    : sort === 'category' ? String(transaction.category || '').toLowerCase()
+      : time;
+  return [primary, time, String(transaction.id)];
+};
+
+const compareKeys = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+};
+
+const encodeCursor = (transaction, { sort, order }) =>
+  Buffer.from(JSON.stringify({ sort, order, key: sortKey(transaction, sort) })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || !Array.isArray(decoded.key) || decoded.key.length !== 3) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validates listing query parameters. Returns { errors, options }; `errors`
+// lists every problem so clients can fix them in one go.
+const parseTransactionQuery = (query = {}) => {
+  const errors = [];
+
+  const types = listParam(query.type);
+  types.filter(type => !TYPES.includes(type))
+    .forEach(type => errors.push(`Unknown type "${type}"; use ${TYPES.join(' or ')}`));
+
+  const minAmount = parseAmount(query.minAmount, 'minAmount', errors);
+  const maxAmount = parseAmount(query.maxAmount, 'maxAmount', errors);
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    errors.push('minAmount must not be greater than maxAmount');
+  }
+
+  const startDate = parseDate(query.startDate, 'startDate', errors);
+  const endDate = parseDate(query.endDate, 'endDate', errors);
+  if (startDate && endDate && startDate > endDate) {
+    errors.push('startDate must not be after endDate');
+  }
+
+  let isFraud = null;
+  if (query.isFraud !== undefined) {
+    if (query.isFraud === 'true' || query.isFraud === 'false') {
+      isFraud = query.isFraud === 'true';
+    } else {
+      errors.push('isFraud must be true or false');
+    }
+  }
+
+  const sort = query.sort === undefined ? 'date' : String(query.sort);
+  if (!SORT_FIELDS.includes(sort)) {
+    errors.push(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = query.order === undefined ? 'desc' : String(query.order).toLowerCase();
+  if (!SORT_ORDERS.includes(order)) {
+    errors.push('order must be asc or desc');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    errors.push('offset must be a non-negative integer');
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push('cursor is invalid');
+    } else if (cursor.sort !== sort || cursor.order !== order) {
+      errors.push(`cursor was issued for sort=${cursor.sort}&order=${cursor.order}; pass the same sort and order`);
+    }
+    if (query.offset !== undefined) {
+      errors.push('Use either cursor or offset, not both');
+    }
+  }
+
+  return {
+    errors,
+    options: {
+      accountIds: listParam(query.accountId),
+      types,
+      categories: listParam(query.category).map(category => category.toLowerCase()),
+      statuses: listParam(query.status),
+      channels: listParam(query.channel).map(channel => channel.toUpperCase()),
+      scenarios: listParam(query.scenario),
+      isFraud,
+      minAmount,
+      maxAmount,
+      startDate,
+      endDate,
+      terms: query.q === undefined ? [] : searchTerms(query.q),
+      sort,
+      order,
+      limit,
+      offset,
+      cursor
+    }
+  };
+};
+
+const matches = (t, options) => {
+  if (options.accountIds.length > 0 && !options.accountIds.includes(t.accountId)) return false;
+  if (options.types.length > 0 && !options.types.includes(t.type)) return false;
+  // Categories match on substrings, e.g. "shop" finds Shopping and Online Shopping
+  if (options.categories.length > 0 && !options.categories.some(category => String(t.category || '').toLowerCase().includes(category))) return false;
+  if (options.statuses.length > 0 && !options.statuses.includes(t.status)) return false;
+  if (options.channels.length > 0 && !options.channels.includes(t.channel)) return false;
+  if (options.scenarios.length > 0 && !options.scenarios.includes(t.scenario)) return false;
+  // Ground-truth labels from anomaly injection (unlabelled transactions count as not fraud)
+  if (options.isFraud !== null && (t.isFraud === true) !== options.isFraud) return false;
+  if (options.minAmount !== null && t.amount < options.minAmount) return false;
+  if (options.maxAmount !== null && t.amount > options.maxAmount) return false;
+  if (options.startDate && new Date(t.date) < options.startDate) return false;
+  if (options.endDate && new Date(t.date) > options.endDate) return false;
+  if (options.terms.length > 0) {
+    const text = searchableText(t);
+    if (!options.terms.every(term => text.includes(term))) return false;
+  }
+  return true;
+};
+
+// Filters, sorts and pages `transactions` with options from parseTransactionQuery
+const queryTransactions = (transactions, options) => {
+  const direction = options.order === 'asc' ? 1 : -1;
+  const sorted = transactions
+    .filter(t => matches(t, options))
+    .map(t => ({ t, key: sortKey(t, options.sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key) * direction);
+
+  const start = options.cursor
+    ? sorted.findIndex(({ key }) => compareKeys(key, options.cursor.key) * direction > 0)
+    : options.offset;
+  const from = start === -1 ? sorted.length : start;
+  const page = sorted.slice(from, from + options.limit).map(({ t }) => t);
+  const hasNext = from + options.limit < sorted.length;
+
+  return {
+    data: page,
+    pagination: {
+      total: sorted.length,
+      limit: options.limit,
+      offset: from,
+      sort: options.sort,
+      order: options.order,
+      hasNext,
+      nextCursor: hasNext ? encodeCursor(page[page.length - 1], options) : null
+    }
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  parseTransactionQuery,
+  queryTransactions
+};
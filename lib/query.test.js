@@ -0,0 +1,126 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTransactionQuery, queryTransactions } = require('./query');
+
+const transaction = (id, day, amount, extra = {}) => ({
+  id,
+  accountId: 'acc-1',
+  type: 'debit',
+  amount,
+  category: 'Shopping',
+  channel: 'UPI',
+  status: 'completed',
+  description: `Payment ${id}`,
+  date: `2026-03-${String(day).padStart(2, '0')}T10:00:00.000Z`,
+  ...extra
+});
+
+const transactions = [
+  transaction('t1', 1, 500),
+  transaction('t2', 2, 1500, { type: 'credit', category: 'Salary', channel: 'NEFT' }),
+  transaction('t3', 2, 250, { category: 'Online Shopping', description: 'Amazon order' }),
+  transaction('t4', 3, 500, { channel: 'CARD', isFraud: true, scenario: 'card_testing' }),
+  transaction('t5', 4, 75, { status: 'failed' }),
+  transaction('t6', 4, 75)
+];
+
+const query = (params, items = transactions) => {
+  const { errors, options } = parseTransactionQuery(params);
+  assert.deepEqual(errors, []);
+  return queryTransactions(items, options);
+};
+
+const ids = (result) => result.data.map(t => t.id);
+
+// Every page of a listing, following nextCursor
+const allPages = (params, items = transactions) => {
+  const pages = [];
+  let cursor;
+  do {
+    const result = query({ ...params, ...(cursor ? { cursor } : {}) }, items);
+    pages.push(ids(result));
+    cursor = result.pagination.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+describe('ordering', () => {
+  test('lists the newest first by default', () => {
+    assert.deepEqual(ids(query({})), ['t6', 't5', 't4', 't3', 't2', 't1']);
+  });
+
+  test('breaks ties on date, then id, so the order is total', () => {
+    assert.deepEqual(ids(query({ sort: 'amount', order: 'asc' })), ['t5', 't6', 't3', 't1', 't4', 't2']);
+    assert.deepEqual(ids(query({ sort: 'amount', order: 'desc' })), ['t2', 't4', 't1', 't3', 't6', 't5']);
+  });
+
+  test('sorts categories case-insensitively', () => {
+    const items = [transaction('a', 1, 1, { category: 'bills' }), transaction('b', 2, 1, { category: 'Atm' })];
+    assert.deepEqual(ids(query({ sort: 'category', order: 'asc' }, items)), ['b', 'a']);
+  });
+});
+
+describe('cursor pagination', () => {
+  test('walks every item exactly once', () => {
+    assert.deepEqual(allPages({ limit: '4' }), [['t6', 't5', 't4', 't3'], ['t2', 't1']]);
+    assert.deepEqual(allPages({ limit: '2', sort: 'amount', order: 'asc' }), [['t5', 't6'], ['t3', 't1'], ['t4', 't2']]);
+  });
+
+  test('carries on after the last item when newer ones arrive', () => {
+    const first = query({ limit: '2' });
+    const newer = [...transactions, transaction('t7', 9, 10)];
+    const next = query({ limit: '2', cursor: first.pagination.nextCursor }, newer);
+
+    assert.deepEqual(ids(next), ['t4', 't3']);
+    assert.equal(next.pagination.offset, 3);
+    assert.equal(next.pagination.total, 7);
+  });
+
+  test('ends with hasNext false and no cursor', () => {
+    const { pagination } = query({ limit: '6' });
+    assert.equal(pagination.hasNext, false);
+    assert.equal(pagination.nextCursor, null);
+  });
+
+  test('rejects a cursor issued for another sort, or with offset', () => {
+    const { nextCursor } = query({ limit: '2' }).pagination;
+    assert.deepEqual(parseTransactionQuery({ cursor: nextCursor, sort: 'amount', offset: '2' }).errors, [
+      'cursor was issued for sort=date&order=desc; pass the same sort and order',
+      'Use either cursor or offset, not both'
+    ]);
+    assert.deepEqual(parseTransactionQuery({ cursor: 'not-a-cursor' }).errors, ['cursor is invalid']);
+  });
+
+  test('pages by offset too', () => {
+    const result = query({ limit: '2', offset: '2' });
+    assert.deepEqual(ids(result), ['t4', 't3']);
+    assert.equal(result.pagination.hasNext, true);
+  });
+});
+
+describe('filters', () => {
+  test('take repeated or comma-separated values, channels in any case', () => {
+    assert.deepEqual(ids(query({ channel: ['neft', 'card'] })), ['t4', 't2']);
+    assert.deepEqual(ids(query({ channel: 'Neft,CARD' })), ['t4', 't2']);
+  });
+
+  test('match categories on substrings', () => {
+    assert.deepEqual(ids(query({ category: 'shop', order: 'asc' })), ['t1', 't3', 't4', 't5', 't6']);
+  });
+
+  test('combine amount ranges, statuses, fraud labels and search terms', () => {
+    assert.deepEqual(ids(query({ minAmount: '100', maxAmount: '500' })), ['t4', 't3', 't1']);
+    assert.deepEqual(ids(query({ status: 'failed' })), ['t5']);
+    assert.deepEqual(ids(query({ isFraud: 'true' })), ['t4']);
+    assert.deepEqual(ids(query({ q: '"amazon order"' })), ['t3']);
+  });
+
+  test('report every problem at once', () => {
+    assert.deepEqual(parseTransactionQuery({ type: 'refund', minAmount: '10', maxAmount: '5', sort: 'name', limit: '0' }).errors, [
+      'Unknown type "refund"; use credit or debit',
+      'minAmount must not be greater than maxAmount',
+      'sort must be one of: date, amount, category',
+      'limit must be between 1 and 1000'
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Seeded random source shared by every generator. Passing the same seed (and
+// reference date) always reproduces the same accounts, transactions and ids.
+
+// Hash any string/number seed into a 32-bit integer (xmur3)
+const hashSeed = (seed) => {
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// Small, fast PRNG with good enough distribution for test data (mulberry32)
+const mulberry32 = (state) => () => {
+  state = (state + 0x6D2B79F5) | 0;
+  let t = Math.imul(state ^ (state >>> 15), 1 | state);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const ALPHANUMERIC = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// "Now" for seeded runs without `asOf`. It never moves, so a seed gives the
+// same dates (and balances and ids) whatever day it is run on.
+const SEEDED_EPOCH = '2025-01-01T00:00:00.000Z';
+
+// Create a random source. Without a seed it wraps Math.random and the live
+// clock; with a seed it is fully deterministic and "now" is pinned to `asOf`
+// (default: SEEDED_EPOCH) so generated dates are stable too.
+const createRandom = (seed = null, { asOf = null } = {}) => {
+  const seeded = seed !== null && seed !== undefined && seed !== '';
+  const next = seeded ? mulberry32(hashSeed(seed)) : Math.random;
+
+  let reference = null;
+  if (asOf) {
+    reference = new Date(asOf);
+    if (isNaN(reference.getTime())) {
+      throw new Error(`Invalid asOf date: ${asOf}`);
+    }
+  } else if (seeded) {
+    reference = new Date(SEEDED_EPOCH);
+  }
+
+  const rng = {
+    seed: seeded ? seed : null,
+    seeded,
+    next,
+    now: () => (reference ? new Date(reference) : new Date()),
+    float: (min = 0, max = 1) => next() * (max - min) + min,
+    // Integer in [min, max] inclusive
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    chance: (probability) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    digits: (length) => {
+      let out = '';
+      for (let i = 0; i < length; i++) {
+        out += Math.floor(next() * 10);
+      }
+      return out;
+    },
+    alphanumeric: (length) => {
+      let out = '';
+      for (let i = 0; i < length; i++) {
+        out += ALPHANUMERIC[Math.floor(next() * ALPHANUMERIC.length)];
+      }
+      return out;
+    },
+    uuid: () => {
+      if (!seeded) return uuidv4();
+      const bytes = new Array(16);
+      for (let i = 0; i < 16; i++) {
+        bytes[i] = Math.floor(next() * 256);
+      }
+      return uuidv4({ random: bytes });
+    },
+    // Independent source for an optional extra step, so turning the step on
+    // doesn't change anything else a seeded run generates
+    fork: (label) => createRandom(seeded ? `${seed}:${label}` : null, { asOf: reference })
+  };
+
+  return rng;
+};
+
+// Shared unseeded source for request handlers that don't need reproducibility
+const defaultRandom = createRandom();
+
+module.exports = {
+  SEEDED_EPOCH,
+  createRandom,
+  defaultRandom,
+  hashSeed
+};
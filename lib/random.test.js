@@ -0,0 +1,27 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom, SEEDED_EPOCH } = require('./random');
+
+const draw = (rng) => [rng.uuid(), rng.digits(12), rng.float(10, 5000), rng.now().toISOString()];
+
+describe('createRandom', () => {
+  test('repeats everything for the same seed', () => {
+    assert.deepEqual(draw(createRandom('fixtures-v1')), draw(createRandom('fixtures-v1')));
+    assert.notDeepEqual(draw(createRandom('fixtures-v1')), draw(createRandom('fixtures-v2')));
+  });
+
+  test('pins a seeded "now" to a fixed date, whatever the day', () => {
+    assert.equal(createRandom(42).now().toISOString(), SEEDED_EPOCH);
+    assert.equal(createRandom(42, { asOf: '2026-06-30' }).now().toISOString(), '2026-06-30T00:00:00.000Z');
+  });
+
+  test('follows the live clock without a seed', () => {
+    const rng = createRandom();
+    assert.equal(rng.seeded, false);
+    assert.ok(Math.abs(rng.now().getTime() - Date.now()) < 1000);
+  });
+
+  test('rejects an invalid asOf', () => {
+    assert.throws(() => createRandom('x', { asOf: 'someday' }), /Invalid asOf date: someday/);
+  });
+});
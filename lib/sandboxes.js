@@ -0,0 +1,176 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Named sandboxes: isolated datasets, each with its own store, virtual clock,
+// webhooks, jobs and consents, so parallel test runs don't see each other's
+// data. A request picks its sandbox with the X-Sandbox header or the
+// /sandboxes/:name/api/... prefix; without either it works on the default
+// sandbox, which holds the startup dataset.
+//
+// Routes keep using module-level `store`, `clock`, ... objects: `scoped(key)`
+// forwards them to the sandbox of the request being handled, which
+// AsyncLocalStorage carries through awaits, timers and background jobs.
+//
+// Sandboxes other than the default live in memory and are deleted once they
+// have been idle for their TTL.
+
+const DEFAULT_SANDBOX = 'default';
+const SANDBOX_HEADER = 'X-Sandbox';
+const SANDBOX_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const MAX_TTL_MINUTES = 7 * 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+const isDefault = (sandbox) => sandbox.name === DEFAULT_SANDBOX;
+
+// Problems with a new sandbox body (the generation request in `data` is checked by the caller)
+const validateSandboxRequest = ({ name, description, ttlMinutes, data } = {}) => {
+  const errors = [];
+
+  if (typeof name !== 'string' || !SANDBOX_NAME_PATTERN.test(name)) {
+    errors.push('name must be 1-63 lowercase letters, digits or hyphens, starting with a letter or digit');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (ttlMinutes !== undefined && !(Number.isInteger(ttlMinutes) && ttlMinutes >= 1 && ttlMinutes <= MAX_TTL_MINUTES)) {
+    errors.push(`ttlMinutes must be an integer between 1 and ${MAX_TTL_MINUTES}`);
+  }
+  if (data !== undefined && (typeof data !== 'object' || data === null || Array.isArray(data))) {
+    errors.push('data must be a generation request (the POST /api/generate-data body)');
+  }
+  return errors;
+};
+
+class SandboxRegistry {
+  // `createState(name, kept)` builds a sandbox's store, clock, ... (reusing the
+  // store and webhooks in `kept`); `disposeState(state, { deleted })` stops
+  // whatever it has running when the sandbox is reset or deleted
+  constructor({ createState, disposeState = () => {}, maxSandboxes = 20, ttlMinutes = 24 * 60 }) {
+    this.createState = createState;
+    this.disposeState = disposeState;
+    this.maxSandboxes = maxSandboxes;
+    this.ttlMinutes = ttlMinutes;
+    this.sandboxes = new Map();
+    this.context = new AsyncLocalStorage();
+
+    const now = new Date().toISOString();
+    this.sandboxes.set(DEFAULT_SANDBOX, {
+      name: DEFAULT_SANDBOX,
+      description: 'Startup dataset',
+      clientId: null,
+      data: null,
+      ttlMinutes: null,
+      createdAt: now,
+      resetAt: null,
+      lastUsedAt: now,
+      state: createState(DEFAULT_SANDBOX)
+    });
+  }
+
+  list() {
+    this.expire();
+    return [...this.sandboxes.values()];
+  }
+
+  get(name) {
+    this.expire();
+    return this.sandboxes.get(name) || null;
+  }
+
+  // Throws with `status` 409 for a taken name and 422 once `maxSandboxes` exist
+  create(name, { description = null, clientId = null, ttlMinutes = this.ttlMinutes, data = null } = {}) {
+    if (this.get(name)) {
+      throw Object.assign(new Error(`Sandbox "${name}" already exists`), { status: 409 });
+    }
+    if (this.sandboxes.size >= this.maxSandboxes) {
+      throw Object.assign(new Error(`At most ${this.maxSandboxes} sandboxes can exist at once`), {
+        status: 422,
+        details: ['Delete a sandbox, or wait for idle ones to expire']
+      });
+    }
+
+    const now = new Date().toISOString();
+    const sandbox = {
+      name,
+      description,
+      clientId,
+      data,
+      ttlMinutes,
+      createdAt: now,
+      resetAt: null,
+      lastUsedAt: now,
+      state: this.createState(name)
+    };
+    this.sandboxes.set(name, sandbox);
+    return sandbox;
+  }
+
+  touch(sandbox) {
+    sandbox.lastUsedAt = new Date().toISOString();
+    return sandbox;
+  }
+
+  // An empty dataset (which also resets the clock) and no jobs or consents;
+  // webhook subscriptions stay
+  reset(sandbox) {
+    const { store, webhooks } = sandbox.state;
+    this.disposeState(sandbox.state, { deleted: false });
+    store.replaceAll({ accounts: [], transactions: [], meta: {} });
+    Object.assign(sandbox, {
+      state: this.createState(sandbox.name, { store, webhooks }),
+      resetAt: new Date().toISOString()
+    });
+    return this.touch(sandbox);
+  }
+
+  delete(name) {
+    const sandbox = this.sandboxes.get(name);
+    if (!sandbox || isDefault(sandbox)) return null;
+
+    this.disposeState(sandbox.state, { deleted: true });
+    this.sandboxes.delete(name);
+    return sandbox;
+  }
+
+  expiresAt(sandbox) {
+    return sandbox.ttlMinutes ? new Date(new Date(sandbox.lastUsedAt).getTime() + sandbox.ttlMinutes * MINUTE_MS) : null;
+  }
+
+  expire(now = new Date()) {
+    [...this.sandboxes.values()]
+      .filter(sandbox => !isDefault(sandbox) && this.expiresAt(sandbox) && this.expiresAt(sandbox) <= now)
+      .forEach(sandbox => {
+        console.log(`🧹 Sandbox "${sandbox.name}" expired after ${sandbox.ttlMinutes} idle minutes`);
+        this.delete(sandbox.name);
+      });
+  }
+
+  // Run `fn` (and everything it starts) against `sandbox`
+  run(sandbox, fn) {
+    return this.context.run(sandbox, fn);
+  }
+
+  current() {
+    return this.context.getStore() || this.sandboxes.get(DEFAULT_SANDBOX);
+  }
+
+  // Stand-in for `state[key]` of the current sandbox; methods are bound to the real object
+  scoped(key) {
+    return new Proxy({}, {
+      get: (target, property) => {
+        const object = this.current().state[key];
+        const value = object[property];
+        return typeof value === 'function' ? value.bind(object) : value;
+      }
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_SANDBOX,
+  SANDBOX_HEADER,
+  SANDBOX_NAME_PATTERN,
+  MAX_TTL_MINUTES,
+  isDefault,
+  validateSandboxRequest,
+  SandboxRegistry
+};
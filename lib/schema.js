@@ -0,0 +1,184 @@
+// Checks values against the JSON Schema subset the OpenAPI document uses:
+// $ref, type (with nullable), enum, minimum/maximum (exclusiveMinimum as in
+// OpenAPI 3.0), minLength/maxLength, pattern, format, required, properties,
+// additionalProperties: false, items, minItems/maxItems, allOf and anyOf.
+// minLength doesn't count surrounding whitespace, so "  " is empty. A pattern
+// can carry `x-expected` to describe what it accepts in problems.
+//
+// Problems read like the route validators' own: "amount must be a number",
+// "accountHolder.name is required".
+
+const typeNames = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list'
+};
+
+const isType = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+// Dates are accepted in any form Date understands, as the routes do
+const formats = {
+  date: value => !isNaN(new Date(value).getTime()),
+  'date-time': value => !isNaN(new Date(value).getTime()),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+const formatNames = {
+  date: 'a valid date',
+  'date-time': 'a valid date',
+  email: 'a valid email address',
+  uri: 'an http or https URL'
+};
+
+// "#/components/schemas/Account" in `root`
+const resolve = (schema, root) => {
+  if (!schema || !schema.$ref) return schema;
+  const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+  if (!target) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  return resolve(target, root);
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+const rangeError = (schema, value, name) => {
+  const { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = schema;
+  const low = minimum !== undefined && (exclusiveMinimum ? value <= minimum : value < minimum);
+  const high = maximum !== undefined && (exclusiveMaximum ? value >= maximum : value > maximum);
+  if (!low && !high) return null;
+
+  if (minimum !== undefined && maximum !== undefined && !exclusiveMinimum && !exclusiveMaximum) {
+    return `${name} must be between ${minimum} and ${maximum}`;
+  }
+  if (low) return exclusiveMinimum ? `${name} must be greater than ${minimum}` : `${name} must be ${minimum} or more`;
+  return exclusiveMaximum ? `${name} must be less than ${maximum}` : `${name} must be ${maximum} or less`;
+};
+
+// Problems with `value` under `schema` (empty when it conforms). `path` names
+// the value in messages; `root` is the document $refs point into.
+const validate = (schema, value, { root = {}, path = '' } = {}) => {
+  schema = resolve(schema, root);
+  const name = path || 'body';
+  if (!schema) return [];
+  if (value === null) return schema.nullable ? [] : [`${name} must not be null`];
+
+  if (schema.allOf) {
+    return schema.allOf.flatMap(part => validate(part, value, { root, path }));
+  }
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(option => validate(option, value, { root, path }));
+    if (results.some(errors => errors.length === 0)) return [];
+
+    // Options of the value's type say the most about what went wrong
+    const options = schema.anyOf.map(option => resolve(option, root));
+    const typed = results.filter((errors, index) => !options[index].type || isType[options[index].type](value));
+    if (typed.length) return typed.reduce((best, errors) => (errors.length < best.length ? errors : best));
+    return [`${name} must be ${options.map(option => typeNames[option.type]).join(' or ')}`];
+  }
+
+  if (schema.type && !isType[schema.type](value)) {
+    return [`${name} must be ${typeNames[schema.type]}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${name} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'number') {
+    const error = rangeError(schema, value, name);
+    if (error) errors.push(error);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${name} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(schema['x-expected'] ? `${name} must be ${schema['x-expected']}` : `${name} must match ${schema.pattern}`);
+    }
+    if (schema.format && formats[schema.format] && !formats[schema.format](value)) {
+      errors.push(`${name} must be ${formatNames[schema.format]}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(schema.minItems === 1 ? `${name} must not be empty` : `${name} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${name} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, { root, path: `${name}[${index}]` })));
+    }
+  }
+
+  if (isType.object(value)) {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${join(path, key)} is required`));
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (item === undefined) return;
+      if (schema.properties && schema.properties[key]) {
+        errors.push(...validate(schema.properties[key], item, { root, path: join(path, key) }));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${join(path, key)} is not a known field`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Query parameters arrive as strings (or lists of them): convert them to what
+// `schema` expects so they can be validated. Lists may be repeated
+// parameters or comma-separated. Values that don't convert are left as they
+// are for validate() to report.
+const coerce = (schema, value, root = {}) => {
+  schema = resolve(schema, root);
+  if (!schema || value === undefined) return value;
+
+  if (schema.type === 'array') {
+    return (Array.isArray(value) ? value : [value])
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(Boolean)
+      .map(item => coerce(schema.items, item, root));
+  }
+  if (Array.isArray(value) || typeof value !== 'string') return value;
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    return value.trim() !== '' && isFinite(Number(value)) ? Number(value) : value;
+  }
+  if (schema.type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  return value;
+};
+
+module.exports = {
+  resolve,
+  validate,
+  coerce
+};
@@ -0,0 +1,102 @@
+const balances = require('./balances');
+const { DAY_MS, round2, byDateAsc, istDay, endOfIstDay } = require('./dates');
+const { runSchedules } = require('./products');
+
+// Time simulation: what happens to the dataset while the virtual clock is
+// advanced. Activity is generated by the same persona timelines as the
+// history (see lib/timeline.js and lib/cards.js) and posted here the way it
+// would be live, so a debit the account can't cover fails instead of
+// overdrawing it.
+
+const MAX_SIMULATION_DAYS = 366;
+
+// Pending transactions clear after a day; a few are rejected instead
+const PENDING_SETTLE_MS = DAY_MS;
+const PENDING_FAILURE_RATE = 0.05;
+const pendingFailureReasons = ['Declined by beneficiary bank', 'Timed out at beneficiary bank', 'Reversed by bank'];
+
+const validateSimulationRequest = ({ days } = {}) => {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SIMULATION_DAYS) {
+    return [`days must be an integer between 1 and ${MAX_SIMULATION_DAYS}`];
+  }
+  return [];
+};
+
+// Outcome for each pending transaction that has had a day to clear by `now`:
+// { transaction, status, failureReason }. `canFail(t)` says whether it may be
+// rejected.
+const settlePending = (transactions, { now, rng, canFail = () => true }) => transactions
+  .filter(t => t.status === 'pending' && now - new Date(t.date) >= PENDING_SETTLE_MS)
+  .sort(byDateAsc)
+  .map(transaction => (canFail(transaction) && rng.chance(PENDING_FAILURE_RATE)
+    ? { transaction, status: 'failed', failureReason: rng.pick(pendingFailureReasons) }
+    : { transaction, status: 'completed', failureReason: null }));
+
+// Scheduled activity falls on fixed days at random times, so a period that
+// starts mid-day is generated from the start of that IST day. Of what lands
+// before `from`, anything the account already has that day (same category and
+// description) is dropped and the rest is moved to after `from`.
+const continueActivity = (activity, { history, from, to, rng }) => {
+  const day = istDay(from);
+  const postedThatDay = new Set(history
+    .filter(t => istDay(t.date) === day)
+    .map(t => `${t.category}|${t.description}`));
+  const dayLeft = Math.min(endOfIstDay(day).getTime(), to.getTime()) - from.getTime();
+
+  return activity
+    .filter(t => new Date(t.date) > from || !postedThatDay.has(`${t.category}|${t.description}`))
+    .map(t => (new Date(t.date) > from
+      ? t
+      : { ...t, date: new Date(from.getTime() + rng.float(0, dayLeft)).toISOString() }));
+};
+
+// The persona for a period starting at `from`: prepaid plans renew an interval
+// after the last recharge in `history`, not at a random point in the period
+const continuePersona = (persona, { history, from }) => {
+  const lastRecharge = history
+    .filter(t => t.category === 'Mobile Recharge' && t.status !== 'failed')
+    .reduce((latest, t) => Math.max(latest, new Date(t.date).getTime()), -Infinity);
+  if (!Number.isFinite(lastRecharge)) return persona;
+
+  const { recharge } = persona;
+  const dueIn = (lastRecharge + recharge.intervalDays * DAY_MS - from.getTime()) / DAY_MS;
+  return { ...persona, recharge: { ...recharge, anchor: Math.max(dueIn, 0) } };
+};
+
+// Post generated `activity` on a bank account in date order, with the loan
+// and deposit events falling due in between, up to `until`. Funds are checked
+// as they go: a debit the account can't cover is recorded as failed and an
+// EMI or instalment bounces. Updates `account` and `products` in place and
+// returns the transactions.
+const postActivity = ({ account, activity, products = [], until, rng }) => {
+  const transactions = [];
+  const settleProducts = (date) => transactions.push(...runSchedules({ products, linked: account, until: date, rng }));
+
+  [...activity].sort(byDateAsc).forEach(transaction => {
+    // Product events at the same moment come after it
+    settleProducts(new Date(new Date(transaction.date).getTime() - 1));
+
+    const errors = transaction.type === 'debit' ? balances.checkFunds(account, transaction.amount) : [];
+    if (errors.length > 0) {
+      transactions.push({ ...transaction, status: 'failed', failureReason: 'Insufficient funds', balance_after: account.balance });
+      return;
+    }
+
+    account.balance = round2(account.balance + (transaction.type === 'debit' ? -transaction.amount : transaction.amount));
+    transactions.push({ ...transaction, balance_after: account.balance });
+  });
+  settleProducts(until);
+
+  account.availableBalance = balances.availableBalanceFor(account);
+  return transactions;
+};
+
+module.exports = {
+  MAX_SIMULATION_DAYS,
+  PENDING_FAILURE_RATE,
+  validateSimulationRequest,
+  settlePending,
+  continueActivity,
+  continuePersona,
+  postActivity
+};
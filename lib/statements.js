@@ -0,0 +1,283 @@
+const { round2, byDateAsc, toIST } = require('./dates');
+
+// Bank statement renderers (CSV, OFX/QFX and fixed-width passbook text) for a
+// single account over a date range. Dates are printed in Indian Standard Time.
+
+const inrFormatter = new Intl.NumberFormat('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatINR = (amount) => inrFormatter.format(amount);
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const formatDate = (date) => {
+  const ist = toIST(date);
+  return `${pad2(ist.getUTCDate())}/${pad2(ist.getUTCMonth() + 1)}/${ist.getUTCFullYear()}`;
+};
+
+const formatOfxDate = (date) => {
+  const ist = toIST(date);
+  return `${ist.getUTCFullYear()}${pad2(ist.getUTCMonth() + 1)}${pad2(ist.getUTCDate())}` +
+    `${pad2(ist.getUTCHours())}${pad2(ist.getUTCMinutes())}${pad2(ist.getUTCSeconds())}[+5.30:IST]`;
+};
+
+const maskAccountNumber = (accountNumber) => {
+  const value = String(accountNumber);
+  return `${'X'.repeat(Math.max(value.length - 4, 0))}${value.slice(-4)}`;
+};
+
+const signedAmount = (transaction) => (transaction.type === 'debit' ? -transaction.amount : transaction.amount);
+
+// Work out the opening/closing balances and the transactions inside [from, to].
+// Failed transactions never reached the ledger, so they are left out.
+const buildStatement = (account, accountTransactions, { from, to }) => {
+  const ordered = accountTransactions.filter(t => t.status !== 'failed').sort(byDateAsc);
+  const inRange = ordered.filter(t => new Date(t.date) >= from && new Date(t.date) <= to);
+  const before = ordered.filter(t => new Date(t.date) < from);
+  const after = ordered.filter(t => new Date(t.date) > to);
+
+  let openingBalance;
+  if (inRange.length > 0) {
+    openingBalance = inRange[0].balance_after - signedAmount(inRange[0]);
+  } else if (before.length > 0) {
+    openingBalance = before[before.length - 1].balance_after;
+  } else if (after.length > 0) {
+    openingBalance = after[0].balance_after - signedAmount(after[0]);
+  } else {
+    openingBalance = account.balance;
+  }
+
+  const closingBalance = inRange.length > 0
+    ? inRange[inRange.length - 1].balance_after
+    : openingBalance;
+
+  const totalDebit = inRange.filter(t => t.type === 'debit').reduce((sum, t) => sum + t.amount, 0);
+  const totalCredit = inRange.filter(t => t.type === 'credit').reduce((sum, t) => sum + t.amount, 0);
+
+  return {
+    account,
+    from,
+    to,
+    generatedAt: new Date(),
+    transactions: inRange,
+    openingBalance: round2(openingBalance),
+    closingBalance: round2(closingBalance),
+    totalDebit: round2(totalDebit),
+    totalCredit: round2(totalCredit),
+    maskedAccountNumber: maskAccountNumber(account.accountNumber)
+  };
+};
+
+// CSV
+const csvEscape = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvEscape).join(',');
+
+const renderCsv = (statement) => {
+  const { account } = statement;
+  const lines = [
+    csvRow(['Bank Name', account.bankName]),
+    csvRow(['Account Holder', account.accountHolder.name]),
+    csvRow(['Account Number', statement.maskedAccountNumber]),
+    csvRow(['Account Type', account.accountType]),
+    csvRow(['IFSC', account.ifscCode]),
+    csvRow(['Currency', account.currency]),
+    csvRow(['Statement Period', `${formatDate(statement.from)} to ${formatDate(statement.to)}`]),
+    '',
+    csvRow(['Txn Date', 'Value Date', 'Description', 'Ref No./Cheque No.', 'Debit', 'Credit', 'Balance']),
+    csvRow(['', '', 'Opening Balance', '', '', '', statement.openingBalance.toFixed(2)])
+  ];
+
+  statement.transactions.forEach(t => {
+    lines.push(csvRow([
+      formatDate(t.date),
+      formatDate(t.date),
+      t.narration || t.description,
+      t.reference,
+      t.type === 'debit' ? t.amount.toFixed(2) : '',
+      t.type === 'credit' ? t.amount.toFixed(2) : '',
+      t.balance_after.toFixed(2)
+    ]));
+  });
+
+  lines.push(csvRow(['', '', 'Closing Balance', '', statement.totalDebit.toFixed(2), statement.totalCredit.toFixed(2), statement.closingBalance.toFixed(2)]));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// OFX 1.0.2 (SGML) / QFX
+const ofxAccountTypes = {
+  Savings: 'SAVINGS',
+  Salary: 'SAVINGS',
+  Current: 'CHECKING',
+  Loan: 'CREDITLINE',
+  'Fixed Deposit': 'CD',
+  'Recurring Deposit': 'CD'
+};
+
+// OFX 1.0.2 limits NAME to 32 characters and MEMO to 255
+const ofxText = (value, length = 32) => String(value)
+  .slice(0, length)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const renderOfx = (statement, { quicken = false } = {}) => {
+  const { account } = statement;
+  const now = formatOfxDate(statement.generatedAt);
+
+  const header = [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    ''
+  ];
+
+  const transactionsXml = statement.transactions.map(t => [
+    '<STMTTRN>',
+    `<TRNTYPE>${t.type === 'debit' ? 'DEBIT' : 'CREDIT'}`,
+    `<DTPOSTED>${formatOfxDate(t.date)}`,
+    `<TRNAMT>${signedAmount(t).toFixed(2)}`,
+    `<FITID>${t.id}`,
+    `<REFNUM>${ofxText(t.reference)}`,
+    `<NAME>${ofxText(t.description)}`,
+    `<MEMO>${ofxText(t.narration || t.category, 255)}`,
+    '</STMTTRN>'
+  ].join('\r\n'));
+
+  const body = [
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS>',
+    '<CODE>0',
+    '<SEVERITY>INFO',
+    '</STATUS>',
+    `<DTSERVER>${now}`,
+    '<LANGUAGE>ENG',
+    ...(quicken ? ['<FI>', `<ORG>${ofxText(account.bankName)}`, `<FID>${account.bankCode}`, '</FI>', `<INTU.BID>${account.bankCode}`] : []),
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    '<STMTTRNRS>',
+    `<TRNUID>${account.id}`,
+    '<STATUS>',
+    '<CODE>0',
+    '<SEVERITY>INFO',
+    '</STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${account.currency}`,
+    '<BANKACCTFROM>',
+    `<BANKID>${account.ifscCode}`,
+    `<BRANCHID>${account.branchCode}`,
+    `<ACCTID>${statement.maskedAccountNumber}`,
+    `<ACCTTYPE>${ofxAccountTypes[account.accountType] || 'SAVINGS'}`,
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${formatOfxDate(statement.from)}`,
+    `<DTEND>${formatOfxDate(statement.to)}`,
+    ...transactionsXml,
+    '</BANKTRANLIST>',
+    '<LEDGERBAL>',
+    `<BALAMT>${statement.closingBalance.toFixed(2)}`,
+    `<DTASOF>${formatOfxDate(statement.to)}`,
+    '</LEDGERBAL>',
+    '</STMTRS>',
+    '</STMTTRNRS>',
+    '</BANKMSGSRSV1>',
+    '</OFX>'
+  ];
+
+  return `${header.join('\r\n')}\r\n${body.join('\r\n')}\r\n`;
+};
+
+// Fixed-width passbook layout as printed by Indian bank branches
+const PASSBOOK_COLUMNS = [
+  { title: 'Date', width: 10 },
+  { title: 'Particulars', width: 40 },
+  { title: 'Ref No.', width: 22 },
+  { title: 'Withdrawals', width: 15, right: true },
+  { title: 'Deposits', width: 15, right: true },
+  { title: 'Balance', width: 16, right: true }
+];
+
+const PASSBOOK_WIDTH = PASSBOOK_COLUMNS.reduce((sum, col) => sum + col.width, 0) + PASSBOOK_COLUMNS.length - 1;
+
+const fit = (value, width, right = false) => {
+  const text = String(value).slice(0, width);
+  return right ? text.padStart(width) : text.padEnd(width);
+};
+
+const passbookRow = (values) => PASSBOOK_COLUMNS
+  .map((col, i) => fit(values[i] || '', col.width, col.right))
+  .join(' ')
+  .trimEnd();
+
+const center = (text) => text.padStart(Math.floor((PASSBOOK_WIDTH + text.length) / 2));
+
+const renderPassbook = (statement) => {
+  const { account } = statement;
+  const rule = '-'.repeat(PASSBOOK_WIDTH);
+  const lines = [
+    center(account.bankName.toUpperCase()),
+    center('STATEMENT OF ACCOUNT'),
+    '',
+    `Account Holder : ${account.accountHolder.name}`,
+    `Account Number : ${statement.maskedAccountNumber}`,
+    `Account Type   : ${account.accountType}`,
+    `IFSC           : ${account.ifscCode}`,
+    `Branch Code    : ${account.branchCode}`,
+    `Currency       : ${account.currency}`,
+    `Period         : ${formatDate(statement.from)} to ${formatDate(statement.to)}`,
+    rule,
+    passbookRow(PASSBOOK_COLUMNS.map(col => col.title)),
+    rule,
+    passbookRow([formatDate(statement.from), 'OPENING BALANCE', '', '', '', formatINR(statement.openingBalance)])
+  ];
+
+  statement.transactions.forEach(t => {
+    lines.push(passbookRow([
+      formatDate(t.date),
+      t.narration || t.description,
+      t.reference,
+      t.type === 'debit' ? formatINR(t.amount) : '',
+      t.type === 'credit' ? formatINR(t.amount) : '',
+      formatINR(t.balance_after)
+    ]));
+  });
+
+  lines.push(
+    rule,
+    passbookRow(['', 'TOTAL', '', formatINR(statement.totalDebit), formatINR(statement.totalCredit), '']),
+    passbookRow([formatDate(statement.to), 'CLOSING BALANCE', '', '', '', formatINR(statement.closingBalance)]),
+    rule,
+    `Generated on ${formatDate(statement.generatedAt)}. This is a computer generated statement and does not require a signature.`
+  );
+
+  return `${lines.join('\n')}\n`;
+};
+
+const statementFormats = {
+  csv: { extension: 'csv', contentType: 'text/csv', render: renderCsv },
+  ofx: { extension: 'ofx', contentType: 'application/x-ofx', render: renderOfx },
+  qfx: { extension: 'qfx', contentType: 'application/vnd.intu.qfx', render: s => renderOfx(s, { quicken: true }) },
+  txt: { extension: 'txt', contentType: 'text/plain', render: renderPassbook }
+};
+
+module.exports = {
+  buildStatement,
+  statementFormats,
+  csvRow,
+  maskAccountNumber,
+  formatINR
+};
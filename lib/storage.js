@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage backends for accounts and transactions. Every backend exposes the
+// same synchronous interface so routes don't care where the data lives.
+// Transactions are kept newest first, matching what the API returns.
+// `meta` holds facts about the dataset as a whole (e.g. the seeds it was
+// generated from) for export manifests.
+
+const byDateDesc = (a, b) => new Date(b.date) - new Date(a.date);
+
+class MemoryStore {
+  constructor() {
+    this.driver = 'memory';
+    this.accounts = [];
+    this.transactions = [];
+    this.meta = {};
+  }
+
+  // Accounts
+  listAccounts() {
+    return this.accounts;
+  }
+
+  getAccount(id) {
+    return this.accounts.find(acc => acc.id === id) || null;
+  }
+
+  addAccount(account) {
+    this.accounts.push(account);
+    this.save();
+    return account;
+  }
+
+  updateAccount(id, changes) {
+    const account = this.getAccount(id);
+    if (!account) return null;
+    Object.assign(account, changes);
+    this.save();
+    return account;
+  }
+
+  removeAccount(id) {
+    const index = this.accounts.findIndex(acc => acc.id === id);
+    if (index === -1) return null;
+    const [account] = this.accounts.splice(index, 1);
+    this.save();
+    return account;
+  }
+
+  // Transactions
+  listTransactions() {
+    return this.transactions;
+  }
+
+  getTransaction(id) {
+    return this.transactions.find(t => t.id === id) || null;
+  }
+
+  // A single new transaction is always the most recent one
+  addTransaction(transaction) {
+    this.transactions.unshift(transaction);
+    this.save();
+    return transaction;
+  }
+
+  // Bulk insert (e.g. generated history) keeps the list sorted newest first
+  addTransactions(transactions) {
+    this.transactions.push(...transactions);
+    this.transactions.sort(byDateDesc);
+    this.save();
+    return transactions;
+  }
+
+  updateTransaction(id, changes) {
+    const transaction = this.getTransaction(id);
+    if (!transaction) return null;
+    Object.assign(transaction, changes);
+    this.save();
+    return transaction;
+  }
+
+  removeTransactions(predicate) {
+    const before = this.transactions.length;
+    this.transactions = this.transactions.filter(t => !predicate(t));
+    const removed = before - this.transactions.length;
+    if (removed > 0) this.save();
+    return removed;
+  }
+
+  // Run several changes as one unit: saved once at the end, and rolled back
+  // if `fn` throws so a half-applied change is never persisted. Accounts are
+  // copied deeply, as changes edit their nested state (card statements,
+  // holds, loan and deposit schedules) in place; transactions only ever get
+  // whole fields replaced, so a shallow copy of each will do.
+  batch(fn) {
+    if (this.batching) return fn();
+
+    const snapshot = {
+      accounts: structuredClone(this.accounts),
+      transactions: this.transactions.map(t => ({ ...t })),
+      meta: structuredClone(this.meta)
+    };
+    this.batching = true;
+    try {
+      const result = fn();
+      this.batching = false;
+      this.save();
+      return result;
+    } catch (error) {
+      this.batching = false;
+      this.accounts = snapshot.accounts;
+      this.transactions = snapshot.transactions;
+      this.meta = snapshot.meta;
+      throw error;
+    }
+  }
+
+  // Whole dataset
+  isEmpty() {
+    return this.accounts.length === 0 && this.transactions.length === 0;
+  }
+
+  getMeta() {
+    return this.meta;
+  }
+
+  updateMeta(changes) {
+    Object.assign(this.meta, changes);
+    this.save();
+    return this.meta;
+  }
+
+  replaceAll({ accounts = [], transactions = [], meta = {} } = {}) {
+    this.accounts = accounts;
+    this.transactions = [...transactions].sort(byDateDesc);
+    this.meta = meta;
+    this.save();
+  }
+
+  clear() {
+    this.replaceAll();
+  }
+
+  // Memory store has nothing to flush
+  save() {}
+}
+
+// JSON-on-disk store: the dataset is loaded once at startup and written back
+// (atomically, via a temp file) after every change. The file is compact, as
+// it is rewritten whole and generated datasets run to tens of thousands of
+// transactions.
+class JsonFileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.driver = 'file';
+    this.filePath = path.resolve(filePath);
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const raw = fs.readFileSync(this.filePath, 'utf8');
+    const data = JSON.parse(raw);
+    this.accounts = Array.isArray(data.accounts) ? data.accounts : [];
+    this.transactions = Array.isArray(data.transactions) ? data.transactions : [];
+    this.meta = data.meta && typeof data.meta === 'object' ? data.meta : {};
+  }
+
+  save() {
+    if (this.batching) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      meta: this.meta,
+      accounts: this.accounts,
+      transactions: this.transactions
+    }));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+const createStore = ({ driver = 'memory', filePath = './data/bank-data.json' } = {}) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+    case 'json':
+      return new JsonFileStore(filePath);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = {
+  MemoryStore,
+  JsonFileStore,
+  createStore
+};
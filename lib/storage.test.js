@@ -0,0 +1,69 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, JsonFileStore } = require('./storage');
+
+const cardAccount = () => ({
+  id: 'card-1',
+  accountType: 'Credit Card',
+  balance: -22000,
+  holds: [{ id: 'h1', amount: 500, status: 'active' }],
+  card: { creditLimit: 100000, statements: [{ id: 's1', totalDue: 22000, paymentStatus: 'open' }] }
+});
+
+describe('batch', () => {
+  test('rolls back nested changes when it throws', () => {
+    const store = new MemoryStore();
+    store.addAccount(cardAccount());
+
+    assert.throws(() => store.batch(() => {
+      const account = store.getAccount('card-1');
+      account.card.statements[0].paymentStatus = 'paid';
+      account.card.statements.push({ id: 's2', totalDue: 0 });
+      account.holds[0].status = 'released';
+      store.addTransaction({ id: 't1', accountId: 'card-1', date: '2026-02-01T00:00:00.000Z' });
+      throw new Error('posting failed');
+    }), /posting failed/);
+
+    assert.deepEqual(store.getAccount('card-1'), cardAccount());
+    assert.deepEqual(store.listTransactions(), []);
+  });
+
+  test('keeps the changes when it succeeds', () => {
+    const store = new MemoryStore();
+    store.addAccount(cardAccount());
+
+    store.batch(() => {
+      store.getAccount('card-1').card.statements[0].paymentStatus = 'paid';
+    });
+    assert.equal(store.getAccount('card-1').card.statements[0].paymentStatus, 'paid');
+  });
+});
+
+describe('JSON file store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bank-data-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a batch once and loads it back', () => {
+    const filePath = path.join(dir, 'bank-data.json');
+    const store = new JsonFileStore(filePath);
+    store.batch(() => {
+      store.addAccount(cardAccount());
+      store.updateMeta({ seeds: [{ seed: 'abc' }] });
+    });
+
+    assert.equal(fs.readFileSync(filePath, 'utf8').split('\n').length, 1);
+    const loaded = new JsonFileStore(filePath);
+    assert.deepEqual(loaded.listAccounts(), [cardAccount()]);
+    assert.deepEqual(loaded.getMeta(), { seeds: [{ seed: 'abc' }] });
+  });
+});
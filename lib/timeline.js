@@ -0,0 +1,323 @@
+const { categoryCatalogue, sampleAmount } = require('./categories');
+const { chooseChannel, buildPaymentDetails } = require('./channels');
+const { DAY_MS, IST_OFFSET_MS, round2, toIST } = require('./dates');
+
+// Persona-driven account history: salaries, EMIs, SIPs, bills and recharges on
+// fixed schedules, with discretionary spending layered on top.
+
+const employers = [
+  'INFOSYS LTD', 'TATA CONSULTANCY SERVICES', 'WIPRO LTD', 'HCL TECHNOLOGIES',
+  'RELIANCE INDUSTRIES', 'LARSEN AND TOUBRO', 'HINDUSTAN UNILEVER', 'ASIAN PAINTS',
+  'MAHINDRA AND MAHINDRA', 'BAJAJ AUTO', 'ITC LTD', 'TECH MAHINDRA'
+];
+
+const loanProducts = [
+  { product: 'Home Loan', min: 15000, max: 60000 },
+  { product: 'Personal Loan', min: 4000, max: 20000 },
+  { product: 'Car Loan', min: 8000, max: 25000 },
+  { product: 'Two Wheeler Loan', min: 2000, max: 5000 },
+  { product: 'Consumer Durable Loan', min: 1500, max: 6000 }
+];
+
+const lenders = ['HDFC Bank', 'ICICI Bank', 'SBI', 'Bajaj Finance', 'Axis Bank', 'Tata Capital'];
+
+const mutualFunds = [
+  'SBI Bluechip Fund', 'HDFC Flexi Cap Fund', 'Axis Midcap Fund', 'Parag Parikh Flexi Cap',
+  'Mirae Asset Large Cap', 'ICICI Pru Nifty 50 Index', 'Kotak Emerging Equity', 'Nippon India Small Cap'
+];
+
+const electricityBoards = ['MSEDCL', 'BESCOM', 'TANGEDCO', 'BSES Rajdhani', 'Tata Power', 'CESC', 'TSSPDCL'];
+const broadbandProviders = ['Airtel Xstream Fiber', 'JioFiber', 'ACT Fibernet', 'BSNL Broadband', 'Hathway'];
+const dthProviders = ['Tata Play', 'Airtel Digital TV', 'Dish TV', 'Sun Direct'];
+const mobileOperators = [
+  { name: 'Jio', plans: [239, 299, 349, 399] },
+  { name: 'Airtel', plans: [265, 299, 359, 409] },
+  { name: 'VI', plans: [269, 299, 359] }
+];
+const ottSubscriptions = [
+  { name: 'Netflix India', amount: 199 },
+  { name: 'Amazon Prime', amount: 299 },
+  { name: 'Disney+ Hotstar', amount: 299 },
+  { name: 'Spotify Premium', amount: 119 },
+  { name: 'YouTube Premium', amount: 129 },
+  { name: 'SonyLIV', amount: 299 }
+];
+
+// Discretionary spends: category and relative weight (amounts come from the catalogue)
+const discretionarySpends = [
+  { category: 'Food & Dining', weight: 6 },
+  { category: 'Groceries', weight: 5 },
+  { category: 'Transportation', weight: 4 },
+  { category: 'Shopping', weight: 2 },
+  { category: 'Online Shopping', weight: 3 },
+  { category: 'Fuel & Gas', weight: 2 },
+  { category: 'Pharmacy', weight: 1 },
+  { category: 'Healthcare', weight: 1 },
+  { category: 'Entertainment', weight: 1 },
+  { category: 'Travel', weight: 1 },
+  { category: 'Cash Withdrawal', weight: 2 },
+  { category: 'UPI Payment', weight: 3 }
+];
+
+const roundTo = (amount, step) => Math.max(step, Math.round(amount / step) * step);
+
+const weightedPick = (rng, items) => {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let roll = rng.float(0, total);
+  for (const item of items) {
+    roll -= item.weight;
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+};
+
+const sample = (rng, items, count) => {
+  const pool = [...items];
+  const picked = [];
+  while (picked.length < count && pool.length > 0) {
+    picked.push(pool.splice(Math.floor(rng.next() * pool.length), 1)[0]);
+  }
+  return picked;
+};
+
+// Build a persona for an account. It is stored on the account so later
+// activity (e.g. simulated days) follows the same schedule.
+const createPersona = (account, rng) => {
+  const kind = account.accountType === 'Current'
+    ? 'business'
+    : (account.accountType === 'Salary' || rng.chance(0.5) ? 'salaried' : 'saver');
+
+  const salary = kind === 'salaried'
+    ? {
+      employer: rng.pick(employers),
+      day: rng.pick([1, 1, 5, 7, 28, 30]),
+      amount: roundTo(rng.float(22000, 185000), 100)
+    }
+    : null;
+
+  const income = salary ? salary.amount : (kind === 'business' ? 250000 : 40000);
+
+  const emis = sample(rng, loanProducts, rng.int(0, kind === 'saver' ? 1 : 2)).map(loan => ({
+    product: loan.product,
+    lender: rng.pick(lenders),
+    day: rng.pick([2, 5, 7, 10, 15]),
+    amount: roundTo(Math.min(rng.float(loan.min, loan.max), income * 0.3), 1)
+  }));
+
+  const sips = sample(rng, mutualFunds, rng.int(0, 3)).map(fund => ({
+    fund,
+    day: rng.pick([1, 5, 10, 15, 20, 25]),
+    amount: roundTo(rng.float(500, Math.max(1000, income * 0.08)), 500)
+  }));
+
+  const operator = rng.pick(mobileOperators);
+
+  return {
+    kind,
+    salary,
+    businessReceipts: kind === 'business' ? { perMonth: rng.int(6, 15), min: 5000, max: 120000 } : null,
+    emis,
+    sips,
+    bills: [
+      { category: 'Bills & Utilities', biller: `${rng.pick(electricityBoards)} Electricity Bill`, day: rng.int(8, 22), baseAmount: roundTo(rng.float(600, 3500), 1), variance: 0.35 },
+      ...(rng.chance(0.7)
+        ? [{ category: 'Bills & Utilities', biller: rng.pick(broadbandProviders), day: rng.int(1, 28), baseAmount: rng.pick([499, 589, 699, 799, 999]), variance: 0 }]
+        : []),
+      ...(rng.chance(0.5)
+        ? [{ category: 'DTH/Cable', biller: rng.pick(dthProviders), day: rng.int(1, 28), baseAmount: rng.pick([249, 299, 350, 420]), variance: 0 }]
+        : [])
+    ],
+    subscriptions: sample(rng, ottSubscriptions, rng.int(0, 3)).map(sub => ({ ...sub, day: rng.int(1, 28) })),
+    recharge: {
+      operator: operator.name,
+      amount: rng.pick(operator.plans),
+      intervalDays: 28,
+      anchor: rng.int(0, 27)
+    },
+    spendsPerMonth: kind === 'business' ? rng.int(10, 25) : rng.int(8, 30),
+    earnsInterest: account.accountType !== 'Current'
+  };
+};
+
+const openingBalanceFor = (persona, rng) => {
+  if (persona.kind === 'business') return round2(rng.float(50000, 500000));
+  if (persona.salary) return round2(persona.salary.amount * rng.float(0.3, 1.5));
+  return round2(rng.float(10000, 100000));
+};
+
+// Moment on a given IST calendar day at a random time within [fromHour, toHour)
+const istMoment = (year, month, day, rng, fromHour = 8, toHour = 22) => {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const minutes = rng.int(fromHour * 60, toHour * 60 - 1);
+  return new Date(Date.UTC(year, month, Math.min(day, daysInMonth), 0, minutes, rng.int(0, 59)) - IST_OFFSET_MS);
+};
+
+// Each IST calendar month overlapping [from, to]
+const monthsBetween = (from, to) => {
+  const start = toIST(from);
+  const end = toIST(to);
+  const months = [];
+  let year = start.getUTCFullYear();
+  let month = start.getUTCMonth();
+  while (year < end.getUTCFullYear() || (year === end.getUTCFullYear() && month <= end.getUTCMonth())) {
+    months.push({ year, month });
+    month += 1;
+    if (month === 12) {
+      month = 0;
+      year += 1;
+    }
+  }
+  return months;
+};
+
+// Collect scheduled events for the period; amounts may be functions of the
+// running balance (e.g. interest) and `optional` debits are skipped if unaffordable
+const scheduleEvents = (persona, from, to, rng) => {
+  const events = [];
+  const add = (date, event) => {
+    if (date >= from && date <= to) events.push({ date, ...event });
+  };
+
+  monthsBetween(from, to).forEach(({ year, month }) => {
+    if (persona.salary) {
+      add(istMoment(year, month, persona.salary.day, rng, 6, 11), {
+        type: 'credit',
+        category: 'Salary Credit',
+        amount: persona.salary.amount,
+        channel: persona.salary.amount >= 200000 ? 'RTGS' : 'NEFT',
+        description: `SALARY ${persona.salary.employer}`
+      });
+    }
+
+    if (persona.businessReceipts) {
+      for (let i = 0; i < persona.businessReceipts.perMonth; i++) {
+        add(istMoment(year, month, rng.int(1, 31), rng, 10, 19), {
+          type: 'credit',
+          category: 'NEFT Transfer',
+          channels: ['NEFT', 'IMPS', 'RTGS', 'UPI'],
+          amount: Math.min(Math.max(sampleAmount('NEFT Transfer', rng), persona.businessReceipts.min), persona.businessReceipts.max),
+          description: null
+        });
+      }
+    }
+
+    persona.emis.forEach(emi => add(istMoment(year, month, emi.day, rng, 5, 9), {
+      type: 'debit',
+      category: 'Loan EMI',
+      amount: emi.amount,
+      channel: 'NACH',
+      description: `${emi.lender} ${emi.product} EMI`
+    }));
+
+    persona.sips.forEach(sip => add(istMoment(year, month, sip.day, rng, 9, 15), {
+      type: 'debit',
+      category: 'Mutual Fund SIP',
+      amount: sip.amount,
+      channel: 'NACH',
+      description: `SIP ${sip.fund}`
+    }));
+
+    persona.bills.forEach(bill => add(istMoment(year, month, bill.day, rng), {
+      type: 'debit',
+      category: bill.category,
+      amount: round2(bill.baseAmount * (1 + rng.float(-bill.variance, bill.variance))),
+      description: bill.biller
+    }));
+
+    persona.subscriptions.forEach(sub => add(istMoment(year, month, sub.day, rng, 0, 6), {
+      type: 'debit',
+      category: 'Entertainment',
+      amount: sub.amount,
+      channel: 'CARD',
+      description: sub.name
+    }));
+
+    for (let i = 0; i < persona.spendsPerMonth; i++) {
+      const spend = weightedPick(rng, discretionarySpends);
+      add(istMoment(year, month, rng.int(1, 31), rng), {
+        type: 'debit',
+        category: spend.category,
+        amount: sampleAmount(spend.category, rng),
+        description: null,
+        optional: true
+      });
+    }
+
+    // Savings interest is credited quarterly (end of Mar, Jun, Sep, Dec)
+    if (persona.earnsInterest && month % 3 === 2) {
+      add(istMoment(year, month, 31, rng, 20, 23), {
+        type: 'credit',
+        category: 'Interest Credit',
+        amount: balance => round2(Math.max(balance, 0) * 0.03 / 4),
+        channel: 'INTERNAL',
+        description: 'SB INTEREST CREDIT'
+      });
+    }
+  });
+
+  // Prepaid mobile plans renew every 28 days regardless of calendar month
+  const recharge = persona.recharge;
+  let next = new Date(from.getTime() + recharge.anchor * DAY_MS);
+  while (next <= to) {
+    const ist = toIST(next);
+    add(istMoment(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), rng), {
+      type: 'debit',
+      category: 'Mobile Recharge',
+      amount: recharge.amount,
+      channel: 'UPI',
+      description: `${recharge.operator} Prepaid Recharge`
+    });
+    next = new Date(next.getTime() + recharge.intervalDays * DAY_MS);
+  }
+
+  return events.sort((a, b) => a.date - b.date);
+};
+
+// Generate the account's transactions between `from` and `to`, starting at
+// `openingBalance`. `describe(category, type)` names merchants for events
+// without a fixed description.
+const generateTimeline = async ({ account, persona, from, to, openingBalance, rng, describe }) => {
+  const events = scheduleEvents(persona, from, to, rng);
+  const transactions = [];
+  let runningBalance = openingBalance;
+
+  for (const event of events) {
+    const amount = typeof event.amount === 'function' ? event.amount(runningBalance) : event.amount;
+    if (amount <= 0) continue;
+    if (event.optional && event.type === 'debit' && runningBalance - amount < 0) continue;
+
+    runningBalance += event.type === 'credit' ? amount : -amount;
+
+    const description = event.description || await describe(event.category, event.type);
+    const channel = event.channel ||
+      chooseChannel(event.channels || categoryCatalogue[event.category].channels, amount, rng);
+    const date = event.date.toISOString();
+    const { reference, narration } = buildPaymentDetails({ channel, type: event.type, description, date, account, rng });
+
+    transactions.push({
+      id: rng.uuid(),
+      accountId: account.id,
+      type: event.type,
+      amount,
+      description,
+      category: event.category,
+      channel,
+      narration,
+      date,
+      status: to - event.date < DAY_MS && rng.chance(0.3) ? 'pending' : 'completed',
+      reference,
+      balance_after: round2(runningBalance)
+    });
+  }
+
+  return {
+    transactions,
+    closingBalance: round2(runningBalance)
+  };
+};
+
+module.exports = {
+  createPersona,
+  openingBalanceFor,
+  generateTimeline
+};
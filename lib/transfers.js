@@ -0,0 +1,61 @@
+const { buildPaymentDetails } = require('./channels');
+
+// Account-to-account transfers: a debit leg on the sender and a credit leg on
+// the receiver that share a transfer id and channel reference.
+
+const TRANSFER_CHANNELS = ['UPI', 'IMPS', 'NEFT', 'RTGS'];
+
+// Build both legs (without balances) for a transfer of `amount` at `date`
+const buildTransferLegs = ({ from, to, amount, channel, description = null, date, status = 'completed', rng }) => {
+  const transferId = rng.uuid();
+  const remarks = description || `Transfer to ${to.accountHolder.name}`;
+
+  const debitDetails = buildPaymentDetails({
+    channel,
+    type: 'debit',
+    description: remarks,
+    date,
+    account: from,
+    counterparty: to,
+    rng
+  });
+  const creditDetails = buildPaymentDetails({
+    channel,
+    type: 'credit',
+    description: remarks,
+    date,
+    account: to,
+    counterparty: from,
+    reference: debitDetails.reference,
+    rng
+  });
+
+  const leg = (account, counterparty, type, details) => ({
+    id: rng.uuid(),
+    accountId: account.id,
+    type,
+    amount,
+    description: type === 'debit' ? remarks : description || `Transfer from ${from.accountHolder.name}`,
+    category: 'Fund Transfer',
+    channel,
+    narration: details.narration,
+    date,
+    status,
+    reference: debitDetails.reference,
+    transferId,
+    counterpartyAccountId: counterparty.id,
+    balance_after: null
+  });
+
+  return {
+    transferId,
+    reference: debitDetails.reference,
+    debit: leg(from, to, 'debit', debitDetails),
+    credit: leg(to, from, 'credit', creditDetails)
+  };
+};
+
+module.exports = {
+  TRANSFER_CHANNELS,
+  buildTransferLegs
+};
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+// Webhook subscriptions and their deliveries. Every event is POSTed as JSON
+// to each subscription that wants it, signed with the subscription's secret:
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// A delivery that errors, times out or gets a non-2xx response is retried
+// with exponential backoff; every attempt is kept in the delivery log.
+//
+// A subscription made with a client's API key only hears about that client's
+// accounts; one without a clientId hears about every account.
+//
+// Loopback, private, link-local (cloud metadata) and other internal addresses
+// are refused unless `allowPrivateAddresses` is set, both when subscribing
+// and for the address a delivery actually connects to, so a host that
+// resolves (or later re-resolves) to one is caught too.
+//
+// delivery status: pending -> succeeded | failed | cancelled
+
+const WEBHOOK_EVENTS = ['transaction.created', 'transaction.status_changed', 'account.low_balance', 'data.generated'];
+const PING_EVENT = 'webhook.ping';
+const DEFAULT_LOW_BALANCE_THRESHOLD = 1000;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const internalRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => internalRanges.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => internalRanges.addSubnet(network, prefix, 'ipv6'));
+
+// True for an IP address that isn't on the public internet
+const isInternalAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  return family !== 0 && internalRanges.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const hostOf = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+const internalAddressError = (host, address) => `url must not point at an internal address (${host === address ? host : `${host} is ${address}`})`;
+
+// dns.lookup for deliveries that fails on an internal address
+const publicLookup = (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+  if (error) return callback(error);
+  const internal = (Array.isArray(address) ? address.map(entry => entry.address) : [address]).find(isInternalAddress);
+  if (internal) return callback(new Error(internalAddressError(hostname, internal)));
+  callback(null, address, family);
+});
+
+// Problems with where a valid subscription URL points (resolving its host)
+const checkWebhookAddress = async (url, { allowPrivateAddresses = false } = {}) => {
+  if (allowPrivateAddresses) return [];
+
+  const host = hostOf(url);
+  if (net.isIP(host)) {
+    return isInternalAddress(host) ? [internalAddressError(host, host)] : [];
+  }
+  try {
+    const internal = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address).find(isInternalAddress);
+    return internal ? [internalAddressError(host, internal)] : [];
+  } catch (error) {
+    // Unresolvable now: deliveries check the address again when they connect
+    return [];
+  }
+};
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const signatureHeader = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+
+// Check a received X-Webhook-Signature against the raw body (for receivers)
+const verifySignature = (secret, header, body, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const validateSubscription = ({ url, events, secret, lowBalanceThreshold, description } = {}) => {
+  const errors = [];
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    errors.push('url must be an http or https URL');
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => event === '*' || WEBHOOK_EVENTS.includes(event))) {
+    errors.push(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')} (or "*" for all)`);
+  }
+  if (secret !== undefined && !(typeof secret === 'string' && secret.length >= 16)) {
+    errors.push('secret must be a string of at least 16 characters');
+  }
+  if (lowBalanceThreshold !== undefined && !(typeof lowBalanceThreshold === 'number' && Number.isFinite(lowBalanceThreshold) && lowBalanceThreshold >= 0)) {
+    errors.push('lowBalanceThreshold must be a non-negative number');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+  return errors;
+};
+
+const wants = (subscription, type) => subscription.events.includes('*') || subscription.events.includes(type);
+
+// Subscription as returned by the API: the secret is only shown when created
+const publicSubscription = ({ secret, ...subscription }) => ({ ...subscription, secretHint: `...${secret.slice(-4)}` });
+
+// POST `body` to `url`; resolves to { statusCode } or { error }
+const post = (url, body, headers, timeoutMs, { allowPrivateAddresses = false } = {}) => new Promise(resolve => {
+  const target = new URL(url);
+  const host = hostOf(url);
+  if (!allowPrivateAddresses && isInternalAddress(host)) {
+    return resolve({ error: internalAddressError(host, host) });
+  }
+
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+    timeout: timeoutMs,
+    ...(allowPrivateAddresses ? {} : { lookup: publicLookup })
+  }, response => {
+    response.resume();
+    response.on('end', () => resolve({ statusCode: response.statusCode }));
+  });
+  request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+  request.on('error', error => resolve({ error: error.message }));
+  request.end(body);
+});
+
+class WebhookDispatcher {
+  constructor({ maxAttempts = 5, retryBaseMs = 5000, timeoutMs = 10000, keepDeliveries = 1000, userAgent = 'webhooks', allowPrivateAddresses = false } = {}) {
+    this.subscriptions = new Map();
+    this.deliveries = new Map();
+    this.timers = new Map();
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.keepDeliveries = keepDeliveries;
+    this.userAgent = userAgent;
+    this.allowPrivateAddresses = allowPrivateAddresses;
+  }
+
+  // Subscriptions
+  list() {
+    return [...this.subscriptions.values()];
+  }
+
+  get(id) {
+    return this.subscriptions.get(id) || null;
+  }
+
+  subscribe({ url, events, secret, lowBalanceThreshold, description, clientId = null }) {
+    const subscription = {
+      id: uuidv4(),
+      clientId,
+      url,
+      events: [...new Set(events)],
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      lowBalanceThreshold: lowBalanceThreshold !== undefined ? lowBalanceThreshold : DEFAULT_LOW_BALANCE_THRESHOLD,
+      description: description || null,
+      createdAt: new Date().toISOString()
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  // Deliveries still waiting for a retry are cancelled
+  unsubscribe(id) {
+    const subscription = this.get(id);
+    if (!subscription) return null;
+
+    this.subscriptions.delete(id);
+    this.listDeliveries(id)
+      .filter(delivery => delivery.status === 'pending')
+      .forEach(delivery => {
+        clearTimeout(this.timers.get(delivery.id));
+        this.timers.delete(delivery.id);
+        this.finish(delivery, 'cancelled');
+      });
+    return subscription;
+  }
+
+  // Deliveries, newest first
+  listDeliveries(subscriptionId = null) {
+    return [...this.deliveries.values()]
+      .filter(delivery => !subscriptionId || delivery.subscriptionId === subscriptionId)
+      .reverse();
+  }
+
+  getDelivery(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  // Subscriptions that want `type` about the accounts of `clientId` (null for
+  // accounts no client owns)
+  subscribersFor(type, clientId = null) {
+    return this.list().filter(subscription => wants(subscription, type) &&
+      (!subscription.clientId || subscription.clientId === clientId));
+  }
+
+  // Send `type` with `data` to every subscription that wants it. Returns the event.
+  publish(type, data, clientId = null) {
+    return this.publishTo(this.subscribersFor(type, clientId), type, data);
+  }
+
+  publishTo(subscriptions, type, data) {
+    const event = { id: uuidv4(), type, createdAt: new Date().toISOString(), data };
+    subscriptions.forEach(subscription => this.deliver(subscription, event));
+    return event;
+  }
+
+  // account.low_balance goes to subscriptions whose threshold the balance has
+  // just dropped below
+  checkLowBalance(account, previousBalance) {
+    const crossed = this.subscribersFor('account.low_balance', account.clientId).filter(subscription =>
+      previousBalance >= subscription.lowBalanceThreshold &&
+      account.balance < subscription.lowBalanceThreshold);
+
+    crossed.forEach(subscription => this.publishTo([subscription], 'account.low_balance', {
+      account: {
+        id: account.id,
+        accountNumber: account.accountNumber,
+        accountType: account.accountType,
+        balance: account.balance,
+        availableBalance: account.availableBalance,
+        currency: account.currency
+      },
+      previousBalance,
+      threshold: subscription.lowBalanceThreshold
+    }));
+  }
+
+  deliver(subscription, event) {
+    const delivery = {
+      id: uuidv4(),
+      subscriptionId: subscription.id,
+      eventId: event.id,
+      event: event.type,
+      url: subscription.url,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      payload: event
+    };
+    this.deliveries.set(delivery.id, delivery);
+    this.prune();
+    setImmediate(() => this.attempt(delivery));
+    return delivery;
+  }
+
+  async attempt(delivery) {
+    this.timers.delete(delivery.id);
+    const subscription = this.get(delivery.subscriptionId);
+    if (!subscription || delivery.status !== 'pending') return;
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    const { statusCode, error } = await post(subscription.url, body, {
+      'User-Agent': this.userAgent,
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Signature': signatureHeader(subscription.secret, body)
+    }, this.timeoutMs, { allowPrivateAddresses: this.allowPrivateAddresses });
+
+    const ok = statusCode >= 200 && statusCode < 300;
+    delivery.attempts.push({
+      at: new Date(started).toISOString(),
+      statusCode: statusCode || null,
+      error: error || (ok ? null : `HTTP ${statusCode}`),
+      durationMs: Date.now() - started
+    });
+
+    // Cancelled while the request was out
+    if (delivery.status !== 'pending') return;
+    if (ok) return this.finish(delivery, 'succeeded');
+    if (delivery.attempts.length >= this.maxAttempts) return this.finish(delivery, 'failed');
+
+    // 1x, 2x, 4x, ... the base delay
+    const delay = this.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    const timer = setTimeout(() => this.attempt(delivery), delay);
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  finish(delivery, status) {
+    Object.assign(delivery, { status, nextAttemptAt: null, completedAt: new Date().toISOString() });
+  }
+
+  // Forget the oldest finished deliveries beyond `keepDeliveries`
+  prune() {
+    const finished = [...this.deliveries.values()].filter(delivery => FINISHED_STATUSES.includes(delivery.status));
+    finished.slice(0, Math.max(this.deliveries.size - this.keepDeliveries, 0)).forEach(delivery => this.deliveries.delete(delivery.id));
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  DEFAULT_LOW_BALANCE_THRESHOLD,
+  WebhookDispatcher,
+  validateSubscription,
+  checkWebhookAddress,
+  isInternalAddress,
+  publicSubscription,
+  signatureHeader,
+  verifySignature
+};
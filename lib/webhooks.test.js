@@ -0,0 +1,200 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { WebhookDispatcher, signatureHeader, verifySignature, validateSubscription, checkWebhookAddress, isInternalAddress } = require('./webhooks');
+
+const SECRET = 'whsec_test_0123456789abcdef';
+
+// Resolves once `check()` is true (polling every few ms)
+const waitFor = (check, timeoutMs = 2000) => new Promise((resolve, reject) => {
+  const started = Date.now();
+  const poll = () => {
+    if (check()) return resolve();
+    if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting'));
+    setTimeout(poll, 5);
+  };
+  poll();
+});
+
+describe('signatures', () => {
+  const body = JSON.stringify({ type: 'transaction.created', data: { amount: 500 } });
+
+  test('sign "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update(`1760000000.${body}`).digest('hex');
+    assert.equal(signatureHeader(SECRET, body, 1760000000), `t=1760000000,v1=${expected}`);
+  });
+
+  test('verify within the tolerance', () => {
+    const header = signatureHeader(SECRET, body, 1760000000);
+    assert.equal(verifySignature(SECRET, header, body, { now: 1760000100 * 1000 }), true);
+    assert.equal(verifySignature(SECRET, header, body, { now: 1760000301 * 1000 }), false);
+  });
+
+  test('reject another body, secret or a malformed header', () => {
+    const header = signatureHeader(SECRET, body, 1760000000);
+    const now = 1760000000 * 1000;
+    assert.equal(verifySignature(SECRET, header, `${body} `, { now }), false);
+    assert.equal(verifySignature('whsec_another_secret_000', header, body, { now }), false);
+    assert.equal(verifySignature(SECRET, 'v1=abc', body, { now }), false);
+    assert.equal(verifySignature(SECRET, undefined, body, { now }), false);
+  });
+});
+
+describe('subscriptions', () => {
+  test('report every problem with a subscription', () => {
+    assert.deepEqual(validateSubscription({ url: 'ftp://example.com', events: ['account.closed'], secret: 'short', lowBalanceThreshold: -1 }), [
+      'url must be an http or https URL',
+      'events must be a non-empty list of: transaction.created, transaction.status_changed, account.low_balance, data.generated (or "*" for all)',
+      'secret must be a string of at least 16 characters',
+      'lowBalanceThreshold must be a non-negative number'
+    ]);
+  });
+
+  test('only reach the client they belong to', () => {
+    const dispatcher = new WebhookDispatcher();
+    const own = dispatcher.subscribe({ url: 'http://127.0.0.1:1/', events: ['*'], clientId: 'acme' });
+    const all = dispatcher.subscribe({ url: 'http://127.0.0.1:1/', events: ['data.generated'] });
+
+    assert.deepEqual(dispatcher.subscribersFor('data.generated', 'acme').map(s => s.id), [own.id, all.id]);
+    assert.deepEqual(dispatcher.subscribersFor('data.generated', 'beta').map(s => s.id), [all.id]);
+    assert.deepEqual(dispatcher.subscribersFor('transaction.created', null).map(s => s.id), []);
+  });
+
+  test('hear about a low balance once, when it drops below their threshold', () => {
+    const dispatcher = new WebhookDispatcher();
+    const sent = [];
+    dispatcher.deliver = (subscription, event) => sent.push(event);
+    dispatcher.subscribe({ url: 'http://127.0.0.1:1/', events: ['account.low_balance'], lowBalanceThreshold: 1000 });
+
+    dispatcher.checkLowBalance({ id: 'a', balance: 900 }, 1200);
+    dispatcher.checkLowBalance({ id: 'a', balance: 800 }, 900);
+    dispatcher.checkLowBalance({ id: 'a', balance: 1100 }, 1200);
+
+    assert.equal(sent.length, 1);
+    assert.deepEqual(sent[0].data.threshold, 1000);
+    assert.deepEqual(sent[0].data.previousBalance, 1200);
+  });
+});
+
+describe('internal addresses', () => {
+  test('cover loopback, private, link-local and mapped IPv4 addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+      .forEach(address => assert.equal(isInternalAddress(address), true, address));
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:1.1.1.1', 'example.com']
+      .forEach(address => assert.equal(isInternalAddress(address), false, address));
+  });
+
+  test('are refused when subscribing unless allowed', async () => {
+    assert.deepEqual(await checkWebhookAddress('http://169.254.169.254/latest/meta-data'), ['url must not point at an internal address (169.254.169.254)']);
+    assert.deepEqual(await checkWebhookAddress('http://[::1]:4000/hooks'), ['url must not point at an internal address (::1)']);
+    const [localhost] = await checkWebhookAddress('http://localhost:4000/hooks');
+    assert.match(localhost, /^url must not point at an internal address \(localhost is (127\.0\.0\.1|::1)\)$/);
+    assert.deepEqual(await checkWebhookAddress('https://8.8.8.8/hooks'), []);
+    assert.deepEqual(await checkWebhookAddress('http://localhost:4000/hooks', { allowPrivateAddresses: true }), []);
+  });
+});
+
+describe('deliveries', () => {
+  let server;
+  let url;
+  const received = [];
+  // Status codes to answer with, in order (then 200)
+  let responses = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  test('are signed so the receiver can verify them', async () => {
+    received.length = 0;
+    const dispatcher = new WebhookDispatcher({ userAgent: 'test-agent', allowPrivateAddresses: true });
+    const subscription = dispatcher.subscribe({ url, events: ['transaction.created'], secret: SECRET });
+    const event = dispatcher.publish('transaction.created', { transaction: { id: 't1' } });
+    const [delivery] = dispatcher.listDeliveries(subscription.id);
+
+    await waitFor(() => delivery.status !== 'pending');
+    const [{ headers, body }] = received;
+
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(JSON.parse(body).id, event.id);
+    assert.equal(headers['x-webhook-event'], 'transaction.created');
+    assert.equal(headers['x-webhook-id'], delivery.id);
+    assert.equal(headers['user-agent'], 'test-agent');
+    assert.equal(verifySignature(SECRET, headers['x-webhook-signature'], body), true);
+  });
+
+  test('retry with exponential backoff until one succeeds', async () => {
+    received.length = 0;
+    responses = [500, 503];
+    const dispatcher = new WebhookDispatcher({ retryBaseMs: 20, allowPrivateAddresses: true });
+    const subscription = dispatcher.subscribe({ url, events: ['*'] });
+    dispatcher.publish('data.generated', { accounts: 1 });
+    const [delivery] = dispatcher.listDeliveries(subscription.id);
+
+    await waitFor(() => delivery.status !== 'pending');
+    const [first, second, third] = delivery.attempts.map(attempt => new Date(attempt.at).getTime());
+
+    assert.equal(delivery.status, 'succeeded');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.error), ['HTTP 500', 'HTTP 503', null]);
+    assert.ok(second - first >= 20);
+    assert.ok(third - second >= 40);
+    // Retries resend the same event
+    assert.equal(new Set(received.map(request => request.body)).size, 1);
+  });
+
+  test('give up after maxAttempts', async () => {
+    responses = [500, 500, 500];
+    const dispatcher = new WebhookDispatcher({ retryBaseMs: 5, maxAttempts: 3, allowPrivateAddresses: true });
+    const subscription = dispatcher.subscribe({ url, events: ['*'] });
+    dispatcher.publish('data.generated', {});
+    const [delivery] = dispatcher.listDeliveries(subscription.id);
+
+    await waitFor(() => delivery.status !== 'pending');
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 3);
+    assert.equal(delivery.nextAttemptAt, null);
+  });
+
+  test('never reach an internal address unless allowed', async () => {
+    received.length = 0;
+    const dispatcher = new WebhookDispatcher({ maxAttempts: 1 });
+    const subscription = dispatcher.subscribe({ url: url.replace('127.0.0.1', 'localhost'), events: ['*'] });
+    dispatcher.publish('data.generated', {});
+    const [delivery] = dispatcher.listDeliveries(subscription.id);
+
+    await waitFor(() => delivery.status !== 'pending');
+    assert.equal(delivery.status, 'failed');
+    assert.match(delivery.attempts[0].error, /internal address \(localhost is (127\.0\.0\.1|::1)\)/);
+    assert.equal(received.length, 0);
+  });
+
+  test('record connection errors and cancel pending retries on unsubscribe', async () => {
+    const dispatcher = new WebhookDispatcher({ retryBaseMs: 60000, allowPrivateAddresses: true });
+    // Nothing listens on port 1
+    const subscription = dispatcher.subscribe({ url: 'http://127.0.0.1:1/', events: ['*'] });
+    dispatcher.publish('data.generated', {});
+    const [delivery] = dispatcher.listDeliveries(subscription.id);
+
+    await waitFor(() => delivery.attempts.length === 1);
+    assert.equal(delivery.status, 'pending');
+    assert.ok(delivery.attempts[0].error);
+
+    dispatcher.unsubscribe(subscription.id);
+    assert.equal(delivery.status, 'cancelled');
+  });
+});
@@ -1,93 +1,322 @@
 const express = require('express');
 const cors = require('cors');
+const { pipeline } = require('stream');
 const { v4: uuidv4 } = require('uuid');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createRandom, defaultRandom } = require('./lib/random');
+const { createProvider, createAiClient, parseModelJson } = require('./lib/ai');
+const { createMerchantPool } = require('./lib/merchants');
+const { JobQueue, isFinished } = require('./lib/jobs');
+const { createStore } = require('./lib/storage');
+const { buildStatement, statementFormats } = require('./lib/statements');
+const { createPersona, openingBalanceFor, generateTimeline } = require('./lib/timeline');
+const { categoryCatalogue, sampleAmount, pickCategory, validateCategoryRules } = require('./lib/categories');
+const identifiers = require('./lib/identifiers');
+const { CHANNELS, channelRules, validateChannelRules, chooseChannel, buildPaymentDetails } = require('./lib/channels');
+const { TRANSFER_CHANNELS, buildTransferLegs } = require('./lib/transfers');
+const balances = require('./lib/balances');
+const { DEPOSIT_ACCOUNT_TYPES, ACCOUNT_TYPES, PRODUCT_ACCOUNT_TYPES, ACCOUNT_STATUSES, validateStatusChange, checkCanTransact } = require('./lib/accounts');
+const cards = require('./lib/cards');
+const products = require('./lib/products');
+const bundles = require('./lib/bundles');
+const { analyticsReports } = require('./lib/analytics');
+const { parseTransactionQuery, queryTransactions } = require('./lib/query');
+const { DAY_MS, byDateAsc, istDay, parseDateRange } = require('./lib/dates');
+const { ANOMALY_SCENARIOS, DEFAULT_ANOMALY_RATE, anomalyScenarios, validateAnomalyOptions, injectAnomalies } = require('./lib/anomalies');
+const { createClock } = require('./lib/clock');
+const simulation = require('./lib/simulation');
+const { WEBHOOK_EVENTS, PING_EVENT, WebhookDispatcher, validateSubscription, checkWebhookAddress, publicSubscription } = require('./lib/webhooks');
+const aa = require('./lib/aa');
+const auth = require('./lib/auth');
+const { DEFAULT_SANDBOX, SANDBOX_HEADER, isDefault, validateSandboxRequest, SandboxRegistry } = require('./lib/sandboxes');
+const openapi = require('./lib/openapi');
+const { name: generatorName, version: generatorVersion } = require('./package.json');
+const { indianBanks, indianCityDirectory } = identifiers;
 require('dotenv').config(); // Load environment variables
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Check if API key is available
-if (!process.env.GEMINI_API_KEY) {
-  console.warn('⚠️  GEMINI_API_KEY not found in environment variables');
-  console.warn('⚠️  API will use fallback data generation');
-  console.warn('⚠️  To use Gemini AI, set GEMINI_API_KEY in your .env file');
+// AI provider for names, addresses and merchant descriptions:
+// AI_PROVIDER=gemini | anthropic | stub | none (default: whichever API key is set)
+const ai = createAiClient({
+  provider: createProvider({
+    name: process.env.AI_PROVIDER,
+    geminiApiKey: process.env.GEMINI_API_KEY,
+    geminiModel: process.env.GEMINI_MODEL,
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+    anthropicModel: process.env.ANTHROPIC_MODEL,
+    // The local stub answers with the same templates as the fallback
+    stubResponders: {
+      personalDetails: (context, rng) => JSON.stringify(generateFallbackPersonalDetails(rng)),
+      merchantNames: ({ category, type, count }, rng) => JSON.stringify(
+        Array.from({ length: count }, () => getFallbackTransactionDescription(category, type, rng))
+      )
+    }
+  }),
+  // AI_CACHE=record | on | replay | off (see lib/ai.js)
+  cacheDir: process.env.AI_CACHE_DIR || './data/ai-cache',
+  cacheMode: process.env.AI_CACHE || 'record',
+  variants: parseInt(process.env.AI_CACHE_VARIANTS) || 20
+});
+
+if (ai.provider) {
+  console.log(`✅ AI provider: ${ai.provider.label}${ai.cacheDir ? ` (cache: ${ai.cacheDir}, ${ai.cacheMode})` : ''}`);
+} else {
+  console.warn('⚠️  No AI provider configured (set GEMINI_API_KEY, ANTHROPIC_API_KEY or AI_PROVIDER)');
+  console.log('📝 Using fallback data generation');
 }
 
-// Initialize Google Gemini (only if API key is available)
-let gemini = null;
-let genAI = null;
-if (process.env.GEMINI_API_KEY) {
-  try {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    gemini = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" }); // Using Gemini 2.0 Flash (latest available)
-    console.log('✅ Google Gemini AI initialized successfully');
-  } catch (error) {
-    console.error('❌ Failed to initialize Gemini API:', error.message);
-    gemini = null;
-    genAI = null;
+// Merchant names are shared across requests; seeded runs get their own pool
+// so the same seed always draws the same names
+const merchantPool = createMerchantPool({ ai, fallback: getFallbackTransactionDescription });
+const seededMerchantPools = new WeakMap();
+
+const merchantPoolFor = (rng) => {
+  if (!rng.seeded) return merchantPool;
+  if (!seededMerchantPools.has(rng)) {
+    seededMerchantPools.set(rng, createMerchantPool({ ai, fallback: getFallbackTransactionDescription }));
   }
+  return seededMerchantPools.get(rng);
+};
+
+// Overdraft limit per account type, e.g. OVERDRAFT_LIMITS="Savings=0,Salary=25000,Current=100000"
+const overdraftLimits = {
+  ...balances.defaultOverdraftLimits,
+  ...balances.parseOverdraftLimits(process.env.OVERDRAFT_LIMITS)
+};
+
+// API keys, rate limits and generation quotas (see lib/auth.js). Without
+// API_KEYS or ADMIN_API_KEY the API is open, as for local development.
+const limitFromEnv = (name) => (process.env[name] === undefined ? undefined : parseInt(process.env[name]));
+
+const apiKeys = new auth.ApiKeys({
+  keys: auth.parseApiKeys(process.env.API_KEYS),
+  adminKey: process.env.ADMIN_API_KEY || null,
+  rateLimit: limitFromEnv('RATE_LIMIT_PER_MINUTE'),
+  rateLimits: auth.parseClientLimits(process.env.RATE_LIMITS, 'rate limit'),
+  quota: limitFromEnv('GENERATION_QUOTA_PER_DAY'),
+  quotas: auth.parseClientLimits(process.env.GENERATION_QUOTAS, 'generation quota')
+});
+const rateLimiter = auth.createRateLimiter();
+const generationQuota = auth.createQuotaCounter();
+
+if (apiKeys.enabled) {
+  console.log(`🔐 API keys required (${apiKeys.clients.size} configured)`);
 } else {
-  console.log('📝 Using fallback data generation (no API key provided)');
+  console.warn('⚠️  No API keys configured: the API is open (set API_KEYS or ADMIN_API_KEY)');
+}
+
+// Behind a proxy (e.g. TRUST_PROXY=1 on Render) so rate limits see the caller's IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 }
 
-// Indian bank data
-const indianBanks = [
-  { name: 'State Bank of India', code: 'SBI', ifsc: 'SBIN' },
-  { name: 'HDFC Bank', code: 'HDFC', ifsc: 'HDFC' },
-  { name: 'ICICI Bank', code: 'ICICI', ifsc: 'ICIC' },
-  { name: 'Punjab National Bank', code: 'PNB', ifsc: 'PUNB' },
-  { name: 'Bank of Baroda', code: 'BOB', ifsc: 'BARB' },
-  { name: 'Canara Bank', code: 'CNB', ifsc: 'CNRB' },
-  { name: 'Union Bank of India', code: 'UBI', ifsc: 'UBIN' },
-  { name: 'Bank of India', code: 'BOI', ifsc: 'BKID' },
-  { name: 'Indian Bank', code: 'IB', ifsc: 'IDIB' },
-  { name: 'Central Bank of India', code: 'CBI', ifsc: 'CBIN' },
-  { name: 'Axis Bank', code: 'AXIS', ifsc: 'UTIB' },
-  { name: 'Kotak Mahindra Bank', code: 'KMB', ifsc: 'KKBK' },
-  { name: 'IndusInd Bank', code: 'IIB', ifsc: 'INDB' },
-  { name: 'Yes Bank', code: 'YES', ifsc: 'YESB' },
-  { name: 'IDFC FIRST Bank', code: 'IDFC', ifsc: 'IDFB' }
-];
-
-// Indian cities for branch codes
-const indianCities = [
-  'MUM', 'DEL', 'BLR', 'HYD', 'CHN', 'KOL', 'PUN', 'AHM', 'SUR', 'VIS',
-  'KAN', 'NAG', 'IND', 'THA', 'BHO', 'COI', 'LUD', 'AGR', 'MER', 'RJK',
-  'JAI', 'JOD', 'KOT', 'AMD', 'VAD', 'RJT', 'BHV', 'UJN', 'GWL', 'JAB'
-];
+const retryAfterSeconds = (resetAt) => Math.max(Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000), 1);
+
+// Every /api route needs a key once any are configured; /health stays public
+const authenticate = (req, res, next) => {
+  req.client = null;
+  if (!apiKeys.enabled) return next();
+  
+  const key = auth.keyFromRequest(req);
+  req.client = apiKeys.authenticate(key);
+  
+  if (!req.client) {
+    return res.status(401).json({
+      success: false,
+      error: key ? 'Invalid API key' : 'API key required',
+      details: ['Send the key as an X-API-Key header or as Authorization: Bearer <key>']
+    });
+  }
+  next();
+};
+
+// Requests a minute per client, or per IP while the API is open
+const rateLimitOf = (req) => (req.client
+  ? { id: req.client.id, limit: req.client.rateLimit }
+  : { id: `ip:${req.ip}`, limit: apiKeys.rateLimit });
+
+const rateLimit = (req, res, next) => {
+  const { id, limit } = rateLimitOf(req);
+  if (!limit) return next();
+  
+  const usage = rateLimiter.take(id, limit);
+  res.set({
+    'X-RateLimit-Limit': limit,
+    'X-RateLimit-Remaining': usage.remaining,
+    'X-RateLimit-Reset': Math.ceil(new Date(usage.resetAt).getTime() / 1000)
+  });
+  
+  if (!usage.allowed) {
+    res.set('Retry-After', retryAfterSeconds(usage.resetAt));
+    return res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded',
+      details: [`At most ${limit} requests a minute; try again after ${usage.resetAt}`]
+    });
+  }
+  next();
+};
+
+// Routes that change everyone's data in a sandbox: the admin key, or a client
+// in a sandbox it created
+const requireSandboxOwner = (req, res, next) => {
+  if (!clientIdOf(req) || sandboxes.current().clientId === clientIdOf(req)) return next();
+  
+  res.status(403).json({
+    success: false,
+    error: 'Admin API key required',
+    details: ['Clients can only do this in a sandbox they created']
+  });
+};
+
+// Requests run against the sandbox named by the /sandboxes/:name prefix or the
+// X-Sandbox header, and the default one without either. Clients only get the
+// default sandbox and their own. Managing sandboxes isn't scoped to one.
+const canUseSandbox = (req, sandbox) => isDefault(sandbox) || canSee(req, sandbox);
+
+const useSandbox = (req, res, next) => {
+  if (/^\/sandboxes(\/|$)/.test(req.path)) return next();
+  
+  const name = req.sandboxName || req.get(SANDBOX_HEADER) || DEFAULT_SANDBOX;
+  const sandbox = sandboxes.get(name);
+  
+  if (!sandbox || !canUseSandbox(req, sandbox)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Sandbox not found',
+      details: [`No sandbox named "${name}"; create it with POST /api/sandboxes`]
+    });
+  }
+  
+  res.set(SANDBOX_HEADER, sandbox.name);
+  sandboxes.run(sandboxes.touch(sandbox), next);
+};
+
+// The client a request works for: null for the admin key and while the API
+// is open, which see every account
+const clientIdOf = (req) => (req.client && !req.client.admin ? req.client.id : null);
+
+const canSee = (req, record) => !clientIdOf(req) || record.clientId === clientIdOf(req);
+
+// Only client-owned accounts carry a clientId, so generated datasets stay the same
+const assignClient = (account, clientId) => {
+  if (clientId) account.clientId = clientId;
+  return account;
+};
+
+// Charge a generation run's estimated transactions to the client's daily quota.
+// Sends a 429 and returns false when it doesn't fit.
+const chargeGenerationQuota = (req, res, transactions) => {
+  if (!req.client || !req.client.quota) return true;
+  
+  const usage = generationQuota.take(req.client.id, req.client.quota, transactions);
+  if (usage.allowed) return true;
+  
+  res.set('Retry-After', retryAfterSeconds(usage.resetAt));
+  res.status(429).json({
+    success: false,
+    error: 'Daily generation quota exceeded',
+    details: [`About ${transactions} transactions requested; ${usage.remaining} of ${usage.limit} left today (resets at ${usage.resetAt})`]
+  });
+  return false;
+};
+
+// A run that failed or was cancelled gives its quota back
+const refundGenerationQuota = (req, transactions) => {
+  if (req.client && req.client.quota) generationQuota.refund(req.client.id, transactions);
+};
+
+// OpenAPI document, served at /openapi.json. Query parameters and JSON bodies
+// are checked against it before they reach the routes.
+const apiDocument = openapi.buildDocument({
+  title: 'Synthetic Bank API',
+  version: generatorVersion,
+  description: 'Realistic synthetic Indian bank accounts and transactions: generation, queries, analytics, simulation, webhooks and an Account Aggregator mock.',
+  authentication: apiKeys.enabled
+});
+const apiPaths = openapi.compilePaths(apiDocument);
+
+// OPENAPI_VALIDATE_RESPONSES=true also checks what the routes send back and
+// logs mismatches (for development)
+const validateResponses = process.env.OPENAPI_VALIDATE_RESPONSES === 'true';
+
+const validateRequest = (req, res, next) => {
+  const found = openapi.findOperation(apiDocument, apiPaths, req.method, req.baseUrl + req.path);
+  if (!found) return next();
+  
+  const errors = openapi.checkRequest(apiDocument, found.operation, { query: req.query, body: req.body });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request',
+      details: errors
+    });
+  }
+  
+  if (validateResponses) {
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const problems = openapi.checkResponse(apiDocument, found.operation, res.statusCode, body);
+      if (problems.length > 0) {
+        console.warn(`⚠️ ${req.method} ${found.path} sent a ${res.statusCode} that doesn't match the OpenAPI document: ${problems.slice(0, 5).join('; ')}`);
+      }
+      return send(body);
+    };
+  }
+  next();
+};
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  // CORS_ORIGINS="https://app.example.com,http://localhost:3000" (default: any origin)
+  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : '*',
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After', 'Location', SANDBOX_HEADER]
+}));
 app.use(express.json());
 
-// Sample data generators
-const generateRandomAmount = (min = 10, max = 5000) => {
-  return parseFloat((Math.random() * (max - min) + min).toFixed(2));
-};
+// /sandboxes/:name/api/... is /api/... in that sandbox
+app.use((req, res, next) => {
+  const match = /^\/sandboxes\/([^/?]+)(\/api(?:[/?].*)?)$/.exec(req.url);
+  if (match) {
+    req.sandboxName = decodeURIComponent(match[1]);
+    req.url = match[2];
+  }
+  next();
+});
+
+app.use('/api', authenticate, rateLimit, useSandbox, validateRequest);
+
+// Accounts of other clients don't exist as far as a client is concerned
+app.param('accountId', (req, res, next, accountId) => {
+  const account = store.getAccount(accountId);
+  
+  if (account && !canSee(req, account)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  next();
+});
 
-const generateRandomDate = (daysBack = 30) => {
-  const date = new Date();
-  date.setDate(date.getDate() - Math.floor(Math.random() * daysBack));
-  return date.toISOString();
+// Sample data generators (each takes an optional seeded random source)
+const generateRandomAmount = (min = 10, max = 5000, rng = defaultRandom) => {
+  return parseFloat(rng.float(min, max).toFixed(2));
 };
 
-const transactionCategories = [
-  'Food & Dining', 'Groceries', 'Transportation', 'Bills & Utilities',
-  'Entertainment', 'Healthcare', 'Travel', 'Education', 'Shopping',
-  'Fuel & Gas', 'Mobile Recharge', 'DTH/Cable', 'Insurance Premium',
-  'Mutual Fund SIP', 'Fixed Deposit', 'Gold Purchase', 'Online Shopping',
-  'UPI Payment', 'NEFT Transfer', 'Salary Credit', 'Bonus', 'Dividend',
-  'Interest Credit', 'Cash Withdrawal', 'Loan EMI', 'Credit Card Payment',
-  'Investment', 'Donation', 'Medical', 'Pharmacy', 'Petrol Pump'
-];
+// Random moment within the last `daysBack` days (never in the future)
+const generateRandomDate = (daysBack = 30, rng = defaultRandom) => {
+  const secondsBack = rng.int(0, daysBack - 1) * 86400 + rng.int(0, 86399);
+  return new Date(rng.now().getTime() - secondsBack * 1000).toISOString();
+};
 
-// Gemini API-powered data generation functions
-async function generateIndianPersonalDetails() {
-  // Check if Gemini API is available
-  if (!gemini) {
+// AI-powered data generation functions (see lib/ai.js for providers)
+async function generateIndianPersonalDetails(rng = defaultRandom) {
+  // Check if an AI provider is available (seeded runs only use deterministic ones)
+  if (!ai.isAvailable(rng)) {
     console.log('🔄 Using fallback personal details generation');
-    return generateFallbackPersonalDetails();
+    return generateFallbackPersonalDetails(rng);
   }
 
   try {
@@ -106,61 +335,43 @@ async function generateIndianPersonalDetails() {
     
     Use common Indian names from different regions (North, South, East, West India). Make it diverse and realistic. Return only valid JSON, no additional text.`;
 
-    const result = await gemini.generateContent(prompt);
-    const response = await result.response;
-    const content = response.text();
+    const content = await ai.generate(prompt, { task: 'personalDetails', rng });
     
-    // Clean up the response to extract JSON
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const jsonData = JSON.parse(jsonMatch[0]);
-      console.log('✅ Generated personal details using Gemini AI');
-      return jsonData;
+    // Extract (and if needed repair) the JSON, then check it has the fields we use.
+    // Provider failures are reported by the AI client, unusable responses here.
+    let jsonData;
+    try {
+      jsonData = parseModelJson(content, 'object');
+      if (typeof jsonData.name !== 'string' || !jsonData.name.trim() || typeof jsonData.address !== 'object' || !jsonData.address) {
+        throw new Error('AI response is missing name or address');
+      }
+    } catch (error) {
+      ai.reportError('personalDetails', error);
+      throw error;
     }
     
-    throw new Error('Invalid JSON response from Gemini');
+    console.log(`✅ Generated personal details using ${ai.provider.label}`);
+    return jsonData;
   } catch (error) {
-    console.error('❌ Gemini API error:', error.message);
+    console.error('❌ AI provider error:', error.message);
     console.log('🔄 Falling back to static data generation');
-    return generateFallbackPersonalDetails();
+    return generateFallbackPersonalDetails(rng);
   }
 }
 
-async function generateIndianTransactionDescription(category, type) {
-  // Check if Gemini API is available
-  if (!gemini) {
-    return getFallbackTransactionDescription(category, type);
+// Descriptions come from per-category merchant pools (one AI call per
+// category and direction, see lib/merchants.js)
+async function generateIndianTransactionDescription(category, type, rng = defaultRandom) {
+  // Check if an AI provider is available (seeded runs only use deterministic ones)
+  if (!ai.isAvailable(rng)) {
+    return getFallbackTransactionDescription(category, type, rng);
   }
 
-  try {
-    const prompt = `Generate a realistic Indian transaction description for:
-    Category: ${category}
-    Type: ${type}
-    
-    Make it sound like a real Indian merchant/service. Use real Indian business names, services, or generic descriptions that Indians would recognize. Be specific and authentic.
-    
-    Examples:
-    - For Food: "Domino's Pizza", "Haldiram's", "McDonald's India", "Local Restaurant"
-    - For Groceries: "Big Bazaar", "Reliance Fresh", "Spencer's", "DMart"
-    - For Transport: "Ola Cab", "Uber India", "BEST Bus Pass", "Metro Card Recharge"
-    - For Bills: "MSEB Bill Payment", "Airtel Mobile", "Jio Recharge", "BSES Electricity"
-    
-    Return only the merchant/description name, no quotes or extra text.`;
-
-    const result = await gemini.generateContent(prompt);
-    const response = await result.response;
-    const content = response.text().trim().replace(/"/g, '');
-    
-    console.log(`✅ Generated transaction: ${content}`);
-    return content;
-  } catch (error) {
-    console.error('❌ Gemini API error for transaction:', error.message);
-    return getFallbackTransactionDescription(category, type);
-  }
+  return merchantPoolFor(rng).describe(category, type, rng);
 }
 
-// Fallback functions when Gemini is unavailable
-function generateFallbackPersonalDetails() {
+// Fallback functions when no AI provider is available
+function generateFallbackPersonalDetails(rng = defaultRandom) {
   const firstNames = [
     'Rahul', 'Priya', 'Amit', 'Sneha', 'Rajesh', 'Kavya', 'Suresh', 'Meera',
     'Vikram', 'Anita', 'Arjun', 'Divya', 'Karan', 'Pooja', 'Ravi', 'Nisha',
@@ -173,35 +384,24 @@ function generateFallbackPersonalDetails() {
     'Reddy', 'Rao', 'Nair', 'Iyer', 'Menon', 'Pillai', 'Das', 'Bose'
   ];
   
-  const cities = [
-    'Mumbai', 'Delhi', 'Bangalore', 'Hyderabad', 'Chennai', 'Kolkata', 'Pune',
-    'Ahmedabad', 'Surat', 'Jaipur', 'Lucknow', 'Kanpur', 'Nagpur', 'Indore'
-  ];
-  
-  const states = [
-    'Maharashtra', 'Delhi', 'Karnataka', 'Telangana', 'Tamil Nadu', 'West Bengal',
-    'Gujarat', 'Rajasthan', 'Uttar Pradesh', 'Madhya Pradesh'
-  ];
-  
-  const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-  const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
-  const city = cities[Math.floor(Math.random() * cities.length)];
-  const state = states[Math.floor(Math.random() * states.length)];
+  const firstName = rng.pick(firstNames);
+  const lastName = rng.pick(lastNames);
+  const { city, state } = rng.pick(indianCityDirectory);
   
   return {
     name: `${firstName} ${lastName}`,
     email: `${firstName.toLowerCase()}.${lastName.toLowerCase()}@gmail.com`,
-    phone: `+91 ${Math.random().toString().slice(2, 7)}-${Math.random().toString().slice(2, 7)}`,
+    phone: identifiers.generateMobileNumber(rng),
     address: {
-      street: `${Math.floor(Math.random() * 999) + 1}, ${lastName} Colony`,
+      street: `${rng.int(1, 999)}, ${lastName} Colony`,
       city: city,
       state: state,
-      pincode: `${Math.floor(Math.random() * 900000) + 100000}`
+      pincode: identifiers.generatePincode({ city, state }, rng)
     }
   };
 }
 
-function getFallbackTransactionDescription(category, type) {
+function getFallbackTransactionDescription(category, type, rng = defaultRandom) {
   const descriptions = {
     'Food & Dining': ['Dominos Pizza', 'McDonalds India', 'Zomato Order', 'Swiggy Delivery', 'Haldiram\'s', 'CCD'],
     'Groceries': ['DMart', 'Big Bazaar', 'Reliance Fresh', 'Spencer\'s', 'More Supermarket', 'Nature\'s Basket'],
@@ -211,129 +411,508 @@ function getFallbackTransactionDescription(category, type) {
     'Entertainment': ['BookMyShow', 'Netflix India', 'Amazon Prime', 'Hotstar', 'Zee5', 'SonyLIV'],
     'Shopping': ['Amazon India', 'Flipkart', 'Myntra', 'Ajio', 'Nykaa', 'Snapdeal'],
     'Healthcare': ['Apollo Pharmacy', 'Medplus', '1mg Order', 'Practo Consult', 'PharmEasy'],
-    'Fuel & Gas': ['Indian Oil Petrol', 'HP Gas', 'Bharat Petroleum', 'Shell India', 'Indane Gas']
+    'Fuel & Gas': ['Indian Oil Petrol', 'HP Gas', 'Bharat Petroleum', 'Shell India', 'Indane Gas'],
+    'Cash Deposit': ['Cash Deposit', 'Cash Deposit - CDM', 'Cash Deposit at Branch'],
+    'Card Payment': ['Payment Received - Thank You', 'Autopay Payment Received', 'BBPS Payment Received'],
+    'Refund': ['Merchant Refund', 'Refund - Order Cancelled', 'Reversal of Purchase']
   };
   
   const categoryDescriptions = descriptions[category] || ['General Payment', 'Service Payment'];
-  return categoryDescriptions[Math.floor(Math.random() * categoryDescriptions.length)];
+  return rng.pick(categoryDescriptions);
 }
 
-const generateTransaction = async (accountId, forceType = null) => {
-  const isCredit = forceType === 'credit' || (forceType !== 'debit' && Math.random() > 0.7);
-  const amount = generateRandomAmount(5, isCredit ? 3000 : 1500);
-  const category = transactionCategories[Math.floor(Math.random() * transactionCategories.length)];
+const generateTransaction = async (account, forceType = null, rng = defaultRandom) => {
+  const isCredit = forceType === 'credit' || (forceType !== 'debit' && rng.next() > 0.7);
+  const type = isCredit ? 'credit' : 'debit';
+  // Category and amount come from the catalogue so they always fit the direction
+  const category = pickCategory(type, rng);
+  const amount = sampleAmount(category, rng);
+  const channel = chooseChannel(categoryCatalogue[category].channels, amount, rng);
+  const date = generateRandomDate(60, rng);
   
-  // Generate realistic description using Gemini
-  const description = await generateIndianTransactionDescription(category, isCredit ? 'credit' : 'debit');
+  // Generate realistic description using the AI provider
+  const description = await generateIndianTransactionDescription(category, type, rng);
+  const { reference, narration } = buildPaymentDetails({ channel, type, description, date, account, rng });
   
   return {
-    id: uuidv4(),
-    accountId: accountId,
-    type: isCredit ? 'credit' : 'debit',
+    id: rng.uuid(),
+    accountId: account.id,
+    type: type,
     amount: amount,
     description: description,
     category: category,
-    date: generateRandomDate(60),
-    status: Math.random() > 0.1 ? 'completed' : 'pending',
-    reference: `UPI${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+    channel: channel,
+    narration: narration,
+    date: date,
+    status: rng.next() > 0.1 ? 'completed' : 'pending',
+    reference: reference,
     balance_after: null // Will be calculated
   };
 };
 
-const generateAccount = async () => {
-  const accountTypes = ['Savings', 'Current', 'Salary'];
-  const accountType = accountTypes[Math.floor(Math.random() * accountTypes.length)];
-  const bank = indianBanks[Math.floor(Math.random() * indianBanks.length)];
-  const city = indianCities[Math.floor(Math.random() * indianCities.length)];
-  
-  // Generate realistic personal details using Gemini
-  const personalDetails = await generateIndianPersonalDetails();
+// AI output isn't guaranteed to be valid, so repair the mobile number and
+// pincode where needed and attach a PAN for the holder
+const normalizePersonalDetails = (details, rng = defaultRandom) => {
+  const address = details.address || {};
   
   return {
-    id: uuidv4(),
-    accountNumber: `${Math.random().toString().slice(2, 6)}${Math.random().toString().slice(2, 8)}`,
+    ...details,
+    phone: identifiers.validateMobile(details.phone).valid
+      ? details.phone
+      : identifiers.generateMobileNumber(rng),
+    pan: details.pan && identifiers.validatePan(details.pan).valid
+      ? details.pan
+      : identifiers.generatePan(details.name, rng),
+    address: {
+      ...address,
+      pincode: identifiers.validatePincode(address.pincode, address.state).valid
+        ? address.pincode
+        : identifiers.generatePincode(address, rng)
+    }
+  };
+};
+
+// Apply caller-supplied holder fields on top of generated details, dropping
+// generated values that would no longer match (email/PAN for a new name,
+// pincode for a new city or state)
+const mergeHolderDetails = (generated, holder) => {
+  if (!holder) return generated;
+  
+  const address = holder.address || {};
+  const merged = {
+    ...generated,
+    ...holder,
+    address: { ...generated.address, ...address }
+  };
+  
+  if (holder.name) {
+    if (!holder.email) merged.email = `${holder.name.trim().toLowerCase().split(/\s+/).join('.')}@gmail.com`;
+    if (!holder.pan) delete merged.pan;
+  }
+  if (address.city && !address.state) {
+    const known = indianCityDirectory.find(entry => entry.city.toLowerCase() === address.city.toLowerCase());
+    if (known) merged.address.state = known.state;
+  }
+  if ((address.city || address.state) && !address.pincode) {
+    delete merged.address.pincode;
+  }
+  return merged;
+};
+
+// `overrides` (bankCode, accountType, openingBalance, accountHolder, openDate,
+// and creditLimit / billingDay for credit cards) replace the generated values
+const generateAccount = async (rng = defaultRandom, overrides = {}) => {
+  const accountType = overrides.accountType || rng.pick(DEPOSIT_ACCOUNT_TYPES);
+  const bank = overrides.bankCode ? identifiers.findBank(overrides.bankCode) : rng.pick(indianBanks);
+  const ifscCode = identifiers.generateIfsc(bank, rng);
+  
+  // Generate realistic personal details using the AI provider
+  const personalDetails = normalizePersonalDetails(
+    mergeHolderDetails(await generateIndianPersonalDetails(rng), overrides.accountHolder),
+    rng
+  );
+  
+  const isCard = accountType === cards.CREDIT_CARD;
+  const account = {
+    id: rng.uuid(),
+    accountNumber: identifiers.generateAccountNumber(bank, rng),
     accountType: accountType,
     bankName: bank.name,
     bankCode: bank.code,
-    branchCode: `${bank.ifsc}0${city}${Math.random().toString(36).substr(2, 3).toUpperCase()}`,
-    ifscCode: `${bank.ifsc}0${city}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`,
+    branchCode: ifscCode.slice(5), // Last 6 characters of the IFSC identify the branch
+    ifscCode: ifscCode,
+    upiId: identifiers.generateUpiId(personalDetails.name, bank, rng),
     accountHolder: personalDetails,
-    balance: generateRandomAmount(1000, 50000),
+    // Cards open with nothing owed
+    balance: isCard ? 0 : (overrides.openingBalance !== undefined ? overrides.openingBalance : generateRandomAmount(1000, 50000, rng)),
     availableBalance: null, // Will be calculated
+    overdraftLimit: overdraftLimits[accountType] || 0,
+    holds: [],
     currency: 'INR',
     status: 'Active',
-    openDate: generateRandomDate(1825), // Up to 5 years ago
-    lastUpdated: new Date().toISOString()
+    openDate: overrides.openDate || generateRandomDate(1825, rng), // Up to 5 years ago
+    lastUpdated: rng.now().toISOString()
   };
+  
+  // A card can be spent down to minus its credit limit (see lib/cards.js)
+  if (isCard) {
+    account.card = cards.createCard(rng, { creditLimit: overrides.creditLimit, billingDay: overrides.billingDay, since: account.openDate });
+    account.overdraftLimit = account.card.creditLimit;
+  }
+  return account;
 };
 
-// In-memory storage (use a database in production)
-let accounts = [];
-let transactions = [];
+// Purchases, payments and monthly statements for a credit card since `from`.
+// The balance is whatever the statements and payments left owing, so it isn't
+// re-posted like a bank account history.
+const generateCardAccountHistory = async (account, from, rng = defaultRandom, spendsPerMonth = null) => {
+  const persona = cards.createCardPersona(rng);
+  if (spendsPerMonth) persona.spendsPerMonth = spendsPerMonth;
+  
+  const { transactions: accountTransactions, closingBalance } = await cards.generateCardHistory({
+    account,
+    persona,
+    from: new Date(Math.max(from.getTime(), new Date(account.openDate).getTime())),
+    to: rng.now(),
+    rng,
+    describe: (category, type) => generateIndianTransactionDescription(category, type, rng)
+  });
+  
+  account.persona = persona;
+  account.balance = closingBalance;
+  return accountTransactions;
+};
 
-// Initialize with sample data
-const initializeSampleData = async () => {
-  console.log('🔄 Generating initial synthetic data...');
+// Persona-driven history (salary, EMIs, SIPs, bills, spends) over the last
+// `months` months. Stores the persona on the account and sets its balance.
+const generateAccountTimeline = async (account, months, rng = defaultRandom) => {
+  const to = rng.now();
+  const from = new Date(to);
+  from.setUTCMonth(from.getUTCMonth() - months);
   
-  for (let i = 0; i < 3; i++) {
-    const account = await generateAccount();
-    accounts.push(account);
-    
-    console.log(`📝 Generated account for ${account.accountHolder.name} at ${account.bankName}`);
-    
-    // Generate 20-50 transactions per account
-    const numTransactions = Math.floor(Math.random() * 30) + 20;
-    let runningBalance = account.balance;
-    
-    for (let j = 0; j < numTransactions; j++) {
-      const transaction = await generateTransaction(account.id);
-      
-      if (transaction.type === 'debit') {
+  if (cards.isCreditCard(account)) {
+    return generateCardAccountHistory(account, from, rng);
+  }
+  
+  const persona = createPersona(account, rng);
+  const openingBalance = openingBalanceFor(persona, rng);
+  const { transactions: accountTransactions } = await generateTimeline({
+    account,
+    persona,
+    from: new Date(Math.max(from.getTime(), new Date(account.openDate).getTime())),
+    to,
+    openingBalance,
+    rng,
+    describe: (category, type) => generateIndianTransactionDescription(category, type, rng)
+  });
+  
+  account.persona = persona;
+  postHistory(account, openingBalance, accountTransactions);
+  return accountTransactions;
+};
+
+// Post generated transactions in date order so balance_after is a true running
+// balance; returns the closing balance
+const applyRunningBalance = (openingBalance, accountTransactions) => {
+  let runningBalance = openingBalance;
+  
+  accountTransactions
+    .sort(byDateAsc)
+    .forEach(transaction => {
+      if (transaction.status === 'failed') {
+        // Rejected transactions never moved money
+      } else if (transaction.type === 'debit') {
         runningBalance -= transaction.amount;
       } else {
         runningBalance += transaction.amount;
       }
-      
       transaction.balance_after = parseFloat(runningBalance.toFixed(2));
-      transactions.push(transaction);
+    });
+  
+  return parseFloat(runningBalance.toFixed(2));
+};
+
+// Post a generated history from `openingBalance` and set the account balance.
+// The opening balance is topped up if the history would otherwise overdraw the
+// account past its overdraft limit.
+const postHistory = (account, openingBalance, accountTransactions) => {
+  const fundedOpeningBalance = balances.coverShortfall(openingBalance, accountTransactions, account.overdraftLimit);
+  account.balance = applyRunningBalance(fundedOpeningBalance, accountTransactions);
+};
+
+// Generated accounts get a few holds; availableBalance is whatever they leave
+const settleGeneratedAccount = (account, rng = defaultRandom) => {
+  account.holds = balances.generateHolds(account, rng);
+  account.availableBalance = balances.availableBalanceFor(account);
+};
+
+// Balance before the first transaction of a posted history
+const openingBalanceOf = (account, accountTransactions) => accountTransactions
+  .filter(t => t.status !== 'failed')
+  .reduce((balance, t) => (t.type === 'debit' ? balance + t.amount : balance - t.amount), account.balance);
+
+// Link freshly generated accounts with P2P transfers dated inside their
+// history, then re-post each account's running balance from its opening balance
+const addGeneratedTransfers = (generated, count, daysBack, rng = defaultRandom) => {
+  const openingBalances = new Map(generated.map(({ account, transactions }) => [
+    account.id,
+    openingBalanceOf(account, transactions)
+  ]));
+  const transfers = [];
+
+  for (let i = 0; i < count; i++) {
+    const from = rng.pick(generated);
+    const to = rng.pick(generated.filter(entry => entry !== from));
+    const amount = sampleAmount('Fund Transfer', rng);
+    // Both accounts must already be open on the transfer date
+    const openedDaysAgo = Math.floor((rng.now() - Math.max(new Date(from.account.openDate), new Date(to.account.openDate))) / 86400000);
+    const { debit, credit } = buildTransferLegs({
+      from: from.account,
+      to: to.account,
+      amount,
+      channel: chooseChannel(TRANSFER_CHANNELS, amount, rng),
+      date: generateRandomDate(Math.max(Math.min(daysBack, openedDaysAgo), 1), rng),
+      rng
+    });
+
+    from.transactions.push(debit);
+    to.transactions.push(credit);
+    transfers.push(debit.transferId);
+  }
+
+  generated.forEach(({ account, transactions }) => {
+    postHistory(account, openingBalances.get(account.id), transactions);
+  });
+
+  return transfers;
+};
+
+// Inject fraud scenarios into freshly generated accounts and re-post the
+// affected histories. Uses its own random source, so a seeded run produces the
+// same normal data with or without anomalies.
+const addGeneratedAnomalies = (generated, options, daysBack, rng = defaultRandom) => {
+  const openingBalances = new Map(generated.map(({ account, transactions }) => [
+    account.id,
+    openingBalanceOf(account, transactions)
+  ]));
+  const incidents = injectAnomalies({ generated, ...options, daysBack, rng: rng.fork('anomalies') });
+  const affected = new Set(incidents.map(incident => incident.accountId));
+  
+  generated
+    .filter(({ account }) => affected.has(account.id))
+    .forEach(({ account, transactions }) => postHistory(account, openingBalances.get(account.id), transactions));
+  
+  return incidents;
+};
+
+// Open loans and deposits for freshly generated bank accounts, dated inside
+// their history, and re-post the linked accounts. Uses its own random source,
+// so a seeded run produces the same accounts with or without them. Returns
+// the product accounts with their transactions.
+const addGeneratedProducts = (generated, daysBack, rng = defaultRandom) => {
+  const productRng = rng.fork('products');
+  const to = rng.now();
+  const opened = [];
+  
+  generated.forEach(({ account, transactions }) => {
+    const openingBalance = openingBalanceOf(account, transactions);
+    const from = new Date(Math.max(to.getTime() - daysBack * DAY_MS, new Date(account.openDate).getTime()));
+    const monthlyIncome = account.persona && account.persona.salary
+      ? account.persona.salary.amount
+      : account.accountType === 'Current' ? 250000 : 40000;
+    
+    const productAccounts = products.generateProducts({ linked: account, from, to, monthlyIncome, rng: productRng });
+    if (productAccounts.length === 0) return;
+    
+    // Not funds-checked: postHistory tops up the opening balance instead, so
+    // generated EMIs and instalments never bounce
+    const posted = products.runSchedules({ products: productAccounts, linked: account, until: to, rng: productRng, checkFunds: false });
+    transactions.push(...posted.filter(t => t.accountId === account.id));
+    postHistory(account, openingBalance, transactions);
+    
+    productAccounts.forEach(productAccount => opened.push({
+      account: productAccount,
+      transactions: posted.filter(t => t.accountId === productAccount.id)
+    }));
+  });
+  
+  return opened;
+};
+
+// Webhooks may only reach loopback and private addresses with WEBHOOK_ALLOW_PRIVATE=1
+// (e.g. a receiver on localhost while developing)
+const webhookAllowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE === '1';
+
+// Everything a dataset has, per sandbox (see lib/sandboxes.js)
+const sandboxes = new SandboxRegistry({
+  createState: (name, kept = {}) => {
+    // Storage backend for the default sandbox: STORAGE_DRIVER=memory (default)
+    // or file (JSON on disk at DATA_FILE). Other sandboxes are in memory.
+    const store = kept.store || (name === DEFAULT_SANDBOX
+      ? createStore({ driver: process.env.STORAGE_DRIVER || 'memory', filePath: process.env.DATA_FILE || './data/bank-data.json' })
+      : createStore());
+    
+    return {
+      store,
+      // "Now" for everything posted through the API; runs ahead of real time once
+      // the simulation has been advanced (POST /api/simulation/advance)
+      clock: createClock(store),
+      // Outgoing webhooks: subscriptions and the delivery log live in memory
+      webhooks: kept.webhooks || new WebhookDispatcher({
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+        retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000,
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+        userAgent: `${generatorName}/${generatorVersion}`,
+        allowPrivateAddresses: webhookAllowPrivate
+      }),
+      jobs: new JobQueue(),
+      // Account Aggregator consents and FI sessions
+      aaConsents: new Map(),
+      aaSessions: new Map()
+    };
+  },
+  disposeState: ({ jobs, webhooks }, { deleted }) => {
+    jobs.list().forEach(job => jobs.cancel(job.id));
+    if (deleted) webhooks.list().forEach(subscription => webhooks.unsubscribe(subscription.id));
+  },
+  maxSandboxes: parseInt(process.env.SANDBOX_MAX) || 20,
+  ttlMinutes: parseInt(process.env.SANDBOX_TTL_MINUTES) || 24 * 60
+});
+
+// The current request's sandbox; the default one outside requests
+const store = sandboxes.scoped('store');
+const clock = sandboxes.scoped('clock');
+const webhooks = sandboxes.scoped('webhooks');
+const jobs = sandboxes.scoped('jobs');
+const aaConsents = sandboxes.scoped('aaConsents');
+const aaSessions = sandboxes.scoped('aaSessions');
+
+console.log(`🗄️  Storage: ${store.driver}${store.filePath ? ` (${store.filePath})` : ''}`);
+
+// account.low_balance is only sent for bank accounts (a card's balance is what it owes)
+const notifyBalanceChange = (account, previousBalance) => {
+  if (DEPOSIT_ACCOUNT_TYPES.includes(account.accountType)) {
+    webhooks.checkLowBalance(account, previousBalance);
+  }
+};
+
+// Remember which seeds (and reference dates) the stored data came from, for export manifests
+const sameSeed = (a, b) => String(a.seed) === String(b.seed) && a.asOf === b.asOf;
+
+const mergeSeeds = (seeds, added) => added.reduce(
+  (merged, entry) => (merged.some(existing => sameSeed(existing, entry)) ? merged : [...merged, entry]),
+  seeds
+);
+
+const recordSeed = (rng) => {
+  if (!rng.seeded) return;
+  store.updateMeta({ seeds: mergeSeeds(store.getMeta().seeds || [], [{ seed: rng.seed, asOf: rng.now().toISOString() }]) });
+};
+
+// Initialize with sample data (set SEED / SEED_AS_OF for a reproducible dataset)
+const initializeSampleData = async ({
+  seed = process.env.SEED,
+  asOf = process.env.SEED_AS_OF,
+  months = parseInt(process.env.HISTORY_MONTHS) || null
+} = {}) => {
+  // Persisted datasets survive restarts, so only seed an empty store
+  if (!store.isEmpty()) {
+    console.log(`📂 Loaded ${store.listAccounts().length} accounts with ${store.listTransactions().length} transactions from storage`);
+    return;
+  }
+  
+  const rng = createRandom(seed, { asOf });
+  console.log(`🔄 Generating initial synthetic data${rng.seeded ? ` (seed: ${rng.seed})` : ''}...`);
+  
+  for (let i = 0; i < 3; i++) {
+    const account = await generateAccount(rng);
+    let accountTransactions = [];
+    
+    console.log(`📝 Generated account for ${account.accountHolder.name} at ${account.bankName}`);
+    
+    if (months) {
+      accountTransactions = await generateAccountTimeline(account, months, rng);
+    } else {
+      // Generate 20-50 transactions per account
+      const numTransactions = rng.int(20, 49);
       
-      // Add small delay to avoid rate limiting when using Gemini API
-      if (gemini && j % 3 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 200));
+      for (let j = 0; j < numTransactions; j++) {
+        const transaction = await generateTransaction(account, null, rng);
+        accountTransactions.push(transaction);
       }
+      
+      // Update account balance to final balance
+      postHistory(account, account.balance, accountTransactions);
     }
+    settleGeneratedAccount(account, rng);
     
-    // Update account balance to final balance
-    account.balance = parseFloat(runningBalance.toFixed(2));
-    account.availableBalance = account.balance - generateRandomAmount(0, 500);
+    store.addAccount(account);
+    store.addTransactions(accountTransactions);
     
-    console.log(`💰 Generated ${numTransactions} transactions for ${account.accountHolder.name}`);
+    console.log(`💰 Generated ${accountTransactions.length} transactions for ${account.accountHolder.name}`);
   }
+  recordSeed(rng);
   
-  // Sort transactions by date (newest first)
-  transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
   console.log('✅ Sample data initialization complete!');
 };
 
 // Initialize sample data
-initializeSampleData();
+initializeSampleData().catch(error => {
+  console.error('❌ Failed to initialize sample data:', error.message);
+});
+
+// What a client can see: its own accounts and their transactions
+const visibleAccounts = (req) => store.listAccounts().filter(acc => canSee(req, acc));
+
+const visibleAccount = (req, accountId) => {
+  const account = store.getAccount(accountId);
+  return account && canSee(req, account) ? account : null;
+};
+
+const visibleTransactions = (req) => {
+  if (!clientIdOf(req)) return store.listTransactions();
+  
+  const accountIds = new Set(visibleAccounts(req).map(acc => acc.id));
+  return store.listTransactions().filter(t => accountIds.has(t.accountId));
+};
 
 // Health check endpoint (first to avoid conflicts)
 app.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Synthetic Bank API is running',
-    ai_provider: gemini ? 'Google Gemini 2.0 Flash' : 'Fallback Templates',
+    ai_provider: ai.provider ? ai.provider.label : 'Fallback Templates',
     timestamp: new Date().toISOString(),
     data: {
-      accounts: accounts.length,
-      transactions: transactions.length
+      accounts: store.listAccounts().length,
+      transactions: store.listTransactions().length
+    },
+    sandboxes: sandboxes.list().length,
+    storage: store.driver
+  });
+});
+
+// The OpenAPI document and a docs page for it (public, like /health)
+app.get('/openapi.json', (req, res) => {
+  res.json(apiDocument);
+});
+
+app.get('/docs', (req, res) => {
+  res.type('html').send(openapi.docsPage({ title: `${apiDocument.info.title} docs`, documentUrl: '/openapi.json' }));
+});
+
+// The caller's API key: client, rate limit and today's generation quota
+app.get('/api/usage', (req, res) => {
+  const { id, limit } = rateLimitOf(req);
+  
+  res.json({
+    success: true,
+    data: {
+      authentication: apiKeys.enabled ? 'api-key' : 'none',
+      client: req.client ? req.client.id : null,
+      admin: !clientIdOf(req),
+      rateLimit: { ...rateLimiter.usage(id, limit), window: 'minute' },
+      generationQuota: req.client ? { ...generationQuota.usage(req.client.id, req.client.quota), window: 'day (IST)', unit: 'transactions' } : null
     }
   });
 });
 
 // API Routes - Account endpoints
 app.get('/api/accounts', (req, res) => {
+  const { status, accountType, linkedAccountId } = req.query;
+  let accounts = visibleAccounts(req);
+  
+  if (status) {
+    accounts = accounts.filter(acc => acc.status === status);
+  }
+  if (accountType) {
+    accounts = accounts.filter(acc => acc.accountType === accountType);
+  }
+  // Loans and deposits held against a bank account
+  if (linkedAccountId) {
+    accounts = accounts.filter(acc => products.isProduct(acc) && products.linkedAccountIdOf(acc) === linkedAccountId);
+  }
+  
   res.json({
     success: true,
     data: accounts,
@@ -343,7 +922,7 @@ app.get('/api/accounts', (req, res) => {
 
 app.get('/api/accounts/:accountId', (req, res) => {
   const accountId = req.params.accountId;
-  const account = accounts.find(acc => acc.id === accountId);
+  const account = store.getAccount(accountId);
   
   if (!account) {
     return res.status(404).json({
@@ -358,335 +937,2670 @@ app.get('/api/accounts/:accountId', (req, res) => {
   });
 });
 
-app.get('/api/accounts/:accountId/balance', (req, res) => {
-  const accountId = req.params.accountId;
-  const account = accounts.find(acc => acc.id === accountId);
+// Problems with a new account body (empty when it is well-formed)
+const validateAccountBody = ({ bankCode, accountType, openingBalance, accountHolder, creditLimit, billingDay } = {}) => {
+  const errors = [];
   
-  if (!account) {
-    return res.status(404).json({
-      success: false,
-      error: 'Account not found'
-    });
+  if (bankCode !== undefined && !identifiers.findBank(bankCode)) {
+    errors.push(`bankCode must be one of: ${indianBanks.map(bank => bank.code).join(', ')}`);
+  }
+  if (PRODUCT_ACCOUNT_TYPES.includes(accountType)) {
+    errors.push(`A ${accountType} is opened against a bank account: POST /api/accounts/:accountId/${accountType === products.LOAN ? 'loans' : 'deposits'}`);
+  } else if (accountType !== undefined && !ACCOUNT_TYPES.includes(accountType)) {
+    errors.push(`accountType must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+  }
+  if (openingBalance !== undefined && !(typeof openingBalance === 'number' && Number.isFinite(openingBalance) && openingBalance >= 0)) {
+    errors.push('openingBalance must be a number of 0 or more');
   }
   
-  res.json({
-    success: true,
-    data: {
-      accountId: account.id,
-      balance: account.balance,
-      availableBalance: account.availableBalance,
-      currency: account.currency,
-      lastUpdated: account.lastUpdated
+  // Cards open with nothing owed; limit and statement day only apply to them
+  if (accountType === cards.CREDIT_CARD) {
+    if (openingBalance !== undefined) {
+      errors.push(`openingBalance can't be set for a ${cards.CREDIT_CARD} account`);
     }
-  });
-});
-
-app.get('/api/accounts/:accountId/transactions', (req, res) => {
-  const accountId = req.params.accountId;
-  const { limit = 50, offset = 0, type, category, status } = req.query;
-  
-  let accountTransactions = transactions.filter(t => t.accountId === accountId);
+    if (creditLimit !== undefined && !(typeof creditLimit === 'number' && Number.isInteger(creditLimit) && creditLimit >= 1000 && creditLimit <= 10000000)) {
+      errors.push('creditLimit must be a whole number between 1000 and 10000000');
+    }
+    if (billingDay !== undefined && !(Number.isInteger(billingDay) && billingDay >= 1 && billingDay <= 28)) {
+      errors.push('billingDay must be a day of the month between 1 and 28');
+    }
+  } else if (creditLimit !== undefined || billingDay !== undefined) {
+    errors.push(`creditLimit and billingDay are only for ${cards.CREDIT_CARD} accounts`);
+  }
   
-  // Apply filters
-  if (type) {
-    accountTransactions = accountTransactions.filter(t => t.type === type);
+  if (accountHolder === undefined) return errors;
+  if (typeof accountHolder !== 'object' || accountHolder === null || Array.isArray(accountHolder)) {
+    errors.push('accountHolder must be an object');
+    return errors;
   }
   
-  if (category) {
-    accountTransactions = accountTransactions.filter(t => 
-      t.category.toLowerCase().includes(category.toLowerCase())
-    );
+  const { name, email, phone, pan, address } = accountHolder;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 80)) {
+    errors.push('accountHolder.name must be a non-empty string of at most 80 characters');
+  }
+  if (email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email))) {
+    errors.push('accountHolder.email must be a valid email address');
+  }
+  if (phone !== undefined) {
+    identifiers.validateMobile(phone).errors.forEach(error => errors.push(`accountHolder.phone: ${error}`));
+  }
+  if (pan !== undefined) {
+    identifiers.validatePan(pan).errors.forEach(error => errors.push(`accountHolder.pan: ${error}`));
+  }
+  if (address !== undefined) {
+    if (typeof address !== 'object' || address === null) {
+      errors.push('accountHolder.address must be an object');
+    } else {
+      const known = address.city && indianCityDirectory.find(entry => entry.city.toLowerCase() === String(address.city).toLowerCase());
+      const state = address.state || (known && known.state);
+      if (address.city && !state) {
+        errors.push(`accountHolder.address.state is required for ${address.city}`);
+      }
+      if (address.pincode !== undefined) {
+        identifiers.validatePincode(address.pincode, state).errors.forEach(error => errors.push(`accountHolder.address.pincode: ${error}`));
+      }
+    }
   }
   
-  if (status) {
-    accountTransactions = accountTransactions.filter(t => t.status === status);
+  return errors;
+};
+
+// Open a new account; anything not supplied is generated
+app.post('/api/accounts', async (req, res) => {
+  const errors = validateAccountBody(req.body);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid account',
+      details: errors
+    });
   }
   
-  // Apply pagination
-  const startIndex = parseInt(offset);
-  const endIndex = startIndex + parseInt(limit);
-  const paginatedTransactions = accountTransactions.slice(startIndex, endIndex);
+  const { bankCode, accountType, openingBalance, accountHolder, creditLimit, billingDay } = req.body;
   
-  res.json({
+  try {
+    const account = await generateAccount(createRandom(null, { asOf: clock.asOf() }), {
+      bankCode,
+      accountType,
+      openingBalance: openingBalance !== undefined ? parseFloat(openingBalance.toFixed(2)) : undefined,
+      accountHolder,
+      creditLimit,
+      billingDay,
+      openDate: clock.now().toISOString()
+    });
+    account.availableBalance = balances.availableBalanceFor(account);
+    assignClient(account, clientIdOf(req));
+    
+    store.addAccount(account);
+    
+    res.status(201).json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create account',
+      details: error.message
+    });
+  }
+});
+
+// Change account status (Active, Dormant, Frozen, Closed), overdraft limit or
+// (for credit cards) credit limit
+app.patch('/api/accounts/:accountId', (req, res) => {
+  const account = store.getAccount(req.params.accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  const { status, reason, overdraftLimit, creditLimit } = req.body;
+  const isCard = cards.isCreditCard(account);
+  const errors = [];
+  
+  if (status === undefined && overdraftLimit === undefined && creditLimit === undefined) {
+    errors.push(isCard ? 'Provide status and/or creditLimit' : 'Provide status and/or overdraftLimit');
+  }
+  if (status !== undefined && !ACCOUNT_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${ACCOUNT_STATUSES.join(', ')}`);
+  }
+  if (reason !== undefined && typeof reason !== 'string') {
+    errors.push('reason must be a string');
+  }
+  if (overdraftLimit !== undefined && !(typeof overdraftLimit === 'number' && Number.isFinite(overdraftLimit) && overdraftLimit >= 0)) {
+    errors.push('overdraftLimit must be a number of 0 or more');
+  }
+  if (creditLimit !== undefined && !(typeof creditLimit === 'number' && Number.isInteger(creditLimit) && creditLimit >= 1000 && creditLimit <= 10000000)) {
+    errors.push('creditLimit must be a whole number between 1000 and 10000000');
+  }
+  // A card's overdraft limit is its credit limit
+  if (isCard && overdraftLimit !== undefined) {
+    errors.push(`Use creditLimit for a ${cards.CREDIT_CARD} account`);
+  }
+  if (!isCard && creditLimit !== undefined) {
+    errors.push(`creditLimit is only for ${cards.CREDIT_CARD} accounts`);
+  }
+  if (products.isProduct(account) && overdraftLimit !== undefined) {
+    errors.push(`overdraftLimit doesn't apply to a ${account.accountType} account`);
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid account update',
+      details: errors
+    });
+  }
+  
+  const ruleErrors = status !== undefined ? validateStatusChange(account, status) : [];
+  if (account.status === 'Closed' && (overdraftLimit !== undefined || creditLimit !== undefined)) {
+    ruleErrors.push('A Closed account can\'t be changed');
+  }
+  
+  if (ruleErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Account update not allowed',
+      details: [...new Set(ruleErrors)]
+    });
+  }
+  
+  const now = clock.now().toISOString();
+  const changes = { lastUpdated: now };
+  
+  if (status !== undefined) {
+    Object.assign(changes, {
+      status,
+      statusReason: reason || null,
+      statusChangedAt: now
+    });
+    if (status === 'Closed') {
+      changes.closedDate = now;
+    }
+  }
+  if (overdraftLimit !== undefined) {
+    changes.overdraftLimit = overdraftLimit;
+  }
+  if (creditLimit !== undefined) {
+    changes.card = { ...account.card, creditLimit };
+    changes.overdraftLimit = creditLimit;
+  }
+  
+  res.json({
+    success: true,
+    data: store.updateAccount(account.id, changes)
+  });
+});
+
+// Delete an account together with its transactions
+app.delete('/api/accounts/:accountId', (req, res) => {
+  const accountId = req.params.accountId;
+  const account = store.getAccount(accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  // An open loan or deposit still owes or holds money, and its postings on the
+  // linked account refer to it
+  if (products.isProduct(account) && account.status !== 'Closed') {
+    return res.status(422).json({
+      success: false,
+      error: `${account.accountType} account is still open`,
+      details: [`Only a Closed ${account.accountType} account can be deleted (it closes once ${account.loan ? 'repaid' : 'matured'}, or with PATCH status Closed)`]
+    });
+  }
+  
+  // EMIs, instalments and maturity proceeds still have to post to this account
+  const openProducts = linkedProducts(accountId).filter(acc => acc.status !== 'Closed');
+  if (openProducts.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Account has open loans or deposits',
+      details: openProducts.map(acc => `${acc.accountType} ${acc.id} is linked to this account`)
+    });
+  }
+  
+  // The other side of this account's transfers stays, no longer pointing here
+  const { deletedTransactions, detachedTransfers } = store.batch(() => {
+    const counterpartyLegs = store.listTransactions().filter(t => t.transferId && t.counterpartyAccountId === accountId && t.accountId !== accountId);
+    counterpartyLegs.forEach(t => store.updateTransaction(t.id, { counterpartyAccountId: null }));
+    const removed = store.removeTransactions(t => t.accountId === accountId);
+    store.removeAccount(accountId);
+    return { deletedTransactions: removed, detachedTransfers: counterpartyLegs.length };
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      accountId,
+      deletedTransactions,
+      detachedTransfers
+    }
+  });
+});
+
+// transaction.created for what the bank posts on its own (card charges, loan
+// disbursals and EMIs, deposit instalments, interest and maturity proceeds)
+const announceTransactions = (transactions) => transactions.forEach(transaction => {
+  const account = store.getAccount(transaction.accountId);
+  webhooks.publish('transaction.created', { transaction }, account ? account.clientId : null);
+});
+
+// Close a credit card's ended billing cycles: post their interest, late fee
+// and GST and store the statements. Cycles are closed when the card is next
+// used or read, before anything newer is posted, so charges always come
+// before later transactions. Returns the new statements.
+const billCard = (account, now = clock.now()) => {
+  if (!cards.isCreditCard(account)) return [];
+  
+  const statementDays = cards.dueStatementDays(account.card, now);
+  if (statementDays.length === 0) return [];
+  
+  const posted = [];
+  const statements = store.batch(() => statementDays.map(statementDay => {
+    const current = store.getAccount(account.id);
+    const { card, statement, charges, closingBalance } = cards.closeCycle({
+      account: current,
+      transactions: store.listTransactions(),
+      statementDay,
+      rng: defaultRandom
+    });
+    
+    if (charges.length > 0) store.addTransactions(charges);
+    store.updateAccount(account.id, {
+      card,
+      balance: closingBalance,
+      availableBalance: balances.availableBalanceFor({ ...current, balance: closingBalance }),
+      lastUpdated: now.toISOString()
+    });
+    posted.push(...charges);
+    return statement;
+  }));
+  announceTransactions(posted);
+  return statements;
+};
+
+// Loans and deposits linked to a bank account
+const linkedProducts = (accountId) => store.listAccounts()
+  .filter(acc => products.isProduct(acc) && products.linkedAccountIdOf(acc) === accountId);
+
+// Post the loan and deposit events (disbursal, EMIs, instalments, interest,
+// maturity) due by `now` for the products linked to a bank account. Like card
+// billing this runs when the account or a product is next used or read, so the
+// postings land before anything newer. Returns the transactions posted.
+const settleProducts = (accountId, now = clock.now()) => {
+  const linked = store.getAccount(accountId);
+  const due = linkedProducts(accountId).filter(acc => {
+    const next = products.nextEvent(acc);
+    return next && new Date(next.date) <= now;
+  });
+  if (!linked || due.length === 0) return [];
+  
+  // Work on copies and store the outcome in one go
+  const working = due.map(acc => structuredClone(acc));
+  const workingLinked = { ...linked };
+  const transactions = products.runSchedules({ products: working, linked: workingLinked, until: now, rng: defaultRandom });
+  
+  store.batch(() => {
+    store.addTransactions(transactions);
+    working.forEach(acc => store.updateAccount(acc.id, acc));
+    store.updateAccount(accountId, {
+      balance: workingLinked.balance,
+      availableBalance: workingLinked.availableBalance,
+      lastUpdated: workingLinked.lastUpdated
+    });
+  });
+  announceTransactions(transactions);
+  notifyBalanceChange(store.getAccount(accountId), linked.balance);
+  return transactions;
+};
+
+// Bring an account up to date before it is used or read: close a card's ended
+// billing cycles and post due loan and deposit events
+const catchUp = (account, now = clock.now()) => {
+  billCard(account, now);
+  settleProducts(products.isProduct(account) ? products.linkedAccountIdOf(account) : account.id, now);
+};
+
+app.get('/api/accounts/:accountId/balance', (req, res) => {
+  const accountId = req.params.accountId;
+  const account = store.getAccount(accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  catchUp(account);
+  
+  res.json({
+    success: true,
+    data: {
+      accountId: account.id,
+      balance: account.balance,
+      availableBalance: account.availableBalance,
+      heldAmount: balances.heldAmount(account),
+      overdraftLimit: account.overdraftLimit || 0,
+      spendableAmount: balances.spendableAmount(account),
+      holds: account.holds || [],
+      ...(cards.isCreditCard(account) ? { card: cards.cardPosition(account) } : {}),
+      ...(products.isProduct(account) ? { product: products.productSummary(account) } : {}),
+      currency: account.currency,
+      lastUpdated: account.lastUpdated
+    }
+  });
+});
+
+// Place a hold (lien) on part of the balance
+app.post('/api/accounts/:accountId/holds', (req, res) => {
+  const account = store.getAccount(req.params.accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  if (account.status === 'Closed') {
+    return res.status(422).json({
+      success: false,
+      error: 'Account is Closed',
+      details: ['Holds can\'t be placed on a Closed account']
+    });
+  }
+  
+  const { amount, reason } = req.body;
+  const errors = [];
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    errors.push('amount must be a number greater than 0');
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    errors.push('reason is required');
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid hold',
+      details: errors
+    });
+  }
+  
+  const hold = {
+    id: uuidv4(),
+    amount: parseFloat(amount.toFixed(2)),
+    reason: reason.trim(),
+    createdAt: clock.now().toISOString()
+  };
+  const holds = [...(account.holds || []), hold];
+  
+  store.updateAccount(account.id, {
+    holds,
+    availableBalance: balances.availableBalanceFor({ ...account, holds }),
+    lastUpdated: hold.createdAt
+  });
+  
+  res.status(201).json({
+    success: true,
+    data: hold
+  });
+});
+
+// Release a hold
+app.delete('/api/accounts/:accountId/holds/:holdId', (req, res) => {
+  const account = store.getAccount(req.params.accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  const hold = (account.holds || []).find(h => h.id === req.params.holdId);
+  
+  if (!hold) {
+    return res.status(404).json({
+      success: false,
+      error: 'Hold not found'
+    });
+  }
+  
+  const holds = account.holds.filter(h => h !== hold);
+  
+  store.updateAccount(account.id, {
+    holds,
+    availableBalance: balances.availableBalanceFor({ ...account, holds }),
+    lastUpdated: clock.now().toISOString()
+  });
+  
+  res.json({
+    success: true,
+    data: hold
+  });
+});
+
+// Look up a credit card account for the statement routes, closing any ended
+// billing cycles first; sends the error response and returns null otherwise
+const findCardAccount = (req, res) => {
+  const account = store.getAccount(req.params.accountId);
+  
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+    return null;
+  }
+  
+  if (!cards.isCreditCard(account)) {
+    res.status(422).json({
+      success: false,
+      error: 'Not a credit card account',
+      details: [`Billing statements are only generated for ${cards.CREDIT_CARD} accounts`]
+    });
+    return null;
+  }
+  
+  billCard(account);
+  return account;
+};
+
+// Billing statements of a credit card, newest first
+app.get('/api/accounts/:accountId/card-statements', (req, res) => {
+  const account = findCardAccount(req, res);
+  if (!account) return;
+  
+  res.json({
+    success: true,
+    data: [...account.card.statements].reverse(),
+    card: cards.cardPosition(account)
+  });
+});
+
+// One billing statement with the transactions it covers
+app.get('/api/accounts/:accountId/card-statements/:statementId', (req, res) => {
+  const account = findCardAccount(req, res);
+  if (!account) return;
+  
+  const statement = account.card.statements.find(entry => entry.id === req.params.statementId);
+  
+  if (!statement) {
+    return res.status(404).json({
+      success: false,
+      error: 'Statement not found'
+    });
+  }
+  
+  const range = parseDateRange({ startDate: statement.periodStart, endDate: statement.periodEnd });
+  const transactions = store.listTransactions().filter(t =>
+    t.accountId === account.id && t.status !== 'failed' && new Date(t.date) >= range.from && new Date(t.date) <= range.to
+  );
+  
+  res.json({
+    success: true,
+    data: {
+      ...statement,
+      transactions
+    }
+  });
+});
+
+// Look up the bank account a loan or deposit is opened against, bringing it up
+// to date first; sends the error response and returns null otherwise
+const findLinkableAccount = (req, res) => {
+  const account = store.getAccount(req.params.accountId);
+  
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+    return null;
+  }
+  
+  if (!DEPOSIT_ACCOUNT_TYPES.includes(account.accountType)) {
+    res.status(422).json({
+      success: false,
+      error: 'Not a bank account',
+      details: [`Loans and deposits are opened against a ${DEPOSIT_ACCOUNT_TYPES.join(', ')} account`]
+    });
+    return null;
+  }
+  
+  if (account.status !== 'Active') {
+    res.status(422).json({
+      success: false,
+      error: `Account is ${account.status}`,
+      details: ['Loans and deposits can only be opened against an Active account']
+    });
+    return null;
+  }
+  
+  catchUp(account);
+  return account;
+};
+
+// Book a loan against a bank account: it is disbursed now and the EMIs are
+// debited from the account on their due dates
+app.post('/api/accounts/:accountId/loans', (req, res) => {
+  const linked = findLinkableAccount(req, res);
+  if (!linked) return;
+  
+  const errors = products.validateLoanRequest(req.body);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid loan',
+      details: errors
+    });
+  }
+  
+  const { product, principal, annualRate, tenureMonths, emiDay } = req.body;
+  const loan = products.createLoan({ linked, product, principal, annualRate, tenureMonths, emiDay, start: clock.now(), rng: defaultRandom });
+  
+  store.addAccount(assignClient(loan, linked.clientId));
+  settleProducts(linked.id);
+  
+  res.status(201).json({
+    success: true,
+    data: store.getAccount(loan.id)
+  });
+});
+
+// Open a fixed or recurring deposit funded from a bank account
+app.post('/api/accounts/:accountId/deposits', (req, res) => {
+  const linked = findLinkableAccount(req, res);
+  if (!linked) return;
+  
+  const errors = products.validateDepositRequest(req.body);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid deposit',
+      details: errors
+    });
+  }
+  
+  // The principal (or first instalment) is debited straight away
+  const { product, amount, annualRate, tenureMonths, payout } = req.body;
+  const fundsErrors = balances.checkFunds(linked, amount);
+  
+  if (fundsErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Insufficient funds',
+      details: fundsErrors
+    });
+  }
+  
+  const deposit = products.createDeposit({ linked, product, amount, annualRate, tenureMonths, payout, start: clock.now(), rng: defaultRandom });
+  
+  store.addAccount(assignClient(deposit, linked.clientId));
+  settleProducts(linked.id);
+  
+  res.status(201).json({
+    success: true,
+    data: store.getAccount(deposit.id)
+  });
+});
+
+// Amortization or deposit schedule of a product account, with what has posted so far
+app.get('/api/accounts/:accountId/schedule', (req, res) => {
+  const account = store.getAccount(req.params.accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  if (!products.isProduct(account)) {
+    return res.status(422).json({
+      success: false,
+      error: 'Not a loan or deposit account',
+      details: [`Schedules exist for ${PRODUCT_ACCOUNT_TYPES.join(', ')} accounts`]
+    });
+  }
+  
+  catchUp(account);
+  
+  res.json({
+    success: true,
+    data: {
+      accountId: account.id,
+      accountType: account.accountType,
+      status: account.status,
+      linkedAccountId: products.linkedAccountIdOf(account),
+      ...products.productSummary(account),
+      schedule: (account.loan || account.deposit).schedule
+    }
+  });
+});
+
+// Filtered, sorted page of transactions; see lib/query.js for the parameters
+const sendTransactionPage = (req, res, query) => {
+  const { errors, options } = parseTransactionQuery(query);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid transaction query',
+      details: errors
+    });
+  }
+
+  const { data, pagination } = queryTransactions(visibleTransactions(req), options);
+  res.json({ success: true, data, pagination });
+};
+
+app.get('/api/accounts/:accountId/transactions', (req, res) => {
+  sendTransactionPage(req, res, { ...req.query, accountId: req.params.accountId });
+});
+
+app.get('/api/accounts/:accountId/summary', (req, res) => {
+  const accountId = req.params.accountId;
+  const account = store.getAccount(accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  const accountTransactions = store.listTransactions().filter(t => t.accountId === accountId);
+  // Failed transactions never moved money
+  const postedTransactions = accountTransactions.filter(t => t.status !== 'failed');
+  
+  const totalDebit = postedTransactions
+    .filter(t => t.type === 'debit')
+    .reduce((sum, t) => sum + t.amount, 0);
+    
+  const totalCredit = postedTransactions
+    .filter(t => t.type === 'credit')
+    .reduce((sum, t) => sum + t.amount, 0);
+  
+  const last30Days = accountTransactions.filter(t => {
+    const transactionDate = new Date(t.date);
+    const thirtyDaysAgo = clock.now();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    return transactionDate >= thirtyDaysAgo;
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      account: {
+        id: account.id,
+        type: account.accountType,
+        balance: account.balance,
+        availableBalance: account.availableBalance
+      },
+      statistics: {
+        totalTransactions: accountTransactions.length,
+        failedTransactions: accountTransactions.length - postedTransactions.length,
+        totalDebit: parseFloat(totalDebit.toFixed(2)),
+        totalCredit: parseFloat(totalCredit.toFixed(2)),
+        netAmount: parseFloat((totalCredit - totalDebit).toFixed(2)),
+        last30DaysTransactions: last30Days.length,
+        avgTransactionAmount: postedTransactions.length > 0
+          ? parseFloat(((totalDebit + totalCredit) / postedTransactions.length).toFixed(2))
+          : 0
+      }
+    }
+  });
+});
+
+app.get('/api/accounts/:accountId/statement', (req, res) => {
+  const accountId = req.params.accountId;
+  const account = store.getAccount(accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  const { format = 'csv', startDate, endDate } = req.query;
+  const statementFormat = statementFormats[String(format).toLowerCase()];
+  
+  if (!statementFormat) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported format. Use one of: ${Object.keys(statementFormats).join(', ')}`
+    });
+  }
+  
+  // Date-only bounds are whole days in IST (as printed on the statement);
+  // default period is the last 30 days
+  const range = parseDateRange({ startDate, endDate }, { now: clock.now() });
+  
+  if (!range) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date range'
+    });
+  }
+  const { from, to } = range;
+  
+  const accountTransactions = store.listTransactions().filter(t => t.accountId === accountId);
+  const statement = buildStatement(account, accountTransactions, { from, to });
+  const fileName = `statement_${statement.maskedAccountNumber.slice(-4)}_${from.toISOString().slice(0, 10)}_${to.toISOString().slice(0, 10)}.${statementFormat.extension}`;
+  
+  res.set('Content-Type', statementFormat.contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(statementFormat.render(statement));
+});
+
+// Spending analytics for a set of accounts: every report, or just `report`.
+// Without startDate the range starts at the earliest transaction; failed
+// transactions are left out.
+const MAX_BALANCE_SERIES_DAYS = 3660;
+
+const sendAnalytics = (req, res, accounts, scope, report = null) => {
+  if (report && !analyticsReports[report]) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown report. Use one of: ${Object.keys(analyticsReports).join(', ')}`
+    });
+  }
+  
+  const { type = 'debit', limit = '10' } = req.query;
+  const merchantLimit = parseInt(limit);
+  const errors = [];
+  
+  if (!['credit', 'debit'].includes(type)) {
+    errors.push('type must be credit or debit');
+  }
+  if (!(merchantLimit >= 1 && merchantLimit <= 100)) {
+    errors.push('limit must be between 1 and 100');
+  }
+  
+  const accountIds = new Set(accounts.map(acc => acc.id));
+  const transactions = store.listTransactions().filter(t => accountIds.has(t.accountId) && t.status !== 'failed');
+  const earliest = transactions.reduce((min, t) => Math.min(min, new Date(t.date).getTime()), Infinity);
+  const range = parseDateRange(req.query, {
+    now: clock.now(),
+    defaultFrom: to => new Date(Number.isFinite(earliest) ? Math.min(earliest, to.getTime()) : to.getTime() - 30 * DAY_MS)
+  });
+  
+  if (!range) {
+    errors.push('Invalid date range');
+  } else if ((!report || report === 'balances') && (range.to - range.from) / DAY_MS > MAX_BALANCE_SERIES_DAYS) {
+    errors.push(`Daily balances cover at most ${MAX_BALANCE_SERIES_DAYS} days; narrow startDate/endDate`);
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid analytics request',
+      details: errors
+    });
+  }
+  
+  const context = {
+    accounts,
+    transactions,
+    inRange: transactions.filter(t => new Date(t.date) >= range.from && new Date(t.date) <= range.to),
+    range,
+    type,
+    limit: merchantLimit
+  };
+  const reports = report ? [analyticsReports[report]] : Object.values(analyticsReports);
+  
+  res.json({
+    success: true,
+    data: {
+      ...scope,
+      period: { from: range.from.toISOString(), to: range.to.toISOString() },
+      ...reports.reduce((data, { key, build }) => ({ ...data, [key]: build(context) }), {})
+    }
+  });
+};
+
+const sendAccountAnalytics = (req, res) => {
+  const account = store.getAccount(req.params.accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  sendAnalytics(req, res, [account], { accountId: account.id }, req.params.report);
+};
+
+app.get('/api/accounts/:accountId/analytics', sendAccountAnalytics);
+app.get('/api/accounts/:accountId/analytics/:report', sendAccountAnalytics);
+
+// Across the dataset (optionally one accountType); balances are summed over accounts
+const sendDatasetAnalytics = (req, res) => {
+  const { accountType } = req.query;
+  const accounts = visibleAccounts(req).filter(acc => !accountType || acc.accountType === accountType);
+  
+  sendAnalytics(req, res, accounts, { accounts: accounts.length, accountType: accountType || null }, req.params.report);
+};
+
+app.get('/api/analytics', sendDatasetAnalytics);
+app.get('/api/analytics/:report', sendDatasetAnalytics);
+
+// Category catalogue (direction, amount range and channels per category)
+app.get('/api/categories', (req, res) => {
+  const categories = Object.entries(categoryCatalogue).map(([name, rules]) => ({
+    name,
+    direction: rules.direction,
+    typicalAmount: rules.median,
+    minAmount: rules.min,
+    maxAmount: rules.max,
+    channels: rules.channels
+  }));
+  
+  res.json({
+    success: true,
+    data: categories,
+    count: categories.length
+  });
+});
+
+// Payment channels and their per-transaction limits
+app.get('/api/channels', (req, res) => {
+  const channels = CHANNELS.map(name => ({
+    name,
+    label: channelRules[name].label,
+    minAmount: channelRules[name].min,
+    maxAmount: channelRules[name].max,
+    multipleOf: channelRules[name].multipleOf || null
+  }));
+  
+  res.json({
+    success: true,
+    data: channels,
+    count: channels.length
+  });
+});
+
+// Fraud/anomaly scenarios the generator can inject
+app.get('/api/anomalies', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      defaultRate: DEFAULT_ANOMALY_RATE,
+      scenarios: ANOMALY_SCENARIOS.map(name => ({ name, ...anomalyScenarios[name] }))
+    }
+  });
+});
+
+// Identifier validation (IFSC, account number, PAN, UPI ID, mobile, pincode)
+const identifierValidators = {
+  ifsc: body => identifiers.validateIfsc(body.ifsc),
+  accountNumber: body => identifiers.validateAccountNumber(body.accountNumber, body.bankCode),
+  pan: body => identifiers.validatePan(body.pan),
+  upiId: body => identifiers.validateUpiId(body.upiId),
+  mobile: body => identifiers.validateMobile(body.mobile),
+  pincode: body => identifiers.validatePincode(body.pincode, body.state)
+};
+
+app.post('/api/identifiers/validate', (req, res) => {
+  const body = req.body || {};
+  const fields = Object.keys(identifierValidators).filter(field => body[field] !== undefined);
+  
+  if (fields.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Provide at least one of: ${Object.keys(identifierValidators).join(', ')}`
+    });
+  }
+  
+  const results = {};
+  fields.forEach(field => {
+    results[field] = { value: body[field], ...identifierValidators[field](body) };
+  });
+  
+  res.json({
+    success: true,
+    valid: fields.every(field => results[field].valid),
+    data: results
+  });
+});
+
+// Transaction endpoints
+app.get('/api/transactions', (req, res) => {
+  sendTransactionPage(req, res, req.query);
+});
+
+app.get('/api/transactions/:transactionId', (req, res) => {
+  const transactionId = req.params.transactionId;
+  const transaction = store.getTransaction(transactionId);
+  const account = transaction && store.getAccount(transaction.accountId);
+  
+  if (!transaction || (account && !canSee(req, account))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transaction not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: transaction
+  });
+});
+
+// POST endpoints
+// Channels are matched in any case ("upi" is UPI)
+const normalizeChannel = (channel) => (channel === undefined ? undefined : String(channel).trim().toUpperCase());
+
+// Problems with an amount in rupees (a number or a numeric string)
+const validateAmount = (amount) => {
+  const numericAmount = typeof amount === 'string' && amount.trim() !== '' ? Number(amount) : amount;
+  if (amount === undefined) return ['amount is required'];
+  if (typeof numericAmount !== 'number' || !Number.isFinite(numericAmount)) return ['amount must be a number'];
+  if (numericAmount <= 0) return ['amount must be greater than 0'];
+  if (Math.abs(numericAmount * 100 - Math.round(numericAmount * 100)) > 1e-6) {
+    return ['amount cannot have more than 2 decimal places'];
+  }
+  return [];
+};
+
+// Problems with a manual transaction body (empty when it is well-formed)
+const validateTransactionBody = ({ type, amount, description, category, channel } = {}) => {
+  const errors = [];
+  
+  if (type === undefined) {
+    errors.push('type is required');
+  } else if (!['credit', 'debit'].includes(type)) {
+    errors.push('type must be "credit" or "debit"');
+  }
+  
+  errors.push(...validateAmount(amount));
+  
+  if (description !== undefined && (typeof description !== 'string' || !description.trim() || description.length > 140)) {
+    errors.push('description must be a non-empty string of at most 140 characters');
+  }
+  if (category !== undefined && typeof category !== 'string') {
+    errors.push('category must be a string');
+  }
+  if (channel !== undefined && !CHANNELS.includes(normalizeChannel(channel))) {
+    errors.push(`channel must be one of: ${CHANNELS.join(', ')}`);
+  }
+  
+  return errors;
+};
+
+app.post('/api/accounts/:accountId/transactions', async (req, res) => {
+  const accountId = req.params.accountId;
+  const account = store.getAccount(accountId);
+  
+  if (!account) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  
+  // Loans and deposits only move through their schedules
+  if (products.isProduct(account)) {
+    return res.status(422).json({
+      success: false,
+      error: `Transactions can't be posted to a ${account.accountType} account`,
+      details: [`${account.accountType} accounts only take their scheduled postings; see GET /api/accounts/${accountId}/schedule`]
+    });
+  }
+  
+  const bodyErrors = validateTransactionBody(req.body);
+  
+  if (bodyErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid transaction',
+      details: bodyErrors
+    });
+  }
+  
+  const { type, description } = req.body;
+  const channel = normalizeChannel(req.body.channel);
+  const amount = parseFloat(req.body.amount);
+  const isCard = cards.isCreditCard(account);
+  // Credits to a card are bill payments unless stated otherwise
+  const category = req.body.category || (isCard && type === 'credit' ? 'Card Payment' : 'Other');
+  
+  // Frozen/closed accounts take no transactions, dormant ones no debits
+  const statusErrors = checkCanTransact(account, type);
+  
+  if (statusErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: `Account is ${account.status}`,
+      details: statusErrors
+    });
+  }
+  
+  // Direction, amount range and channel must fit the category catalogue
+  const ruleErrors = validateCategoryRules({
+    category,
+    type,
+    amount,
+    channel
+  });
+  
+  if (ruleErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Transaction violates category rules',
+      details: ruleErrors
+    });
+  }
+  
+  // Channel limits (e.g. RTGS minimum, UPI/IMPS maximum); card purchases go through the card network
+  const finalChannel = channel || (isCard && type === 'debit' && !cards.CARD_CHARGE_CATEGORIES.includes(category)
+    ? 'CARD'
+    : chooseChannel(categoryCatalogue[category].channels, amount, defaultRandom));
+  const channelErrors = validateChannelRules(finalChannel, amount);
+  
+  if (channelErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Transaction violates channel rules',
+      details: channelErrors
+    });
+  }
+  
+  const cardErrors = isCard ? cards.validateCardTransaction({ type, category, channel: finalChannel }) : [];
+  
+  if (cardErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Transaction not allowed on a credit card',
+      details: cardErrors
+    });
+  }
+  
+  // Card statements and loan/deposit events that fell due since the account
+  // was last used come first
+  catchUp(account);
+  
+  // Generate description using the AI provider if not provided
+  const finalDescription = description || await generateIndianTransactionDescription(
+    category, 
+    type
+  );
+  
+  const date = clock.now().toISOString();
+  const online = isCard && finalChannel === 'CARD' && cards.isOnlinePurchase(category);
+  const { reference, narration } = buildPaymentDetails({
+    channel: finalChannel,
+    type,
+    description: finalDescription,
+    date,
+    account,
+    rng: defaultRandom,
+    online
+  });
+  
+  // Debits beyond available balance + overdraft are recorded as failed
+  const fundsErrors = type === 'debit' ? balances.checkFunds(account, amount) : [];
+  
+  const transaction = {
+    id: uuidv4(),
+    accountId: accountId,
+    type: type,
+    amount: amount,
+    description: finalDescription,
+    category: category,
+    channel: finalChannel,
+    ...(isCard && finalChannel === 'CARD' ? { entryMode: online ? 'ECOM' : 'POS' } : {}),
+    narration: narration,
+    date: date,
+    status: fundsErrors.length > 0 ? 'failed' : 'completed',
+    reference: reference,
+    balance_after: parseFloat((fundsErrors.length > 0
+      ? account.balance
+      : type === 'debit' ? account.balance - amount : account.balance + amount).toFixed(2))
+  };
+  
+  if (fundsErrors.length > 0) {
+    transaction.failureReason = 'Insufficient funds';
+    store.addTransaction(transaction);
+    webhooks.publish('transaction.created', { transaction }, account.clientId);
+    
+    return res.status(422).json({
+      success: false,
+      error: 'Insufficient funds',
+      details: fundsErrors,
+      data: transaction
+    });
+  }
+  
+  // Post the transaction and the new balance together
+  const previousBalance = account.balance;
+  store.batch(() => {
+    store.addTransaction(transaction);
+    store.updateAccount(accountId, {
+      balance: transaction.balance_after,
+      availableBalance: balances.availableBalanceFor({ ...account, balance: transaction.balance_after }),
+      lastUpdated: date
+    });
+  });
+  webhooks.publish('transaction.created', { transaction }, account.clientId);
+  notifyBalanceChange(store.getAccount(accountId), previousBalance);
+  
+  res.status(201).json({
+    success: true,
+    data: transaction
+  });
+});
+
+// Transfer money between two accounts (debit + credit legs posted together)
+app.post('/api/transfers', (req, res) => {
+  const { fromAccountId, toAccountId, amount, description } = req.body;
+  const channel = normalizeChannel(req.body.channel);
+
+  if (!fromAccountId || !toAccountId || amount === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'fromAccountId, toAccountId and amount are required'
+    });
+  }
+
+  if (fromAccountId === toAccountId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Cannot transfer to the same account'
+    });
+  }
+
+  const amountErrors = validateAmount(amount);
+  if (amountErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid transfer amount',
+      details: amountErrors
+    });
+  }
+  const transferAmount = Number(amount);
+
+  const fromAccount = visibleAccount(req, fromAccountId);
+  const toAccount = visibleAccount(req, toAccountId);
+
+  if (!fromAccount || !toAccount) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found',
+      details: [!fromAccount && `fromAccountId ${fromAccountId}`, !toAccount && `toAccountId ${toAccountId}`].filter(Boolean)
+    });
+  }
+
+  const finalChannel = channel || chooseChannel(TRANSFER_CHANNELS, transferAmount, defaultRandom);
+  const channelErrors = TRANSFER_CHANNELS.includes(finalChannel)
+    ? validateChannelRules(finalChannel, transferAmount)
+    : [`Transfers can only be made via ${TRANSFER_CHANNELS.join(', ')}`];
+
+  if (channelErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Transfer violates channel rules',
+      details: channelErrors
+    });
+  }
+
+  const statusErrors = [
+    ...checkCanTransact(fromAccount, 'debit').map(error => `fromAccountId: ${error}`),
+    ...checkCanTransact(toAccount, 'credit').map(error => `toAccountId: ${error}`),
+    // Paying a card bill by transfer is fine, spending from a card by transfer isn't
+    ...(cards.isCreditCard(fromAccount) ? [`fromAccountId: Transfers can't be made from a ${cards.CREDIT_CARD} account`] : []),
+    ...[['fromAccountId', fromAccount], ['toAccountId', toAccount]]
+      .filter(([, account]) => products.isProduct(account))
+      .map(([field, account]) => `${field}: Transfers can't be made to or from a ${account.accountType} account`)
+  ];
+  if (statusErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Account cannot transact',
+      details: statusErrors
+    });
+  }
+  
+  catchUp(fromAccount);
+  catchUp(toAccount);
+  
+  const fundsErrors = balances.checkFunds(fromAccount, transferAmount);
+  if (fundsErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Insufficient funds',
+      details: fundsErrors
+    });
+  }
+
+  const date = clock.now().toISOString();
+  const { transferId, reference, debit, credit } = buildTransferLegs({
+    from: fromAccount,
+    to: toAccount,
+    amount: transferAmount,
+    channel: finalChannel,
+    description,
+    date,
+    rng: defaultRandom
+  });
+
+  // Both legs and both balances change together or not at all
+  const previousBalance = fromAccount.balance;
+  store.batch(() => {
+    debit.balance_after = parseFloat((fromAccount.balance - transferAmount).toFixed(2));
+    credit.balance_after = parseFloat((toAccount.balance + transferAmount).toFixed(2));
+
+    store.addTransaction(debit);
+    store.addTransaction(credit);
+
+    store.updateAccount(fromAccount.id, {
+      balance: debit.balance_after,
+      availableBalance: balances.availableBalanceFor({ ...fromAccount, balance: debit.balance_after }),
+      lastUpdated: date
+    });
+    store.updateAccount(toAccount.id, {
+      balance: credit.balance_after,
+      availableBalance: balances.availableBalanceFor({ ...toAccount, balance: credit.balance_after }),
+      lastUpdated: date
+    });
+  });
+  webhooks.publish('transaction.created', { transaction: debit }, fromAccount.clientId);
+  webhooks.publish('transaction.created', { transaction: credit }, toAccount.clientId);
+  notifyBalanceChange(store.getAccount(fromAccount.id), previousBalance);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      transferId,
+      reference,
+      amount: transferAmount,
+      channel: finalChannel,
+      debit,
+      credit
+    }
+  });
+});
+
+// Both legs of a transfer
+app.get('/api/transfers/:transferId', (req, res) => {
+  // A leg on an account the client can't see (or one that is gone) is null
+  const legs = visibleTransactions(req).filter(t => t.transferId === req.params.transferId);
+  const debit = legs.find(t => t.type === 'debit') || null;
+  const credit = legs.find(t => t.type === 'credit') || null;
+  const leg = debit || credit;
+
+  if (!leg) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transfer not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      transferId: req.params.transferId,
+      reference: leg.reference,
+      amount: leg.amount,
+      channel: leg.channel,
+      date: leg.date,
+      fromAccountId: debit ? debit.accountId : credit.counterpartyAccountId,
+      toAccountId: credit ? credit.accountId : debit.counterpartyAccountId,
+      debit,
+      credit
+    }
+  });
+});
+
+// Size limits for a single generation request
+const generationLimits = {
+  accounts: parseInt(process.env.GENERATION_MAX_ACCOUNTS) || 50,
+  transactionsPerAccount: parseInt(process.env.GENERATION_MAX_TRANSACTIONS_PER_ACCOUNT) || 1000,
+  transactions: parseInt(process.env.GENERATION_MAX_TRANSACTIONS) || 20000,
+  p2pTransfers: parseInt(process.env.GENERATION_MAX_TRANSFERS) || 1000
+};
+
+// Persona timelines post roughly this many transactions a month
+const TIMELINE_TRANSACTIONS_PER_MONTH = 40;
+
+// Check a generation request body up front. Returns { params, estimatedTransactions }
+// or { status, error, details } (400 for malformed values, 422 for oversized runs).
+const parseGenerationRequest = (body = {}) => {
+  const { accountCount = 1, transactionsPerAccount = 25, months = null, seed = null, asOf = null, p2pTransfers = 0, anomalies = null, accountTypes = null, products: withProducts = false } = body;
+  const errors = [];
+  
+  if (!Number.isInteger(accountCount) || accountCount < 1) {
+    errors.push('accountCount must be a positive integer');
+  }
+  if (!Number.isInteger(transactionsPerAccount) || transactionsPerAccount < 1) {
+    errors.push('transactionsPerAccount must be a positive integer');
+  }
+  if (months !== null && !(Number.isInteger(months) && months >= 1 && months <= 60)) {
+    errors.push('months must be an integer between 1 and 60');
+  }
+  if (!(Number.isInteger(p2pTransfers) && p2pTransfers >= 0)) {
+    errors.push('p2pTransfers must be a non-negative integer');
+  } else if (p2pTransfers > 0 && accountCount < 2) {
+    errors.push('p2pTransfers needs at least 2 accounts (accountCount >= 2)');
+  }
+  if (anomalies !== null && anomalies !== false) {
+    errors.push(...validateAnomalyOptions(anomalies));
+  }
+  if (accountTypes !== null && !(Array.isArray(accountTypes) && accountTypes.length > 0 && accountTypes.every(type => ACCOUNT_TYPES.includes(type)))) {
+    errors.push(`accountTypes must be a non-empty list of: ${ACCOUNT_TYPES.join(', ')}`);
+  }
+  if (typeof withProducts !== 'boolean') {
+    errors.push('products must be true or false');
+  }
+  
+  try {
+    createRandom(seed, { asOf });
+  } catch (error) {
+    errors.push(error.message);
+  }
+  
+  if (errors.length > 0) {
+    return { status: 400, error: 'Invalid generation request', details: errors };
+  }
+  
+  const perAccount = months ? months * TIMELINE_TRANSACTIONS_PER_MONTH : transactionsPerAccount;
+  const estimatedTransactions = accountCount * perAccount + p2pTransfers * 2;
+  
+  if (accountCount > generationLimits.accounts) {
+    errors.push(`accountCount cannot exceed ${generationLimits.accounts}`);
+  }
+  if (!months && transactionsPerAccount > generationLimits.transactionsPerAccount) {
+    errors.push(`transactionsPerAccount cannot exceed ${generationLimits.transactionsPerAccount}`);
+  }
+  if (p2pTransfers > generationLimits.p2pTransfers) {
+    errors.push(`p2pTransfers cannot exceed ${generationLimits.p2pTransfers}`);
+  }
+  if (estimatedTransactions > generationLimits.transactions) {
+    errors.push(`About ${estimatedTransactions} transactions requested; the limit is ${generationLimits.transactions} per request`);
+  }
+  
+  if (errors.length > 0) {
+    return { status: 422, error: 'Generation request too large', details: errors };
+  }
+  
+  return {
+    params: {
+      accountCount,
+      transactionsPerAccount,
+      months,
+      seed,
+      asOf,
+      p2pTransfers,
+      accountTypes: accountTypes ? [...new Set(accountTypes)] : null,
+      products: withProducts,
+      anomalies: anomalies ? {
+        rate: anomalies.rate || DEFAULT_ANOMALY_RATE,
+        scenarios: anomalies.scenarios || ANOMALY_SCENARIOS
+      } : null
+    },
+    estimatedTransactions
+  };
+};
+
+// No-op progress hooks for requests that run inline
+const inlineContext = {
+  report: () => {},
+  addError: () => {},
+  checkpoint: async () => {}
+};
+
+// Generate accounts with history (and optional P2P transfers) and store them.
+// `context` receives progress and, for jobs, stops the run when cancelled;
+// nothing is stored unless the whole run succeeds.
+const runGeneration = async (params, context = inlineContext) => {
+  const { accountCount, transactionsPerAccount, months, seed, asOf, p2pTransfers, anomalies, accountTypes, products: withProducts, clientId = null } = params;
+  // Unless asOf is given, history ends at the virtual clock's "now" (seeded
+  // runs at SEEDED_EPOCH instead, so they don't depend on the clock)
+  const rng = createRandom(seed, { asOf: asOf || (seed ? null : clock.asOf()) });
+  
+  // Check if we have AI access (seeded runs only use deterministic providers)
+  const hasApiAccess = ai.isAvailable(rng);
+  const provider = hasApiAccess ? ai.provider.label : 'Fallback Templates';
+  
+  const historyLabel = months ? `${months} months of history` : `${transactionsPerAccount} transactions`;
+  console.log(`🚀 Generating ${accountCount} new accounts with ${historyLabel} each${rng.seeded ? ` (seed: ${rng.seed})` : ''}...`);
+  console.log(`📡 AI Provider: ${provider}`);
+  
+  const newAccounts = [];
+  const newTransactions = [];
+  const generated = [];
+  let transactionsDone = 0;
+  
+  context.report({ provider, accountsTotal: accountCount, accountsDone: 0, transactionsDone: 0 });
+  
+  for (let i = 0; i < accountCount; i++) {
+    await context.checkpoint();
+    console.log(`📋 Creating account ${i + 1}/${accountCount}...`);
+    
+    const account = assignClient(await generateAccount(rng, accountTypes ? { accountType: rng.pick(accountTypes) } : {}), clientId);
+    
+    // Re-running a seed reproduces the same ids, so refuse to load it twice
+    if (store.getAccount(account.id)) {
+      const error = new Error(`Data for seed "${rng.seed}" is already loaded`);
+      error.status = 409;
+      throw error;
+    }
+    
+    newAccounts.push(account);
+    
+    console.log(`✅ Generated account for ${account.accountHolder.name} at ${account.bankName}`);
+    
+    let accountTransactions = [];
+    
+    if (months) {
+      accountTransactions = await generateAccountTimeline(account, months, rng);
+    } else if (cards.isCreditCard(account)) {
+      // About transactionsPerAccount purchases over the usual 60 days
+      accountTransactions = await generateCardAccountHistory(account, new Date(rng.now().getTime() - 60 * DAY_MS), rng, Math.ceil(transactionsPerAccount / 2));
+    } else {
+      for (let j = 0; j < transactionsPerAccount; j++) {
+        const transaction = await generateTransaction(account, null, rng);
+        accountTransactions.push(transaction);
+        
+        if ((j + 1) % 50 === 0) {
+          context.report({ transactionsDone: transactionsDone + j + 1 });
+          await context.checkpoint();
+        }
+      }
+      
+      postHistory(account, account.balance, accountTransactions);
+    }
+    generated.push({ account, transactions: accountTransactions });
+    transactionsDone += accountTransactions.length;
+    context.report({ accountsDone: i + 1, transactionsDone });
+    
+    console.log(`💰 Generated ${accountTransactions.length} transactions for ${account.accountHolder.name}`);
+  }
+  
+  await context.checkpoint();
+  
+  // Transfers and anomalies only touch bank accounts: re-posting a card would
+  // no longer match its statements
+  const bankAccounts = generated.filter(({ account }) => !cards.isCreditCard(account));
+  
+  const productEntries = withProducts && bankAccounts.length > 0
+    ? addGeneratedProducts(bankAccounts, months ? months * 30 : 60, rng)
+    : [];
+  
+  if (productEntries.length > 0) {
+    console.log(`🏠 Opened ${productEntries.length} loans and deposits`);
+    context.report({ products: productEntries.length });
+  }
+  
+  const transfers = p2pTransfers > 0 && bankAccounts.length >= 2
+    ? addGeneratedTransfers(bankAccounts, p2pTransfers, months ? months * 30 : 60, rng)
+    : [];
+  
+  if (transfers.length > 0) {
+    console.log(`🔁 Linked accounts with ${transfers.length} P2P transfers`);
+    context.report({ transfers: transfers.length, transactionsDone: transactionsDone + transfers.length * 2 });
+  }
+  
+  const incidents = anomalies && bankAccounts.length > 0
+    ? addGeneratedAnomalies(bankAccounts, anomalies, months ? months * 30 : 60, rng)
+    : [];
+  const fraudTransactions = incidents.reduce((sum, incident) => sum + incident.transactions, 0);
+  
+  if (incidents.length > 0) {
+    console.log(`🕵️  Injected ${incidents.length} anomaly scenarios (${fraudTransactions} transactions)`);
+    context.report({ anomalies: incidents.length });
+  }
+  
+  // Store everything in one go so a failed run leaves nothing half-loaded
+  store.batch(() => {
+    generated.forEach(({ account, transactions }) => {
+      settleGeneratedAccount(account, rng);
+      newTransactions.push(...transactions);
+      
+      store.addAccount(account);
+      store.addTransactions(transactions);
+    });
+    // Product accounts have no holds, so they don't draw on the main random source
+    productEntries.forEach(({ account, transactions }) => {
+      newTransactions.push(...transactions);
+      store.addAccount(assignClient(account, clientId));
+      store.addTransactions(transactions);
+    });
+    recordSeed(rng);
+  });
+  
+  webhooks.publish('data.generated', {
+    source: 'generate-data',
+    seed: rng.seed,
+    accountIds: [...newAccounts, ...productEntries.map(({ account }) => account)].map(acc => acc.id),
+    transactions: newTransactions.length
+  }, clientId);
+  
+  console.log('🎉 Data generation completed successfully!');
+  
+  return {
+    message: hasApiAccess 
+      ? `Realistic Indian bank data generated successfully using ${ai.provider.label}`
+      : 'Indian bank data generated using high-quality fallback templates',
+    ai_provider: hasApiAccess ? ai.provider.id : 'fallback_mode',
+    seed: rng.seed,
+    mode: months ? 'timeline' : 'random',
+    generated: {
+      accounts: newAccounts.length,
+      transactions: newTransactions.length,
+      transfers: transfers.length,
+      products: productEntries.length,
+      fraudTransactions
+    },
+    ...(anomalies ? { anomalies: incidents } : {}),
+    samples: {
+      accountHolders: newAccounts.map(acc => acc.accountHolder.name),
+      banks: newAccounts.map(acc => acc.bankName),
+      sampleTransactions: newTransactions.slice(0, 5).map(txn => ({
+        description: txn.description,
+        category: txn.category,
+        amount: txn.amount,
+        type: txn.type
+      }))
+    }
+  };
+};
+
+app.post('/api/generate-data', async (req, res) => {
+  const { params, estimatedTransactions, status, error, details } = parseGenerationRequest(req.body);
+  
+  if (!params) {
+    return res.status(status).json({
+      success: false,
+      error,
+      details
+    });
+  }
+  if (!chargeGenerationQuota(req, res, estimatedTransactions)) return;
+  
+  try {
+    const result = await runGeneration({ ...params, clientId: clientIdOf(req) });
+    
+    res.json({
+      success: true,
+      ...result
+    });
+    
+  } catch (error) {
+    refundGenerationQuota(req, estimatedTransactions);
+    
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    console.error('Error generating data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate data',
+      details: error.message
+    });
+  }
+});
+
+// Background jobs (one queue per sandbox)
+
+// Queue a generation run; poll GET /api/jobs/:jobId or stream its events
+app.post('/api/jobs/generate-data', (req, res) => {
+  const { params, estimatedTransactions, status, error, details } = parseGenerationRequest(req.body);
+  
+  if (!params) {
+    return res.status(status).json({
+      success: false,
+      error,
+      details
+    });
+  }
+  if (!chargeGenerationQuota(req, res, estimatedTransactions)) return;
+  
+  const jobParams = { ...params, clientId: clientIdOf(req) };
+  const job = jobs.submit('generate-data', jobParams, async (context) => {
+    // Surface AI provider problems on the job while it runs; other requests
+    // share the client, so only the calls this job makes count
+    const stopListening = ai.onError(({ task, message, context: call }) => {
+      if (call.jobId === job.id) context.addError(`${task}: ${message}`);
+    });
+    try {
+      return await ai.withContext({ jobId: job.id }, () => runGeneration(jobParams, context));
+    } catch (error) {
+      refundGenerationQuota(req, estimatedTransactions);
+      throw error;
+    } finally {
+      stopListening();
+    }
+  });
+  
+  res.status(202).location(`/api/jobs/${job.id}`).json({
+    success: true,
+    data: job
+  });
+});
+
+app.get('/api/jobs', (req, res) => {
+  const { status, type } = req.query;
+  let list = jobs.list().filter(job => canSee(req, job.params));
+  
+  if (status) {
+    list = list.filter(job => job.status === status);
+  }
+  if (type) {
+    list = list.filter(job => job.type === type);
+  }
+  
+  res.json({
+    success: true,
+    data: list,
+    count: list.length
+  });
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  
+  if (!job || !canSee(req, job.params)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+// Server-Sent Events: a `progress` event on every change, then `done`
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const jobId = req.params.jobId;
+  const job = jobs.get(jobId);
+  
+  if (!job || !canSee(req, job.params)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  
+  const onUpdate = (updated) => {
+    if (updated.id !== jobId) return;
+    
+    if (isFinished(updated)) {
+      send('done', updated);
+      stop();
+    } else {
+      send('progress', updated);
+    }
+  };
+  
+  const stop = () => {
+    jobs.off('update', onUpdate);
+    if (!res.writableEnded) res.end();
+  };
+  
+  send('progress', job);
+  if (isFinished(job)) {
+    send('done', job);
+    return res.end();
+  }
+  
+  jobs.on('update', onUpdate);
+  // Client went away
+  res.on('close', stop);
+});
+
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  
+  if (!job || !canSee(req, job.params)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  if (isFinished(job)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`
+    });
+  }
+  
+  jobs.cancel(job.id);
+  
+  res.status(202).json({
+    success: true,
+    data: job
+  });
+});
+
+// Time simulation: advance the virtual clock and generate the activity each
+// account would have had in the meantime
+// Sandboxes with a simulation under way
+const simulating = new Set();
+
+const transactionsOf = (accountId) => store.listTransactions().filter(t => t.accountId === accountId);
+
+// Clear pending transactions that have had a day to settle by `now`. Rejected
+// ones never moved money, so their account's running balance is posted
+// again. Card purchases always go through: re-posting a card would no longer
+// match its statements.
+const settlePendingTransactions = (now, rng) => {
+  const outcomes = simulation.settlePending(store.listTransactions(), {
+    now,
+    rng,
+    canFail: t => {
+      const account = store.getAccount(t.accountId);
+      return !!account && !cards.isCreditCard(account);
+    }
+  });
+  const failed = outcomes.filter(({ status }) => status === 'failed');
+  
+  store.batch(() => {
+    // Opening balances come from the histories as they stand before the change
+    const openingBalances = new Map([...new Set(failed.map(({ transaction }) => transaction.accountId))]
+      .map(accountId => [accountId, openingBalanceOf(store.getAccount(accountId), transactionsOf(accountId))]));
+    
+    outcomes.forEach(({ transaction, status, failureReason }) => {
+      store.updateTransaction(transaction.id, failureReason ? { status, failureReason } : { status });
+    });
+    openingBalances.forEach((openingBalance, accountId) => {
+      const account = store.getAccount(accountId);
+      const balance = applyRunningBalance(openingBalance, transactionsOf(accountId));
+      store.updateAccount(accountId, { balance, availableBalance: balances.availableBalanceFor({ ...account, balance }) });
+    });
+  });
+  outcomes.forEach(({ transaction }) => webhooks.publish('transaction.status_changed', { transaction, previousStatus: 'pending' }, (store.getAccount(transaction.accountId) || {}).clientId));
+  
+  return { completed: outcomes.length - failed.length, failed: failed.length };
+};
+
+// One account's activity between `from` and `to`, following its persona (one
+// is created for accounts generated without). Works on copies and returns the
+// account, its linked products and the transactions to store, with the
+// account's lastUpdated as it was read.
+const simulateAccount = async (account, { from, to, rng }) => {
+  const working = structuredClone(account);
+  const { lastUpdated } = account;
+  const history = transactionsOf(account.id);
+  const describe = (category, type) => generateIndianTransactionDescription(category, type, rng);
+  
+  if (cards.isCreditCard(account)) {
+    const persona = working.persona || cards.createCardPersona(rng);
+    const { transactions, closingBalance } = await cards.extendCardHistory({ account: working, persona, history, from, to, rng, describe });
+    Object.assign(working, { persona, balance: closingBalance });
+    working.availableBalance = balances.availableBalanceFor(working);
+    return { account: working, lastUpdated, products: [], transactions };
+  }
+  
+  const persona = working.persona || createPersona(working, rng);
+  const dayStart = new Date(`${istDay(from)}T00:00:00+05:30`);
+  const { transactions: activity } = await generateTimeline({
+    account: working,
+    persona: simulation.continuePersona(persona, { history, from: dayStart }),
+    from: dayStart,
+    to,
+    openingBalance: working.balance,
+    rng,
+    describe
+  });
+  
+  const productAccounts = linkedProducts(account.id)
+    .filter(acc => acc.status !== 'Closed')
+    .map(acc => structuredClone(acc));
+  const transactions = simulation.postActivity({
+    account: working,
+    activity: simulation.continueActivity(activity, { history, from, to, rng }),
+    products: productAccounts,
+    until: to,
+    rng
+  });
+  working.persona = persona;
+  return { account: working, lastUpdated, products: productAccounts, transactions };
+};
+
+const clockStatus = () => ({
+  now: clock.now().toISOString(),
+  realTime: new Date().toISOString(),
+  offsetDays: parseFloat((clock.offsetMs() / DAY_MS).toFixed(4))
+});
+
+// Move the clock `days` ahead: clear pending transactions, generate each
+// active account's activity for the period and post whatever falls due on
+// cards, loans and deposits
+const advanceSimulation = async ({ days, seed = null }) => {
+  const from = clock.now();
+  const to = new Date(from.getTime() + days * DAY_MS);
+  const rng = createRandom(seed, { asOf: to.toISOString() });
+  
+  console.log(`⏩ Simulating ${days} days of activity${rng.seeded ? ` (seed: ${rng.seed})` : ''}...`);
+  
+  // Start from accounts that are up to date, with pending transactions cleared
+  store.listAccounts().forEach(acc => catchUp(acc, from));
+  const pending = settlePendingTransactions(to, rng);
+  
+  const results = [];
+  for (const account of store.listAccounts().filter(acc => acc.status === 'Active' && !products.isProduct(acc))) {
+    results.push(await simulateAccount(account, { from, to, rng }));
+  }
+  
+  // Accounts changed through the API while the activity was being generated
+  // keep those changes instead
+  const changed = results.filter(({ account, lastUpdated }) => {
+    const current = store.getAccount(account.id);
+    return !current || current.lastUpdated !== lastUpdated;
+  });
+  const simulated = results.filter(result => !changed.includes(result));
+  
+  const previousBalances = new Map(simulated.map(({ account }) => [account.id, store.getAccount(account.id).balance]));
+  store.batch(() => {
+    simulated.forEach(({ account, products: productAccounts, transactions }) => {
+      store.addTransactions(transactions);
+      productAccounts.forEach(acc => store.updateAccount(acc.id, acc));
+      store.updateAccount(account.id, { ...account, lastUpdated: to.toISOString() });
+    });
+    clock.advance(days * DAY_MS);
+    // Inactive accounts get no activity, but their cards still bill and their
+    // loans and deposits still fall due
+    store.listAccounts().forEach(acc => catchUp(acc, to));
+  });
+  
+  const transactions = simulated.flatMap(result => result.transactions);
+  const announce = (results, subscriptions) => webhooks.publishTo(subscriptions, 'data.generated', {
+    source: 'simulation',
+    from: from.toISOString(),
+    to: to.toISOString(),
+    accountIds: results.map(({ account }) => account.id),
+    transactions: results.reduce((sum, result) => sum + result.transactions.length, 0)
+  });
+  // Subscriptions without a client hear about every account, a client's only about its own
+  announce(simulated, webhooks.subscribersFor('data.generated'));
+  [...new Set(simulated.map(({ account }) => account.clientId).filter(Boolean))].forEach(clientId => announce(
+    simulated.filter(({ account }) => account.clientId === clientId),
+    webhooks.subscribersFor('data.generated', clientId).filter(subscription => subscription.clientId)
+  ));
+  previousBalances.forEach((previousBalance, accountId) => notifyBalanceChange(store.getAccount(accountId), previousBalance));
+  console.log(`✅ Simulated ${transactions.length} transactions across ${simulated.length} accounts`);
+  
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    days,
+    seed: rng.seed,
+    clock: clockStatus(),
+    simulated: {
+      accounts: simulated.length,
+      transactions: transactions.length,
+      failedTransactions: transactions.filter(t => t.status === 'failed').length,
+      pendingTransactions: transactions.filter(t => t.status === 'pending').length
+    },
+    pendingSettled: pending,
+    skippedAccounts: changed.map(({ account }) => account.id)
+  };
+};
+
+// The virtual clock
+app.get('/api/simulation', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...clockStatus(),
+      running: simulating.has(sandboxes.current().name)
+    }
+  });
+});
+
+// Advance the clock by `days` and generate the activity in between. The clock
+// is shared by the sandbox, so only its owner (or the admin key) moves it.
+app.post('/api/simulation/advance', requireSandboxOwner, async (req, res) => {
+  const errors = simulation.validateSimulationRequest(req.body);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid simulation request',
+      details: errors
+    });
+  }
+  
+  if (simulating.has(sandboxes.current().name)) {
+    return res.status(409).json({
+      success: false,
+      error: 'A simulation is already running'
+    });
+  }
+  
+  const sandboxName = sandboxes.current().name;
+  simulating.add(sandboxName);
+  try {
+    const result = await advanceSimulation(req.body);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error simulating activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to simulate activity',
+      details: error.message
+    });
+  } finally {
+    simulating.delete(sandboxName);
+  }
+});
+
+// Webhook subscriptions
+const findWebhook = (req, res) => {
+  const subscription = webhooks.get(req.params.webhookId);
+  
+  if (!subscription || !canSee(req, subscription)) {
+    res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+    return null;
+  }
+  return subscription;
+};
+
+// The secret is only returned here; receivers use it to check signatures
+app.post('/api/webhooks', async (req, res) => {
+  const errors = validateSubscription(req.body);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid webhook',
+      details: errors
+    });
+  }
+  
+  // No requests to the server's own network (WEBHOOK_ALLOW_PRIVATE=1 for local receivers)
+  const addressErrors = await checkWebhookAddress(req.body.url, { allowPrivateAddresses: webhookAllowPrivate });
+  if (addressErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Webhook URL is not allowed',
+      details: addressErrors
+    });
+  }
+  
+  const { url, events, secret, lowBalanceThreshold, description } = req.body;
+  const subscription = webhooks.subscribe({ url, events, secret, lowBalanceThreshold, description, clientId: clientIdOf(req) });
+  
+  res.status(201).json({
+    success: true,
+    data: subscription
+  });
+});
+
+app.get('/api/webhooks', (req, res) => {
+  const list = webhooks.list().filter(subscription => canSee(req, subscription)).map(publicSubscription);
+  
+  res.json({
+    success: true,
+    data: list,
+    count: list.length,
+    events: WEBHOOK_EVENTS
+  });
+});
+
+app.get('/api/webhooks/:webhookId', (req, res) => {
+  const subscription = findWebhook(req, res);
+  if (!subscription) return;
+  
+  res.json({
+    success: true,
+    data: publicSubscription(subscription)
+  });
+});
+
+app.delete('/api/webhooks/:webhookId', (req, res) => {
+  const subscription = findWebhook(req, res);
+  if (!subscription) return;
+  
+  webhooks.unsubscribe(subscription.id);
+  
+  res.json({
+    success: true,
+    data: publicSubscription(subscription)
+  });
+});
+
+// Send a webhook.ping event to check the receiver and its signature check
+app.post('/api/webhooks/:webhookId/ping', (req, res) => {
+  const subscription = findWebhook(req, res);
+  if (!subscription) return;
+  
+  const event = webhooks.publishTo([subscription], PING_EVENT, { webhookId: subscription.id });
+  
+  res.status(202).json({
+    success: true,
+    data: event
+  });
+});
+
+// Delivery log, newest first (optional filters: status, event)
+app.get('/api/webhooks/:webhookId/deliveries', (req, res) => {
+  const subscription = findWebhook(req, res);
+  if (!subscription) return;
+  
+  const { status, event } = req.query;
+  let list = webhooks.listDeliveries(subscription.id);
+  
+  if (status) {
+    list = list.filter(delivery => delivery.status === status);
+  }
+  if (event) {
+    list = list.filter(delivery => delivery.event === event);
+  }
+  
+  res.json({
+    success: true,
+    data: list,
+    count: list.length
+  });
+});
+
+// Account Aggregator mock: consents and FI data (see lib/aa.js). Consents and
+// FI sessions live in memory, per sandbox.
+
+const findConsent = (req, res) => {
+  const consent = aaConsents.get(req.params.consentId);
+  
+  if (!consent || !canSee(req, consent)) {
+    res.status(404).json({
+      success: false,
+      error: 'Consent not found'
+    });
+    return null;
+  }
+  return aa.expireConsent(consent, clock.now());
+};
+
+// Consent request from an FIU; the customer then approves or rejects it
+app.post('/api/aa/consents', (req, res) => {
+  const errors = aa.validateConsentRequest(req.body);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid consent request',
+      details: errors
+    });
+  }
+  
+  const unknown = req.body.accountIds.filter(id => !visibleAccount(req, id));
+  const notDeposit = req.body.accountIds.filter(id => visibleAccount(req, id) && !aa.isDepositAccount(visibleAccount(req, id)));
+  
+  if (unknown.length > 0 || notDeposit.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Accounts cannot be shared',
+      details: [
+        ...unknown.map(id => `Account ${id} not found`),
+        ...notDeposit.map(id => `Account ${id} is not a ${DEPOSIT_ACCOUNT_TYPES.join('/')} account (fiType DEPOSIT)`)
+      ]
+    });
+  }
+  
+  const consent = { ...aa.createConsent(req.body, clock.now()), clientId: clientIdOf(req) };
+  aaConsents.set(consent.id, consent);
+  
+  res.status(201).json({
+    success: true,
+    data: consent
+  });
+});
+
+app.get('/api/aa/consents', (req, res) => {
+  const now = clock.now();
+  let list = [...aaConsents.values()]
+    .filter(consent => canSee(req, consent))
+    .map(consent => aa.expireConsent(consent, now))
+    .reverse();
+  
+  if (req.query.status) {
+    list = list.filter(consent => consent.status === req.query.status);
+  }
+  
+  res.json({
+    success: true,
+    data: list,
+    count: list.length
+  });
+});
+
+app.get('/api/aa/consents/:consentId', (req, res) => {
+  const consent = findConsent(req, res);
+  if (!consent) return;
+  
+  res.json({
     success: true,
-    data: paginatedTransactions,
-    pagination: {
-      total: accountTransactions.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      hasNext: endIndex < accountTransactions.length
+    data: consent
+  });
+});
+
+// The customer's side: approve (optionally for some of the accounts only),
+// reject or revoke
+Object.entries(aa.consentActions).forEach(([action, { to }]) => {
+  app.post(`/api/aa/consents/:consentId/${action}`, (req, res) => {
+    const consent = findConsent(req, res);
+    if (!consent) return;
+    
+    const errors = aa.checkConsentAction(consent, action);
+    if (errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: `Consent cannot be ${aa.consentActions[action].done}`,
+        details: errors
+      });
+    }
+    
+    const { accountIds } = req.body || {};
+    if (action === 'approve' && accountIds !== undefined) {
+      if (!(Array.isArray(accountIds) && accountIds.length > 0 && accountIds.every(id => consent.accountIds.includes(id)))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid approval',
+          details: ['accountIds must be a non-empty list of the accounts the consent asks for']
+        });
+      }
+      consent.accountIds = [...new Set(accountIds)];
     }
+    
+    Object.assign(consent, { status: to, updatedAt: clock.now().toISOString() });
+    
+    res.json({
+      success: true,
+      data: consent
+    });
   });
 });
 
-app.get('/api/accounts/:accountId/summary', (req, res) => {
-  const accountId = req.params.accountId;
-  const account = accounts.find(acc => acc.id === accountId);
+// FI request under an active consent: opens a session to fetch the data from
+app.post('/api/aa/fi/request', (req, res) => {
+  const { consentId, dataRange } = req.body || {};
+  const consent = aaConsents.get(consentId);
   
-  if (!account) {
+  if (!consent || !canSee(req, consent)) {
     return res.status(404).json({
       success: false,
-      error: 'Account not found'
+      error: 'Consent not found'
     });
   }
   
-  const accountTransactions = transactions.filter(t => t.accountId === accountId);
+  aa.expireConsent(consent, clock.now());
+  const consentErrors = aa.checkFiRequest(consent);
+  if (consentErrors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'FI request not allowed',
+      details: consentErrors
+    });
+  }
   
-  const totalDebit = accountTransactions
-    .filter(t => t.type === 'debit')
-    .reduce((sum, t) => sum + t.amount, 0);
-    
-  const totalCredit = accountTransactions
-    .filter(t => t.type === 'credit')
-    .reduce((sum, t) => sum + t.amount, 0);
+  const { range, errors } = aa.fiDataRange(consent, dataRange);
+  if (errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid FI request',
+      details: errors
+    });
+  }
   
-  const last30Days = accountTransactions.filter(t => {
-    const transactionDate = new Date(t.date);
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    return transactionDate >= thirtyDaysAgo;
+  const session = {
+    sessionId: uuidv4(),
+    consentId: consent.id,
+    dataRange: { from: range.from.toISOString(), to: range.to.toISOString() },
+    createdAt: clock.now().toISOString()
+  };
+  consent.fetches += 1;
+  aaSessions.set(session.sessionId, session);
+  
+  res.status(201).json({
+    success: true,
+    data: session
   });
+});
+
+// FI data for a session, grouped by bank (FIP), as of now. Stops working once
+// the consent is revoked or expires.
+app.get('/api/aa/fi/fetch/:sessionId', (req, res) => {
+  const session = aaSessions.get(req.params.sessionId);
+  const consent = session && aaConsents.get(session.consentId);
+  
+  if (!session || !canSee(req, consent)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found'
+    });
+  }
+  
+  const now = clock.now();
+  aa.expireConsent(consent, now);
+  if (consent.status !== 'ACTIVE') {
+    return res.status(422).json({
+      success: false,
+      error: 'FI data not available',
+      details: [`Consent is ${consent.status}`]
+    });
+  }
+  
+  const range = { from: new Date(session.dataRange.from), to: new Date(session.dataRange.to) };
+  const fips = new Map();
+  consent.accountIds
+    .map(id => store.getAccount(id))
+    .filter(Boolean)
+    .forEach(account => {
+      catchUp(account, now);
+      const accountTransactions = store.listTransactions().filter(t => t.accountId === account.id);
+      const fip = fips.get(account.bankCode) || { fipID: account.bankCode, fipName: account.bankName, data: [] };
+      fip.data.push({
+        linkRefNumber: account.id,
+        maskedAccNumber: aa.maskAccountNumber(account.accountNumber),
+        decryptedFI: { account: aa.depositAccountFI(account, accountTransactions, { range, now }) }
+      });
+      fips.set(account.bankCode, fip);
+    });
   
   res.json({
     success: true,
     data: {
-      account: {
-        id: account.id,
-        type: account.accountType,
-        balance: account.balance,
-        availableBalance: account.availableBalance
-      },
-      statistics: {
-        totalTransactions: accountTransactions.length,
-        totalDebit: parseFloat(totalDebit.toFixed(2)),
-        totalCredit: parseFloat(totalCredit.toFixed(2)),
-        netAmount: parseFloat((totalCredit - totalDebit).toFixed(2)),
-        last30DaysTransactions: last30Days.length,
-        avgTransactionAmount: parseFloat((
-          accountTransactions.reduce((sum, t) => sum + t.amount, 0) / 
-          accountTransactions.length
-        ).toFixed(2))
-      }
+      ver: '2.0.0',
+      timestamp: now.toISOString(),
+      txnid: uuidv4(),
+      sessionId: session.sessionId,
+      consentId: consent.id,
+      FI: [...fips.values()]
     }
   });
 });
 
-// Transaction endpoints
-app.get('/api/transactions', (req, res) => {
-  const { 
-    accountId, 
-    type, 
-    category, 
-    status, 
-    limit = 50, 
-    offset = 0,
-    startDate,
-    endDate
-  } = req.query;
+// Sandboxes: create, seed, reset and delete isolated datasets
+const publicSandbox = (sandbox) => {
+  const { state, ...details } = sandbox;
+  const expiresAt = sandboxes.expiresAt(sandbox);
   
-  let filteredTransactions = [...transactions];
+  return {
+    ...details,
+    default: isDefault(sandbox),
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    counts: {
+      accounts: state.store.listAccounts().length,
+      transactions: state.store.listTransactions().length
+    },
+    clock: state.clock.now().toISOString()
+  };
+};
+
+const findSandbox = (req, res) => {
+  const sandbox = sandboxes.get(req.params.name);
   
-  // Apply filters
-  if (accountId) {
-    filteredTransactions = filteredTransactions.filter(t => t.accountId === accountId);
+  if (!sandbox || !canUseSandbox(req, sandbox)) {
+    res.status(404).json({
+      success: false,
+      error: 'Sandbox not found'
+    });
+    return null;
   }
+  return sandbox;
+};
+
+// Generate a sandbox's `data` (a generation request) into it, charged to the
+// caller's quota. Returns false once an error response has been sent.
+const seedSandbox = async (req, res, sandbox) => {
+  const { params, estimatedTransactions, status, error, details } = parseGenerationRequest(sandbox.data);
   
-  if (type) {
-    filteredTransactions = filteredTransactions.filter(t => t.type === type);
+  if (!params) {
+    res.status(status).json({
+      success: false,
+      error,
+      details
+    });
+    return false;
   }
+  if (!chargeGenerationQuota(req, res, estimatedTransactions)) return false;
   
-  if (category) {
-    filteredTransactions = filteredTransactions.filter(t => 
-      t.category.toLowerCase().includes(category.toLowerCase())
-    );
+  try {
+    await sandboxes.run(sandbox, () => runGeneration({ ...params, clientId: clientIdOf(req) }));
+    return true;
+  } catch (error) {
+    refundGenerationQuota(req, estimatedTransactions);
+    console.error(`Error generating data for sandbox "${sandbox.name}":`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate sandbox data',
+      details: error.message
+    });
+    return false;
   }
+};
+
+// `data` is an optional generation request (as for POST /api/generate-data)
+// that seeds the sandbox now and again on every reset
+app.post('/api/sandboxes', async (req, res) => {
+  const errors = validateSandboxRequest(req.body);
   
-  if (status) {
-    filteredTransactions = filteredTransactions.filter(t => t.status === status);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid sandbox',
+      details: errors
+    });
   }
   
-  if (startDate) {
-    filteredTransactions = filteredTransactions.filter(t => 
-      new Date(t.date) >= new Date(startDate)
-    );
+  const { name, description = null, ttlMinutes, data = null } = req.body;
+  let sandbox;
+  try {
+    sandbox = sandboxes.create(name, { description, clientId: clientIdOf(req), ttlMinutes, data });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
   }
   
-  if (endDate) {
-    filteredTransactions = filteredTransactions.filter(t => 
-      new Date(t.date) <= new Date(endDate)
-    );
+  if (data && !(await seedSandbox(req, res, sandbox))) {
+    sandboxes.delete(name);
+    return;
   }
+  console.log(`🧪 Created sandbox "${name}"`);
+  
+  res.status(201).location(`/api/sandboxes/${name}`).json({
+    success: true,
+    data: publicSandbox(sandbox)
+  });
+});
+
+app.get('/api/sandboxes', (req, res) => {
+  const list = sandboxes.list().filter(sandbox => canUseSandbox(req, sandbox)).map(publicSandbox);
   
-  // Apply pagination
-  const startIndex = parseInt(offset);
-  const endIndex = startIndex + parseInt(limit);
-  const paginatedTransactions = filteredTransactions.slice(startIndex, endIndex);
+  res.json({
+    success: true,
+    data: list,
+    count: list.length
+  });
+});
+
+app.get('/api/sandboxes/:name', (req, res) => {
+  const sandbox = findSandbox(req, res);
+  if (!sandbox) return;
   
   res.json({
     success: true,
-    data: paginatedTransactions,
-    pagination: {
-      total: filteredTransactions.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      hasNext: endIndex < filteredTransactions.length
-    }
+    data: publicSandbox(sandbox)
   });
 });
 
-app.get('/api/transactions/:transactionId', (req, res) => {
-  const transactionId = req.params.transactionId;
-  const transaction = transactions.find(t => t.id === transactionId);
+// Back to how the sandbox started: emptied and seeded again from its `data`
+// (the default sandbox gets the startup dataset)
+app.post('/api/sandboxes/:name/reset', async (req, res) => {
+  const sandbox = findSandbox(req, res);
+  if (!sandbox) return;
   
-  if (!transaction) {
-    return res.status(404).json({
+  if (clientIdOf(req) && sandbox.clientId !== clientIdOf(req)) {
+    return res.status(403).json({
       success: false,
-      error: 'Transaction not found'
+      error: 'Admin API key required',
+      details: ['Clients can only reset sandboxes they created']
     });
   }
   
+  sandboxes.reset(sandbox);
+  if (isDefault(sandbox)) {
+    await sandboxes.run(sandbox, () => initializeSampleData());
+  } else if (sandbox.data && !(await seedSandbox(req, res, sandbox))) {
+    return;
+  }
+  console.log(`🧪 Reset sandbox "${sandbox.name}"`);
+  
   res.json({
     success: true,
-    data: transaction
+    data: publicSandbox(sandbox)
   });
 });
 
-// POST endpoints
-app.post('/api/accounts/:accountId/transactions', async (req, res) => {
-  const accountId = req.params.accountId;
-  const account = accounts.find(acc => acc.id === accountId);
+app.delete('/api/sandboxes/:name', (req, res) => {
+  const sandbox = findSandbox(req, res);
+  if (!sandbox) return;
   
-  if (!account) {
-    return res.status(404).json({
+  if (isDefault(sandbox)) {
+    return res.status(422).json({
       success: false,
-      error: 'Account not found'
+      error: 'The default sandbox cannot be deleted'
     });
   }
   
-  const { type, amount, description, category } = req.body;
+  sandboxes.delete(sandbox.name);
+  console.log(`🧪 Deleted sandbox "${sandbox.name}"`);
+  
+  res.json({
+    success: true,
+    data: { name: sandbox.name, deleted: true }
+  });
+});
+
+// Bulk export and import of the whole dataset
+const importMaxBytes = parseInt(process.env.IMPORT_MAX_BYTES) || 100 * 1024 * 1024;
+
+const importContentTypes = {
+  'application/x-ndjson': 'jsonl',
+  'application/jsonl': 'jsonl',
+  'application/x-jsonlines': 'jsonl',
+  'text/csv': 'csv'
+};
+
+const buildDatasetManifest = (accounts, transactions) => bundles.buildManifest({
+  generator: { name: generatorName, version: generatorVersion },
+  seeds: store.getMeta().seeds || [],
+  counts: { accounts: accounts.length, transactions: transactions.length }
+});
+
+// Manifest for the current dataset, including the CSV column schema
+app.get('/api/export/manifest', (req, res) => {
+  res.json({
+    success: true,
+    data: buildDatasetManifest(visibleAccounts(req), visibleTransactions(req))
+  });
+});
+
+// Stream the dataset as a JSON Lines bundle, or one table of it as CSV
+app.get('/api/export', (req, res) => {
+  const { format = 'jsonl', table } = req.query;
   
-  if (!type || !amount) {
+  if (!['jsonl', 'csv'].includes(format)) {
     return res.status(400).json({
       success: false,
-      error: 'Type and amount are required'
+      error: 'Unsupported format. Use one of: jsonl, csv'
+    });
+  }
+  if (format === 'csv' && !bundles.TABLES.includes(table)) {
+    return res.status(400).json({
+      success: false,
+      error: `CSV exports are one table at a time. Use table=${bundles.TABLES.join(' or table=')}`
     });
   }
   
-  // Generate description using Gemini if not provided
-  const finalDescription = description || await generateIndianTransactionDescription(
-    category || 'Other', 
-    type
-  );
-  
-  const transaction = {
-    id: uuidv4(),
-    accountId: accountId,
-    type: type,
-    amount: parseFloat(amount),
-    description: finalDescription,
-    category: category || 'Other',
-    date: new Date().toISOString(),
-    status: 'completed',
-    reference: `UPI${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
-    balance_after: type === 'debit' 
-      ? account.balance - parseFloat(amount)
-      : account.balance + parseFloat(amount)
-  };
+  // Copies of the lists (not the records), so changes made while the export
+  // streams don't shift it. A client exports its own accounts.
+  const accounts = [...visibleAccounts(req)];
+  const transactions = [...visibleTransactions(req)];
+  const manifest = buildDatasetManifest(accounts, transactions);
+  const day = manifest.exportedAt.slice(0, 10);
   
-  transactions.unshift(transaction);
+  const output = format === 'csv'
+    ? bundles.exportCsv(table, table === 'accounts' ? accounts : transactions)
+    : bundles.exportJsonLines(manifest, accounts, transactions);
   
-  // Update account balance
-  account.balance = transaction.balance_after;
-  account.availableBalance = account.balance - generateRandomAmount(0, 50);
-  account.lastUpdated = new Date().toISOString();
+  res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${format === 'csv' ? table : 'bank-data'}_${day}.${format}"`);
   
-  res.status(201).json({
-    success: true,
-    data: transaction
+  pipeline(output, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('❌ Export failed:', error.message);
+    }
   });
 });
 
-app.post('/api/generate-data', async (req, res) => {
-  try {
-    const { accountCount = 1, transactionsPerAccount = 25 } = req.body;
-    
-    // Check if we have API access
-    const hasApiAccess = !!gemini;
-    
-    console.log(`🚀 Generating ${accountCount} new accounts with ${transactionsPerAccount} transactions each...`);
-    console.log(`📡 AI Provider: ${hasApiAccess ? 'Google Gemini 2.0 Flash' : 'Fallback Templates'}`);
-    
-    const newAccounts = [];
-    const newTransactions = [];
-    
-    for (let i = 0; i < accountCount; i++) {
-      console.log(`📋 Creating account ${i + 1}/${accountCount}...`);
-      
-      const account = await generateAccount();
-      newAccounts.push(account);
-      accounts.push(account);
-      
-      console.log(`✅ Generated account for ${account.accountHolder.name} at ${account.bankName}`);
-      
-      let runningBalance = account.balance;
-      
-      for (let j = 0; j < transactionsPerAccount; j++) {
-        const transaction = await generateTransaction(account.id);
-        
-        if (transaction.type === 'debit') {
-          runningBalance -= transaction.amount;
-        } else {
-          runningBalance += transaction.amount;
-        }
-        
-        transaction.balance_after = parseFloat(runningBalance.toFixed(2));
-        newTransactions.push(transaction);
-        transactions.push(transaction);
-        
-        // Add delay to respect API rate limits for Gemini
-        if (hasApiAccess && j % 3 === 0) {
-          await new Promise(resolve => setTimeout(resolve, 250));
-        }
-      }
-      
-      account.balance = parseFloat(runningBalance.toFixed(2));
-      account.availableBalance = account.balance - generateRandomAmount(0, 100);
-      
-      console.log(`💰 Generated ${transactionsPerAccount} transactions for ${account.accountHolder.name}`);
+// Load a parsed bundle. `replace` swaps out the whole dataset; `merge` adds to
+// it and stops at ids that already exist, unless onConflict=skip leaves those
+// records out.
+const importBundle = ({ manifest, accounts, transactions }, { mode, onConflict, clientId = null }) => {
+  const merging = mode === 'merge';
+  const existingAccounts = new Set(merging ? store.listAccounts().map(acc => acc.id) : []);
+  const existingTransactions = new Set(merging ? store.listTransactions().map(t => t.id) : []);
+  
+  const accountCollisions = accounts.filter(acc => existingAccounts.has(acc.id)).map(acc => acc.id);
+  const transactionCollisions = transactions.filter(t => existingTransactions.has(t.id)).map(t => t.id);
+  
+  if (onConflict === 'error' && (accountCollisions.length > 0 || transactionCollisions.length > 0)) {
+    const listIds = (ids) => `${ids.slice(0, 10).join(', ')}${ids.length > 10 ? `, ...and ${ids.length - 10} more` : ''}`;
+    const error = new Error('Bundle ids collide with existing data');
+    error.status = 409;
+    error.details = [
+      accountCollisions.length > 0 && `${accountCollisions.length} account ids already exist: ${listIds(accountCollisions)}`,
+      transactionCollisions.length > 0 && `${transactionCollisions.length} transaction ids already exist: ${listIds(transactionCollisions)}`
+    ].filter(Boolean);
+    throw error;
+  }
+  
+  const newAccounts = accounts.filter(acc => !existingAccounts.has(acc.id)).map(acc => assignClient(acc, clientId));
+  const newTransactions = transactions.filter(t => !existingTransactions.has(t.id));
+  
+  // Every transaction needs its account, from the bundle or (when merging) the store
+  const knownAccounts = new Set([...existingAccounts, ...accounts.map(acc => acc.id)]);
+  const missingAccounts = [...new Set(newTransactions.filter(t => !knownAccounts.has(t.accountId)).map(t => t.accountId))];
+  
+  if (missingAccounts.length > 0) {
+    const error = new Error('Transactions reference accounts that are not in the bundle or the store');
+    error.status = 422;
+    error.details = missingAccounts.slice(0, 20).map(id => `accountId ${id}`);
+    throw error;
+  }
+  
+  const bundleSeeds = manifest && Array.isArray(manifest.seeds) ? manifest.seeds : [];
+  
+  store.batch(() => {
+    if (merging) {
+      newAccounts.forEach(acc => store.addAccount(acc));
+      store.addTransactions(newTransactions);
+      store.updateMeta({ seeds: mergeSeeds(store.getMeta().seeds || [], bundleSeeds) });
+    } else {
+      store.replaceAll({ accounts: newAccounts, transactions: newTransactions, meta: { seeds: mergeSeeds([], bundleSeeds) } });
     }
+  });
+  
+  return {
+    imported: { accounts: newAccounts.length, transactions: newTransactions.length },
+    skipped: { accounts: accountCollisions.length, transactions: transactionCollisions.length }
+  };
+};
+
+// Body is the raw bundle: application/x-ndjson for JSON Lines, text/csv (with
+// ?table=) for a single CSV table. A bundle can replace everyone's data, so
+// clients only import into their own sandboxes (as their accounts).
+app.post('/api/import', requireSandboxOwner, async (req, res) => {
+  const { mode = 'merge', onConflict = 'error', table = null } = req.query;
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const format = req.query.format || importContentTypes[contentType];
+  const errors = [];
+  
+  if (!['merge', 'replace'].includes(mode)) {
+    errors.push('mode must be merge or replace');
+  }
+  if (!['error', 'skip'].includes(onConflict)) {
+    errors.push('onConflict must be error or skip');
+  }
+  // JSON bodies have already been consumed by express.json()
+  if (!['jsonl', 'csv'].includes(format) || contentType === 'application/json') {
+    errors.push('Send the bundle as application/x-ndjson (JSON Lines) or text/csv');
+  } else if (format === 'csv' && !bundles.TABLES.includes(table)) {
+    errors.push(`CSV imports are one table at a time. Use table=${bundles.TABLES.join(' or table=')}`);
+  }
+  if (parseInt(req.headers['content-length']) > importMaxBytes) {
+    return res.status(413).json({
+      success: false,
+      error: `Import is larger than the ${importMaxBytes} byte limit`
+    });
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid import request',
+      details: errors
+    });
+  }
+  
+  try {
+    const bundle = await bundles.readBundle(req, { format, table, maxBytes: importMaxBytes });
+    const result = importBundle(bundle, { mode, onConflict, clientId: clientIdOf(req) });
     
-    // Sort transactions by date
-    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-    
-    console.log('🎉 Data generation completed successfully!');
+    console.log(`📥 Imported ${result.imported.accounts} accounts and ${result.imported.transactions} transactions (${mode})`);
     
     res.json({
       success: true,
-      message: hasApiAccess 
-        ? 'Realistic Indian bank data generated successfully using Google Gemini AI'
-        : 'Indian bank data generated using high-quality fallback templates',
-      ai_provider: hasApiAccess ? 'google_gemini_2_flash' : 'fallback_mode',
-      generated: {
-        accounts: newAccounts.length,
-        transactions: newTransactions.length
-      },
-      samples: {
-        accountHolders: newAccounts.map(acc => acc.accountHolder.name),
-        banks: newAccounts.map(acc => acc.bankName),
-        sampleTransactions: newTransactions.slice(0, 5).map(txn => ({
-          description: txn.description,
-          category: txn.category,
-          amount: txn.amount,
-          type: txn.type
-        }))
+      data: {
+        mode,
+        format,
+        ...result,
+        totals: {
+          accounts: store.listAccounts().length,
+          transactions: store.listTransactions().length
+        }
       }
     });
     
   } catch (error) {
-    console.error('Error generating data:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+    
+    console.error('Error importing data:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate data',
+      error: 'Failed to import data',
       details: error.message
     });
   }
@@ -711,17 +3625,54 @@ app.use((req, res) => {
 
 app.listen(PORT, () => {
   console.log(`🏦 Synthetic Bank API server is running on port ${PORT}`);
-  console.log(`📊 Generated ${accounts.length} accounts with ${transactions.length} transactions`);
+  console.log(`📊 Generated ${store.listAccounts().length} accounts with ${store.listTransactions().length} transactions`);
   console.log(`🌐 Health check: http://localhost:${PORT}/health`);
+  console.log(`📘 API docs: http://localhost:${PORT}/docs (OpenAPI document: /openapi.json)`);
   console.log(`📋 API Endpoints:`);
+  console.log(`   GET  /api/usage - API key, rate limit and generation quota`);
   console.log(`   GET  /api/accounts - Get all accounts`);
   console.log(`   GET  /api/accounts/:id - Get specific account`);
+  console.log(`   POST /api/accounts - Open an account`);
+  console.log(`   PATCH /api/accounts/:id - Change account status, overdraft or credit limit`);
+  console.log(`   DELETE /api/accounts/:id - Delete an account and its transactions`);
   console.log(`   GET  /api/accounts/:id/balance - Get account balance`);
+  console.log(`   POST /api/accounts/:id/holds - Place a hold on an account`);
+  console.log(`   DELETE /api/accounts/:id/holds/:holdId - Release a hold`);
   console.log(`   GET  /api/accounts/:id/transactions - Get account transactions`);
   console.log(`   GET  /api/accounts/:id/summary - Get account summary`);
+  console.log(`   GET  /api/accounts/:id/statement - Export statement (csv, ofx, qfx, txt)`);
+  console.log(`   GET  /api/accounts/:id/analytics - Spending analytics for an account`);
+  console.log(`   GET  /api/accounts/:id/card-statements - Credit card billing statements`);
+  console.log(`   POST /api/accounts/:id/loans - Book a loan against an account`);
+  console.log(`   POST /api/accounts/:id/deposits - Open a fixed or recurring deposit`);
+  console.log(`   GET  /api/accounts/:id/schedule - Loan or deposit schedule`);
+  console.log(`   GET  /api/analytics - Spending analytics across all accounts`);
   console.log(`   GET  /api/transactions - Get all transactions`);
+  console.log(`   GET  /api/categories - Get category catalogue`);
+  console.log(`   GET  /api/channels - Get payment channels and limits`);
+  console.log(`   GET  /api/anomalies - Get injectable fraud scenarios`);
+  console.log(`   POST /api/identifiers/validate - Validate IFSC, account number, PAN, UPI ID, mobile, pincode`);
   console.log(`   POST /api/accounts/:id/transactions - Create transaction`);
+  console.log(`   POST /api/transfers - Transfer between accounts`);
+  console.log(`   GET  /api/transfers/:id - Get both legs of a transfer`);
   console.log(`   POST /api/generate-data - Generate new synthetic data`);
+  console.log(`   POST /api/jobs/generate-data - Queue a generation job`);
+  console.log(`   GET  /api/jobs/:id - Job status and progress`);
+  console.log(`   GET  /api/jobs/:id/events - Stream job progress (SSE)`);
+  console.log(`   POST /api/jobs/:id/cancel - Cancel a job`);
+  console.log(`   GET  /api/simulation - Virtual clock`);
+  console.log(`   POST /api/simulation/advance - Advance the clock and simulate activity`);
+  console.log(`   POST /api/webhooks - Subscribe to events`);
+  console.log(`   GET  /api/webhooks/:id/deliveries - Webhook delivery log`);
+  console.log(`   POST /api/aa/consents - Account Aggregator consent request`);
+  console.log(`   POST /api/aa/fi/request - Account Aggregator FI request`);
+  console.log(`   GET  /api/aa/fi/fetch/:sessionId - Account Aggregator FI data`);
+  console.log(`   POST /api/sandboxes - Create a sandbox (use it with X-Sandbox or /sandboxes/:name/api/...)`);
+  console.log(`   POST /api/sandboxes/:name/reset - Reset a sandbox`);
+  console.log(`   DELETE /api/sandboxes/:name - Delete a sandbox`);
+  console.log(`   GET  /api/export - Export the dataset (jsonl, or csv per table)`);
+  console.log(`   GET  /api/export/manifest - Export manifest and CSV columns`);
+  console.log(`   POST /api/import - Import a bundle (merge or replace)`);
 });
 
 module.exports = app;
\ No newline at end of file